@@ -0,0 +1,34 @@
+require('dotenv').config();
+
+// Service categories that get an automatic maintenance reminder when a request completes,
+// mapped to the number of days until the next service is due
+const DEFAULT_CATEGORIES = {
+    'Cleaning': 30,
+    'Gardening': 30,
+    'Plumbing': 180,
+    'Electrical': 365,
+    'Appliance Repair': 180
+};
+
+// Override with MAINTENANCE_CATEGORIES="Cleaning:14,Gardening:21" (an empty value disables auto reminders)
+const parseCategories = (value) => {
+    if (value === undefined) return DEFAULT_CATEGORIES;
+
+    const categories = {};
+    value.split(',').forEach(entry => {
+        const [category, days] = entry.split(':').map(part => part && part.trim());
+        const frequency = parseInt(days, 10);
+        if (category && frequency > 0) {
+            categories[category] = frequency;
+        }
+    });
+    return categories;
+};
+
+module.exports = {
+    categories: parseCategories(process.env.MAINTENANCE_CATEGORIES),
+    // Days before nextServiceDate that the customer is reminded
+    leadDays: parseInt(process.env.MAINTENANCE_REMINDER_LEAD_DAYS, 10) || 7,
+    // How often the reminder job looks for due reminders
+    intervalMinutes: parseInt(process.env.MAINTENANCE_REMINDER_INTERVAL_MINUTES, 10) || 60
+};
@@ -0,0 +1,43 @@
+// Offline geocoding table used by the lookup geocoder: postal area -> its main city and centre point.
+// A postal area is the first three characters of a ZIP code (the USPS sectional centre).
+// Extend or replace it with GEOCODER_LOOKUP_FILE - a JSON file in the same shape.
+module.exports = {
+    '021': { city: 'Boston', latitude: 42.3601, longitude: -71.0589 },
+    '100': { city: 'New York', latitude: 40.7128, longitude: -74.0060 },
+    '112': { city: 'Brooklyn', latitude: 40.6782, longitude: -73.9442 },
+    '191': { city: 'Philadelphia', latitude: 39.9526, longitude: -75.1652 },
+    '152': { city: 'Pittsburgh', latitude: 40.4406, longitude: -79.9959 },
+    '200': { city: 'Washington', latitude: 38.9072, longitude: -77.0369 },
+    '212': { city: 'Baltimore', latitude: 39.2904, longitude: -76.6122 },
+    '282': { city: 'Charlotte', latitude: 35.2271, longitude: -80.8431 },
+    '303': { city: 'Atlanta', latitude: 33.7490, longitude: -84.3880 },
+    '331': { city: 'Miami', latitude: 25.7617, longitude: -80.1918 },
+    '328': { city: 'Orlando', latitude: 28.5383, longitude: -81.3792 },
+    '336': { city: 'Tampa', latitude: 27.9506, longitude: -82.4572 },
+    '372': { city: 'Nashville', latitude: 36.1627, longitude: -86.7816 },
+    '432': { city: 'Columbus', latitude: 39.9612, longitude: -82.9988 },
+    '441': { city: 'Cleveland', latitude: 41.4993, longitude: -81.6944 },
+    '462': { city: 'Indianapolis', latitude: 39.7684, longitude: -86.1581 },
+    '482': { city: 'Detroit', latitude: 42.3314, longitude: -83.0458 },
+    '532': { city: 'Milwaukee', latitude: 43.0389, longitude: -87.9065 },
+    '554': { city: 'Minneapolis', latitude: 44.9778, longitude: -93.2650 },
+    '606': { city: 'Chicago', latitude: 41.8781, longitude: -87.6298 },
+    '631': { city: 'St. Louis', latitude: 38.6270, longitude: -90.1994 },
+    '641': { city: 'Kansas City', latitude: 39.0997, longitude: -94.5786 },
+    '701': { city: 'New Orleans', latitude: 29.9511, longitude: -90.0715 },
+    '752': { city: 'Dallas', latitude: 32.7767, longitude: -96.7970 },
+    '770': { city: 'Houston', latitude: 29.7604, longitude: -95.3698 },
+    '782': { city: 'San Antonio', latitude: 29.4241, longitude: -98.4936 },
+    '787': { city: 'Austin', latitude: 30.2672, longitude: -97.7431 },
+    '802': { city: 'Denver', latitude: 39.7392, longitude: -104.9903 },
+    '841': { city: 'Salt Lake City', latitude: 40.7608, longitude: -111.8910 },
+    '850': { city: 'Phoenix', latitude: 33.4484, longitude: -112.0740 },
+    '891': { city: 'Las Vegas', latitude: 36.1699, longitude: -115.1398 },
+    '900': { city: 'Los Angeles', latitude: 34.0522, longitude: -118.2437 },
+    '921': { city: 'San Diego', latitude: 32.7157, longitude: -117.1611 },
+    '941': { city: 'San Francisco', latitude: 37.7749, longitude: -122.4194 },
+    '951': { city: 'San Jose', latitude: 37.3382, longitude: -121.8863 },
+    '958': { city: 'Sacramento', latitude: 38.5816, longitude: -121.4944 },
+    '972': { city: 'Portland', latitude: 45.5152, longitude: -122.6784 },
+    '981': { city: 'Seattle', latitude: 47.6062, longitude: -122.3321 }
+};
@@ -0,0 +1,273 @@
+const PerformanceAlert = require('../models/PerformanceAlert');
+
+const { METRIC_TYPES, COMPARISON_OPERATORS, DEFAULT_COOLDOWN_MINUTES } = PerformanceAlert;
+
+const MAX_ALERTS_PER_PROVIDER = 20;
+const MAX_RATING = 5;
+const MAX_THRESHOLD = 99999999.99;
+const MIN_COOLDOWN_MINUTES = 5;
+const MAX_COOLDOWN_MINUTES = 7 * 24 * 60;
+const DEFAULT_HISTORY_LIMIT = 100;
+const MAX_HISTORY_LIMIT = 500;
+
+const PERCENT_METRICS = [METRIC_TYPES.COMPLETION_RATE, METRIC_TYPES.CANCELLATION_RATE];
+
+// MySQL hands back DECIMAL as a string and BOOLEAN as 0/1
+const toAlert = (alert) => ({
+    ...alert,
+    thresholdValue: parseFloat(alert.thresholdValue),
+    isActive: Boolean(alert.isActive),
+    inBreach: Boolean(alert.breachedAt)
+});
+
+const toEvent = (event) => ({
+    ...event,
+    thresholdValue: parseFloat(event.thresholdValue),
+    metricValue: parseFloat(event.metricValue),
+    notified: Boolean(event.notified)
+});
+
+// Validate alert settings - returns an error message, or null when valid
+const validateAlert = ({ metricType, comparisonOperator, thresholdValue, cooldownMinutes }) => {
+    if (!Object.values(METRIC_TYPES).includes(metricType)) {
+        return `Metric type must be one of: ${Object.values(METRIC_TYPES).join(', ')}`;
+    }
+    if (!Object.values(COMPARISON_OPERATORS).includes(comparisonOperator)) {
+        return `Comparison operator must be one of: ${Object.values(COMPARISON_OPERATORS).join(', ')}`;
+    }
+
+    const threshold = Number(thresholdValue);
+    if (thresholdValue === null || thresholdValue === '' || isNaN(threshold) || threshold < 0 || threshold > MAX_THRESHOLD) {
+        return 'Threshold value must be a non-negative number';
+    }
+    if (PERCENT_METRICS.includes(metricType) && threshold > 100) {
+        return 'Rate thresholds cannot be above 100%';
+    }
+    if (metricType === METRIC_TYPES.RATING && threshold > MAX_RATING) {
+        return `Rating thresholds cannot be above ${MAX_RATING}`;
+    }
+
+    const cooldown = Number(cooldownMinutes);
+    if (!Number.isInteger(cooldown) || cooldown < MIN_COOLDOWN_MINUTES || cooldown > MAX_COOLDOWN_MINUTES) {
+        return `Cooldown must be a whole number of minutes between ${MIN_COOLDOWN_MINUTES} and ${MAX_COOLDOWN_MINUTES}`;
+    }
+    return null;
+};
+
+// Load an alert and check it belongs to the provider - sends the error response and returns null otherwise
+const loadOwnAlert = async (req, res) => {
+    const alert = await PerformanceAlert.findById(req.params.alertID);
+    if (!alert) {
+        res.status(404).json({
+            success: false,
+            message: 'Alert not found'
+        });
+        return null;
+    }
+
+    if (alert.providerID !== req.user.userID) {
+        res.status(403).json({
+            success: false,
+            message: 'You can only manage your own alerts'
+        });
+        return null;
+    }
+
+    return alert;
+};
+
+// Get the current provider's alerts and the options for configuring them
+const getMyAlerts = async (req, res) => {
+    try {
+        const alerts = await PerformanceAlert.getByProvider(req.user.userID);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                alerts: alerts.map(toAlert),
+                metricTypes: Object.values(METRIC_TYPES),
+                comparisonOperators: Object.values(COMPARISON_OPERATORS),
+                defaultCooldownMinutes: DEFAULT_COOLDOWN_MINUTES,
+                maxAlerts: MAX_ALERTS_PER_PROVIDER
+            }
+        });
+    } catch (error) {
+        console.error('Get alerts error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching alerts',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+// Get the current provider's breach / recovery history, optionally for one alert
+const getAlertHistory = async (req, res) => {
+    try {
+        const alertID = req.query.alertID ? parseInt(req.query.alertID, 10) : null;
+        const limit = req.query.limit ? parseInt(req.query.limit, 10) : DEFAULT_HISTORY_LIMIT;
+
+        if (req.query.alertID && (isNaN(alertID) || alertID <= 0)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid alert ID'
+            });
+        }
+
+        if (isNaN(limit) || limit <= 0 || limit > MAX_HISTORY_LIMIT) {
+            return res.status(400).json({
+                success: false,
+                message: `Limit must be between 1 and ${MAX_HISTORY_LIMIT}`
+            });
+        }
+
+        const events = await PerformanceAlert.getEvents(req.user.userID, alertID, limit);
+
+        res.status(200).json({
+            success: true,
+            data: { events: events.map(toEvent) }
+        });
+    } catch (error) {
+        console.error('Get alert history error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching alert history',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+// Create an alert (Provider only) - active with the default cooldown unless told otherwise
+const createAlert = async (req, res) => {
+    try {
+        const providerID = req.user.userID;
+        const { metricType, comparisonOperator, thresholdValue, isActive } = req.body;
+        const cooldownMinutes = req.body.cooldownMinutes !== undefined
+            ? req.body.cooldownMinutes
+            : DEFAULT_COOLDOWN_MINUTES;
+
+        if (!metricType || !comparisonOperator || thresholdValue === undefined) {
+            return res.status(400).json({
+                success: false,
+                message: 'Metric type, comparison operator and threshold value are required'
+            });
+        }
+
+        const validationError = validateAlert({ metricType, comparisonOperator, thresholdValue, cooldownMinutes });
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        if (await PerformanceAlert.countByProvider(providerID) >= MAX_ALERTS_PER_PROVIDER) {
+            return res.status(400).json({
+                success: false,
+                message: `You can have at most ${MAX_ALERTS_PER_PROVIDER} alerts`
+            });
+        }
+
+        const alertID = await PerformanceAlert.create({
+            providerID,
+            metricType,
+            comparisonOperator,
+            thresholdValue: Number(thresholdValue),
+            isActive: isActive === undefined ? true : Boolean(isActive),
+            cooldownMinutes: Number(cooldownMinutes)
+        });
+
+        const alert = await PerformanceAlert.findById(alertID);
+
+        res.status(201).json({
+            success: true,
+            message: 'Alert created successfully',
+            data: { alert: toAlert(alert) }
+        });
+    } catch (error) {
+        console.error('Create alert error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while creating alert',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+// Update an alert's condition, cooldown or active state (owner only)
+const updateAlert = async (req, res) => {
+    try {
+        const alert = await loadOwnAlert(req, res);
+        if (!alert) return;
+
+        const { metricType, comparisonOperator, thresholdValue, isActive, cooldownMinutes } = req.body;
+        const validationError = validateAlert({
+            metricType: metricType !== undefined ? metricType : alert.metricType,
+            comparisonOperator: comparisonOperator !== undefined ? comparisonOperator : alert.comparisonOperator,
+            thresholdValue: thresholdValue !== undefined ? thresholdValue : alert.thresholdValue,
+            cooldownMinutes: cooldownMinutes !== undefined ? cooldownMinutes : alert.cooldownMinutes
+        });
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        await PerformanceAlert.update(alert.alertID, req.user.userID, {
+            metricType,
+            comparisonOperator,
+            thresholdValue: thresholdValue !== undefined ? Number(thresholdValue) : undefined,
+            isActive: isActive !== undefined ? Boolean(isActive) : undefined,
+            cooldownMinutes: cooldownMinutes !== undefined ? Number(cooldownMinutes) : undefined
+        });
+
+        const updatedAlert = await PerformanceAlert.findById(alert.alertID);
+
+        res.status(200).json({
+            success: true,
+            message: 'Alert updated successfully',
+            data: { alert: toAlert(updatedAlert) }
+        });
+    } catch (error) {
+        console.error('Update alert error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating alert',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+// Delete an alert (owner only)
+const deleteAlert = async (req, res) => {
+    try {
+        const deleted = await PerformanceAlert.delete(req.params.alertID, req.user.userID);
+        if (!deleted) {
+            return res.status(404).json({
+                success: false,
+                message: 'Alert not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Alert deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete alert error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while deleting alert',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+module.exports = {
+    getMyAlerts,
+    getAlertHistory,
+    createAlert,
+    updateAlert,
+    deleteAlert
+};
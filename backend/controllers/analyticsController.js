@@ -3,6 +3,10 @@ const PerformanceAnalytics = require('../services/PerformanceAnalytics');
 const CustomerAnalytics = require('../services/CustomerAnalytics');
 const BenchmarkingService = require('../services/BenchmarkingService');
 const RealTimeAnalytics = require('../services/RealTimeAnalytics');
+const BenchmarkSnapshotService = require('../services/BenchmarkSnapshotService');
+const AnalyticsAggregator = require('../services/AnalyticsAggregator');
+
+const MAX_BENCHMARK_HISTORY_DAYS = 730;
 
 // Helper to validate provider access
 const validateProviderAccess = (req, providerID) => {
@@ -23,6 +27,8 @@ const validateProviderAccess = (req, providerID) => {
     return { valid: true, providerID: parsedProviderID };
 };
 
+// Dashboard summary from the stored Analytics aggregates - kept current as jobs, payments and reviews change
+// Period breakdowns come from the revenue, performance and customer endpoints
 const getDashboard = async (req, res) => {
     try {
         const { providerID } = req.params;
@@ -35,20 +41,10 @@ const getDashboard = async (req, res) => {
             });
         }
 
-        const period = req.query.period || '30days';
-
-        console.log('Getting dashboard analytics', { providerID: validation.providerID, period });
+        console.log('Getting dashboard analytics', { providerID: validation.providerID });
 
-        // Fetch all analytics data in parallel
-        const [
-            revenueData,
-            performanceData,
-            customerData,
-            realTimeData
-        ] = await Promise.all([
-            RevenueAnalytics.getDashboardData(validation.providerID, period),
-            PerformanceAnalytics.getPerformanceSummary(validation.providerID, period),
-            CustomerAnalytics.getUniqueCustomerCount(validation.providerID, period),
+        const [summary, realTimeData] = await Promise.all([
+            AnalyticsAggregator.getSummary(validation.providerID),
             RealTimeAnalytics.getTodayMetrics(validation.providerID)
         ]);
 
@@ -56,11 +52,10 @@ const getDashboard = async (req, res) => {
             success: true,
             data: {
                 providerID: validation.providerID,
-                period,
-                revenue: revenueData,
-                performance: performanceData,
-                customers: customerData,
+                summary,
                 realTime: realTimeData,
+                lastUpdated: summary.lastUpdated,
+                lastFullUpdate: summary.lastFullUpdate,
                 generatedAt: new Date().toISOString()
             }
         });
@@ -250,12 +245,14 @@ const getBenchmarks = async (req, res) => {
         // Fetch all benchmarking data in parallel
         const [
             platformAverages,
+            peerAverages,
             percentileRankings,
             yearOverYearComparison,
             seasonalTrends,
             improvementSuggestions
         ] = await Promise.all([
             BenchmarkingService.getPlatformAverages(),
+            BenchmarkingService.getPeerAverages(validation.providerID),
             BenchmarkingService.getPercentileRankings(validation.providerID),
             BenchmarkingService.getYearOverYearComparison(validation.providerID),
             BenchmarkingService.getSeasonalTrends(validation.providerID),
@@ -267,6 +264,7 @@ const getBenchmarks = async (req, res) => {
             data: {
                 providerID: validation.providerID,
                 platformAverages,
+                peerAverages,
                 percentileRankings,
                 yearOverYearComparison,
                 seasonalTrends,
@@ -292,6 +290,64 @@ const getBenchmarks = async (req, res) => {
     }
 };
 
+// Platform (or category) benchmark over time, from the stored nightly snapshots
+const getBenchmarkHistory = async (req, res) => {
+    try {
+        const metricType = req.query.metric || 'completion_rate';
+        const category = req.query.category || null;
+        const days = req.query.days ? parseInt(req.query.days, 10) : 90;
+
+        if (isNaN(days) || days <= 0 || days > MAX_BENCHMARK_HISTORY_DAYS) {
+            return res.status(400).json({
+                success: false,
+                message: `Days must be between 1 and ${MAX_BENCHMARK_HISTORY_DAYS}`
+            });
+        }
+
+        const history = await BenchmarkingService.getBenchmarkHistory(metricType, { category, days });
+
+        res.status(200).json({
+            success: true,
+            data: history
+        });
+    } catch (error) {
+        console.error('Get benchmark history error:', { error: error.message });
+
+        if (error.statusCode === 400) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching benchmark history',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+// Take a benchmark snapshot now instead of waiting for the nightly run (Admin only)
+const createBenchmarkSnapshot = async (req, res) => {
+    try {
+        const calculatedAt = await BenchmarkSnapshotService.takeSnapshot();
+
+        res.status(201).json({
+            success: true,
+            message: 'Benchmark snapshot created',
+            data: { calculatedAt: calculatedAt.toISOString() }
+        });
+    } catch (error) {
+        console.error('Create benchmark snapshot error:', { error: error.message });
+        res.status(500).json({
+            success: false,
+            message: 'Server error while creating benchmark snapshot',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
 const getRealTimeMetrics = async (req, res) => {
     try {
         const { providerID } = req.params;
@@ -350,6 +406,7 @@ const getRealTimeMetrics = async (req, res) => {
     }
 };
 
+// Rebuild the provider's stored Analytics aggregates from scratch
 const refreshAnalytics = async (req, res) => {
     try {
         const { providerID } = req.params;
@@ -362,33 +419,18 @@ const refreshAnalytics = async (req, res) => {
             });
         }
 
-        const period = req.query.period || '30days';
+        console.log('Refreshing analytics', { providerID: validation.providerID });
 
-        console.log('Refreshing analytics', { providerID: validation.providerID, period });
-
-        // Force refresh all analytics data
-        const [
-            revenueData,
-            performanceData,
-            customerData,
-            realTimeData
-        ] = await Promise.all([
-            RevenueAnalytics.getDashboardData(validation.providerID, period),
-            PerformanceAnalytics.getPerformanceSummary(validation.providerID, period),
-            CustomerAnalytics.getUniqueCustomerCount(validation.providerID, period),
-            RealTimeAnalytics.getTodayMetrics(validation.providerID)
-        ]);
+        const summary = await AnalyticsAggregator.rebuild(validation.providerID);
 
         res.status(200).json({
             success: true,
             message: 'Analytics refreshed successfully',
             data: {
                 providerID: validation.providerID,
-                period,
-                revenue: revenueData,
-                performance: performanceData,
-                customers: customerData,
-                realTime: realTimeData,
+                summary,
+                lastUpdated: summary.lastUpdated,
+                lastFullUpdate: summary.lastFullUpdate,
                 refreshedAt: new Date().toISOString()
             }
         });
@@ -416,6 +458,8 @@ module.exports = {
     getPerformanceMetrics,
     getCustomerAnalytics,
     getBenchmarks,
+    getBenchmarkHistory,
+    createBenchmarkSnapshot,
     getRealTimeMetrics,
     refreshAnalytics
 };
\ No newline at end of file
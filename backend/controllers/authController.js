@@ -1,7 +1,11 @@
 const User = require('../models/User');
+const AddressService = require('../services/AddressService');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 
+// Largest job board radius a provider can set
+const MAX_SERVICE_RADIUS_MILES = 250;
+
 
 // Register new user
 const register = async (req, res) => {
@@ -33,6 +37,9 @@ const register = async (req, res) => {
             });
         }
 
+        // Address is optional at sign-up - validated and geocoded when given
+        const address = await AddressService.resolve(req.body);
+
         // Hash password
         const salt = await bcrypt.genSalt(10);
         const hashedPassword = await bcrypt.hash(password, salt);
@@ -43,7 +50,8 @@ const register = async (req, res) => {
             email,
             password: hashedPassword,
             phone: phone || null,
-            role
+            role,
+            ...address
         });
 
         // Get created user (without password)
@@ -66,6 +74,13 @@ const register = async (req, res) => {
         });
     } catch (error) {
         console.error('Register error:', error);
+
+        if (error.statusCode === 400) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
         
         // Check for database connection errors
         if (error.code === 'ECONNREFUSED' || error.code === 'ER_ACCESS_DENIED_ERROR') {
@@ -187,10 +202,91 @@ const getProfile = async (req, res) => {
     }
 };
 
+// Update the current user's name, phone, address and (providers) service radius
+const updateProfile = async (req, res) => {
+    try {
+        const userID = req.user.userID;
+        const { name, phone, serviceRadiusMiles } = req.body;
+
+        if (name !== undefined && (typeof name !== 'string' || name.trim().length === 0 || name.trim().length > 100)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Name must be between 1 and 100 characters'
+            });
+        }
+
+        if (phone !== undefined && phone !== null && (typeof phone !== 'string' || phone.trim().length > 20)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Phone must be at most 20 characters'
+            });
+        }
+
+        if (serviceRadiusMiles !== undefined && serviceRadiusMiles !== null) {
+            if (req.user.role !== 'Provider') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Only providers have a service radius'
+                });
+            }
+
+            const radius = Number(serviceRadiusMiles);
+            if (!Number.isInteger(radius) || radius < 1 || radius > MAX_SERVICE_RADIUS_MILES) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Service radius must be a whole number of miles between 1 and ${MAX_SERVICE_RADIUS_MILES}`
+                });
+            }
+        }
+
+        const existingUser = await User.findById(userID);
+        if (!existingUser) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const updateData = {};
+        if (name !== undefined) updateData.name = name.trim();
+        if (phone !== undefined) updateData.phone = phone ? phone.trim() : null;
+        if (serviceRadiusMiles !== undefined) {
+            updateData.serviceRadiusMiles = serviceRadiusMiles === null ? null : Number(serviceRadiusMiles);
+        }
+        if (AddressService.hasAddress(req.body)) {
+            Object.assign(updateData, await AddressService.resolve(req.body, existingUser));
+        }
+
+        const user = await User.updateProfile(userID, updateData);
+
+        res.status(200).json({
+            success: true,
+            message: 'Profile updated successfully',
+            data: { user }
+        });
+    } catch (error) {
+        console.error('Update profile error:', error);
+
+        if (error.statusCode === 400) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating profile',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
 module.exports = {
     register,
     login,
     logout,
-    getProfile
+    getProfile,
+    updateProfile
 };
 
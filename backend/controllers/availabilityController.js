@@ -0,0 +1,264 @@
+const Availability = require('../models/Availability');
+const Booking = require('../models/Booking');
+
+const { TIME_SLOTS } = Availability;
+const MAX_CALENDAR_DAYS = 62;
+const MAX_RECURRING_WEEKS = 12;
+
+// Validate a date that must not be in the past - returns an error message, or null when valid
+const validateFutureDate = (dateValue) => {
+    if (!dateValue || isNaN(Booking.parseDate(dateValue).getTime())) {
+        return 'A valid date is required';
+    }
+    const date = Booking.parseDate(dateValue);
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    date.setHours(0, 0, 0, 0);
+    if (date < today) {
+        return 'Date cannot be in the past';
+    }
+    return null;
+};
+
+// Get the provider's own calendar: published slots plus scheduled bookings
+const getMyCalendar = async (req, res) => {
+    try {
+        const providerID = req.user.userID;
+        const from = req.query.from ? Booking.parseDate(req.query.from) : new Date();
+        const to = req.query.to ? Booking.parseDate(req.query.to) : new Date(from);
+        if (!req.query.to) {
+            to.setDate(to.getDate() + 13);
+        }
+
+        if (isNaN(from.getTime()) || isNaN(to.getTime()) || to < from) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid date range'
+            });
+        }
+
+        if ((to - from) / (1000 * 60 * 60 * 24) > MAX_CALENDAR_DAYS) {
+            return res.status(400).json({
+                success: false,
+                message: `Date range cannot exceed ${MAX_CALENDAR_DAYS} days`
+            });
+        }
+
+        const fromDate = Booking.toDateString(from);
+        const toDate = Booking.toDateString(to);
+
+        const [slots, bookings] = await Promise.all([
+            Availability.getByProvider(providerID, fromDate, toDate),
+            Booking.getByProvider(providerID, fromDate, toDate)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                fromDate,
+                toDate,
+                timeSlots: TIME_SLOTS,
+                slots,
+                bookings: bookings.map(booking => ({
+                    ...booking,
+                    scheduledDate: Booking.toDateString(booking.scheduledDate),
+                    timeSlot: Availability.getSlotForTime(booking.scheduledTime)
+                }))
+            }
+        });
+    } catch (error) {
+        console.error('Get availability calendar error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching availability',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+// Publish weekly recurring availability (Provider only)
+// weekdays: 0 (Sunday) - 6 (Saturday); slots are created for each matching day over the next `weeks` weeks
+const publishWeeklyAvailability = async (req, res) => {
+    try {
+        const providerID = req.user.userID;
+        const { weekdays, timeSlots, startDate } = req.body;
+        const weeks = parseInt(req.body.weeks, 10) || 4;
+
+        if (!Array.isArray(weekdays) || weekdays.length === 0 ||
+            !weekdays.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+            return res.status(400).json({
+                success: false,
+                message: 'weekdays must be a non-empty array of numbers between 0 (Sunday) and 6 (Saturday)'
+            });
+        }
+
+        if (!Array.isArray(timeSlots) || timeSlots.length === 0 ||
+            !timeSlots.every(slot => TIME_SLOTS.includes(slot))) {
+            return res.status(400).json({
+                success: false,
+                message: `timeSlots must be a non-empty array of: ${TIME_SLOTS.join(', ')}`
+            });
+        }
+
+        if (weeks < 1 || weeks > MAX_RECURRING_WEEKS) {
+            return res.status(400).json({
+                success: false,
+                message: `weeks must be between 1 and ${MAX_RECURRING_WEEKS}`
+            });
+        }
+
+        if (startDate) {
+            const dateError = validateFutureDate(startDate);
+            if (dateError) {
+                return res.status(400).json({
+                    success: false,
+                    message: dateError
+                });
+            }
+        }
+
+        const start = startDate ? Booking.parseDate(startDate) : new Date();
+        const dates = [];
+        for (let offset = 0; offset < weeks * 7; offset++) {
+            const date = new Date(start);
+            date.setDate(start.getDate() + offset);
+            if (weekdays.includes(date.getDay())) {
+                dates.push(Booking.toDateString(date));
+            }
+        }
+
+        const slotCount = await Availability.publishSlots(providerID, dates, timeSlots);
+
+        res.status(200).json({
+            success: true,
+            message: `Published ${slotCount} availability slots`,
+            data: { dates, timeSlots, slotCount }
+        });
+    } catch (error) {
+        console.error('Publish availability error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while publishing availability',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+// Set a single slot available or unavailable (Provider only)
+const updateSlot = async (req, res) => {
+    try {
+        const providerID = req.user.userID;
+        const { date, timeSlot, available } = req.body;
+
+        const dateError = validateFutureDate(date);
+        if (dateError) {
+            return res.status(400).json({
+                success: false,
+                message: dateError
+            });
+        }
+
+        if (!TIME_SLOTS.includes(timeSlot)) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid time slot. Must be one of: ${TIME_SLOTS.join(', ')}`
+            });
+        }
+
+        if (typeof available !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                message: 'available must be true or false'
+            });
+        }
+
+        const normalizedDate = Booking.toDateString(date);
+        await Availability.upsertSlot(providerID, normalizedDate, timeSlot, available);
+
+        res.status(200).json({
+            success: true,
+            message: 'Availability updated',
+            data: { slot: { date: normalizedDate, timeSlot, available } }
+        });
+    } catch (error) {
+        console.error('Update availability slot error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating availability',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+// Block out a whole day (Provider only)
+const blockDay = async (req, res) => {
+    try {
+        const providerID = req.user.userID;
+        const { date } = req.body;
+
+        const dateError = validateFutureDate(date);
+        if (dateError) {
+            return res.status(400).json({
+                success: false,
+                message: dateError
+            });
+        }
+
+        const normalizedDate = Booking.toDateString(date);
+        await Availability.blockDay(providerID, normalizedDate);
+
+        res.status(200).json({
+            success: true,
+            message: `${normalizedDate} blocked out`,
+            data: { date: normalizedDate }
+        });
+    } catch (error) {
+        console.error('Block day error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while blocking day',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+// Get free slots on a date, across providers or for one provider
+const getFreeSlots = async (req, res) => {
+    try {
+        const { date, providerID } = req.query;
+
+        const dateError = validateFutureDate(date);
+        if (dateError) {
+            return res.status(400).json({
+                success: false,
+                message: dateError
+            });
+        }
+
+        const normalizedDate = Booking.toDateString(date);
+        const slots = await Availability.getFreeSlots(
+            normalizedDate,
+            providerID ? parseInt(providerID, 10) : null
+        );
+
+        res.status(200).json({
+            success: true,
+            data: { date: normalizedDate, timeSlots: TIME_SLOTS, slots }
+        });
+    } catch (error) {
+        console.error('Get free slots error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching free slots',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+module.exports = {
+    getMyCalendar,
+    publishWeeklyAvailability,
+    updateSlot,
+    blockDay,
+    getFreeSlots
+};
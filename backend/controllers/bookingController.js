@@ -0,0 +1,266 @@
+const Booking = require('../models/Booking');
+const Availability = require('../models/Availability');
+const Notification = require('../models/Notification');
+
+const VALID_RANGES = ['day', 'week'];
+
+// Get the inclusive [from, to] date range for a day or week view starting at startDate
+const getDateRange = (range, startDate) => {
+    const from = Booking.parseDate(startDate);
+    const to = new Date(from);
+    if (range === 'week') {
+        to.setDate(to.getDate() + 6);
+    }
+    return {
+        fromDate: Booking.toDateString(from),
+        toDate: Booking.toDateString(to)
+    };
+};
+
+// Create a manual booking for an offline customer (Provider only)
+const createManualBooking = async (req, res) => {
+    try {
+        const providerID = req.user.userID;
+        const { customerName, customerPhone, scheduledDate, scheduledTime, notes } = req.body;
+
+        if (!customerName || !customerName.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Customer name is required for a manual booking'
+            });
+        }
+
+        const scheduleError = Booking.validateSchedule(scheduledDate, scheduledTime);
+        if (scheduleError) {
+            return res.status(400).json({
+                success: false,
+                message: scheduleError
+            });
+        }
+
+        // Refuse slots that are already booked or marked unavailable - checked again under lock when booking
+        const slotCheck = await Availability.checkSlot(providerID, Booking.toDateString(scheduledDate), scheduledTime);
+        if (!slotCheck.available) {
+            return res.status(409).json({
+                success: false,
+                message: slotCheck.reason
+            });
+        }
+
+        const bookingID = await Availability.reserveSlot({
+            providerID,
+            scheduledDate,
+            scheduledTime,
+            manualBooking: true,
+            customerName: customerName.trim(),
+            customerPhone: customerPhone ? customerPhone.trim() : null,
+            notes: notes ? notes.trim() : null
+        });
+
+        const booking = await Booking.findById(bookingID);
+
+        res.status(201).json({
+            success: true,
+            message: 'Manual booking created successfully',
+            data: { booking }
+        });
+    } catch (error) {
+        console.error('Create manual booking error:', error);
+
+        // The slot was taken between the check above and the booking
+        if (error.statusCode === 409) {
+            return res.status(409).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error while creating booking',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+// Get upcoming bookings for the current user by day or week
+const getUpcomingBookings = async (req, res) => {
+    try {
+        const userID = req.user.userID;
+        const userRole = req.user.role;
+        const range = req.query.range || 'week';
+        const startDate = req.query.date || Booking.toDateString(new Date());
+
+        if (!VALID_RANGES.includes(range)) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid range. Must be one of: ${VALID_RANGES.join(', ')}`
+            });
+        }
+
+        if (isNaN(Booking.parseDate(startDate).getTime())) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid date format'
+            });
+        }
+
+        const { fromDate, toDate } = getDateRange(range, startDate);
+
+        let bookings;
+        if (userRole === 'Provider') {
+            bookings = await Booking.getByProvider(userID, fromDate, toDate);
+        } else if (userRole === 'Customer') {
+            bookings = await Booking.getByCustomer(userID, fromDate, toDate);
+        } else {
+            return res.status(403).json({
+                success: false,
+                message: 'Invalid role for this operation'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: { range, fromDate, toDate, bookings }
+        });
+    } catch (error) {
+        console.error('Get upcoming bookings error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching bookings',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+// Get booking by ID (provider or customer of the booking)
+const getBookingById = async (req, res) => {
+    try {
+        const userID = req.user.userID;
+        const { bookingID } = req.params;
+
+        const booking = await Booking.findById(bookingID);
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+
+        if (booking.providerID !== userID && booking.customerID !== userID && req.user.role !== 'Admin') {
+            return res.status(403).json({
+                success: false,
+                message: 'You do not have permission to view this booking'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: { booking }
+        });
+    } catch (error) {
+        console.error('Get booking error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching booking',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+// Cancel a booking (provider or customer of the booking)
+const cancelBooking = async (req, res) => {
+    try {
+        const userID = req.user.userID;
+        const { bookingID } = req.params;
+        const { cancellationReason } = req.body;
+
+        if (!cancellationReason || !cancellationReason.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cancellation reason is required'
+            });
+        }
+
+        const booking = await Booking.findById(bookingID);
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+
+        const isProvider = booking.providerID === userID;
+        const isCustomer = booking.customerID === userID;
+
+        if (!isProvider && !isCustomer) {
+            return res.status(403).json({
+                success: false,
+                message: 'You do not have permission to cancel this booking'
+            });
+        }
+
+        // A request's booking is cancelled with the request, so its status and history stay in step
+        if (booking.requestID) {
+            return res.status(409).json({
+                success: false,
+                message: 'This booking belongs to a service request - cancel the service request instead',
+                data: { requestID: booking.requestID }
+            });
+        }
+
+        const cancelled = await Booking.cancel(bookingID, cancellationReason.trim());
+        if (!cancelled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Only scheduled bookings can be cancelled'
+            });
+        }
+
+        // Notify the other party (manual bookings have no customer account)
+        const otherPartyID = isProvider ? booking.customerID : booking.providerID;
+        if (otherPartyID) {
+            try {
+                const message = `Booking on ${Booking.toDateString(booking.scheduledDate)} was cancelled: ${cancellationReason.trim()}`;
+                await Notification.create({
+                    userID: otherPartyID,
+                    requestID: booking.requestID,
+                    message,
+                    notificationType: 'booking_cancelled'
+                });
+
+                if (global.io) {
+                    global.io.to(`user_${otherPartyID}`).emit('new_notification', {
+                        message,
+                        notificationType: 'booking_cancelled',
+                        requestID: booking.requestID
+                    });
+                }
+            } catch (notifError) {
+                console.error('Error creating booking cancellation notification:', notifError);
+            }
+        }
+
+        const updatedBooking = await Booking.findById(bookingID);
+
+        res.status(200).json({
+            success: true,
+            message: 'Booking cancelled',
+            data: { booking: updatedBooking }
+        });
+    } catch (error) {
+        console.error('Cancel booking error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while cancelling booking',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+module.exports = {
+    createManualBooking,
+    getUpcomingBookings,
+    getBookingById,
+    cancelBooking
+};
@@ -0,0 +1,297 @@
+const ProviderGoal = require('../models/ProviderGoal');
+const GoalTrackingService = require('../services/GoalTrackingService');
+
+const { GOAL_TYPES, GOAL_STATUS } = ProviderGoal;
+
+const MAX_RATING = 5;
+
+const parseDate = (value) => {
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return new Date(`${value}T00:00:00`);
+    }
+    return new Date(value);
+};
+
+const today = () => {
+    const date = new Date();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+};
+
+// Validate goal target and dates - returns an error message, or null when valid
+const validateGoal = ({ goalType, targetValue, startDate, targetDate }) => {
+    const target = Number(targetValue);
+    if (isNaN(target) || target <= 0) {
+        return 'Target value must be a positive number';
+    }
+    if (goalType === GOAL_TYPES.RATING && target > MAX_RATING) {
+        return `Rating targets cannot be above ${MAX_RATING}`;
+    }
+
+    const start = parseDate(startDate);
+    const end = parseDate(targetDate);
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+        return 'Invalid start or target date';
+    }
+    if (end < start) {
+        return 'Target date must be on or after the start date';
+    }
+
+    if (end < parseDate(today())) {
+        return 'Target date cannot be in the past';
+    }
+    return null;
+};
+
+// Load a goal and check it belongs to the provider - sends the error response and returns null otherwise
+const loadOwnGoal = async (req, res) => {
+    const goal = await ProviderGoal.findById(req.params.goalID);
+    if (!goal) {
+        res.status(404).json({
+            success: false,
+            message: 'Goal not found'
+        });
+        return null;
+    }
+
+    if (goal.providerID !== req.user.userID) {
+        res.status(403).json({
+            success: false,
+            message: 'You can only manage your own goals'
+        });
+        return null;
+    }
+
+    return goal;
+};
+
+// Get the current provider's goals with up-to-date progress
+const getMyGoals = async (req, res) => {
+    try {
+        const providerID = req.user.userID;
+        const { status } = req.query;
+
+        if (status && !Object.values(GOAL_STATUS).includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Status must be one of: ${Object.values(GOAL_STATUS).join(', ')}`
+            });
+        }
+
+        await GoalTrackingService.evaluateProviderGoals(providerID);
+        const goals = await ProviderGoal.getByProvider(providerID, status || null);
+
+        res.status(200).json({
+            success: true,
+            data: { goals: goals.map(goal => GoalTrackingService.withProgress(goal)) }
+        });
+    } catch (error) {
+        console.error('Get goals error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching goals',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+// Get a single goal with up-to-date progress
+const getGoalById = async (req, res) => {
+    try {
+        let goal = await loadOwnGoal(req, res);
+        if (!goal) return;
+
+        if (goal.status === GOAL_STATUS.ACTIVE) {
+            goal = await GoalTrackingService.evaluateGoal(goal);
+        }
+
+        res.status(200).json({
+            success: true,
+            data: { goal: GoalTrackingService.withProgress(goal) }
+        });
+    } catch (error) {
+        console.error('Get goal error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching goal',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+// Create a goal (Provider only) - startDate defaults to today
+const createGoal = async (req, res) => {
+    try {
+        const providerID = req.user.userID;
+        const { goalType, targetValue, targetDate } = req.body;
+        const startDate = req.body.startDate || today();
+
+        if (!goalType || targetValue === undefined || !targetDate) {
+            return res.status(400).json({
+                success: false,
+                message: 'Goal type, target value and target date are required'
+            });
+        }
+
+        if (!Object.values(GOAL_TYPES).includes(goalType)) {
+            return res.status(400).json({
+                success: false,
+                message: `Goal type must be one of: ${Object.values(GOAL_TYPES).join(', ')}`
+            });
+        }
+
+        const validationError = validateGoal({ goalType, targetValue, startDate, targetDate });
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        const goalID = await ProviderGoal.create({
+            providerID,
+            goalType,
+            targetValue: Number(targetValue),
+            startDate,
+            targetDate
+        });
+
+        const goal = await GoalTrackingService.evaluateGoal(await ProviderGoal.findById(goalID));
+
+        res.status(201).json({
+            success: true,
+            message: 'Goal created successfully',
+            data: { goal: GoalTrackingService.withProgress(goal) }
+        });
+    } catch (error) {
+        console.error('Create goal error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while creating goal',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+// Update an active goal's target or dates (owner only)
+const updateGoal = async (req, res) => {
+    try {
+        const goal = await loadOwnGoal(req, res);
+        if (!goal) return;
+
+        if (goal.status !== GOAL_STATUS.ACTIVE) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot update a ${goal.status} goal`
+            });
+        }
+
+        if (req.body.goalType !== undefined && req.body.goalType !== goal.goalType) {
+            return res.status(400).json({
+                success: false,
+                message: 'Goal type cannot be changed - create a new goal instead'
+            });
+        }
+
+        const { targetValue, startDate, targetDate } = req.body;
+        const validationError = validateGoal({
+            goalType: goal.goalType,
+            targetValue: targetValue !== undefined ? targetValue : goal.targetValue,
+            startDate: startDate !== undefined ? startDate : goal.startDate,
+            targetDate: targetDate !== undefined ? targetDate : goal.targetDate
+        });
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        await ProviderGoal.update(goal.goalID, req.user.userID, {
+            targetValue: targetValue !== undefined ? Number(targetValue) : undefined,
+            startDate,
+            targetDate
+        });
+
+        const updatedGoal = await GoalTrackingService.evaluateGoal(await ProviderGoal.findById(goal.goalID));
+
+        res.status(200).json({
+            success: true,
+            message: 'Goal updated successfully',
+            data: { goal: GoalTrackingService.withProgress(updatedGoal) }
+        });
+    } catch (error) {
+        console.error('Update goal error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating goal',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+// Cancel an active goal (owner only)
+const cancelGoal = async (req, res) => {
+    try {
+        const goal = await loadOwnGoal(req, res);
+        if (!goal) return;
+
+        const cancelled = await ProviderGoal.close(goal.goalID, GOAL_STATUS.CANCELLED);
+        if (!cancelled) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot cancel a ${goal.status} goal`
+            });
+        }
+
+        const updatedGoal = await ProviderGoal.findById(goal.goalID);
+
+        res.status(200).json({
+            success: true,
+            message: 'Goal cancelled',
+            data: { goal: GoalTrackingService.withProgress(updatedGoal) }
+        });
+    } catch (error) {
+        console.error('Cancel goal error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while cancelling goal',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+// Delete a goal (owner only)
+const deleteGoal = async (req, res) => {
+    try {
+        const deleted = await ProviderGoal.delete(req.params.goalID, req.user.userID);
+        if (!deleted) {
+            return res.status(404).json({
+                success: false,
+                message: 'Goal not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Goal deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete goal error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while deleting goal',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+module.exports = {
+    getMyGoals,
+    getGoalById,
+    createGoal,
+    updateGoal,
+    cancelGoal,
+    deleteGoal
+};
@@ -0,0 +1,204 @@
+const MaintenanceReminder = require('../models/MaintenanceReminder');
+const MaintenanceReminderService = require('../services/MaintenanceReminderService');
+
+const { REMINDER_STATUS } = MaintenanceReminder;
+
+const DEFAULT_FREQUENCY = 30;
+
+const isValidDate = (value) => !isNaN(new Date(value).getTime());
+
+// Validate the editable reminder fields - returns an error message, or null when valid
+const validateReminderFields = ({ serviceType, lastServiceDate, nextServiceDate, reminderFrequency, status }) => {
+    if (serviceType !== undefined && (!serviceType || !String(serviceType).trim())) {
+        return 'Service type cannot be empty';
+    }
+    if (lastServiceDate !== undefined && !isValidDate(lastServiceDate)) {
+        return 'Invalid last service date';
+    }
+    if (nextServiceDate !== undefined && !isValidDate(nextServiceDate)) {
+        return 'Invalid next service date';
+    }
+    if (reminderFrequency !== undefined) {
+        const frequency = Number(reminderFrequency);
+        if (!Number.isInteger(frequency) || frequency <= 0) {
+            return 'Reminder frequency must be a whole number of days';
+        }
+    }
+    if (status !== undefined && !Object.values(REMINDER_STATUS).includes(status)) {
+        return `Status must be one of: ${Object.values(REMINDER_STATUS).join(', ')}`;
+    }
+    return null;
+};
+
+// Get the current customer's maintenance reminders
+const getMyReminders = async (req, res) => {
+    try {
+        const customerID = req.user.userID;
+        const reminders = await MaintenanceReminder.getByCustomer(customerID);
+
+        res.status(200).json({
+            success: true,
+            data: { reminders }
+        });
+    } catch (error) {
+        console.error('Get maintenance reminders error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching maintenance reminders',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+// Create a maintenance reminder (Customer only)
+const createReminder = async (req, res) => {
+    try {
+        const customerID = req.user.userID;
+        const { serviceType, lastServiceDate, nextServiceDate } = req.body;
+
+        if (!serviceType || !lastServiceDate) {
+            return res.status(400).json({
+                success: false,
+                message: 'Service type and last service date are required'
+            });
+        }
+
+        const validationError = validateReminderFields(req.body);
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        // Fall back to the category's configured frequency
+        const reminderFrequency = req.body.reminderFrequency !== undefined
+            ? Number(req.body.reminderFrequency)
+            : MaintenanceReminderService.getCategoryFrequency(serviceType) || DEFAULT_FREQUENCY;
+
+        const reminderID = await MaintenanceReminder.create({
+            customerID,
+            serviceType: serviceType.trim(),
+            lastServiceDate,
+            nextServiceDate,
+            reminderFrequency
+        });
+
+        const reminder = await MaintenanceReminder.findById(reminderID);
+
+        res.status(201).json({
+            success: true,
+            message: 'Maintenance reminder created successfully',
+            data: { reminder }
+        });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({
+                success: false,
+                message: 'You already have a reminder for this service type'
+            });
+        }
+        console.error('Create maintenance reminder error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while creating maintenance reminder',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+// Update a maintenance reminder (owner only)
+const updateReminder = async (req, res) => {
+    try {
+        const customerID = req.user.userID;
+        const { reminderID } = req.params;
+
+        const reminder = await MaintenanceReminder.findById(reminderID);
+        if (!reminder) {
+            return res.status(404).json({
+                success: false,
+                message: 'Maintenance reminder not found'
+            });
+        }
+
+        if (reminder.customerID !== customerID) {
+            return res.status(403).json({
+                success: false,
+                message: 'You do not have permission to update this reminder'
+            });
+        }
+
+        const validationError = validateReminderFields(req.body);
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        const { serviceType, lastServiceDate, nextServiceDate, reminderFrequency, status } = req.body;
+        await MaintenanceReminder.update(reminderID, customerID, {
+            serviceType: serviceType !== undefined ? String(serviceType).trim() : undefined,
+            lastServiceDate,
+            nextServiceDate,
+            reminderFrequency: reminderFrequency !== undefined ? Number(reminderFrequency) : undefined,
+            status
+        });
+
+        const updatedReminder = await MaintenanceReminder.findById(reminderID);
+
+        res.status(200).json({
+            success: true,
+            message: 'Maintenance reminder updated successfully',
+            data: { reminder: updatedReminder }
+        });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({
+                success: false,
+                message: 'You already have a reminder for this service type'
+            });
+        }
+        console.error('Update maintenance reminder error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating maintenance reminder',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+// Delete a maintenance reminder (owner only)
+const deleteReminder = async (req, res) => {
+    try {
+        const customerID = req.user.userID;
+        const { reminderID } = req.params;
+
+        const deleted = await MaintenanceReminder.delete(reminderID, customerID);
+        if (!deleted) {
+            return res.status(404).json({
+                success: false,
+                message: 'Maintenance reminder not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Maintenance reminder deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete maintenance reminder error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while deleting maintenance reminder',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+module.exports = {
+    getMyReminders,
+    createReminder,
+    updateReminder,
+    deleteReminder
+};
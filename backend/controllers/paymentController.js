@@ -0,0 +1,504 @@
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const ServiceRequest = require('../models/ServiceRequest');
+const Complaint = require('../models/Complaint');
+const Notification = require('../models/Notification');
+const { getPaymentGateway, PaymentGatewayError } = require('../services/PaymentGateway');
+const AnalyticsAggregator = require('../services/AnalyticsAggregator');
+
+const { PAYMENT_STATUS } = Payment;
+const { REQUEST_STATUS } = ServiceRequest;
+const VALID_PAYMENT_METHODS = ['Card', 'Bank Transfer', 'Wallet'];
+const PAYMENT_CURRENCY = process.env.PAYMENT_CURRENCY || 'USD';
+
+// Store a notification and push it to the user's Socket.io room (failures are logged only)
+const notifyUser = async (userID, requestID, message, notificationType) => {
+    try {
+        await Notification.create({
+            userID,
+            requestID,
+            message,
+            notificationType
+        });
+
+        if (global.io) {
+            global.io.to(`user_${userID}`).emit('new_notification', {
+                message,
+                notificationType,
+                requestID
+            });
+        }
+    } catch (notifError) {
+        console.error(`Error creating ${notificationType} notification:`, notifError);
+    }
+};
+
+// Send a gateway failure back with its own status code, anything else as a 500
+const handlePaymentError = (res, error, logMessage, message) => {
+    console.error(logMessage, error);
+    if (error instanceof PaymentGatewayError) {
+        return res.status(error.statusCode).json({
+            success: false,
+            message: error.message
+        });
+    }
+    res.status(500).json({
+        success: false,
+        message,
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+};
+
+// Initiate payment for a completed service request (Customer only)
+// Reuses the open pending payment, or opens a new attempt after a failed one
+const initiatePayment = async (req, res) => {
+    try {
+        const customerID = req.user.userID;
+        const { requestID, paymentMethod } = req.body;
+
+        if (!requestID) {
+            return res.status(400).json({
+                success: false,
+                message: 'requestID is required'
+            });
+        }
+
+        if (!VALID_PAYMENT_METHODS.includes(paymentMethod)) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid payment method. Must be one of: ${VALID_PAYMENT_METHODS.join(', ')}`
+            });
+        }
+
+        const request = await ServiceRequest.findById(requestID);
+        if (!request) {
+            return res.status(404).json({
+                success: false,
+                message: 'Service request not found'
+            });
+        }
+
+        if (request.customerID !== customerID) {
+            return res.status(403).json({
+                success: false,
+                message: 'You do not have permission to pay for this request'
+            });
+        }
+
+        if (request.status !== REQUEST_STATUS.COMPLETED) {
+            return res.status(400).json({
+                success: false,
+                message: 'Only completed service requests can be paid'
+            });
+        }
+
+        if (await Payment.isRequestPaid(requestID)) {
+            return res.status(400).json({
+                success: false,
+                message: 'This service request has already been paid'
+            });
+        }
+
+        let payment = await Payment.findPendingByRequest(requestID);
+        if (!payment) {
+            if (request.finalPrice === null) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'No price has been set for this service request'
+                });
+            }
+            const paymentID = await Payment.create({ requestID, amount: request.finalPrice, paymentMethod });
+            payment = await Payment.findById(paymentID);
+        }
+
+        const gateway = getPaymentGateway();
+        const { transactionID } = await gateway.createPayment({
+            amount: parseFloat(payment.amount),
+            currency: PAYMENT_CURRENCY,
+            reference: `payment_${payment.paymentID}`,
+            metadata: { requestID: request.requestID, customerID, providerID: request.providerID }
+        });
+
+        await Payment.attachTransaction(payment.paymentID, {
+            paymentMethod,
+            paymentGateway: gateway.name,
+            transactionID
+        });
+
+        const updatedPayment = await Payment.findById(payment.paymentID);
+
+        res.status(200).json({
+            success: true,
+            message: 'Payment initiated',
+            data: { payment: updatedPayment }
+        });
+    } catch (error) {
+        handlePaymentError(res, error, 'Initiate payment error:', 'Server error while initiating payment');
+    }
+};
+
+// Confirm an initiated payment through the gateway (Customer only)
+const confirmPayment = async (req, res) => {
+    try {
+        const customerID = req.user.userID;
+        const { paymentID } = req.params;
+        const { paymentToken } = req.body;
+
+        const payment = await Payment.findById(paymentID);
+        if (!payment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Payment not found'
+            });
+        }
+
+        if (payment.customerID !== customerID) {
+            return res.status(403).json({
+                success: false,
+                message: 'You do not have permission to confirm this payment'
+            });
+        }
+
+        if (payment.status !== PAYMENT_STATUS.PENDING) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot confirm a payment in ${payment.status} status`
+            });
+        }
+
+        if (!payment.transactionID) {
+            return res.status(400).json({
+                success: false,
+                message: 'Payment has not been initiated yet'
+            });
+        }
+
+        const gateway = getPaymentGateway();
+        const result = await gateway.confirmPayment({
+            transactionID: payment.transactionID,
+            amount: parseFloat(payment.amount),
+            paymentMethod: payment.paymentMethod,
+            paymentToken
+        });
+
+        if (!result.success) {
+            await Payment.markFailed(paymentID, result.declineReason || 'Payment declined');
+            const failedPayment = await Payment.findById(paymentID);
+            return res.status(402).json({
+                success: false,
+                message: `Payment declined: ${failedPayment.failureReason}`,
+                data: { payment: failedPayment }
+            });
+        }
+
+        const completed = await Payment.markCompleted(paymentID, result.transactionID);
+        if (!completed) {
+            return res.status(400).json({
+                success: false,
+                message: 'Failed to confirm payment. The payment status may have changed.'
+            });
+        }
+
+        const updatedPayment = await Payment.findById(paymentID);
+
+        await AnalyticsAggregator.recordPayment(paymentID);
+
+        // Let the provider know they have been paid
+        await notifyUser(
+            payment.providerID,
+            payment.requestID,
+            `Payment of $${parseFloat(updatedPayment.amount).toFixed(2)} received for the ${payment.category} request`,
+            'payment_received'
+        );
+
+        res.status(200).json({
+            success: true,
+            message: 'Payment completed successfully',
+            data: { payment: updatedPayment }
+        });
+    } catch (error) {
+        handlePaymentError(res, error, 'Confirm payment error:', 'Server error while confirming payment');
+    }
+};
+
+// Mark a pending payment as failed, e.g. when the customer abandons checkout (Customer or Provider)
+const failPayment = async (req, res) => {
+    try {
+        const userID = req.user.userID;
+        const { paymentID } = req.params;
+        const { reason } = req.body;
+
+        if (!reason || !reason.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'A failure reason is required'
+            });
+        }
+
+        const payment = await Payment.findById(paymentID);
+        if (!payment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Payment not found'
+            });
+        }
+
+        if (payment.customerID !== userID && payment.providerID !== userID) {
+            return res.status(403).json({
+                success: false,
+                message: 'You do not have permission to update this payment'
+            });
+        }
+
+        const failed = await Payment.markFailed(paymentID, reason.trim());
+        if (!failed) {
+            return res.status(400).json({
+                success: false,
+                message: 'Only pending payments can be marked as failed'
+            });
+        }
+
+        const updatedPayment = await Payment.findById(paymentID);
+
+        res.status(200).json({
+            success: true,
+            message: 'Payment marked as failed',
+            data: { payment: updatedPayment }
+        });
+    } catch (error) {
+        handlePaymentError(res, error, 'Fail payment error:', 'Server error while updating payment');
+    }
+};
+
+// Refund all or part of a completed payment (Admin, or the provider who was paid)
+// Admins resolving a complaint pass its complaintID so the refund is tied to it
+const refundPayment = async (req, res) => {
+    try {
+        const userID = req.user.userID;
+        const userRole = req.user.role;
+        const { paymentID } = req.params;
+        const { reason, complaintID } = req.body;
+
+        if (!reason || !reason.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'A refund reason is required'
+            });
+        }
+
+        const payment = await Payment.findById(paymentID);
+        if (!payment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Payment not found'
+            });
+        }
+
+        if (userRole !== 'Admin' && payment.providerID !== userID) {
+            return res.status(403).json({
+                success: false,
+                message: 'You do not have permission to refund this payment'
+            });
+        }
+
+        if (payment.status !== PAYMENT_STATUS.COMPLETED) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot refund a payment in ${payment.status} status`
+            });
+        }
+
+        // Default to refunding whatever has not been refunded yet
+        const refundable = Math.round((parseFloat(payment.amount) - parseFloat(payment.refundedAmount || 0)) * 100) / 100;
+        const amount = req.body.amount !== undefined && req.body.amount !== null
+            ? Math.round(parseFloat(req.body.amount) * 100) / 100
+            : refundable;
+
+        if (isNaN(amount) || amount <= 0 || amount > refundable) {
+            return res.status(400).json({
+                success: false,
+                message: `Refund amount must be greater than 0 and at most ${refundable.toFixed(2)}`
+            });
+        }
+
+        if (complaintID) {
+            const complaint = await Complaint.findById(complaintID);
+            if (!complaint || complaint.requestID !== payment.requestID) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'The complaint does not belong to this payment\'s service request'
+                });
+            }
+        }
+
+        const refundData = {
+            paymentID: payment.paymentID,
+            complaintID: complaintID || null,
+            issuedBy: userID,
+            amount,
+            reason: reason.trim()
+        };
+
+        const gateway = getPaymentGateway();
+        const result = await gateway.refundPayment({
+            transactionID: payment.transactionID,
+            amount,
+            reason: refundData.reason
+        });
+
+        if (!result.success) {
+            const refundID = await Refund.recordFailed({
+                ...refundData,
+                failureReason: result.declineReason || 'Refund declined'
+            });
+            const refund = await Refund.findById(refundID);
+            return res.status(402).json({
+                success: false,
+                message: `Refund declined: ${refund.failureReason}`,
+                data: { refund }
+            });
+        }
+
+        const refundID = await Refund.recordCompleted({ ...refundData, gatewayRefundID: result.refundID });
+        if (!refundID) {
+            // The gateway has already returned the money - this needs manual reconciliation
+            console.error('Refund accepted by gateway but payment changed before it was recorded:', {
+                paymentID: payment.paymentID,
+                gatewayRefundID: result.refundID,
+                amount
+            });
+            return res.status(409).json({
+                success: false,
+                message: 'The payment changed while the refund was processed. Please contact support.'
+            });
+        }
+
+        const [updatedPayment, refund] = await Promise.all([
+            Payment.findById(paymentID),
+            Refund.findById(refundID)
+        ]);
+
+        await AnalyticsAggregator.recordRefund(paymentID, amount);
+
+        await notifyUser(
+            payment.customerID,
+            payment.requestID,
+            `You have been refunded $${amount.toFixed(2)} for the ${payment.category} request: ${refundData.reason}`,
+            'payment_refunded'
+        );
+
+        res.status(200).json({
+            success: true,
+            message: updatedPayment.status === PAYMENT_STATUS.REFUNDED
+                ? 'Payment fully refunded'
+                : 'Partial refund issued',
+            data: { payment: updatedPayment, refund }
+        });
+    } catch (error) {
+        handlePaymentError(res, error, 'Refund payment error:', 'Server error while refunding payment');
+    }
+};
+
+// List refunds issued against a payment (customer or provider of the request)
+const getRefundsByPayment = async (req, res) => {
+    try {
+        const userID = req.user.userID;
+        const { paymentID } = req.params;
+
+        const payment = await Payment.findById(paymentID);
+        if (!payment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Payment not found'
+            });
+        }
+
+        if (payment.customerID !== userID && payment.providerID !== userID && req.user.role !== 'Admin') {
+            return res.status(403).json({
+                success: false,
+                message: 'You do not have permission to view these refunds'
+            });
+        }
+
+        const refunds = await Refund.getByPayment(paymentID);
+
+        res.status(200).json({
+            success: true,
+            data: { refunds }
+        });
+    } catch (error) {
+        handlePaymentError(res, error, 'Get refunds error:', 'Server error while fetching refunds');
+    }
+};
+
+// List payments for a service request (customer or provider of the request)
+const getPaymentsByRequest = async (req, res) => {
+    try {
+        const userID = req.user.userID;
+        const { requestID } = req.params;
+
+        const request = await ServiceRequest.findById(requestID);
+        if (!request) {
+            return res.status(404).json({
+                success: false,
+                message: 'Service request not found'
+            });
+        }
+
+        if (request.customerID !== userID && request.providerID !== userID && req.user.role !== 'Admin') {
+            return res.status(403).json({
+                success: false,
+                message: 'You do not have permission to view these payments'
+            });
+        }
+
+        const payments = await Payment.getByRequest(requestID);
+
+        res.status(200).json({
+            success: true,
+            data: { payments }
+        });
+    } catch (error) {
+        handlePaymentError(res, error, 'Get payments error:', 'Server error while fetching payments');
+    }
+};
+
+// Get payment by ID (customer or provider of the request)
+const getPaymentById = async (req, res) => {
+    try {
+        const userID = req.user.userID;
+        const { paymentID } = req.params;
+
+        const payment = await Payment.findById(paymentID);
+        if (!payment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Payment not found'
+            });
+        }
+
+        if (payment.customerID !== userID && payment.providerID !== userID && req.user.role !== 'Admin') {
+            return res.status(403).json({
+                success: false,
+                message: 'You do not have permission to view this payment'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: { payment }
+        });
+    } catch (error) {
+        handlePaymentError(res, error, 'Get payment error:', 'Server error while fetching payment');
+    }
+};
+
+module.exports = {
+    initiatePayment,
+    confirmPayment,
+    failPayment,
+    refundPayment,
+    getRefundsByPayment,
+    getPaymentsByRequest,
+    getPaymentById
+};
@@ -1,4 +1,8 @@
 const ReportGenerator = require('../services/ReportGenerator');
+const ReportMailer = require('../services/ReportMailer');
+const ReportDelivery = require('../models/ReportDelivery');
+const ReportShareService = require('../services/ReportShareService');
+const ReportRetentionService = require('../services/ReportRetentionService');
 const fs = require('fs').promises;
 const path = require('path');
 
@@ -20,9 +24,59 @@ const validateProviderAccess = (req, providerID) => {
     return { valid: true, providerID: parsedProviderID };
 };
 
+// Stream a generated report file, answering 404 when the file is gone
+const sendReportFile = async (res, report) => {
+    // Check if file exists
+    if (!report.filePath) {
+        return res.status(404).json({
+            success: false,
+            message: 'Report file not found'
+        });
+    }
+
+    try {
+        await fs.access(report.filePath);
+    } catch {
+        return res.status(404).json({
+            success: false,
+            message: 'Report file not found on server'
+        });
+    }
+
+    // Set appropriate content type
+    const contentTypes = {
+        'pdf': 'application/pdf',
+        'csv': 'text/csv',
+        'xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    };
+
+    const contentType = contentTypes[report.fileFormat] || 'application/octet-stream';
+    const filename = path.basename(report.filePath);
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    // Stream the file
+    const fileContent = await fs.readFile(report.filePath);
+    res.send(fileContent);
+};
+
 const generateReport = async (req, res) => {
     try {
-        const { providerID, reportType, format, dateRangeStart, dateRangeEnd, sections } = req.body;
+        const {
+            providerID,
+            reportType,
+            format,
+            dateRangeStart,
+            dateRangeEnd,
+            sections,
+            metrics,
+            filters,
+            templateID,
+            csvLayout,
+            emailRecipients,
+            emailDelivery
+        } = req.body;
         
         const validation = validateProviderAccess(req, providerID);
         if (!validation.valid) {
@@ -32,6 +86,11 @@ const generateReport = async (req, res) => {
             });
         }
 
+        // Reject bad addresses before spending time on the report
+        if (emailRecipients) {
+            ReportGenerator.validateEmailRecipients(emailRecipients);
+        }
+
         console.log('Generating report', { 
             providerID: validation.providerID, 
             reportType, 
@@ -46,10 +105,27 @@ const generateReport = async (req, res) => {
                 reportType: reportType || 'comprehensive',
                 dateRangeStart,
                 dateRangeEnd,
-                sections
+                sections,
+                metrics,
+                filters,
+                templateID,
+                csvLayout,
+                emailDelivery
             }
         );
 
+        // The report exists either way - email problems are reported, not fatal
+        let delivery = null;
+        if (emailRecipients && emailRecipients.length > 0) {
+            try {
+                const report = await ReportGenerator.getReportById(exportResult.reportID);
+                delivery = await ReportMailer.deliverReport(report, emailRecipients, { method: emailDelivery });
+            } catch (emailError) {
+                console.error('Report email error:', { reportID: exportResult.reportID, error: emailError.message });
+                delivery = { error: emailError.message };
+            }
+        }
+
         res.status(201).json({
             success: true,
             message: 'Report generated successfully',
@@ -61,7 +137,8 @@ const generateReport = async (req, res) => {
                 size: exportResult.size,
                 generatedAt: exportResult.generatedAt,
                 expiresAt: exportResult.expiresAt,
-                downloadUrl: `/api/reports/download/${exportResult.reportID}`
+                downloadUrl: `/api/reports/download/${exportResult.reportID}`,
+                delivery
             }
         });
     } catch (error) {
@@ -74,6 +151,13 @@ const generateReport = async (req, res) => {
             });
         }
 
+        if (error instanceof ReportRetentionService.StorageQuotaError) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+
         res.status(500).json({
             success: false,
             message: 'Server error while generating report',
@@ -173,23 +257,15 @@ const downloadReport = async (req, res) => {
         console.log('Downloading report', { reportID: parsedReportID });
 
         // Get report details from database
-        const pool = require('../config/database');
-        const [rows] = await pool.execute(
-            `SELECT reportID, providerID, reportType, filePath, fileFormat, generatedAt, expiresAt
-             FROM GeneratedReport 
-             WHERE reportID = ?`,
-            [parsedReportID]
-        );
+        const report = await ReportGenerator.getReportById(parsedReportID);
 
-        if (rows.length === 0) {
+        if (!report) {
             return res.status(404).json({
                 success: false,
                 message: 'Report not found'
             });
         }
 
-        const report = rows[0];
-
         // Validate provider access
         const validation = validateProviderAccess(req, report.providerID);
         if (!validation.valid) {
@@ -200,46 +276,14 @@ const downloadReport = async (req, res) => {
         }
 
         // Check if report has expired
-        if (report.expiresAt && new Date(report.expiresAt) < new Date()) {
+        if (ReportRetentionService.isExpired(report)) {
             return res.status(410).json({
                 success: false,
                 message: 'Report has expired and is no longer available'
             });
         }
 
-        // Check if file exists
-        if (!report.filePath) {
-            return res.status(404).json({
-                success: false,
-                message: 'Report file not found'
-            });
-        }
-
-        try {
-            await fs.access(report.filePath);
-        } catch {
-            return res.status(404).json({
-                success: false,
-                message: 'Report file not found on server'
-            });
-        }
-
-        // Set appropriate content type
-        const contentTypes = {
-            'pdf': 'application/pdf',
-            'csv': 'text/csv',
-            'xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
-        };
-
-        const contentType = contentTypes[report.fileFormat] || 'application/octet-stream';
-        const filename = path.basename(report.filePath);
-
-        res.setHeader('Content-Type', contentType);
-        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-
-        // Stream the file
-        const fileContent = await fs.readFile(report.filePath);
-        res.send(fileContent);
+        await sendReportFile(res, report);
     } catch (error) {
         console.error('Download report error:', { error: error.message });
 
@@ -261,7 +305,11 @@ const scheduleReport = async (req, res) => {
             startDate,
             reportType,
             format,
-            sections
+            sections,
+            metrics,
+            filters,
+            templateID,
+            emailDelivery
         } = req.body;
         
         const validation = validateProviderAccess(req, providerID);
@@ -287,7 +335,11 @@ const scheduleReport = async (req, res) => {
         const options = {
             reportType: reportType || 'comprehensive',
             format: format || 'pdf',
-            sections
+            sections,
+            metrics,
+            filters,
+            templateID,
+            emailDelivery
         };
 
         const scheduledReport = await ReportGenerator.scheduleReport(
@@ -389,11 +441,568 @@ const cancelScheduledReport = async (req, res) => {
     }
 };
 
+// Load a report the requesting provider owns - sends the error response and returns null otherwise
+const loadOwnedReport = async (req, res) => {
+    const parsedReportID = parseInt(req.params.reportID, 10);
+
+    if (isNaN(parsedReportID) || parsedReportID <= 0) {
+        res.status(400).json({
+            success: false,
+            message: 'Invalid report ID'
+        });
+        return null;
+    }
+
+    const report = await ReportGenerator.getReportById(parsedReportID);
+    if (!report) {
+        res.status(404).json({
+            success: false,
+            message: 'Report not found'
+        });
+        return null;
+    }
+
+    const validation = validateProviderAccess(req, report.providerID);
+    if (!validation.valid) {
+        res.status(validation.statusCode).json({
+            success: false,
+            message: validation.error
+        });
+        return null;
+    }
+
+    return report;
+};
+
+const emailReport = async (req, res) => {
+    try {
+        const { recipients, method } = req.body;
+
+        const report = await loadOwnedReport(req, res);
+        if (!report) return;
+
+        if (!Array.isArray(recipients) || recipients.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'At least one recipient is required'
+            });
+        }
+        ReportGenerator.validateEmailRecipients(recipients);
+
+        if (method && !ReportGenerator.EMAIL_DELIVERY_METHODS.includes(method)) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid delivery method. Must be one of: ${ReportGenerator.EMAIL_DELIVERY_METHODS.join(', ')}`
+            });
+        }
+
+        if (ReportRetentionService.isExpired(report)) {
+            return res.status(410).json({
+                success: false,
+                message: 'Report has expired and is no longer available'
+            });
+        }
+
+        if (!report.filePath) {
+            return res.status(404).json({
+                success: false,
+                message: 'Report file not found'
+            });
+        }
+
+        console.log('Emailing report', { reportID: report.reportID, recipients: recipients.length });
+
+        const delivery = await ReportMailer.deliverReport(report, recipients, { method });
+
+        res.status(200).json({
+            success: delivery.sent > 0,
+            message: delivery.failed === 0
+                ? 'Report emailed successfully'
+                : `Report emailed to ${delivery.sent} of ${recipients.length} recipients`,
+            data: delivery
+        });
+    } catch (error) {
+        console.error('Email report error:', { error: error.message });
+
+        if (error.statusCode === 400 || error.statusCode === 404) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error while emailing report',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+const getReportDeliveries = async (req, res) => {
+    try {
+        const report = await loadOwnedReport(req, res);
+        if (!report) return;
+
+        const deliveries = await ReportDelivery.getByReport(report.reportID);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                reportID: report.reportID,
+                deliveries
+            }
+        });
+    } catch (error) {
+        console.error('Get report deliveries error:', { error: error.message });
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching report deliveries',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+// Public download through a signed share link or emailed link - no login required
+const downloadLinkedReport = async (req, res) => {
+    try {
+        const result = await ReportShareService.openLink(req.params.token, {
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent')
+        });
+
+        if (!result.report) {
+            return res.status(result.statusCode).json({
+                success: false,
+                message: result.message
+            });
+        }
+
+        console.log('Downloading report through link', { reportID: result.report.reportID });
+
+        await sendReportFile(res, result.report);
+    } catch (error) {
+        console.error('Linked report download error:', { error: error.message });
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error while downloading report',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+const createShareLink = async (req, res) => {
+    try {
+        const { expiresInHours, singleUse, label } = req.body;
+
+        const report = await loadOwnedReport(req, res);
+        if (!report) return;
+
+        if (ReportRetentionService.isExpired(report) || !report.filePath) {
+            return res.status(410).json({
+                success: false,
+                message: 'Report has expired and is no longer available'
+            });
+        }
+
+        console.log('Creating report share link', { reportID: report.reportID, singleUse: Boolean(singleUse) });
+
+        const link = await ReportShareService.createLink(report, {
+            expiresInHours,
+            singleUse: Boolean(singleUse),
+            label,
+            createdBy: req.user.userID
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Share link created successfully',
+            data: link
+        });
+    } catch (error) {
+        console.error('Create share link error:', { error: error.message });
+
+        if (error.statusCode === 400) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error while creating share link',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+const getShareLinks = async (req, res) => {
+    try {
+        const report = await loadOwnedReport(req, res);
+        if (!report) return;
+
+        const links = await ReportShareService.getLinks(report.reportID);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                reportID: report.reportID,
+                links
+            }
+        });
+    } catch (error) {
+        console.error('Get share links error:', { error: error.message });
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching share links',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+const revokeShareLink = async (req, res) => {
+    try {
+        const linkID = parseInt(req.params.linkID, 10);
+        if (isNaN(linkID) || linkID <= 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid link ID'
+            });
+        }
+
+        const report = await loadOwnedReport(req, res);
+        if (!report) return;
+
+        const revoked = await ReportShareService.revokeLink(report.reportID, linkID);
+        if (!revoked) {
+            return res.status(404).json({
+                success: false,
+                message: 'Share link not found or already revoked'
+            });
+        }
+
+        console.log('Revoked report share link', { reportID: report.reportID, linkID });
+
+        res.status(200).json({
+            success: true,
+            message: 'Share link revoked successfully'
+        });
+    } catch (error) {
+        console.error('Revoke share link error:', { error: error.message });
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error while revoking share link',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+const pinReport = async (req, res) => {
+    try {
+        const pinned = req.body.pinned !== false;
+
+        const report = await loadOwnedReport(req, res);
+        if (!report) return;
+
+        if (report.status === 'expired') {
+            return res.status(410).json({
+                success: false,
+                message: 'Report has expired and is no longer available'
+            });
+        }
+
+        console.log(pinned ? 'Pinning report' : 'Unpinning report', { reportID: report.reportID });
+
+        await ReportRetentionService.setPinned(report.reportID, report.providerID, pinned);
+
+        res.status(200).json({
+            success: true,
+            message: pinned ? 'Report pinned - it will be kept until unpinned' : 'Report unpinned',
+            data: {
+                reportID: report.reportID,
+                isPinned: pinned
+            }
+        });
+    } catch (error) {
+        console.error('Pin report error:', { error: error.message });
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating report',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+const deleteReport = async (req, res) => {
+    try {
+        const report = await loadOwnedReport(req, res);
+        if (!report) return;
+
+        console.log('Deleting report', { reportID: report.reportID });
+
+        await ReportRetentionService.deleteReport(report);
+
+        res.status(200).json({
+            success: true,
+            message: 'Report deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete report error:', { error: error.message });
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error while deleting report',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+const getStorageUsage = async (req, res) => {
+    try {
+        const validation = validateProviderAccess(req, req.params.providerID);
+        if (!validation.valid) {
+            return res.status(validation.statusCode).json({
+                success: false,
+                message: validation.error
+            });
+        }
+
+        const usage = await ReportRetentionService.getStorageUsage(validation.providerID);
+
+        res.status(200).json({
+            success: true,
+            data: usage
+        });
+    } catch (error) {
+        console.error('Get storage usage error:', { error: error.message });
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching storage usage',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+const previewReport = async (req, res) => {
+    try {
+        const {
+            providerID,
+            reportType,
+            dateRangeStart,
+            dateRangeEnd,
+            period,
+            metrics,
+            filters,
+            templateID
+        } = req.body;
+
+        const validation = validateProviderAccess(req, providerID);
+        if (!validation.valid) {
+            return res.status(validation.statusCode).json({
+                success: false,
+                message: validation.error
+            });
+        }
+
+        const preview = await ReportGenerator.previewReport(validation.providerID, {
+            reportType,
+            dateRangeStart,
+            dateRangeEnd,
+            period,
+            metrics,
+            filters,
+            templateID
+        });
+
+        res.status(200).json({
+            success: true,
+            data: preview
+        });
+    } catch (error) {
+        console.error('Preview report error:', { error: error.message });
+
+        if (error.statusCode === 400) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error while previewing report',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+// Saved custom templates belong to the signed-in provider
+const getCustomTemplates = async (req, res) => {
+    try {
+        const templates = await ReportGenerator.getCustomTemplates(req.user.userID);
+
+        res.status(200).json({
+            success: true,
+            data: templates
+        });
+    } catch (error) {
+        console.error('Get custom templates error:', { error: error.message });
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching report templates',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+const createCustomTemplate = async (req, res) => {
+    try {
+        const { name, description, metrics, filters, period } = req.body;
+
+        console.log('Saving report template', { providerID: req.user.userID, name });
+
+        const template = await ReportGenerator.saveCustomTemplate(req.user.userID, {
+            name,
+            description,
+            metrics,
+            filters,
+            period
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Report template saved successfully',
+            data: template
+        });
+    } catch (error) {
+        console.error('Create custom template error:', { error: error.message });
+
+        if (error.statusCode === 400 || error.statusCode === 409) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error while saving report template',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+const updateCustomTemplate = async (req, res) => {
+    try {
+        const templateID = parseInt(req.params.templateID, 10);
+        if (isNaN(templateID) || templateID <= 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid template ID'
+            });
+        }
+
+        const { name, description, metrics, filters, period } = req.body;
+
+        const template = await ReportGenerator.updateCustomTemplate(templateID, req.user.userID, {
+            name,
+            description,
+            metrics,
+            filters,
+            period
+        });
+
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                message: 'Report template not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Report template updated successfully',
+            data: template
+        });
+    } catch (error) {
+        console.error('Update custom template error:', { error: error.message });
+
+        if (error.statusCode === 400 || error.statusCode === 409) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating report template',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+const deleteCustomTemplate = async (req, res) => {
+    try {
+        const templateID = parseInt(req.params.templateID, 10);
+        if (isNaN(templateID) || templateID <= 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid template ID'
+            });
+        }
+
+        const deleted = await ReportGenerator.deleteCustomTemplate(templateID, req.user.userID);
+
+        if (!deleted) {
+            return res.status(404).json({
+                success: false,
+                message: 'Report template not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Report template deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete custom template error:', { error: error.message });
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error while deleting report template',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
 module.exports = {
     generateReport,
+    previewReport,
     getTemplates,
+    getCustomTemplates,
+    createCustomTemplate,
+    updateCustomTemplate,
+    deleteCustomTemplate,
     getReportHistory,
     downloadReport,
+    emailReport,
+    getReportDeliveries,
+    downloadLinkedReport,
+    createShareLink,
+    getShareLinks,
+    revokeShareLink,
+    pinReport,
+    deleteReport,
+    getStorageUsage,
     scheduleReport,
     cancelScheduledReport
 };
\ No newline at end of file
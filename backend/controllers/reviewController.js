@@ -1,6 +1,7 @@
 const Review = require('../models/Review');
 const ReviewValidator = require('../services/ReviewValidator');
 const ReviewAnalytics = require('../services/ReviewAnalytics');
+const AnalyticsAggregator = require('../services/AnalyticsAggregator');
 const Notification = require('../models/Notification');
 
 const submitReview = async (req, res) => {
@@ -99,6 +100,7 @@ const submitReview = async (req, res) => {
         } catch (cacheError) {
             console.error('Error updating analytics cache:', cacheError);
         }
+        await AnalyticsAggregator.recordReview(reviewID);
 
         res.status(201).json({
             success: true,
@@ -635,6 +637,7 @@ const moderateReview = async (req, res) => {
 
         // Perform moderation action
         await Review.moderateContent(parsedReviewID, action, moderatorID, sanitizedReason);
+        await AnalyticsAggregator.recordReviewModerated(review, action);
 
         // Notify content author if content is hidden/removed
         if (action === 'hide' || action === 'remove') {
@@ -0,0 +1,34 @@
+const SearchService = require('../services/SearchService');
+
+// Search service requests, bundles and providers
+// GET /api/search?q=&types=requests,bundles,providers&category=&minPrice=&maxPrice=&minRating=&limit=
+const search = async (req, res) => {
+    try {
+        const options = SearchService.parseOptions(req.query);
+        const results = await SearchService.search(req.user, options);
+
+        res.status(200).json({
+            success: true,
+            data: results
+        });
+    } catch (error) {
+        console.error('Search error:', error);
+
+        if (error.statusCode === 400) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error while searching',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+module.exports = {
+    search
+};
@@ -1,4 +1,49 @@
 const ServiceRequest = require('../models/ServiceRequest');
+const ServiceCompletion = require('../models/ServiceCompletion');
+const JobHistory = require('../models/JobHistory');
+const Booking = require('../models/Booking');
+const Availability = require('../models/Availability');
+const Payment = require('../models/Payment');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const MaintenanceReminderService = require('../services/MaintenanceReminderService');
+const AnalyticsAggregator = require('../services/AnalyticsAggregator');
+const AddressService = require('../services/AddressService');
+const ProviderMatchingService = require('../services/ProviderMatchingService');
+const RequestMatch = require('../models/RequestMatch');
+
+const { REQUEST_STATUS } = ServiceRequest;
+
+// HH:MM part of a service date chosen from a time slot, or null for date-only values
+const getTimeOfDay = (value) => {
+    if (!value) return null;
+    const date = new Date(value);
+    if (isNaN(date.getTime()) || (date.getHours() === 0 && date.getMinutes() === 0)) return null;
+    return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+};
+
+// Store a notification and push it to the user's Socket.io room
+// Failures are logged only - a status change must not fail because of a notification
+const notifyUser = async (userID, requestID, message, notificationType) => {
+    try {
+        await Notification.create({
+            userID,
+            requestID,
+            message,
+            notificationType
+        });
+
+        if (global.io) {
+            global.io.to(`user_${userID}`).emit('new_notification', {
+                message,
+                notificationType,
+                requestID
+            });
+        }
+    } catch (notifError) {
+        console.error(`Error creating ${notificationType} notification:`, notifError);
+    }
+};
 
 // Create a new service request (Customer only)
 const createServiceRequest = async (req, res) => {
@@ -43,24 +88,42 @@ const createServiceRequest = async (req, res) => {
             }
         }
 
+        // Job location - the customer's own address unless the request gives another one
+        const address = AddressService.hasAddress(req.body)
+            ? await AddressService.resolve(req.body)
+            : AddressService.pick(await User.findById(customerID));
+
         // Create service request
         const requestID = await ServiceRequest.create({
             customerID,
             category,
             description: description.trim(),
-            serviceDate: serviceDate || null
+            serviceDate: serviceDate || null,
+            ...address
         });
 
         // Get the created request
         const request = await ServiceRequest.findById(requestID);
 
+        // Rank providers for the customer and invite the best matches
+        // matchRequest never rejects - the request is created whether or not matching works
+        const matches = await ProviderMatchingService.matchRequest(request);
+
         res.status(201).json({
             success: true,
             message: 'Service request created successfully',
-            data: { request }
+            data: { request, matches }
         });
     } catch (error) {
         console.error('Create service request error:', error);
+
+        if (error.statusCode === 400) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
         res.status(500).json({
             success: false,
             message: 'Server error while creating service request',
@@ -151,11 +214,32 @@ const getMyServiceRequests = async (req, res) => {
 const getPendingRequests = async (req, res) => {
     try {
         const category = req.query.category || null;
-        const requests = await ServiceRequest.getPendingRequests(category);
+
+        // Providers with a located address and a service radius only see requests in range
+        const provider = await User.findById(req.user.userID);
+        const hasHomeBase = provider && provider.latitude !== null && provider.longitude !== null;
+        const area = hasHomeBase && provider.serviceRadiusMiles
+            ? {
+                latitude: parseFloat(provider.latitude),
+                longitude: parseFloat(provider.longitude),
+                radiusMiles: provider.serviceRadiusMiles
+            }
+            : null;
+
+        const requests = await ServiceRequest.getPendingRequests(category, area);
 
         res.status(200).json({
             success: true,
-            data: { requests }
+            data: {
+                requests,
+                jobBoard: {
+                    filtered: area !== null,
+                    homeBase: hasHomeBase
+                        ? { city: provider.city, postalCode: provider.postalCode }
+                        : null,
+                    radiusMiles: provider ? provider.serviceRadiusMiles : null
+                }
+            }
         });
     } catch (error) {
         console.error('Get pending requests error:', error);
@@ -172,7 +256,15 @@ const updateServiceRequest = async (req, res) => {
     try {
         const customerID = req.user.userID;
         const { requestID } = req.params;
-        const updateData = req.body;
+        const { status, ...updateData } = req.body;
+
+        // Status changes go through the lifecycle endpoints so they are recorded in the job history
+        if (status !== undefined) {
+            return res.status(400).json({
+                success: false,
+                message: 'Status cannot be changed here. Use the accept, reject, start, complete or cancel actions.'
+            });
+        }
 
         // Verify request exists and belongs to customer
         const existingRequest = await ServiceRequest.findById(requestID);
@@ -228,6 +320,11 @@ const updateServiceRequest = async (req, res) => {
             }
         }
 
+        // Validate the changed location against the stored one and re-geocode it
+        if (AddressService.hasAddress(updateData)) {
+            Object.assign(updateData, await AddressService.resolve(updateData, existingRequest));
+        }
+
         const request = await ServiceRequest.update(requestID, customerID, updateData);
 
         res.status(200).json({
@@ -237,6 +334,14 @@ const updateServiceRequest = async (req, res) => {
         });
     } catch (error) {
         console.error('Update service request error:', error);
+
+        if (error.statusCode === 400) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
         res.status(500).json({
             success: false,
             message: 'Server error while updating service request',
@@ -340,8 +445,33 @@ const acceptServiceRequest = async (req, res) => {
             });
         }
 
-        // Accept the request
-        const accepted = await ServiceRequest.acceptRequest(requestID, providerID);
+        // Resolve the booking slot: provider's choice first, then the customer's preferred date
+        const scheduledDate = req.body.scheduledDate ||
+            (request.serviceDate ? Booking.toDateString(request.serviceDate) : null);
+        const scheduledTime = req.body.scheduledTime || getTimeOfDay(request.serviceDate);
+
+        const scheduleError = Booking.validateSchedule(scheduledDate, scheduledTime);
+        if (scheduleError) {
+            return res.status(400).json({
+                success: false,
+                message: scheduledDate ? scheduleError : 'A scheduled date is required to accept a request without a service date'
+            });
+        }
+
+        // Refuse slots that are already booked or marked unavailable - checked again under lock when booking
+        const slotCheck = await Availability.checkSlot(providerID, scheduledDate, scheduledTime);
+        if (!slotCheck.available) {
+            return res.status(409).json({
+                success: false,
+                message: slotCheck.reason
+            });
+        }
+
+        // Accept the request and create its booking
+        const accepted = await ServiceRequest.acceptRequest(requestID, providerID, {
+            scheduledDate,
+            scheduledTime
+        });
 
         if (!accepted) {
             return res.status(400).json({
@@ -350,8 +480,11 @@ const acceptServiceRequest = async (req, res) => {
             });
         }
 
-        // Get updated request
+        // Get updated request and its booking
         const updatedRequest = await ServiceRequest.findById(requestID);
+        const booking = await Booking.findActiveByRequest(requestID);
+
+        await AnalyticsAggregator.recordRequestAccepted(requestID);
 
         // Create notification for customer
         try {
@@ -365,7 +498,7 @@ const acceptServiceRequest = async (req, res) => {
                 const notification = await Notification.create({
                     userID: request.customerID,
                     requestID: requestID,
-                    message: `${provider.name} has accepted your service request for ${request.category}`,
+                    message: `${provider.name} has accepted your service request for ${request.category}, scheduled on ${scheduledDate}${scheduledTime ? ` at ${scheduledTime}` : ''}`,
                     notificationType: 'request_accepted'
                 });
 
@@ -391,10 +524,19 @@ const acceptServiceRequest = async (req, res) => {
         res.status(200).json({
             success: true,
             message: 'Service request accepted successfully',
-            data: { request: updatedRequest }
+            data: { request: updatedRequest, booking }
         });
     } catch (error) {
         console.error('Accept service request error:', error);
+
+        // The slot was taken between the check above and the booking
+        if (error.statusCode === 409) {
+            return res.status(409).json({
+                success: false,
+                message: error.message
+            });
+        }
+
         res.status(500).json({
             success: false,
             message: 'Server error while accepting service request',
@@ -425,7 +567,7 @@ const rejectServiceRequest = async (req, res) => {
         }
 
         // Reject the request
-        const rejected = await ServiceRequest.rejectRequest(requestID);
+        const rejected = await ServiceRequest.rejectRequest(requestID, req.user.userID);
 
         if (!rejected) {
             return res.status(400).json({
@@ -448,6 +590,389 @@ const rejectServiceRequest = async (req, res) => {
     }
 };
 
+// Start work on an accepted service request (assigned Provider only)
+const startServiceRequest = async (req, res) => {
+    try {
+        const providerID = req.user.userID;
+        const { requestID } = req.params;
+
+        const request = await ServiceRequest.findById(requestID);
+        if (!request) {
+            return res.status(404).json({
+                success: false,
+                message: 'Service request not found'
+            });
+        }
+
+        if (request.providerID !== providerID) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the assigned provider can start this request'
+            });
+        }
+
+        if (!ServiceRequest.canTransition(request.status, REQUEST_STATUS.IN_PROGRESS)) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot start a service request in ${request.status} status`
+            });
+        }
+
+        const started = await ServiceRequest.startRequest(requestID, providerID);
+        if (!started) {
+            return res.status(400).json({
+                success: false,
+                message: 'Failed to start service request. Its status may have changed.'
+            });
+        }
+
+        const updatedRequest = await ServiceRequest.findById(requestID);
+
+        await notifyUser(
+            request.customerID,
+            requestID,
+            `${request.providerName} has started work on your ${request.category} request`,
+            'request_started'
+        );
+
+        res.status(200).json({
+            success: true,
+            message: 'Service request started',
+            data: { request: updatedRequest }
+        });
+    } catch (error) {
+        console.error('Start service request error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while starting service request',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+// Provider marks the job as done - the request completes once the customer confirms
+const completeServiceRequest = async (req, res) => {
+    try {
+        const providerID = req.user.userID;
+        const { requestID } = req.params;
+        const { comment } = req.body;
+
+        // The amount is optional: without one the price already agreed on the request stands,
+        // and with neither the customer's confirmation raises no payment
+        let amount = null;
+        if (req.body.amount !== undefined && req.body.amount !== null && req.body.amount !== '') {
+            amount = parseFloat(req.body.amount);
+            if (isNaN(amount) || amount <= 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Amount to charge must be a positive number'
+                });
+            }
+            amount = Math.round(amount * 100) / 100;
+        }
+
+        const request = await ServiceRequest.findById(requestID);
+        if (!request) {
+            return res.status(404).json({
+                success: false,
+                message: 'Service request not found'
+            });
+        }
+
+        if (request.providerID !== providerID) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the assigned provider can complete this request'
+            });
+        }
+
+        if (!ServiceRequest.canTransition(request.status, REQUEST_STATUS.COMPLETED)) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot complete a service request in ${request.status} status`
+            });
+        }
+
+        if (request.providerConfirmation) {
+            return res.status(400).json({
+                success: false,
+                message: 'You have already marked this request as complete'
+            });
+        }
+
+        const completion = await ServiceCompletion.recordProviderConfirmation(
+            requestID,
+            providerID,
+            comment ? comment.trim() : null,
+            amount
+        );
+
+        // The request moved on (or was confirmed) between the checks above and the transaction
+        if (!completion) {
+            return res.status(409).json({
+                success: false,
+                message: 'This request is no longer in progress or has already been marked as complete'
+            });
+        }
+
+        const updatedRequest = await ServiceRequest.findById(requestID);
+        const price = updatedRequest.finalPrice !== null ? ` ($${updatedRequest.finalPrice})` : '';
+
+        await notifyUser(
+            request.customerID,
+            requestID,
+            `${request.providerName} marked your ${request.category} request as complete${price}. Please confirm completion.`,
+            'request_completed'
+        );
+
+        res.status(200).json({
+            success: true,
+            message: 'Service request marked as complete. Waiting for customer confirmation.',
+            data: { request: updatedRequest, completion }
+        });
+    } catch (error) {
+        console.error('Complete service request error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while completing service request',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+// Customer confirms the provider's completion (Customer only)
+const confirmServiceCompletion = async (req, res) => {
+    try {
+        const customerID = req.user.userID;
+        const { requestID } = req.params;
+
+        const request = await ServiceRequest.findById(requestID);
+        if (!request) {
+            return res.status(404).json({
+                success: false,
+                message: 'Service request not found'
+            });
+        }
+
+        if (request.customerID !== customerID) {
+            return res.status(403).json({
+                success: false,
+                message: 'You do not have permission to confirm this request'
+            });
+        }
+
+        if (!ServiceRequest.canTransition(request.status, REQUEST_STATUS.COMPLETED)) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot confirm a service request in ${request.status} status`
+            });
+        }
+
+        if (!request.providerConfirmation) {
+            return res.status(400).json({
+                success: false,
+                message: 'The provider has not marked this request as complete yet'
+            });
+        }
+
+        const confirmed = await ServiceCompletion.recordCustomerConfirmation(requestID, customerID);
+        if (!confirmed) {
+            return res.status(400).json({
+                success: false,
+                message: 'Failed to confirm completion. The request status may have changed.'
+            });
+        }
+
+        const updatedRequest = await ServiceRequest.findById(requestID);
+        const completion = await ServiceCompletion.findByRequest(requestID);
+        const payment = await Payment.findPendingByRequest(requestID);
+
+        const customer = await User.findById(customerID);
+        await notifyUser(
+            request.providerID,
+            requestID,
+            `${customer ? customer.name : 'The customer'} confirmed completion of the ${request.category} request`,
+            'completion_confirmed'
+        );
+
+        await AnalyticsAggregator.recordRequestCompleted(request);
+
+        // Start or renew the customer's maintenance reminder for recurring categories
+        await MaintenanceReminderService.scheduleFromCompletedRequest(request);
+
+        res.status(200).json({
+            success: true,
+            message: 'Service completion confirmed',
+            data: { request: updatedRequest, completion, payment: payment || null }
+        });
+    } catch (error) {
+        console.error('Confirm service completion error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while confirming service completion',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+// Cancel a pending or accepted service request (customer or assigned provider)
+const cancelServiceRequest = async (req, res) => {
+    try {
+        const userID = req.user.userID;
+        const { requestID } = req.params;
+        const { cancellationReason } = req.body;
+
+        if (!cancellationReason || !cancellationReason.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cancellation reason is required'
+            });
+        }
+
+        const request = await ServiceRequest.findById(requestID);
+        if (!request) {
+            return res.status(404).json({
+                success: false,
+                message: 'Service request not found'
+            });
+        }
+
+        const isCustomer = request.customerID === userID;
+        const isProvider = request.providerID === userID;
+
+        if (!isCustomer && !isProvider) {
+            return res.status(403).json({
+                success: false,
+                message: 'You do not have permission to cancel this request'
+            });
+        }
+
+        if (!ServiceRequest.canTransition(request.status, REQUEST_STATUS.CANCELLED)) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot cancel a service request in ${request.status} status`
+            });
+        }
+
+        const cancelled = await ServiceRequest.cancelRequest(
+            requestID,
+            userID,
+            request.status,
+            cancellationReason.trim()
+        );
+        if (!cancelled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Failed to cancel service request. The request status may have changed.'
+            });
+        }
+
+        const updatedRequest = await ServiceRequest.findById(requestID);
+
+        await AnalyticsAggregator.recordRequestCancelled(request);
+
+        // Notify the other party - pending requests have no provider yet
+        const otherPartyID = isCustomer ? request.providerID : request.customerID;
+        if (otherPartyID) {
+            await notifyUser(
+                otherPartyID,
+                requestID,
+                `The ${request.category} request was cancelled: ${cancellationReason.trim()}`,
+                'request_cancelled'
+            );
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Service request cancelled',
+            data: { request: updatedRequest }
+        });
+    } catch (error) {
+        console.error('Cancel service request error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while cancelling service request',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+// Get the status history timeline of a service request
+const getServiceRequestHistory = async (req, res) => {
+    try {
+        const userID = req.user.userID;
+        const userRole = req.user.role;
+        const { requestID } = req.params;
+
+        const request = await ServiceRequest.findById(requestID);
+        if (!request) {
+            return res.status(404).json({
+                success: false,
+                message: 'Service request not found'
+            });
+        }
+
+        if (userRole !== 'Admin' && request.customerID !== userID && request.providerID !== userID) {
+            return res.status(403).json({
+                success: false,
+                message: 'You do not have permission to view this request'
+            });
+        }
+
+        const history = await JobHistory.getByRequest(requestID);
+
+        res.status(200).json({
+            success: true,
+            data: { history }
+        });
+    } catch (error) {
+        console.error('Get service request history error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching service request history',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+// Get the ranked provider shortlist for a request (its customer or an admin)
+const getServiceRequestMatches = async (req, res) => {
+    try {
+        const userID = req.user.userID;
+        const userRole = req.user.role;
+        const { requestID } = req.params;
+
+        const request = await ServiceRequest.findById(requestID);
+        if (!request) {
+            return res.status(404).json({
+                success: false,
+                message: 'Service request not found'
+            });
+        }
+
+        if (userRole !== 'Admin' && request.customerID !== userID) {
+            return res.status(403).json({
+                success: false,
+                message: 'You do not have permission to view matches for this request'
+            });
+        }
+
+        const matches = await RequestMatch.getByRequest(requestID);
+
+        res.status(200).json({
+            success: true,
+            data: { matches }
+        });
+    } catch (error) {
+        console.error('Get service request matches error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching matched providers',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
 module.exports = {
     createServiceRequest,
     getServiceRequestById,
@@ -457,6 +982,12 @@ module.exports = {
     deleteServiceRequest,
     getServiceRequestsByCategory,
     acceptServiceRequest,
-    rejectServiceRequest
+    rejectServiceRequest,
+    startServiceRequest,
+    completeServiceRequest,
+    cancelServiceRequest,
+    getServiceRequestHistory,
+    getServiceRequestMatches,
+    confirmServiceCompletion
 };
 
@@ -0,0 +1,129 @@
+const pool = require('../config/database');
+
+// Aggregate columns written on a full rebuild and on every incremental change
+const AGGREGATE_COLUMNS = [
+    'totalEarnings',
+    'averageRating',
+    'jobsCompleted',
+    'performanceScore',
+    'responseTimeAvg',
+    'completionRate',
+    'cancellationRate',
+    'uniqueCustomers',
+    'repeatCustomerRate',
+    'monthlyRevenue',
+    'categoryBreakdown',
+    'totalRequests',
+    'acceptedRequests',
+    'cancelledRequests',
+    'responseMinutesTotal',
+    'paymentCount',
+    'reviewCount',
+    'ratingTotal',
+    'positiveReviews',
+    'repeatCustomers'
+];
+
+const JSON_COLUMNS = ['monthlyRevenue', 'categoryBreakdown'];
+
+// MySQL hands back DECIMAL as a string
+const DECIMAL_COLUMNS = [
+    'totalEarnings',
+    'averageRating',
+    'performanceScore',
+    'responseTimeAvg',
+    'completionRate',
+    'cancellationRate',
+    'repeatCustomerRate',
+    'responseMinutesTotal'
+];
+
+// JSON columns come back parsed from MySQL but as strings from MariaDB
+const parseJson = (value, fallback) => {
+    if (value === null || value === undefined) return fallback;
+    if (typeof value !== 'string') return value;
+    try {
+        return JSON.parse(value);
+    } catch {
+        return fallback;
+    }
+};
+
+const toAnalytics = (row) => {
+    if (!row) return null;
+    const analytics = { ...row };
+    DECIMAL_COLUMNS.forEach(column => {
+        analytics[column] = parseFloat(row[column]) || 0;
+    });
+    JSON_COLUMNS.forEach(column => {
+        analytics[column] = parseJson(row[column], {});
+    });
+    return analytics;
+};
+
+const toParams = (aggregates) => AGGREGATE_COLUMNS.map(column => (
+    JSON_COLUMNS.includes(column)
+        ? JSON.stringify(aggregates[column] || {})
+        : aggregates[column] || 0
+));
+
+class Analytics {
+    // Get a provider's aggregate row
+    static async findByProvider(providerID) {
+        const [rows] = await pool.execute('SELECT * FROM Analytics WHERE providerID = ?', [providerID]);
+        return toAnalytics(rows[0]);
+    }
+
+    // Replace a provider's aggregates with freshly computed ones and mark the row fully rebuilt
+    static async saveFull(providerID, aggregates) {
+        const query = `
+            INSERT INTO Analytics (providerID, ${AGGREGATE_COLUMNS.join(', ')}, lastFullUpdate, lastUpdated)
+            VALUES (?, ${AGGREGATE_COLUMNS.map(() => '?').join(', ')}, NOW(), NOW())
+            ON DUPLICATE KEY UPDATE
+                ${AGGREGATE_COLUMNS.map(column => `${column} = VALUES(${column})`).join(',\n                ')},
+                lastFullUpdate = NOW(),
+                lastUpdated = NOW()
+        `;
+        await pool.execute(query, [providerID, ...toParams(aggregates)]);
+        return this.findByProvider(providerID);
+    }
+
+    // Apply one change to an existing row under a row lock
+    // `change` gets the current aggregates and returns the new ones
+    // Resolves false without calling `change` when the provider has no row yet - the first full rebuild covers it
+    static async applyChange(providerID, change) {
+        const connection = await pool.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            const [rows] = await connection.execute(
+                'SELECT * FROM Analytics WHERE providerID = ? FOR UPDATE',
+                [providerID]
+            );
+            if (rows.length === 0) {
+                await connection.rollback();
+                return false;
+            }
+
+            const aggregates = change(toAnalytics(rows[0]));
+
+            await connection.execute(`
+                UPDATE Analytics
+                SET ${AGGREGATE_COLUMNS.map(column => `${column} = ?`).join(', ')}, lastUpdated = NOW()
+                WHERE providerID = ?
+            `, [...toParams(aggregates), providerID]);
+
+            await connection.commit();
+            return true;
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+}
+
+Analytics.AGGREGATE_COLUMNS = AGGREGATE_COLUMNS;
+
+module.exports = Analytics;
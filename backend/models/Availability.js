@@ -0,0 +1,212 @@
+const pool = require('../config/database');
+const Booking = require('./Booking');
+const { ConflictError } = require('../utils/errors');
+
+// Bookable time slots in a provider's day (timeSlot column values)
+const TIME_SLOTS = [
+    '08:00-10:00',
+    '10:00-12:00',
+    '12:00-14:00',
+    '14:00-16:00',
+    '16:00-18:00',
+    '18:00-20:00'
+];
+
+class Availability {
+    // Find the slot label containing a HH:MM[:SS] time, or null if outside working slots
+    static getSlotForTime(time) {
+        if (!time) return null;
+        const hhmm = String(time).slice(0, 5);
+        return TIME_SLOTS.find(slot => {
+            const [start, end] = slot.split('-');
+            return hhmm >= start && hhmm < end;
+        }) || null;
+    }
+
+    // Start time (HH:MM) of a slot label
+    static getSlotStart(timeSlot) {
+        return timeSlot.split('-')[0];
+    }
+
+    // Insert or update a single slot - pass a connection to run inside a caller's transaction
+    static async upsertSlot(providerID, date, timeSlot, available, connection = pool) {
+        const query = `
+            INSERT INTO Availability (providerID, date, timeSlot, available)
+            VALUES (?, ?, ?, ?)
+            ON DUPLICATE KEY UPDATE available = VALUES(available)
+        `;
+        await connection.execute(query, [providerID, date, timeSlot, available ? true : false]);
+    }
+
+    // Publish the same slots on every given date (weekly recurring availability)
+    static async publishSlots(providerID, dates, timeSlots) {
+        const connection = await pool.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            for (const date of dates) {
+                for (const timeSlot of timeSlots) {
+                    await this.upsertSlot(providerID, date, timeSlot, true, connection);
+                }
+            }
+
+            await connection.commit();
+            return dates.length * timeSlots.length;
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    // Mark every slot of a day as unavailable
+    static async blockDay(providerID, date) {
+        const connection = await pool.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            for (const timeSlot of TIME_SLOTS) {
+                await this.upsertSlot(providerID, date, timeSlot, false, connection);
+            }
+
+            await connection.commit();
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    // Get a provider's slots between two dates (inclusive)
+    static async getByProvider(providerID, fromDate, toDate) {
+        const query = `
+            SELECT availabilityID, providerID, date, timeSlot, available
+            FROM Availability
+            WHERE providerID = ? AND date BETWEEN ? AND ?
+            ORDER BY date ASC, timeSlot ASC
+        `;
+        const [rows] = await pool.execute(query, [providerID, fromDate, toDate]);
+        return rows.map(row => ({
+            ...row,
+            date: Booking.toDateString(row.date),
+            available: Boolean(row.available)
+        }));
+    }
+
+    // Booked slot labels per provider on a date: { providerID: Set(timeSlot) }
+    static async getBookedSlots(date, providerID = null, connection = pool) {
+        let query = `
+            SELECT providerID, scheduledTime
+            FROM Booking
+            WHERE scheduledDate = ? AND status = 'Scheduled' AND scheduledTime IS NOT NULL
+        `;
+        const params = [date];
+
+        if (providerID) {
+            query += ' AND providerID = ?';
+            params.push(providerID);
+        }
+
+        const [rows] = await connection.execute(query, params);
+
+        const booked = {};
+        rows.forEach(row => {
+            const slot = this.getSlotForTime(row.scheduledTime);
+            if (!slot) return;
+            if (!booked[row.providerID]) booked[row.providerID] = new Set();
+            booked[row.providerID].add(slot);
+        });
+        return booked;
+    }
+
+    // Free (available and not booked) slots on a date, optionally for one provider
+    static async getFreeSlots(date, providerID = null) {
+        let query = `
+            SELECT a.providerID, u.name as providerName, a.timeSlot
+            FROM Availability a
+            JOIN USER u ON a.providerID = u.userID
+            WHERE a.date = ? AND a.available = TRUE
+        `;
+        const params = [date];
+
+        if (providerID) {
+            query += ' AND a.providerID = ?';
+            params.push(providerID);
+        }
+
+        query += ' ORDER BY a.timeSlot ASC, u.name ASC';
+
+        const [rows] = await pool.execute(query, params);
+        const booked = await this.getBookedSlots(date, providerID);
+
+        return rows.filter(row => !(booked[row.providerID] && booked[row.providerID].has(row.timeSlot)));
+    }
+
+    // Check whether a provider can take a booking - returns { available, reason }
+    // Providers who have not published anything for the date are treated as available
+    static async checkSlot(providerID, date, time = null, connection = pool) {
+        const slot = this.getSlotForTime(time);
+
+        const [rows] = await connection.execute(
+            'SELECT timeSlot, available FROM Availability WHERE providerID = ? AND date = ?',
+            [providerID, date]
+        );
+
+        if (rows.length > 0) {
+            if (slot) {
+                const row = rows.find(r => r.timeSlot === slot);
+                if (row && !row.available) {
+                    return { available: false, reason: `The ${slot} slot on ${date} is marked unavailable` };
+                }
+            } else if (rows.every(r => !r.available)) {
+                return { available: false, reason: `The provider is unavailable on ${date}` };
+            }
+        }
+
+        if (slot) {
+            const booked = await this.getBookedSlots(date, providerID, connection);
+            if (booked[providerID] && booked[providerID].has(slot)) {
+                return { available: false, reason: `The ${slot} slot on ${date} is already booked` };
+            }
+        }
+
+        return { available: true, reason: null };
+    }
+
+    // Create a booking only if its slot is still free - returns the bookingID
+    // Locks the provider's user row so concurrent bookings for them are checked one at a time
+    // Pass the caller's transaction connection, or the booking gets a transaction of its own
+    // Throws a ConflictError when the slot is booked or marked unavailable
+    static async reserveSlot(bookingData, connection = null) {
+        if (!connection) {
+            const ownConnection = await pool.getConnection();
+            try {
+                await ownConnection.beginTransaction();
+                const bookingID = await this.reserveSlot(bookingData, ownConnection);
+                await ownConnection.commit();
+                return bookingID;
+            } catch (error) {
+                await ownConnection.rollback();
+                throw error;
+            } finally {
+                ownConnection.release();
+            }
+        }
+
+        const { providerID, scheduledDate, scheduledTime } = bookingData;
+        await connection.execute('SELECT userID FROM USER WHERE userID = ? FOR UPDATE', [providerID]);
+
+        const slotCheck = await this.checkSlot(providerID, Booking.toDateString(scheduledDate), scheduledTime, connection);
+        if (!slotCheck.available) {
+            throw new ConflictError(slotCheck.reason);
+        }
+
+        return Booking.create(bookingData, connection);
+    }
+}
+
+Availability.TIME_SLOTS = TIME_SLOTS;
+
+module.exports = Availability;
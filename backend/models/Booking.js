@@ -0,0 +1,192 @@
+const pool = require('../config/database');
+
+// Booking statuses
+const BOOKING_STATUS = {
+    SCHEDULED: 'Scheduled',
+    CANCELLED: 'Cancelled'
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+class Booking {
+    // Format a Date (or date string) as YYYY-MM-DD using local time
+    static toDateString(value) {
+        if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+
+        const date = value instanceof Date ? value : new Date(value);
+        if (isNaN(date.getTime())) return null;
+
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    // Parse a date value, reading plain YYYY-MM-DD strings as local midnight rather than UTC
+    static parseDate(value) {
+        if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+            return new Date(`${value}T00:00:00`);
+        }
+        return new Date(value);
+    }
+
+    // Validate a schedule - returns an error message, or null when valid
+    static validateSchedule(scheduledDate, scheduledTime) {
+        if (!scheduledDate) {
+            return 'Scheduled date is required';
+        }
+
+        const date = this.parseDate(scheduledDate);
+        if (isNaN(date.getTime())) {
+            return 'Invalid scheduled date format';
+        }
+
+        // Allow today, reject past days
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        date.setHours(0, 0, 0, 0);
+        if (date < today) {
+            return 'Scheduled date cannot be in the past';
+        }
+
+        if (scheduledTime && !TIME_PATTERN.test(scheduledTime)) {
+            return 'Scheduled time must be in HH:MM format';
+        }
+
+        return null;
+    }
+
+    // Create a booking - pass a connection to run inside a caller's transaction
+    static async create(bookingData, connection = pool) {
+        const {
+            requestID,
+            providerID,
+            scheduledDate,
+            scheduledTime,
+            manualBooking,
+            customerName,
+            customerPhone,
+            notes
+        } = bookingData;
+        const query = `
+            INSERT INTO Booking (
+                requestID, providerID, scheduledDate, scheduledTime, manualBooking,
+                customerName, customerPhone, notes, status
+            )
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'Scheduled')
+        `;
+        const [result] = await connection.execute(query, [
+            requestID || null,
+            providerID,
+            scheduledDate,
+            scheduledTime || null,
+            manualBooking ? true : false,
+            customerName || null,
+            customerPhone || null,
+            notes || null
+        ]);
+        return result.insertId;
+    }
+
+    // Get booking by ID
+    static async findById(bookingID) {
+        const query = `
+            SELECT
+                b.*,
+                sr.customerID,
+                sr.category,
+                sr.description,
+                COALESCE(c.name, b.customerName) as customerName,
+                COALESCE(c.phone, b.customerPhone) as customerPhone,
+                p.name as providerName
+            FROM Booking b
+            LEFT JOIN ServiceRequest sr ON b.requestID = sr.requestID
+            LEFT JOIN USER c ON sr.customerID = c.userID
+            LEFT JOIN USER p ON b.providerID = p.userID
+            WHERE b.bookingID = ?
+        `;
+        const [rows] = await pool.execute(query, [bookingID]);
+        return rows[0];
+    }
+
+    // Get the active booking for a service request
+    static async findActiveByRequest(requestID) {
+        const query = `
+            SELECT * FROM Booking
+            WHERE requestID = ? AND status = 'Scheduled'
+            ORDER BY bookingID DESC
+            LIMIT 1
+        `;
+        const [rows] = await pool.execute(query, [requestID]);
+        return rows[0];
+    }
+
+    // Get scheduled bookings for a provider between two dates (inclusive)
+    static async getByProvider(providerID, fromDate, toDate) {
+        const query = `
+            SELECT
+                b.*,
+                sr.customerID,
+                sr.category,
+                sr.description,
+                COALESCE(c.name, b.customerName) as customerName,
+                COALESCE(c.phone, b.customerPhone) as customerPhone
+            FROM Booking b
+            LEFT JOIN ServiceRequest sr ON b.requestID = sr.requestID
+            LEFT JOIN USER c ON sr.customerID = c.userID
+            WHERE b.providerID = ?
+                AND b.status = 'Scheduled'
+                AND b.scheduledDate BETWEEN ? AND ?
+            ORDER BY b.scheduledDate ASC, b.scheduledTime ASC
+        `;
+        const [rows] = await pool.execute(query, [providerID, fromDate, toDate]);
+        return rows;
+    }
+
+    // Get scheduled bookings for a customer's requests between two dates (inclusive)
+    static async getByCustomer(customerID, fromDate, toDate) {
+        const query = `
+            SELECT
+                b.*,
+                sr.customerID,
+                sr.category,
+                sr.description,
+                p.name as providerName,
+                p.phone as providerPhone
+            FROM Booking b
+            INNER JOIN ServiceRequest sr ON b.requestID = sr.requestID
+            LEFT JOIN USER p ON b.providerID = p.userID
+            WHERE sr.customerID = ?
+                AND b.status = 'Scheduled'
+                AND b.scheduledDate BETWEEN ? AND ?
+            ORDER BY b.scheduledDate ASC, b.scheduledTime ASC
+        `;
+        const [rows] = await pool.execute(query, [customerID, fromDate, toDate]);
+        return rows;
+    }
+
+    // Cancel a scheduled booking
+    static async cancel(bookingID, cancellationReason) {
+        const query = `
+            UPDATE Booking
+            SET status = 'Cancelled', cancellationReason = ?
+            WHERE bookingID = ? AND status = 'Scheduled'
+        `;
+        const [result] = await pool.execute(query, [cancellationReason, bookingID]);
+        return result.affectedRows > 0;
+    }
+
+    // Cancel the scheduled booking of a service request - pass a connection to run inside a caller's transaction
+    static async cancelByRequest(requestID, cancellationReason, connection = pool) {
+        const query = `
+            UPDATE Booking
+            SET status = 'Cancelled', cancellationReason = ?
+            WHERE requestID = ? AND status = 'Scheduled'
+        `;
+        const [result] = await connection.execute(query, [cancellationReason, requestID]);
+        return result.affectedRows > 0;
+    }
+}
+
+Booking.BOOKING_STATUS = BOOKING_STATUS;
+
+module.exports = Booking;
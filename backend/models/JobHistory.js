@@ -0,0 +1,69 @@
+const pool = require('../config/database');
+
+// Lifecycle events recorded for a service request
+const JOB_ACTIONS = {
+    CREATED: 'created',
+    ACCEPTED: 'accepted',
+    REJECTED: 'rejected',
+    STARTED: 'started',
+    COMPLETED: 'completed',
+    CONFIRMED: 'confirmed',
+    CANCELLED: 'cancelled'
+};
+
+class JobHistory {
+    // Append a history row - pass a connection to write inside the status change's transaction
+    // Provider and customer are read from the request as it stands after the change
+    static async record(entry, connection = pool) {
+        const { requestID, action, previousStatus, status, changedBy, notes } = entry;
+        const query = `
+            INSERT INTO JobHistory (
+                requestID, providerID, customerID, action, previousStatus, status,
+                changedBy, notes, completionDate
+            )
+            SELECT
+                requestID, providerID, customerID, ?, ?, ?,
+                ?, ?, CASE WHEN ? = 'Completed' THEN CURDATE() ELSE NULL END
+            FROM ServiceRequest
+            WHERE requestID = ?
+        `;
+        const [result] = await connection.execute(query, [
+            action,
+            previousStatus || null,
+            status,
+            changedBy || null,
+            notes || null,
+            status,
+            requestID
+        ]);
+        return result.insertId;
+    }
+
+    // Get the full timeline for a service request, oldest first
+    static async getByRequest(requestID) {
+        const query = `
+            SELECT
+                jh.jobID,
+                jh.requestID,
+                jh.action,
+                jh.previousStatus,
+                jh.status,
+                jh.changedBy,
+                jh.notes,
+                jh.completionDate,
+                jh.createdAt,
+                u.name as changedByName,
+                u.role as changedByRole
+            FROM JobHistory jh
+            LEFT JOIN USER u ON jh.changedBy = u.userID
+            WHERE jh.requestID = ?
+            ORDER BY jh.createdAt ASC, jh.jobID ASC
+        `;
+        const [rows] = await pool.execute(query, [requestID]);
+        return rows;
+    }
+}
+
+JobHistory.JOB_ACTIONS = JOB_ACTIONS;
+
+module.exports = JobHistory;
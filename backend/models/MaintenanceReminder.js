@@ -0,0 +1,169 @@
+const pool = require('../config/database');
+
+// Reminder statuses - only Active reminders are sent
+const REMINDER_STATUS = {
+    ACTIVE: 'Active',
+    PAUSED: 'Paused'
+};
+
+class MaintenanceReminder {
+    // Create a reminder - nextServiceDate defaults to lastServiceDate + reminderFrequency days
+    static async create(reminderData) {
+        const { customerID, serviceType, lastServiceDate, nextServiceDate, reminderFrequency } = reminderData;
+        const query = `
+            INSERT INTO MaintenanceReminder (customerID, serviceType, lastServiceDate, nextServiceDate, reminderFrequency)
+            VALUES (?, ?, ?, COALESCE(?, DATE_ADD(?, INTERVAL ? DAY)), ?)
+        `;
+        const [result] = await pool.execute(query, [
+            customerID,
+            serviceType,
+            lastServiceDate,
+            nextServiceDate || null,
+            lastServiceDate,
+            reminderFrequency,
+            reminderFrequency
+        ]);
+        return result.insertId;
+    }
+
+    // Get reminder by ID with the description of the request that last renewed it
+    static async findById(reminderID) {
+        const query = `
+            SELECT
+                mr.*,
+                sr.description as lastRequestDescription
+            FROM MaintenanceReminder mr
+            LEFT JOIN ServiceRequest sr ON mr.requestID = sr.requestID
+            WHERE mr.reminderID = ?
+        `;
+        const [rows] = await pool.execute(query, [reminderID]);
+        return rows[0];
+    }
+
+    // Get all reminders for a customer, soonest due first
+    static async getByCustomer(customerID) {
+        const query = `
+            SELECT
+                mr.*,
+                sr.description as lastRequestDescription
+            FROM MaintenanceReminder mr
+            LEFT JOIN ServiceRequest sr ON mr.requestID = sr.requestID
+            WHERE mr.customerID = ?
+            ORDER BY mr.status = 'Active' DESC, mr.nextServiceDate ASC
+        `;
+        const [rows] = await pool.execute(query, [customerID]);
+        return rows;
+    }
+
+    // Update reminder details (customer's own reminders only)
+    // Changing the schedule recomputes nextServiceDate unless one is given, and re-arms the notification
+    static async update(reminderID, customerID, updateData) {
+        const { serviceType, lastServiceDate, nextServiceDate, reminderFrequency, status } = updateData;
+
+        const updates = [];
+        const params = [];
+
+        if (serviceType !== undefined) {
+            updates.push('serviceType = ?');
+            params.push(serviceType);
+        }
+        if (lastServiceDate !== undefined) {
+            updates.push('lastServiceDate = ?');
+            params.push(lastServiceDate);
+        }
+        if (reminderFrequency !== undefined) {
+            updates.push('reminderFrequency = ?');
+            params.push(reminderFrequency);
+        }
+        if (status !== undefined) {
+            updates.push('status = ?');
+            params.push(status);
+        }
+
+        // MySQL applies SET assignments left to right, so these see the new values above
+        if (nextServiceDate !== undefined) {
+            updates.push('nextServiceDate = ?');
+            params.push(nextServiceDate);
+        } else if (lastServiceDate !== undefined || reminderFrequency !== undefined) {
+            updates.push('nextServiceDate = DATE_ADD(lastServiceDate, INTERVAL reminderFrequency DAY)');
+        }
+        if (nextServiceDate !== undefined || lastServiceDate !== undefined || reminderFrequency !== undefined) {
+            updates.push('lastNotifiedAt = NULL');
+        }
+
+        if (updates.length === 0) {
+            return true;
+        }
+
+        params.push(reminderID, customerID);
+
+        const query = `
+            UPDATE MaintenanceReminder
+            SET ${updates.join(', ')}
+            WHERE reminderID = ? AND customerID = ?
+        `;
+        const [result] = await pool.execute(query, params);
+        return result.affectedRows > 0;
+    }
+
+    // Delete a reminder (customer's own reminders only)
+    static async delete(reminderID, customerID) {
+        const query = `
+            DELETE FROM MaintenanceReminder
+            WHERE reminderID = ? AND customerID = ?
+        `;
+        const [result] = await pool.execute(query, [reminderID, customerID]);
+        return result.affectedRows > 0;
+    }
+
+    // Start or renew the customer's reminder for a service type after a request completes
+    // An existing reminder keeps its own frequency and status (a paused reminder stays paused)
+    static async upsertFromCompletedRequest({ customerID, serviceType, requestID, reminderFrequency }) {
+        const query = `
+            INSERT INTO MaintenanceReminder (
+                customerID, serviceType, lastServiceDate, nextServiceDate, reminderFrequency, requestID
+            )
+            VALUES (?, ?, CURDATE(), DATE_ADD(CURDATE(), INTERVAL ? DAY), ?, ?)
+            ON DUPLICATE KEY UPDATE
+                lastServiceDate = CURDATE(),
+                nextServiceDate = DATE_ADD(CURDATE(), INTERVAL reminderFrequency DAY),
+                requestID = VALUES(requestID),
+                lastNotifiedAt = NULL
+        `;
+        await pool.execute(query, [customerID, serviceType, reminderFrequency, reminderFrequency, requestID]);
+
+        const [rows] = await pool.execute(
+            'SELECT reminderID FROM MaintenanceReminder WHERE customerID = ? AND serviceType = ?',
+            [customerID, serviceType]
+        );
+        return rows[0] ? rows[0].reminderID : null;
+    }
+
+    // Active reminders due within leadDays that have not been sent for their current nextServiceDate
+    static async getDueForNotification(leadDays) {
+        const query = `
+            SELECT * FROM MaintenanceReminder
+            WHERE status = 'Active'
+              AND lastNotifiedAt IS NULL
+              AND nextServiceDate <= DATE_ADD(CURDATE(), INTERVAL ? DAY)
+            ORDER BY nextServiceDate ASC
+        `;
+        const [rows] = await pool.execute(query, [leadDays]);
+        return rows;
+    }
+
+    // Claim a due reminder for sending - false when another run already sent it
+    static async markNotified(reminderID) {
+        const query = `
+            UPDATE MaintenanceReminder
+            SET lastNotifiedAt = NOW()
+            WHERE reminderID = ? AND lastNotifiedAt IS NULL
+        `;
+        const [result] = await pool.execute(query, [reminderID]);
+        return result.affectedRows > 0;
+    }
+}
+
+MaintenanceReminder.REMINDER_STATUS = REMINDER_STATUS;
+
+module.exports = MaintenanceReminder;
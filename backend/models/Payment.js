@@ -0,0 +1,108 @@
+const pool = require('../config/database');
+
+// Payment statuses (RevenueAnalytics reports on each of these)
+const PAYMENT_STATUS = {
+    PENDING: 'Pending',
+    COMPLETED: 'Completed',
+    FAILED: 'Failed',
+    REFUNDED: 'Refunded'
+};
+
+class Payment {
+    // Create a pending payment - pass a connection to run inside a caller's transaction
+    static async create(paymentData, connection = pool) {
+        const { requestID, amount, paymentMethod } = paymentData;
+        const query = `
+            INSERT INTO Payment (requestID, amount, status, paymentMethod)
+            VALUES (?, ?, 'Pending', ?)
+        `;
+        const [result] = await connection.execute(query, [requestID, amount, paymentMethod || null]);
+        return result.insertId;
+    }
+
+    // Get payment by ID with the parties of its service request
+    static async findById(paymentID) {
+        const query = `
+            SELECT
+                p.*,
+                sr.customerID,
+                sr.providerID,
+                sr.category
+            FROM Payment p
+            JOIN ServiceRequest sr ON p.requestID = sr.requestID
+            WHERE p.paymentID = ?
+        `;
+        const [rows] = await pool.execute(query, [paymentID]);
+        return rows[0];
+    }
+
+    // Get all payments for a service request, newest first
+    static async getByRequest(requestID) {
+        const query = `
+            SELECT * FROM Payment
+            WHERE requestID = ?
+            ORDER BY createdAt DESC, paymentID DESC
+        `;
+        const [rows] = await pool.execute(query, [requestID]);
+        return rows;
+    }
+
+    // Get the open (pending) payment for a service request, if any
+    static async findPendingByRequest(requestID) {
+        const query = `
+            SELECT * FROM Payment
+            WHERE requestID = ? AND status = 'Pending'
+            ORDER BY paymentID DESC
+            LIMIT 1
+        `;
+        const [rows] = await pool.execute(query, [requestID]);
+        return rows[0];
+    }
+
+    // Check whether a service request has already been paid (refunded payments count as paid)
+    static async isRequestPaid(requestID) {
+        const query = `
+            SELECT COUNT(*) as count FROM Payment
+            WHERE requestID = ? AND status IN ('Completed', 'Refunded')
+        `;
+        const [rows] = await pool.execute(query, [requestID]);
+        return rows[0].count > 0;
+    }
+
+    // Attach the gateway transaction to a pending payment
+    static async attachTransaction(paymentID, { paymentMethod, paymentGateway, transactionID }) {
+        const query = `
+            UPDATE Payment
+            SET paymentMethod = ?, paymentGateway = ?, transactionID = ?, failureReason = NULL
+            WHERE paymentID = ? AND status = 'Pending'
+        `;
+        const [result] = await pool.execute(query, [paymentMethod, paymentGateway, transactionID, paymentID]);
+        return result.affectedRows > 0;
+    }
+
+    // Mark a pending payment as paid
+    static async markCompleted(paymentID, transactionID) {
+        const query = `
+            UPDATE Payment
+            SET status = 'Completed', paymentDate = NOW(), transactionID = COALESCE(?, transactionID)
+            WHERE paymentID = ? AND status = 'Pending'
+        `;
+        const [result] = await pool.execute(query, [transactionID || null, paymentID]);
+        return result.affectedRows > 0;
+    }
+
+    // Mark a pending payment as failed
+    static async markFailed(paymentID, failureReason) {
+        const query = `
+            UPDATE Payment
+            SET status = 'Failed', failureReason = ?
+            WHERE paymentID = ? AND status = 'Pending'
+        `;
+        const [result] = await pool.execute(query, [failureReason, paymentID]);
+        return result.affectedRows > 0;
+    }
+}
+
+Payment.PAYMENT_STATUS = PAYMENT_STATUS;
+
+module.exports = Payment;
@@ -0,0 +1,224 @@
+const pool = require('../config/database');
+
+// Metric types for threshold alerts
+const METRIC_TYPES = {
+    COMPLETION_RATE: 'completion_rate',
+    RESPONSE_TIME: 'response_time',
+    CANCELLATION_RATE: 'cancellation_rate',
+    RATING: 'rating',
+    EARNINGS: 'earnings',
+    REQUEST_COUNT: 'request_count'
+};
+
+// Comparison operators for alerts (matches the PerformanceAlert.comparisonOperator ENUM)
+const COMPARISON_OPERATORS = {
+    ABOVE: 'above',
+    BELOW: 'below',
+    EQUALS: 'equals'
+};
+
+// Alert state changes kept in the history (matches the PerformanceAlertEvent.eventType ENUM)
+const ALERT_EVENTS = {
+    BREACHED: 'breached',
+    RECOVERED: 'recovered'
+};
+
+// Minutes between two notifications of the same alert, unless the alert sets its own
+const DEFAULT_COOLDOWN_MINUTES = 60;
+
+class PerformanceAlert {
+    // Create a new alert - returns the new alertID
+    static async create(alertData) {
+        const { providerID, metricType, thresholdValue, comparisonOperator, isActive, cooldownMinutes } = alertData;
+        const query = `
+            INSERT INTO PerformanceAlert (providerID, metricType, thresholdValue, comparisonOperator, isActive, cooldownMinutes)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `;
+        const [result] = await pool.execute(query, [
+            providerID,
+            metricType,
+            thresholdValue,
+            comparisonOperator,
+            isActive === undefined ? true : Boolean(isActive),
+            cooldownMinutes || DEFAULT_COOLDOWN_MINUTES
+        ]);
+        return result.insertId;
+    }
+
+    // Get alert by ID
+    static async findById(alertID) {
+        const [rows] = await pool.execute('SELECT * FROM PerformanceAlert WHERE alertID = ?', [alertID]);
+        return rows[0];
+    }
+
+    // Get all alerts of a provider - active first, newest first
+    static async getByProvider(providerID) {
+        const query = `
+            SELECT * FROM PerformanceAlert
+            WHERE providerID = ?
+            ORDER BY isActive DESC, createdAt DESC, alertID DESC
+        `;
+        const [rows] = await pool.execute(query, [providerID]);
+        return rows;
+    }
+
+    // Providers with at least one active alert (for the background evaluation)
+    static async getProvidersWithActiveAlerts() {
+        const query = `
+            SELECT DISTINCT providerID
+            FROM PerformanceAlert
+            WHERE isActive = TRUE
+            ORDER BY providerID
+        `;
+        const [rows] = await pool.execute(query);
+        return rows.map(row => row.providerID);
+    }
+
+    static async countByProvider(providerID) {
+        const [rows] = await pool.execute(
+            'SELECT COUNT(*) as total FROM PerformanceAlert WHERE providerID = ?',
+            [providerID]
+        );
+        return parseInt(rows[0].total, 10) || 0;
+    }
+
+    // Update an alert (provider's own alerts only)
+    static async update(alertID, providerID, updateData) {
+        const { metricType, thresholdValue, comparisonOperator, isActive, cooldownMinutes } = updateData;
+
+        const updates = [];
+        const params = [];
+
+        if (metricType !== undefined) {
+            updates.push('metricType = ?');
+            params.push(metricType);
+        }
+        if (thresholdValue !== undefined) {
+            updates.push('thresholdValue = ?');
+            params.push(thresholdValue);
+        }
+        if (comparisonOperator !== undefined) {
+            updates.push('comparisonOperator = ?');
+            params.push(comparisonOperator);
+        }
+        if (isActive !== undefined) {
+            updates.push('isActive = ?');
+            params.push(Boolean(isActive));
+        }
+        if (cooldownMinutes !== undefined) {
+            updates.push('cooldownMinutes = ?');
+            params.push(cooldownMinutes);
+        }
+
+        // A changed condition is a new alert - let it fire straight away
+        const conditionChanged = metricType !== undefined || thresholdValue !== undefined || comparisonOperator !== undefined;
+        if (conditionChanged) {
+            updates.push('lastTriggered = NULL');
+        }
+        // A new or paused condition is evaluated afresh, so any open breach is dropped
+        if (conditionChanged || isActive === false) {
+            updates.push('breachedAt = NULL');
+        }
+
+        if (updates.length === 0) {
+            return true;
+        }
+
+        params.push(alertID, providerID);
+
+        const query = `
+            UPDATE PerformanceAlert
+            SET ${updates.join(', ')}
+            WHERE alertID = ? AND providerID = ?
+        `;
+        const [result] = await pool.execute(query, params);
+        return result.affectedRows > 0;
+    }
+
+    // Delete an alert (provider's own alerts only)
+    static async delete(alertID, providerID) {
+        const query = 'DELETE FROM PerformanceAlert WHERE alertID = ? AND providerID = ?';
+        const [result] = await pool.execute(query, [alertID, providerID]);
+        return result.affectedRows > 0;
+    }
+
+    // Record that an alert fired - false while it is still cooling down from the last time
+    // Conditional so two concurrent checks cannot both notify for the same alert
+    static async claimTrigger(alertID) {
+        const query = `
+            UPDATE PerformanceAlert
+            SET lastTriggered = NOW()
+            WHERE alertID = ?
+                AND isActive = TRUE
+                AND (lastTriggered IS NULL OR lastTriggered <= DATE_SUB(NOW(), INTERVAL cooldownMinutes MINUTE))
+        `;
+        const [result] = await pool.execute(query, [alertID]);
+        return result.affectedRows > 0;
+    }
+
+    // Mark an alert as in breach - false when it already was (or is paused)
+    static async startBreach(alertID) {
+        const query = `
+            UPDATE PerformanceAlert
+            SET breachedAt = NOW()
+            WHERE alertID = ? AND isActive = TRUE AND breachedAt IS NULL
+        `;
+        const [result] = await pool.execute(query, [alertID]);
+        return result.affectedRows > 0;
+    }
+
+    // Clear an alert's breach - false when it was not in breach
+    static async endBreach(alertID) {
+        const query = `
+            UPDATE PerformanceAlert
+            SET breachedAt = NULL
+            WHERE alertID = ? AND breachedAt IS NOT NULL
+        `;
+        const [result] = await pool.execute(query, [alertID]);
+        return result.affectedRows > 0;
+    }
+
+    // Add a breach or recovery to the alert's history, with the condition as it was at the time
+    static async recordEvent(alert, eventData) {
+        const { eventType, metricValue, notified } = eventData;
+        const query = `
+            INSERT INTO PerformanceAlertEvent
+                (alertID, providerID, eventType, metricType, comparisonOperator, thresholdValue, metricValue, notified)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `;
+        const [result] = await pool.execute(query, [
+            alert.alertID,
+            alert.providerID,
+            eventType,
+            alert.metricType,
+            alert.comparisonOperator,
+            alert.thresholdValue,
+            metricValue,
+            Boolean(notified)
+        ]);
+        return result.insertId;
+    }
+
+    // Alert history of a provider (optionally one alert), newest first
+    static async getEvents(providerID, alertID = null, limit = 100) {
+        let query = 'SELECT * FROM PerformanceAlertEvent WHERE providerID = ?';
+        const params = [providerID];
+
+        if (alertID) {
+            query += ' AND alertID = ?';
+            params.push(alertID);
+        }
+
+        query += ` ORDER BY createdAt DESC, eventID DESC LIMIT ${parseInt(limit, 10) || 100}`;
+
+        const [rows] = await pool.execute(query, params);
+        return rows;
+    }
+}
+
+PerformanceAlert.METRIC_TYPES = METRIC_TYPES;
+PerformanceAlert.COMPARISON_OPERATORS = COMPARISON_OPERATORS;
+PerformanceAlert.ALERT_EVENTS = ALERT_EVENTS;
+PerformanceAlert.DEFAULT_COOLDOWN_MINUTES = DEFAULT_COOLDOWN_MINUTES;
+
+module.exports = PerformanceAlert;
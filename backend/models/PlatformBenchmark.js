@@ -0,0 +1,123 @@
+const pool = require('../config/database');
+
+const SNAPSHOT_COLUMNS = [
+    'metricType',
+    'category',
+    'averageValue',
+    'lowestValue',
+    'percentile10',
+    'percentile25',
+    'medianValue',
+    'percentile75',
+    'percentile90',
+    'highestValue',
+    'sampleSize',
+    'calculatedAt'
+];
+
+// Rows inserted per statement when a snapshot is saved
+const INSERT_BATCH_SIZE = 200;
+
+// MySQL hands back DECIMAL as a string
+const DECIMAL_COLUMNS = [
+    'averageValue',
+    'lowestValue',
+    'percentile10',
+    'percentile25',
+    'medianValue',
+    'percentile75',
+    'percentile90',
+    'highestValue'
+];
+
+const toBenchmark = (row) => {
+    const benchmark = { ...row };
+    DECIMAL_COLUMNS.forEach(column => {
+        benchmark[column] = row[column] === null ? null : parseFloat(row[column]);
+    });
+    return benchmark;
+};
+
+class PlatformBenchmark {
+    // Save every row of one snapshot under the same calculatedAt
+    static async createSnapshot(benchmarks, calculatedAt) {
+        for (let start = 0; start < benchmarks.length; start += INSERT_BATCH_SIZE) {
+            const batch = benchmarks.slice(start, start + INSERT_BATCH_SIZE);
+            const placeholders = batch.map(() => `(${SNAPSHOT_COLUMNS.map(() => '?').join(', ')})`).join(', ');
+            const params = [];
+
+            batch.forEach(benchmark => {
+                SNAPSHOT_COLUMNS.forEach(column => {
+                    if (column === 'calculatedAt') params.push(calculatedAt);
+                    else if (column === 'category') params.push(benchmark.category || null);
+                    else params.push(benchmark[column] === undefined ? null : benchmark[column]);
+                });
+            });
+
+            await pool.execute(
+                `INSERT INTO PlatformBenchmark (${SNAPSHOT_COLUMNS.join(', ')}) VALUES ${placeholders}`,
+                params
+            );
+        }
+        return benchmarks.length;
+    }
+
+    // Time of the newest snapshot, or null when none was taken yet
+    static async getLatestCalculatedAt() {
+        const [rows] = await pool.execute('SELECT MAX(calculatedAt) as calculatedAt FROM PlatformBenchmark');
+        return rows[0].calculatedAt || null;
+    }
+
+    // All rows of one snapshot, platform-wide and per category
+    static async getSnapshot(calculatedAt) {
+        const [rows] = await pool.execute('SELECT * FROM PlatformBenchmark WHERE calculatedAt = ?', [calculatedAt]);
+        return rows.map(toBenchmark);
+    }
+
+    // One metric's benchmark over time, oldest first
+    static async getHistory(metricType, category = null, since = null) {
+        let query = 'SELECT * FROM PlatformBenchmark WHERE metricType = ? AND category <=> ?';
+        const params = [metricType, category];
+
+        if (since) {
+            query += ' AND calculatedAt >= ?';
+            params.push(since);
+        }
+
+        query += ' ORDER BY calculatedAt ASC';
+
+        const [rows] = await pool.execute(query, params);
+        return rows.map(toBenchmark);
+    }
+
+    // Claim the nightly run scheduled for `scheduledFor` for one instance - false when another instance holds it
+    // An unfinished claim older than leaseMinutes is taken over, so a crashed run is retried
+    static async claimScheduledRun(scheduledFor, instanceID, leaseMinutes) {
+        // claimedBy is assigned before claimedAt so both conditions still see the old claim time
+        await pool.execute(`
+            INSERT INTO BenchmarkSnapshotRun (scheduledFor, claimedBy, claimedAt)
+            VALUES (?, ?, NOW())
+            ON DUPLICATE KEY UPDATE
+                claimedBy = IF(completedAt IS NULL AND claimedAt < DATE_SUB(NOW(), INTERVAL ? MINUTE), VALUES(claimedBy), claimedBy),
+                claimedAt = IF(completedAt IS NULL AND claimedAt < DATE_SUB(NOW(), INTERVAL ? MINUTE), VALUES(claimedAt), claimedAt)
+        `, [scheduledFor, instanceID, leaseMinutes, leaseMinutes]);
+
+        // affectedRows cannot tell a kept claim from a taken one, so read the owner back
+        const [rows] = await pool.execute(
+            'SELECT claimedBy, completedAt FROM BenchmarkSnapshotRun WHERE scheduledFor = ?',
+            [scheduledFor]
+        );
+        return Boolean(rows[0]) && rows[0].claimedBy === instanceID && rows[0].completedAt === null;
+    }
+
+    // Mark a claimed nightly run as done so no other instance repeats it
+    static async completeScheduledRun(scheduledFor, instanceID) {
+        const [result] = await pool.execute(
+            'UPDATE BenchmarkSnapshotRun SET completedAt = NOW() WHERE scheduledFor = ? AND claimedBy = ?',
+            [scheduledFor, instanceID]
+        );
+        return result.affectedRows > 0;
+    }
+}
+
+module.exports = PlatformBenchmark;
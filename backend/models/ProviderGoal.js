@@ -0,0 +1,147 @@
+const pool = require('../config/database');
+
+// What a goal measures (matches the ProviderGoal.goalType ENUM)
+const GOAL_TYPES = {
+    REVENUE: 'revenue',
+    SERVICES: 'services',
+    RATING: 'rating',
+    CUSTOMERS: 'customers'
+};
+
+// Goal statuses (matches the ProviderGoal.status ENUM)
+const GOAL_STATUS = {
+    ACTIVE: 'active',
+    COMPLETED: 'completed',
+    CANCELLED: 'cancelled'
+};
+
+// Progress percentages the provider is notified about, in order
+const GOAL_MILESTONES = [50, 100];
+
+class ProviderGoal {
+    // Create a new active goal
+    static async create(goalData) {
+        const { providerID, goalType, targetValue, startDate, targetDate } = goalData;
+        const query = `
+            INSERT INTO ProviderGoal (providerID, goalType, targetValue, startDate, targetDate)
+            VALUES (?, ?, ?, ?, ?)
+        `;
+        const [result] = await pool.execute(query, [providerID, goalType, targetValue, startDate, targetDate]);
+        return result.insertId;
+    }
+
+    // Get goal by ID
+    static async findById(goalID) {
+        const [rows] = await pool.execute('SELECT * FROM ProviderGoal WHERE goalID = ?', [goalID]);
+        return rows[0];
+    }
+
+    // Get all goals for a provider - active first, then by deadline
+    static async getByProvider(providerID, status = null) {
+        let query = 'SELECT * FROM ProviderGoal WHERE providerID = ?';
+        const params = [providerID];
+
+        if (status) {
+            query += ' AND status = ?';
+            params.push(status);
+        }
+
+        query += " ORDER BY status = 'active' DESC, targetDate ASC, goalID DESC";
+
+        const [rows] = await pool.execute(query, params);
+        return rows;
+    }
+
+    // Get every active goal across providers (for the background evaluation)
+    static async getActive() {
+        const query = `
+            SELECT * FROM ProviderGoal
+            WHERE status = 'active'
+            ORDER BY providerID, goalID
+        `;
+        const [rows] = await pool.execute(query);
+        return rows;
+    }
+
+    // Update an active goal's target or dates (provider's own goals only)
+    // Milestone notifications start over because progress is measured against the new target
+    static async update(goalID, providerID, updateData) {
+        const { targetValue, startDate, targetDate } = updateData;
+
+        const updates = [];
+        const params = [];
+
+        if (targetValue !== undefined) {
+            updates.push('targetValue = ?');
+            params.push(targetValue);
+        }
+        if (startDate !== undefined) {
+            updates.push('startDate = ?');
+            params.push(startDate);
+        }
+        if (targetDate !== undefined) {
+            updates.push('targetDate = ?');
+            params.push(targetDate);
+        }
+
+        if (updates.length === 0) {
+            return true;
+        }
+
+        updates.push('notifiedMilestone = 0');
+        params.push(goalID, providerID);
+
+        const query = `
+            UPDATE ProviderGoal
+            SET ${updates.join(', ')}
+            WHERE goalID = ? AND providerID = ? AND status = 'active'
+        `;
+        const [result] = await pool.execute(query, params);
+        return result.affectedRows > 0;
+    }
+
+    // Store freshly computed progress
+    static async updateProgress(goalID, currentValue) {
+        const query = `
+            UPDATE ProviderGoal
+            SET currentValue = ?
+            WHERE goalID = ?
+        `;
+        await pool.execute(query, [currentValue, goalID]);
+    }
+
+    // Record that a milestone was notified - false when it (or a later one) already was
+    static async markMilestoneNotified(goalID, milestone) {
+        const query = `
+            UPDATE ProviderGoal
+            SET notifiedMilestone = ?
+            WHERE goalID = ? AND notifiedMilestone < ?
+        `;
+        const [result] = await pool.execute(query, [milestone, goalID, milestone]);
+        return result.affectedRows > 0;
+    }
+
+    // Move an active goal to completed or cancelled - false when it was no longer active
+    static async close(goalID, status) {
+        const query = `
+            UPDATE ProviderGoal
+            SET status = ?, closedAt = NOW()
+            WHERE goalID = ? AND status = 'active'
+        `;
+        const [result] = await pool.execute(query, [status, goalID]);
+        return result.affectedRows > 0;
+    }
+
+    // Delete a goal (provider's own goals only)
+    static async delete(goalID, providerID) {
+        const query = 'DELETE FROM ProviderGoal WHERE goalID = ? AND providerID = ?';
+        const [result] = await pool.execute(query, [goalID, providerID]);
+        return result.affectedRows > 0;
+    }
+}
+
+ProviderGoal.GOAL_TYPES = GOAL_TYPES;
+ProviderGoal.GOAL_STATUS = GOAL_STATUS;
+ProviderGoal.GOAL_MILESTONES = GOAL_MILESTONES;
+
+module.exports = ProviderGoal;
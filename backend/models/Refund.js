@@ -0,0 +1,99 @@
+const pool = require('../config/database');
+
+// Refund statuses
+const REFUND_STATUS = {
+    COMPLETED: 'Completed',
+    FAILED: 'Failed'
+};
+
+class Refund {
+    // Record a refund the gateway accepted and reduce the payment in one transaction
+    // The payment becomes 'Refunded' once the whole amount has been returned
+    // Returns the new refundID, or null when the payment cannot take this refund any more
+    static async recordCompleted(refundData) {
+        const { paymentID, complaintID, issuedBy, amount, reason, gatewayRefundID } = refundData;
+        const connection = await pool.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            // MySQL applies SET assignments left to right, so the status check sees the new refundedAmount
+            const [paymentResult] = await connection.execute(`
+                UPDATE Payment
+                SET refundedAmount = refundedAmount + ?,
+                    status = CASE WHEN refundedAmount >= amount THEN 'Refunded' ELSE status END
+                WHERE paymentID = ? AND status = 'Completed' AND refundedAmount + ? <= amount
+            `, [amount, paymentID, amount]);
+
+            if (paymentResult.affectedRows === 0) {
+                await connection.rollback();
+                return null;
+            }
+
+            const [result] = await connection.execute(`
+                INSERT INTO Refund (paymentID, complaintID, issuedBy, amount, reason, status, gatewayRefundID)
+                VALUES (?, ?, ?, ?, ?, 'Completed', ?)
+            `, [paymentID, complaintID || null, issuedBy, amount, reason, gatewayRefundID]);
+
+            await connection.commit();
+            return result.insertId;
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    // Record a refund the gateway declined (audit only - the payment is unchanged)
+    static async recordFailed(refundData) {
+        const { paymentID, complaintID, issuedBy, amount, reason, failureReason } = refundData;
+        const query = `
+            INSERT INTO Refund (paymentID, complaintID, issuedBy, amount, reason, status, failureReason)
+            VALUES (?, ?, ?, ?, ?, 'Failed', ?)
+        `;
+        const [result] = await pool.execute(query, [
+            paymentID,
+            complaintID || null,
+            issuedBy,
+            amount,
+            reason,
+            failureReason
+        ]);
+        return result.insertId;
+    }
+
+    // Get refund by ID
+    static async findById(refundID) {
+        const query = `
+            SELECT
+                r.*,
+                u.name as issuedByName,
+                u.role as issuedByRole
+            FROM Refund r
+            LEFT JOIN USER u ON r.issuedBy = u.userID
+            WHERE r.refundID = ?
+        `;
+        const [rows] = await pool.execute(query, [refundID]);
+        return rows[0];
+    }
+
+    // Get all refunds for a payment, newest first
+    static async getByPayment(paymentID) {
+        const query = `
+            SELECT
+                r.*,
+                u.name as issuedByName,
+                u.role as issuedByRole
+            FROM Refund r
+            LEFT JOIN USER u ON r.issuedBy = u.userID
+            WHERE r.paymentID = ?
+            ORDER BY r.createdAt DESC, r.refundID DESC
+        `;
+        const [rows] = await pool.execute(query, [paymentID]);
+        return rows;
+    }
+}
+
+Refund.REFUND_STATUS = REFUND_STATUS;
+
+module.exports = Refund;
@@ -0,0 +1,67 @@
+const pool = require('../config/database');
+
+// Delivery methods and statuses
+const DELIVERY_METHODS = {
+    ATTACHMENT: 'attachment',
+    LINK: 'link'
+};
+
+const DELIVERY_STATUS = {
+    PENDING: 'pending',
+    SENT: 'sent',
+    FAILED: 'failed'
+};
+
+class ReportDelivery {
+    // Record a delivery about to be attempted - returns the new deliveryID
+    static async create(deliveryData) {
+        const { reportID, scheduleID, recipient, method, transport, linkExpiresAt } = deliveryData;
+        const query = `
+            INSERT INTO ReportDelivery (reportID, scheduleID, recipient, method, status, transport, linkExpiresAt)
+            VALUES (?, ?, ?, ?, 'pending', ?, ?)
+        `;
+        const [result] = await pool.execute(query, [
+            reportID,
+            scheduleID || null,
+            recipient,
+            method,
+            transport || null,
+            linkExpiresAt || null
+        ]);
+        return result.insertId;
+    }
+
+    static async markSent(deliveryID, messageID) {
+        const query = `
+            UPDATE ReportDelivery
+            SET status = 'sent', messageID = ?, error = NULL, sentAt = NOW()
+            WHERE deliveryID = ?
+        `;
+        await pool.execute(query, [messageID || null, deliveryID]);
+    }
+
+    static async markFailed(deliveryID, errorMessage) {
+        const query = `
+            UPDATE ReportDelivery
+            SET status = 'failed', error = ?
+            WHERE deliveryID = ?
+        `;
+        await pool.execute(query, [String(errorMessage).slice(0, 500), deliveryID]);
+    }
+
+    // All deliveries of a report, newest first
+    static async getByReport(reportID) {
+        const query = `
+            SELECT * FROM ReportDelivery
+            WHERE reportID = ?
+            ORDER BY createdAt DESC, deliveryID DESC
+        `;
+        const [rows] = await pool.execute(query, [reportID]);
+        return rows;
+    }
+}
+
+ReportDelivery.DELIVERY_METHODS = DELIVERY_METHODS;
+ReportDelivery.DELIVERY_STATUS = DELIVERY_STATUS;
+
+module.exports = ReportDelivery;
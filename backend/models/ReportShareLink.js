@@ -0,0 +1,116 @@
+const pool = require('../config/database');
+
+// Where a link came from (matches the ReportShareLink.source ENUM)
+const LINK_SOURCES = {
+    SHARE: 'share',
+    EMAIL: 'email'
+};
+
+// Result of one attempt to open a link (matches the ReportLinkAccess.outcome ENUM)
+const ACCESS_OUTCOMES = {
+    DOWNLOADED: 'downloaded',
+    EXPIRED: 'expired',
+    REVOKED: 'revoked',
+    USED: 'used',
+    UNAVAILABLE: 'unavailable'
+};
+
+class ReportShareLink {
+    // Record a new link - returns the new linkID
+    static async create(linkData) {
+        const { reportID, createdBy, source, label, singleUse, expiresAt } = linkData;
+        const query = `
+            INSERT INTO ReportShareLink (reportID, createdBy, source, label, singleUse, expiresAt)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `;
+        const [result] = await pool.execute(query, [
+            reportID,
+            createdBy || null,
+            source || LINK_SOURCES.SHARE,
+            label || null,
+            Boolean(singleUse),
+            expiresAt
+        ]);
+        return result.insertId;
+    }
+
+    // Get link by ID
+    static async findById(linkID) {
+        const [rows] = await pool.execute('SELECT * FROM ReportShareLink WHERE linkID = ?', [linkID]);
+        return rows[0];
+    }
+
+    // All links of a report with their access counts, newest first
+    static async getByReport(reportID) {
+        const query = `
+            SELECT
+                l.*,
+                COUNT(a.accessID) as accessCount
+            FROM ReportShareLink l
+            LEFT JOIN ReportLinkAccess a ON a.linkID = l.linkID
+            WHERE l.reportID = ?
+            GROUP BY l.linkID
+            ORDER BY l.createdAt DESC, l.linkID DESC
+        `;
+        const [rows] = await pool.execute(query, [reportID]);
+        return rows;
+    }
+
+    // Revoke a link of the report - false when it is missing or already revoked
+    static async revoke(linkID, reportID) {
+        const query = `
+            UPDATE ReportShareLink
+            SET revokedAt = NOW()
+            WHERE linkID = ? AND reportID = ? AND revokedAt IS NULL
+        `;
+        const [result] = await pool.execute(query, [linkID, reportID]);
+        return result.affectedRows > 0;
+    }
+
+    // Count a download - false when the link was revoked, expired or its single use taken meanwhile
+    static async claimUse(linkID) {
+        const query = `
+            UPDATE ReportShareLink
+            SET useCount = useCount + 1, lastAccessedAt = NOW()
+            WHERE linkID = ?
+                AND revokedAt IS NULL
+                AND expiresAt > NOW()
+                AND (singleUse = FALSE OR useCount = 0)
+        `;
+        const [result] = await pool.execute(query, [linkID]);
+        return result.affectedRows > 0;
+    }
+
+    static async logAccess(linkID, accessData) {
+        const { outcome, ipAddress, userAgent } = accessData;
+        const query = `
+            INSERT INTO ReportLinkAccess (linkID, outcome, ipAddress, userAgent)
+            VALUES (?, ?, ?, ?)
+        `;
+        await pool.execute(query, [
+            linkID,
+            outcome,
+            ipAddress ? String(ipAddress).slice(0, 45) : null,
+            userAgent ? String(userAgent).slice(0, 255) : null
+        ]);
+    }
+
+    // Access log of every link of a report, newest first
+    static async getAccessesByReport(reportID, limit = 200) {
+        const query = `
+            SELECT a.*
+            FROM ReportLinkAccess a
+            JOIN ReportShareLink l ON l.linkID = a.linkID
+            WHERE l.reportID = ?
+            ORDER BY a.accessedAt DESC, a.accessID DESC
+            LIMIT ${parseInt(limit, 10) || 200}
+        `;
+        const [rows] = await pool.execute(query, [reportID]);
+        return rows;
+    }
+}
+
+ReportShareLink.LINK_SOURCES = LINK_SOURCES;
+ReportShareLink.ACCESS_OUTCOMES = ACCESS_OUTCOMES;
+
+module.exports = ReportShareLink;
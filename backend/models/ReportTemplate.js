@@ -0,0 +1,103 @@
+const pool = require('../config/database');
+
+// JSON columns come back parsed from MySQL but as strings from MariaDB
+const parseJson = (value, fallback) => {
+    if (value === null || value === undefined) return fallback;
+    if (typeof value !== 'string') return value;
+    try {
+        return JSON.parse(value);
+    } catch {
+        return fallback;
+    }
+};
+
+const toTemplate = (row) => row && {
+    ...row,
+    metrics: parseJson(row.metrics, []),
+    filters: parseJson(row.filters, {})
+};
+
+class ReportTemplate {
+    // Save a provider's custom report selection - returns the new templateID
+    static async create(templateData) {
+        const { providerID, name, description, metrics, filters, period } = templateData;
+        const query = `
+            INSERT INTO ReportTemplate (providerID, name, description, metrics, filters, period)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `;
+        const [result] = await pool.execute(query, [
+            providerID,
+            name,
+            description || null,
+            JSON.stringify(metrics),
+            JSON.stringify(filters || {}),
+            period || null
+        ]);
+        return result.insertId;
+    }
+
+    // Get template by ID
+    static async findById(templateID) {
+        const [rows] = await pool.execute('SELECT * FROM ReportTemplate WHERE templateID = ?', [templateID]);
+        return toTemplate(rows[0]);
+    }
+
+    // Get all templates of a provider by name
+    static async getByProvider(providerID) {
+        const query = 'SELECT * FROM ReportTemplate WHERE providerID = ? ORDER BY name ASC';
+        const [rows] = await pool.execute(query, [providerID]);
+        return rows.map(toTemplate);
+    }
+
+    // Update a template (provider's own templates only)
+    static async update(templateID, providerID, updateData) {
+        const { name, description, metrics, filters, period } = updateData;
+
+        const updates = [];
+        const params = [];
+
+        if (name !== undefined) {
+            updates.push('name = ?');
+            params.push(name);
+        }
+        if (description !== undefined) {
+            updates.push('description = ?');
+            params.push(description || null);
+        }
+        if (metrics !== undefined) {
+            updates.push('metrics = ?');
+            params.push(JSON.stringify(metrics));
+        }
+        if (filters !== undefined) {
+            updates.push('filters = ?');
+            params.push(JSON.stringify(filters || {}));
+        }
+        if (period !== undefined) {
+            updates.push('period = ?');
+            params.push(period || null);
+        }
+
+        if (updates.length === 0) {
+            return true;
+        }
+
+        params.push(templateID, providerID);
+
+        const query = `
+            UPDATE ReportTemplate
+            SET ${updates.join(', ')}
+            WHERE templateID = ? AND providerID = ?
+        `;
+        const [result] = await pool.execute(query, params);
+        return result.affectedRows > 0;
+    }
+
+    // Delete a template (provider's own templates only)
+    static async delete(templateID, providerID) {
+        const query = 'DELETE FROM ReportTemplate WHERE templateID = ? AND providerID = ?';
+        const [result] = await pool.execute(query, [templateID, providerID]);
+        return result.affectedRows > 0;
+    }
+}
+
+module.exports = ReportTemplate;
@@ -0,0 +1,76 @@
+const pool = require('../config/database');
+
+// JSON columns come back parsed from MySQL but as strings from MariaDB
+const parseJson = (value, fallback) => {
+    if (value === null || value === undefined) return fallback;
+    if (typeof value !== 'string') return value;
+    try {
+        return JSON.parse(value);
+    } catch {
+        return fallback;
+    }
+};
+
+const toMatch = (row) => ({
+    ...row,
+    score: parseFloat(row.score),
+    scoreBreakdown: parseJson(row.scoreBreakdown, {}),
+    distanceMiles: row.distanceMiles === null ? null : parseFloat(row.distanceMiles),
+    invited: Boolean(row.invited)
+});
+
+class RequestMatch {
+    // Replace a request's shortlist - matches are { providerID, score, scoreBreakdown, distanceMiles, invited } in rank order
+    static async saveShortlist(requestID, matches) {
+        const connection = await pool.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            await connection.execute('DELETE FROM RequestMatch WHERE requestID = ?', [requestID]);
+
+            if (matches.length > 0) {
+                const placeholders = matches.map(() => '(?, ?, ?, ?, ?, ?, ?)').join(', ');
+                const params = [];
+                matches.forEach((match, index) => {
+                    params.push(
+                        requestID,
+                        match.providerID,
+                        index + 1,
+                        match.score,
+                        JSON.stringify(match.scoreBreakdown || {}),
+                        match.distanceMiles === undefined ? null : match.distanceMiles,
+                        match.invited ? true : false
+                    );
+                });
+
+                await connection.execute(`
+                    INSERT INTO RequestMatch (requestID, providerID, matchRank, score, scoreBreakdown, distanceMiles, invited)
+                    VALUES ${placeholders}
+                `, params);
+            }
+
+            await connection.commit();
+            return matches.length;
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    // A request's shortlist, best match first, with the providers' names
+    static async getByRequest(requestID) {
+        const query = `
+            SELECT rm.*, u.name as providerName, u.city as providerCity
+            FROM RequestMatch rm
+            JOIN USER u ON rm.providerID = u.userID
+            WHERE rm.requestID = ?
+            ORDER BY rm.matchRank ASC
+        `;
+        const [rows] = await pool.execute(query, [requestID]);
+        return rows.map(toMatch);
+    }
+}
+
+module.exports = RequestMatch;
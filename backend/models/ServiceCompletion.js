@@ -0,0 +1,141 @@
+const pool = require('../config/database');
+const Payment = require('./Payment');
+const JobHistory = require('./JobHistory');
+
+const { JOB_ACTIONS } = JobHistory;
+
+class ServiceCompletion {
+    // Get the completion record for a service request
+    static async findByRequest(requestID) {
+        const query = `
+            SELECT * FROM ServiceCompletion
+            WHERE requestID = ?
+            ORDER BY completionID DESC
+            LIMIT 1
+        `;
+        const [rows] = await pool.execute(query, [requestID]);
+        return rows[0];
+    }
+
+    // Provider marks the job as done (creates the completion record if needed), setting the final price
+    // when one is given - both in one transaction. The request stays 'In Progress' until the customer confirms
+    // Resolves null when the request is not this provider's job in progress or was already marked complete
+    static async recordProviderConfirmation(requestID, providerID, comment = null, finalPrice = null) {
+        const connection = await pool.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            // Lock the request so its status cannot change underneath the confirmation
+            const [requests] = await connection.execute(`
+                SELECT requestID FROM ServiceRequest
+                WHERE requestID = ? AND providerID = ? AND status = 'In Progress'
+                FOR UPDATE
+            `, [requestID, providerID]);
+
+            if (requests.length === 0) {
+                await connection.rollback();
+                return null;
+            }
+
+            if (finalPrice !== null) {
+                await connection.execute(
+                    'UPDATE ServiceRequest SET finalPrice = ? WHERE requestID = ?',
+                    [finalPrice, requestID]
+                );
+            }
+
+            const [existing] = await connection.execute(
+                'SELECT completionID, providerConfirmation FROM ServiceCompletion WHERE requestID = ? ORDER BY completionID DESC LIMIT 1',
+                [requestID]
+            );
+
+            if (existing[0] && existing[0].providerConfirmation) {
+                await connection.rollback();
+                return null;
+            }
+
+            if (existing[0]) {
+                await connection.execute(`
+                    UPDATE ServiceCompletion
+                    SET providerConfirmation = TRUE, comment = COALESCE(?, comment)
+                    WHERE completionID = ?
+                `, [comment, existing[0].completionID]);
+            } else {
+                await connection.execute(`
+                    INSERT INTO ServiceCompletion (requestID, providerConfirmation, customerConfirmation, comment)
+                    VALUES (?, TRUE, FALSE, ?)
+                `, [requestID, comment]);
+            }
+
+            await JobHistory.record({
+                requestID,
+                action: JOB_ACTIONS.COMPLETED,
+                previousStatus: 'In Progress',
+                status: 'In Progress',
+                changedBy: providerID,
+                notes: comment
+            }, connection);
+
+            await connection.commit();
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+
+        return await this.findByRequest(requestID);
+    }
+
+    // Customer confirms the provider's completion - closes the request and opens its payment in one transaction
+    static async recordCustomerConfirmation(requestID, customerID) {
+        const connection = await pool.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            const [completionResult] = await connection.execute(`
+                UPDATE ServiceCompletion
+                SET customerConfirmation = TRUE, completionDate = CURDATE()
+                WHERE requestID = ? AND providerConfirmation = TRUE AND customerConfirmation = FALSE
+            `, [requestID]);
+
+            const [requestResult] = await connection.execute(`
+                UPDATE ServiceRequest
+                SET status = 'Completed', completionConfirmed = TRUE
+                WHERE requestID = ? AND customerID = ? AND status = 'In Progress'
+            `, [requestID, customerID]);
+
+            if (completionResult.affectedRows === 0 || requestResult.affectedRows === 0) {
+                await connection.rollback();
+                return false;
+            }
+
+            // Raise the pending payment for the price the provider quoted on completion
+            const [priceRows] = await connection.execute(
+                'SELECT finalPrice FROM ServiceRequest WHERE requestID = ?',
+                [requestID]
+            );
+            if (priceRows[0] && priceRows[0].finalPrice !== null) {
+                await Payment.create({ requestID, amount: priceRows[0].finalPrice }, connection);
+            }
+
+            await JobHistory.record({
+                requestID,
+                action: JOB_ACTIONS.CONFIRMED,
+                previousStatus: 'In Progress',
+                status: 'Completed',
+                changedBy: customerID
+            }, connection);
+
+            await connection.commit();
+            return true;
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+}
+
+module.exports = ServiceCompletion;
@@ -1,15 +1,116 @@
 const pool = require('../config/database');
+const Booking = require('./Booking');
+const Availability = require('./Availability');
+const JobHistory = require('./JobHistory');
+
+const { JOB_ACTIONS } = JobHistory;
+
+// Service request lifecycle statuses
+const REQUEST_STATUS = {
+    PENDING: 'Pending',
+    ACCEPTED: 'Accepted',
+    IN_PROGRESS: 'In Progress',
+    COMPLETED: 'Completed',
+    REJECTED: 'Rejected',
+    CANCELLED: 'Cancelled'
+};
+
+// Allowed status changes: current status -> statuses it may move to
+const STATUS_TRANSITIONS = {
+    [REQUEST_STATUS.PENDING]: [REQUEST_STATUS.ACCEPTED, REQUEST_STATUS.REJECTED, REQUEST_STATUS.CANCELLED],
+    [REQUEST_STATUS.ACCEPTED]: [REQUEST_STATUS.IN_PROGRESS, REQUEST_STATUS.CANCELLED],
+    [REQUEST_STATUS.IN_PROGRESS]: [REQUEST_STATUS.COMPLETED],
+    [REQUEST_STATUS.COMPLETED]: [],
+    [REQUEST_STATUS.REJECTED]: [],
+    [REQUEST_STATUS.CANCELLED]: []
+};
+
+// Location columns, set on create and changed through update
+const ADDRESS_FIELDS = ['street', 'city', 'postalCode', 'latitude', 'longitude'];
+
+const EARTH_RADIUS_MILES = 3958.8;
+const MILES_PER_DEGREE_LATITUDE = 69.05;
+
+// Great-circle distance from a point (latitude, latitude, longitude params) to the request's location
+const HAVERSINE_MILES = `
+    ${EARTH_RADIUS_MILES} * 2 * ASIN(SQRT(
+        POW(SIN(RADIANS(sr.latitude - ?) / 2), 2) +
+        COS(RADIANS(?)) * COS(RADIANS(sr.latitude)) * POW(SIN(RADIANS(sr.longitude - ?) / 2), 2)
+    ))`;
+
+// Latitude/longitude box that contains the circle around a point
+// Degrees of longitude shrink towards the poles, so near them the box spans every longitude
+const boundingBox = ({ latitude, longitude, radiusMiles }) => {
+    const latitudeDelta = radiusMiles / MILES_PER_DEGREE_LATITUDE;
+    const cosLatitude = Math.cos((latitude * Math.PI) / 180);
+    const longitudeDelta = cosLatitude > 0.01
+        ? Math.min(radiusMiles / (MILES_PER_DEGREE_LATITUDE * cosLatitude), 180)
+        : 180;
+
+    return {
+        minLatitude: latitude - latitudeDelta,
+        maxLatitude: latitude + latitudeDelta,
+        minLongitude: longitude - longitudeDelta,
+        maxLongitude: longitude + longitudeDelta
+    };
+};
+
+// Run a status change and its JobHistory row in one transaction
+// `change` runs the UPDATE on the connection and resolves true when it applied
+const changeWithHistory = async (history, change) => {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const applied = await change(connection);
+        if (!applied) {
+            await connection.rollback();
+            return false;
+        }
+
+        await JobHistory.record(history, connection);
+
+        await connection.commit();
+        return true;
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+};
 
 class ServiceRequest {
-    // Create a new service request
+    // Check whether a request may move from one status to another
+    static canTransition(fromStatus, toStatus) {
+        const allowed = STATUS_TRANSITIONS[fromStatus] || [];
+        return allowed.includes(toStatus);
+    }
+
+    // Create a new service request and open its history
     static async create(requestData) {
-        const { customerID, category, description, serviceDate } = requestData;
-        const query = `
-            INSERT INTO ServiceRequest (customerID, category, description, serviceDate, status, priorityLevel)
-            VALUES (?, ?, ?, ?, 'Pending', 'Normal')
-        `;
-        const [result] = await pool.execute(query, [customerID, category, description, serviceDate || null]);
-        return result.insertId;
+        const { customerID, category, description, serviceDate, street, city, postalCode, latitude, longitude } = requestData;
+        const history = { action: JOB_ACTIONS.CREATED, status: REQUEST_STATUS.PENDING, changedBy: customerID };
+
+        await changeWithHistory(history, async (connection) => {
+            const query = `
+                INSERT INTO ServiceRequest (
+                    customerID, category, description, serviceDate, status, priorityLevel,
+                    street, city, postalCode, latitude, longitude
+                )
+                VALUES (?, ?, ?, ?, 'Pending', 'Normal', ?, ?, ?, ?, ?)
+            `;
+            const [result] = await connection.execute(query, [
+                customerID, category, description, serviceDate || null,
+                street || null, city || null, postalCode || null,
+                latitude === undefined ? null : latitude,
+                longitude === undefined ? null : longitude
+            ]);
+            history.requestID = result.insertId;
+            return true;
+        });
+
+        return history.requestID;
     }
 
     // Get service request by ID
@@ -22,10 +123,17 @@ class ServiceRequest {
                 c.phone as customerPhone,
                 p.name as providerName,
                 p.email as providerEmail,
-                p.phone as providerPhone
+                p.phone as providerPhone,
+                sc.providerConfirmation,
+                sc.customerConfirmation,
+                sc.completionDate,
+                (SELECT pay.status FROM Payment pay
+                    WHERE pay.requestID = sr.requestID
+                    ORDER BY pay.paymentID DESC LIMIT 1) as paymentStatus
             FROM ServiceRequest sr
             LEFT JOIN USER c ON sr.customerID = c.userID
             LEFT JOIN USER p ON sr.providerID = p.userID
+            LEFT JOIN ServiceCompletion sc ON sr.requestID = sc.requestID
             WHERE sr.requestID = ?
         `;
         const [rows] = await pool.execute(query, [requestID]);
@@ -38,9 +146,15 @@ class ServiceRequest {
             SELECT 
                 sr.*,
                 p.name as providerName,
-                p.email as providerEmail
+                p.email as providerEmail,
+                sc.providerConfirmation,
+                sc.customerConfirmation,
+                (SELECT pay.status FROM Payment pay
+                    WHERE pay.requestID = sr.requestID
+                    ORDER BY pay.paymentID DESC LIMIT 1) as paymentStatus
             FROM ServiceRequest sr
             LEFT JOIN USER p ON sr.providerID = p.userID
+            LEFT JOIN ServiceCompletion sc ON sr.requestID = sc.requestID
             WHERE sr.customerID = ?
         `;
         const params = [customerID];
@@ -63,9 +177,15 @@ class ServiceRequest {
                 sr.*,
                 c.name as customerName,
                 c.email as customerEmail,
-                c.phone as customerPhone
+                c.phone as customerPhone,
+                sc.providerConfirmation,
+                sc.customerConfirmation,
+                (SELECT pay.status FROM Payment pay
+                    WHERE pay.requestID = sr.requestID
+                    ORDER BY pay.paymentID DESC LIMIT 1) as paymentStatus
             FROM ServiceRequest sr
             LEFT JOIN USER c ON sr.customerID = c.userID
+            LEFT JOIN ServiceCompletion sc ON sr.requestID = sc.requestID
             WHERE sr.providerID = ?
         `;
         const params = [providerID];
@@ -82,37 +202,64 @@ class ServiceRequest {
     }
 
     // Get all pending service requests (for providers to see available requests)
-    static async getPendingRequests(category = null) {
+    // With an `area` { latitude, longitude, radiusMiles } only requests within the radius are returned, nearest first,
+    // each with its distanceMiles - requests without coordinates cannot be placed and are left out
+    static async getPendingRequests(category = null, area = null) {
+        const params = [];
+        let distanceColumn = '';
+
+        if (area) {
+            distanceColumn = `, ${HAVERSINE_MILES} as distanceMiles`;
+            params.push(area.latitude, area.latitude, area.longitude);
+        }
+
         let query = `
             SELECT 
                 sr.*,
                 c.name as customerName,
                 c.email as customerEmail,
-                c.phone as customerPhone
+                c.phone as customerPhone${distanceColumn}
             FROM ServiceRequest sr
             LEFT JOIN USER c ON sr.customerID = c.userID
             WHERE sr.status = 'Pending' AND sr.providerID IS NULL
         `;
-        const params = [];
         
         if (category) {
             query += ' AND sr.category = ?';
             params.push(category);
         }
-        
-        query += ' ORDER BY sr.createdAt DESC';
+
+        if (area) {
+            // Cheap indexed prefilter on the box around the circle, then the exact distance cut
+            const box = boundingBox(area);
+            query += ' AND sr.latitude BETWEEN ? AND ? AND sr.longitude BETWEEN ? AND ?';
+            params.push(box.minLatitude, box.maxLatitude, box.minLongitude, box.maxLongitude);
+            query += ' HAVING distanceMiles <= ? ORDER BY distanceMiles ASC, sr.createdAt DESC';
+            params.push(area.radiusMiles);
+        } else {
+            query += ' ORDER BY sr.createdAt DESC';
+        }
         
         const [rows] = await pool.execute(query, params);
-        return rows;
+        return area
+            ? rows.map(row => ({ ...row, distanceMiles: parseFloat(parseFloat(row.distanceMiles).toFixed(1)) }))
+            : rows;
     }
 
-    // Update service request
+    // Update service request details (status only changes through the lifecycle methods below)
     static async update(requestID, customerID, updateData) {
-        const { category, description, serviceDate, status, priorityLevel } = updateData;
+        const { category, description, serviceDate, priorityLevel } = updateData;
         
         // Build dynamic update query
         const updates = [];
         const params = [];
+
+        ADDRESS_FIELDS.forEach(field => {
+            if (updateData[field] !== undefined) {
+                updates.push(`${field} = ?`);
+                params.push(updateData[field]);
+            }
+        });
         
         if (category !== undefined) {
             updates.push('category = ?');
@@ -126,10 +273,6 @@ class ServiceRequest {
             updates.push('serviceDate = ?');
             params.push(serviceDate);
         }
-        if (status !== undefined) {
-            updates.push('status = ?');
-            params.push(status);
-        }
         if (priorityLevel !== undefined) {
             updates.push('priorityLevel = ?');
             params.push(priorityLevel);
@@ -179,28 +322,114 @@ class ServiceRequest {
         return rows;
     }
 
-    // Accept service request (Provider only)
-    static async acceptRequest(requestID, providerID) {
-        const query = `
-            UPDATE ServiceRequest 
-            SET providerID = ?, status = 'Accepted'
-            WHERE requestID = ? AND status = 'Pending' AND providerID IS NULL
-        `;
-        const [result] = await pool.execute(query, [providerID, requestID]);
-        return result.affectedRows > 0;
+    // Accept service request (Provider only) and book the slot in the same transaction
+    static async acceptRequest(requestID, providerID, schedule) {
+        const history = {
+            requestID,
+            action: JOB_ACTIONS.ACCEPTED,
+            previousStatus: REQUEST_STATUS.PENDING,
+            status: REQUEST_STATUS.ACCEPTED,
+            changedBy: providerID
+        };
+
+        return changeWithHistory(history, async (connection) => {
+            const query = `
+                UPDATE ServiceRequest 
+                SET providerID = ?, status = 'Accepted'
+                WHERE requestID = ? AND status = 'Pending' AND providerID IS NULL
+            `;
+            const [result] = await connection.execute(query, [providerID, requestID]);
+
+            if (result.affectedRows === 0) {
+                return false;
+            }
+
+            // Throws a ConflictError (rolling the accept back) when the slot was taken meanwhile
+            await Availability.reserveSlot({
+                requestID,
+                providerID,
+                scheduledDate: schedule.scheduledDate,
+                scheduledTime: schedule.scheduledTime,
+                manualBooking: false
+            }, connection);
+
+            return true;
+        });
     }
 
     // Reject service request (Provider only) - just update status, don't assign provider
-    static async rejectRequest(requestID) {
-        const query = `
-            UPDATE ServiceRequest 
-            SET status = 'Rejected'
-            WHERE requestID = ? AND status = 'Pending'
-        `;
-        const [result] = await pool.execute(query, [requestID]);
-        return result.affectedRows > 0;
+    static async rejectRequest(requestID, providerID) {
+        const history = {
+            requestID,
+            action: JOB_ACTIONS.REJECTED,
+            previousStatus: REQUEST_STATUS.PENDING,
+            status: REQUEST_STATUS.REJECTED,
+            changedBy: providerID
+        };
+
+        return changeWithHistory(history, async (connection) => {
+            const query = `
+                UPDATE ServiceRequest 
+                SET status = 'Rejected'
+                WHERE requestID = ? AND status = 'Pending'
+            `;
+            const [result] = await connection.execute(query, [requestID]);
+            return result.affectedRows > 0;
+        });
+    }
+
+    // Start work on an accepted request (assigned provider only)
+    static async startRequest(requestID, providerID) {
+        const history = {
+            requestID,
+            action: JOB_ACTIONS.STARTED,
+            previousStatus: REQUEST_STATUS.ACCEPTED,
+            status: REQUEST_STATUS.IN_PROGRESS,
+            changedBy: providerID
+        };
+
+        return changeWithHistory(history, async (connection) => {
+            const query = `
+                UPDATE ServiceRequest 
+                SET status = 'In Progress'
+                WHERE requestID = ? AND providerID = ? AND status = 'Accepted'
+            `;
+            const [result] = await connection.execute(query, [requestID, providerID]);
+            return result.affectedRows > 0;
+        });
+    }
+
+    // Cancel a pending or accepted request (customer or assigned provider) and free its booking
+    static async cancelRequest(requestID, userID, previousStatus, cancellationReason) {
+        const history = {
+            requestID,
+            action: JOB_ACTIONS.CANCELLED,
+            previousStatus,
+            status: REQUEST_STATUS.CANCELLED,
+            changedBy: userID,
+            notes: cancellationReason
+        };
+
+        return changeWithHistory(history, async (connection) => {
+            const query = `
+                UPDATE ServiceRequest 
+                SET status = 'Cancelled', cancellationReason = ?
+                WHERE requestID = ? AND status = ?
+            `;
+            const [result] = await connection.execute(query, [cancellationReason, requestID, previousStatus]);
+
+            if (result.affectedRows === 0) {
+                return false;
+            }
+
+            await Booking.cancelByRequest(requestID, cancellationReason, connection);
+            return true;
+        });
     }
 }
 
+ServiceRequest.REQUEST_STATUS = REQUEST_STATUS;
+ServiceRequest.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
 module.exports = ServiceRequest;
 
@@ -1,14 +1,22 @@
 const pool = require('../config/database');
 
+// Columns a user may change on their own profile
+const PROFILE_FIELDS = ['name', 'phone', 'street', 'city', 'postalCode', 'latitude', 'longitude', 'serviceRadiusMiles'];
+
 class User {
     // Create a new user (register)
     static async create(userData) {
-        const { name, email, password, phone, role } = userData;
+        const { name, email, password, phone, role, street, city, postalCode, latitude, longitude } = userData;
         const query = `
-            INSERT INTO USER (name, email, password, phone, role, verified)
-            VALUES (?, ?, ?, ?, ?, ?)
+            INSERT INTO USER (name, email, password, phone, role, verified, street, city, postalCode, latitude, longitude)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `;
-        const [result] = await pool.execute(query, [name, email, password, phone, role, false]);
+        const [result] = await pool.execute(query, [
+            name, email, password, phone, role, false,
+            street || null, city || null, postalCode || null,
+            latitude === undefined ? null : latitude,
+            longitude === undefined ? null : longitude
+        ]);
         return result.insertId;
     }
 
@@ -21,16 +29,31 @@ class User {
 
     // Find user by ID
     static async findById(userID) {
-        const query = 'SELECT userID, name, email, phone, role, verified, createdAt FROM USER WHERE userID = ?';
+        const query = `
+            SELECT userID, name, email, phone, role, verified, street, city, postalCode, latitude, longitude,
+                serviceRadiusMiles, createdAt
+            FROM USER WHERE userID = ?
+        `;
         const [rows] = await pool.execute(query, [userID]);
         return rows[0];
     }
 
-    // Update user profile
+    // Update user profile - only the fields present in updateData change
     static async updateProfile(userID, updateData) {
-        const { name, phone } = updateData;
-        const query = 'UPDATE USER SET name = ?, phone = ? WHERE userID = ?';
-        await pool.execute(query, [name, phone, userID]);
+        const updates = [];
+        const params = [];
+
+        PROFILE_FIELDS.forEach(field => {
+            if (updateData[field] !== undefined) {
+                updates.push(`${field} = ?`);
+                params.push(updateData[field]);
+            }
+        });
+
+        if (updates.length > 0) {
+            params.push(userID);
+            await pool.execute(`UPDATE USER SET ${updates.join(', ')} WHERE userID = ?`, params);
+        }
         return await this.findById(userID);
     }
 
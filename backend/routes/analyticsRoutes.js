@@ -7,9 +7,18 @@ const {
     getPerformanceMetrics,
     getCustomerAnalytics,
     getBenchmarks,
+    getBenchmarkHistory,
+    createBenchmarkSnapshot,
     getRealTimeMetrics,
     refreshAnalytics
 } = require('../controllers/analyticsController');
+const {
+    getMyAlerts,
+    getAlertHistory,
+    createAlert,
+    updateAlert,
+    deleteAlert
+} = require('../controllers/alertController');
 
 router.get('/dashboard/:providerID', authenticate, authorize('Provider', 'Admin'), getDashboard);
 
@@ -19,10 +28,26 @@ router.get('/performance/:providerID', authenticate, authorize('Provider', 'Admi
 
 router.get('/customers/:providerID', authenticate, authorize('Provider', 'Admin'), getCustomerAnalytics);
 
+// Benchmark snapshots over time (registered before /benchmarks/:providerID)
+router.get('/benchmarks/history', authenticate, authorize('Provider', 'Admin'), getBenchmarkHistory);
+
+router.post('/benchmarks/snapshot', authenticate, authorize('Admin'), createBenchmarkSnapshot);
+
 router.get('/benchmarks/:providerID', authenticate, authorize('Provider', 'Admin'), getBenchmarks);
 
 router.get('/realtime/:providerID', authenticate, authorize('Provider', 'Admin'), getRealTimeMetrics);
 
 router.post('/refresh/:providerID', authenticate, authorize('Provider', 'Admin'), refreshAnalytics);
 
+// Performance alert settings (Provider only, own alerts)
+router.get('/alerts', authenticate, authorize('Provider'), getMyAlerts);
+
+router.get('/alerts/history', authenticate, authorize('Provider'), getAlertHistory);
+
+router.post('/alerts', authenticate, authorize('Provider'), createAlert);
+
+router.put('/alerts/:alertID', authenticate, authorize('Provider'), updateAlert);
+
+router.delete('/alerts/:alertID', authenticate, authorize('Provider'), deleteAlert);
+
 module.exports = router;
\ No newline at end of file
@@ -10,6 +10,7 @@ router.post('/logout', authController.logout);
 
 // Protected routes
 router.get('/profile', authenticate, authController.getProfile);
+router.put('/profile', authenticate, authController.updateProfile);
 
 module.exports = router;
 
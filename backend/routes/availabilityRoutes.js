@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, authorize } = require('../middleware/authMiddleware');
+const {
+    getMyCalendar,
+    publishWeeklyAvailability,
+    updateSlot,
+    blockDay,
+    getFreeSlots
+} = require('../controllers/availabilityController');
+
+// Get own availability calendar with bookings (Provider only)
+router.get('/calendar', authenticate, authorize('Provider'), getMyCalendar);
+
+// Publish weekly recurring availability (Provider only)
+router.post('/weekly', authenticate, authorize('Provider'), publishWeeklyAvailability);
+
+// Set a single slot available or unavailable (Provider only)
+router.put('/slot', authenticate, authorize('Provider'), updateSlot);
+
+// Block out a whole day (Provider only)
+router.post('/block', authenticate, authorize('Provider'), blockDay);
+
+// Get free slots on a date (authenticated users)
+router.get('/free', authenticate, getFreeSlots);
+
+module.exports = router;
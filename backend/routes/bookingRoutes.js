@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, authorize } = require('../middleware/authMiddleware');
+const {
+    createManualBooking,
+    getUpcomingBookings,
+    getBookingById,
+    cancelBooking
+} = require('../controllers/bookingController');
+
+// Create a manual booking for an offline customer (Provider only)
+router.post('/manual', authenticate, authorize('Provider'), createManualBooking);
+
+// Get upcoming bookings by day or week (Customer or Provider) - MUST come before /:bookingID
+router.get('/upcoming', authenticate, authorize('Customer', 'Provider'), getUpcomingBookings);
+
+// Cancel a booking (Customer or Provider)
+router.put('/:bookingID/cancel', authenticate, authorize('Customer', 'Provider'), cancelBooking);
+
+// Get booking by ID (parameterized route - must be last)
+router.get('/:bookingID', authenticate, getBookingById);
+
+module.exports = router;
@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, authorize } = require('../middleware/authMiddleware');
+const {
+    getMyGoals,
+    getGoalById,
+    createGoal,
+    updateGoal,
+    cancelGoal,
+    deleteGoal
+} = require('../controllers/goalController');
+
+// All goal routes are for providers
+router.use(authenticate, authorize('Provider'));
+
+// List the current provider's goals (optional ?status=active|completed|cancelled)
+router.get('/', getMyGoals);
+
+// Create a goal
+router.post('/', createGoal);
+
+// Cancel an active goal
+router.post('/:goalID/cancel', cancelGoal);
+
+// Get a goal with its current progress
+router.get('/:goalID', getGoalById);
+
+// Update an active goal's target or dates
+router.put('/:goalID', updateGoal);
+
+// Delete a goal
+router.delete('/:goalID', deleteGoal);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, authorize } = require('../middleware/authMiddleware');
+const {
+    getMyReminders,
+    createReminder,
+    updateReminder,
+    deleteReminder
+} = require('../controllers/maintenanceReminderController');
+
+// All maintenance reminder routes are for customers
+router.use(authenticate, authorize('Customer'));
+
+// List the current customer's reminders
+router.get('/', getMyReminders);
+
+// Create a reminder
+router.post('/', createReminder);
+
+// Update a reminder (schedule, frequency or pause/resume)
+router.put('/:reminderID', updateReminder);
+
+// Delete a reminder
+router.delete('/:reminderID', deleteReminder);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, authorize } = require('../middleware/authMiddleware');
+const {
+    initiatePayment,
+    confirmPayment,
+    failPayment,
+    refundPayment,
+    getRefundsByPayment,
+    getPaymentsByRequest,
+    getPaymentById
+} = require('../controllers/paymentController');
+
+// Initiate payment for a completed service request (Customer only)
+router.post('/initiate', authenticate, authorize('Customer'), initiatePayment);
+
+// List payments for a service request - MUST come before /:paymentID
+router.get('/request/:requestID', authenticate, getPaymentsByRequest);
+
+// Confirm an initiated payment through the gateway (Customer only)
+router.post('/:paymentID/confirm', authenticate, authorize('Customer'), confirmPayment);
+
+// Mark a pending payment as failed (Customer or Provider)
+router.post('/:paymentID/fail', authenticate, authorize('Customer', 'Provider'), failPayment);
+
+// Refund all or part of a completed payment (Admin or Provider)
+router.post('/:paymentID/refund', authenticate, authorize('Admin', 'Provider'), refundPayment);
+
+// List refunds issued against a payment
+router.get('/:paymentID/refunds', authenticate, getRefundsByPayment);
+
+// Get payment by ID (parameterized route - must be last)
+router.get('/:paymentID', authenticate, getPaymentById);
+
+module.exports = router;
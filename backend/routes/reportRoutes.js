@@ -3,23 +3,67 @@ const router = express.Router();
 const { authenticate, authorize } = require('../middleware/authMiddleware');
 const {
     generateReport,
+    previewReport,
     getTemplates,
+    getCustomTemplates,
+    createCustomTemplate,
+    updateCustomTemplate,
+    deleteCustomTemplate,
     getReportHistory,
     downloadReport,
+    emailReport,
+    getReportDeliveries,
+    downloadLinkedReport,
+    createShareLink,
+    getShareLinks,
+    revokeShareLink,
+    pinReport,
+    deleteReport,
+    getStorageUsage,
     scheduleReport,
     cancelScheduledReport
 } = require('../controllers/reportController');
 
 router.post('/generate', authenticate, authorize('Provider', 'Admin'), generateReport);
 
+router.post('/preview', authenticate, authorize('Provider', 'Admin'), previewReport);
+
 router.get('/templates', authenticate, authorize('Provider', 'Admin'), getTemplates);
 
+// Saved custom report templates of the signed-in provider
+router.get('/custom-templates', authenticate, authorize('Provider'), getCustomTemplates);
+
+router.post('/custom-templates', authenticate, authorize('Provider'), createCustomTemplate);
+
+router.put('/custom-templates/:templateID', authenticate, authorize('Provider'), updateCustomTemplate);
+
+router.delete('/custom-templates/:templateID', authenticate, authorize('Provider'), deleteCustomTemplate);
+
 router.get('/history/:providerID', authenticate, authorize('Provider', 'Admin'), getReportHistory);
 
 router.get('/download/:reportID', authenticate, authorize('Provider', 'Admin'), downloadReport);
 
+router.post('/email/:reportID', authenticate, authorize('Provider', 'Admin'), emailReport);
+
+router.get('/deliveries/:reportID', authenticate, authorize('Provider', 'Admin'), getReportDeliveries);
+
+router.put('/pin/:reportID', authenticate, authorize('Provider', 'Admin'), pinReport);
+
+router.get('/storage/:providerID', authenticate, authorize('Provider', 'Admin'), getStorageUsage);
+
+router.post('/share/:reportID', authenticate, authorize('Provider', 'Admin'), createShareLink);
+
+router.get('/share/:reportID', authenticate, authorize('Provider', 'Admin'), getShareLinks);
+
+router.delete('/share/:reportID/:linkID', authenticate, authorize('Provider', 'Admin'), revokeShareLink);
+
+// Signed share links and links emailed with reports - the token is the credential
+router.get('/links/:token', downloadLinkedReport);
+
 router.post('/schedule', authenticate, authorize('Provider', 'Admin'), scheduleReport);
 
 router.delete('/schedule/:scheduleID', authenticate, authorize('Provider', 'Admin'), cancelScheduledReport);
 
+router.delete('/:reportID', authenticate, authorize('Provider', 'Admin'), deleteReport);
+
 module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middleware/authMiddleware');
+const { search } = require('../controllers/searchController');
+
+// Full-text search across service requests, bundles and providers (authenticated users)
+router.get('/', authenticate, search);
+
+module.exports = router;
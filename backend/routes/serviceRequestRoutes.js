@@ -10,7 +10,13 @@ const {
     deleteServiceRequest,
     getServiceRequestsByCategory,
     acceptServiceRequest,
-    rejectServiceRequest
+    rejectServiceRequest,
+    startServiceRequest,
+    completeServiceRequest,
+    confirmServiceCompletion,
+    cancelServiceRequest,
+    getServiceRequestHistory,
+    getServiceRequestMatches
 } = require('../controllers/serviceRequestController');
 
 // Create service request (Customer only)
@@ -28,6 +34,24 @@ router.post('/:requestID/accept', authenticate, authorize('Provider'), acceptSer
 // Reject service request (Provider only) - MUST come before /:requestID route
 router.post('/:requestID/reject', authenticate, authorize('Provider'), rejectServiceRequest);
 
+// Start work on an accepted request (assigned Provider only)
+router.post('/:requestID/start', authenticate, authorize('Provider'), startServiceRequest);
+
+// Mark request as complete (assigned Provider only)
+router.post('/:requestID/complete', authenticate, authorize('Provider'), completeServiceRequest);
+
+// Confirm the provider's completion (Customer only)
+router.post('/:requestID/confirm', authenticate, authorize('Customer'), confirmServiceCompletion);
+
+// Cancel a pending or accepted request (Customer or assigned Provider)
+router.post('/:requestID/cancel', authenticate, authorize('Customer', 'Provider'), cancelServiceRequest);
+
+// Get the status history timeline of a request - MUST come before /:requestID route
+router.get('/:requestID/history', authenticate, getServiceRequestHistory);
+
+// Get the ranked provider shortlist of a request (its Customer or Admin) - MUST come before /:requestID route
+router.get('/:requestID/matches', authenticate, authorize('Customer', 'Admin'), getServiceRequestMatches);
+
 // Get my service requests (Customer or Provider)
 router.get('/', authenticate, getMyServiceRequests);
 
@@ -16,6 +16,18 @@ const gamificationRoutes = require('./routes/gamificationRoutes');
 const reviewRoutes = require('./routes/reviewRoutes');
 const analyticsRoutes = require('./routes/analyticsRoutes');
 const reportRoutes = require('./routes/reportRoutes');
+const bookingRoutes = require('./routes/bookingRoutes');
+const availabilityRoutes = require('./routes/availabilityRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
+const maintenanceReminderRoutes = require('./routes/maintenanceReminderRoutes');
+const goalRoutes = require('./routes/goalRoutes');
+const searchRoutes = require('./routes/searchRoutes');
+const MaintenanceReminderService = require('./services/MaintenanceReminderService');
+const GoalTrackingService = require('./services/GoalTrackingService');
+const AlertMonitor = require('./services/AlertMonitor');
+const BenchmarkSnapshotService = require('./services/BenchmarkSnapshotService');
+const ScheduledReportRunner = require('./services/ScheduledReportRunner');
+const ReportRetentionService = require('./services/ReportRetentionService');
 
 // Load environment variables
 dotenv.config();
@@ -41,6 +53,12 @@ app.use('/api/gamification', gamificationRoutes);
 app.use('/api/reviews', reviewRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/reports', reportRoutes);
+app.use('/api/bookings', bookingRoutes);
+app.use('/api/availability', availabilityRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/maintenance-reminders', maintenanceReminderRoutes);
+app.use('/api/goals', goalRoutes);
+app.use('/api/search', searchRoutes);
 
 // Health check route
 app.get('/api/health', (req, res) => {
@@ -207,6 +225,15 @@ server.listen(PORT, () => {
     console.log(`Server is running on port ${PORT}`);
     console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
     console.log(`Socket.io server initialized`);
+
+    // Background jobs: maintenance reminders, goal progress checks, performance alerts, benchmark snapshots,
+    // scheduled reports and report cleanup
+    MaintenanceReminderService.startScheduler();
+    GoalTrackingService.startScheduler();
+    AlertMonitor.startScheduler();
+    BenchmarkSnapshotService.startScheduler();
+    ScheduledReportRunner.startScheduler();
+    ReportRetentionService.startScheduler();
 });
 
 // Make io available globally for controllers
@@ -0,0 +1,115 @@
+const { ValidationError } = require('../utils/errors');
+const { getGeocoder } = require('./Geocoder');
+const { Logger } = require('../utils/logger');
+
+const logger = new Logger('AddressService');
+
+// Address columns shared by USER and ServiceRequest
+const ADDRESS_FIELDS = ['street', 'city', 'postalCode', 'latitude', 'longitude'];
+
+const MAX_STREET_LENGTH = 255;
+const MAX_CITY_LENGTH = 100;
+
+// Letters, digits, spaces and hyphens - covers ZIP, ZIP+4 and most international formats
+const POSTAL_CODE_PATTERN = /^[A-Z0-9][A-Z0-9 -]{2,9}$/;
+
+const EMPTY_ADDRESS = { street: null, city: null, postalCode: null, latitude: null, longitude: null };
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const toText = (value) => (isBlank(value) ? null : String(value).trim().replace(/\s+/g, ' '));
+
+const toCoordinate = (value, limit, label) => {
+    if (isBlank(value)) return null;
+    const coordinate = Number(value);
+    if (!Number.isFinite(coordinate) || Math.abs(coordinate) > limit) {
+        throw new ValidationError(`${label} must be a number between -${limit} and ${limit}`);
+    }
+    return parseFloat(coordinate.toFixed(6));
+};
+
+class AddressService {
+    // Whether a request body touches any address field
+    static hasAddress(input = {}) {
+        return ADDRESS_FIELDS.some(field => input[field] !== undefined);
+    }
+
+    // The address columns of a stored user or request
+    static pick(record = {}) {
+        const address = {};
+        ADDRESS_FIELDS.forEach(field => {
+            address[field] = record[field] === undefined ? null : record[field];
+        });
+        return address;
+    }
+
+    // Validate an address and fill in missing coordinates from the geocoder
+    // `input` may change only some fields of `current`; blanking street, city and postal code clears the address
+    static async resolve(input = {}, current = EMPTY_ADDRESS) {
+        const merged = { ...this.pick(current) };
+        ADDRESS_FIELDS.forEach(field => {
+            if (input[field] !== undefined) merged[field] = input[field];
+        });
+
+        const street = toText(merged.street);
+        const city = toText(merged.city);
+        const postalCode = toText(merged.postalCode) && toText(merged.postalCode).toUpperCase();
+
+        if (!street && !city && !postalCode) {
+            return { ...EMPTY_ADDRESS };
+        }
+
+        if (!city || !postalCode) {
+            throw new ValidationError('An address needs both a city and a postal code');
+        }
+        if (street && street.length > MAX_STREET_LENGTH) {
+            throw new ValidationError(`Street must be at most ${MAX_STREET_LENGTH} characters`);
+        }
+        if (city.length < 2 || city.length > MAX_CITY_LENGTH) {
+            throw new ValidationError(`City must be between 2 and ${MAX_CITY_LENGTH} characters`);
+        }
+        if (!POSTAL_CODE_PATTERN.test(postalCode)) {
+            throw new ValidationError('Invalid postal code format');
+        }
+
+        // Coordinates from the stored record only still apply when the location itself did not change
+        const stored = this.pick(current);
+        const locationChanged = street !== toText(stored.street)
+            || city !== toText(stored.city)
+            || postalCode !== (toText(stored.postalCode) && toText(stored.postalCode).toUpperCase());
+        const coordinatesGiven = input.latitude !== undefined || input.longitude !== undefined;
+        const source = coordinatesGiven || !locationChanged ? merged : {};
+
+        let latitude = toCoordinate(source.latitude, 90, 'Latitude');
+        let longitude = toCoordinate(source.longitude, 180, 'Longitude');
+
+        if ((latitude === null) !== (longitude === null)) {
+            throw new ValidationError('Latitude and longitude must be given together');
+        }
+
+        if (latitude === null) {
+            const location = await this.geocode({ street, city, postalCode });
+            if (location) {
+                latitude = location.latitude;
+                longitude = location.longitude;
+            }
+        }
+
+        return { street, city, postalCode, latitude, longitude };
+    }
+
+    // Coordinates for an address, or null when the geocoder does not know it or is unavailable
+    // A geocoder outage must not block saving an address - it is stored without coordinates
+    static async geocode(address) {
+        try {
+            return await getGeocoder().geocode(address);
+        } catch (error) {
+            logger.warn('Geocoding failed', { city: address.city, postalCode: address.postalCode, error: error.message });
+            return null;
+        }
+    }
+}
+
+AddressService.ADDRESS_FIELDS = ADDRESS_FIELDS;
+
+module.exports = AddressService;
@@ -0,0 +1,52 @@
+const PerformanceAlert = require('../models/PerformanceAlert');
+const RealTimeAnalytics = require('./RealTimeAnalytics');
+const { Logger } = require('../utils/logger');
+const { createScheduler } = require('../utils/scheduler');
+
+const logger = new Logger('AlertMonitor');
+
+// How often every provider's active alerts are re-evaluated
+const EVALUATION_INTERVAL_MINUTES = parseInt(process.env.ALERT_EVALUATION_INTERVAL_MINUTES, 10) || 15;
+
+const scheduler = createScheduler({
+    name: 'Alert evaluation scheduler',
+    intervalMinutes: EVALUATION_INTERVAL_MINUTES,
+    task: () => AlertMonitor.evaluateAllAlerts(),
+    logger
+});
+
+class AlertMonitor {
+    // Re-check the thresholds of every provider with an active alert
+    // Breaches and recoveries are recorded and notified by checkThresholds
+    static async evaluateAllAlerts() {
+        const providerIDs = await PerformanceAlert.getProvidersWithActiveAlerts();
+        let notified = 0;
+        let recovered = 0;
+
+        for (const providerID of providerIDs) {
+            try {
+                const result = await RealTimeAnalytics.checkThresholds(providerID);
+                notified += result.triggeredAlerts.filter(alert => alert.notified).length;
+                recovered += result.recoveredAlerts.length;
+            } catch (error) {
+                logger.error('Failed to evaluate provider alerts', { providerID, error: error.message });
+            }
+        }
+
+        if (notified > 0 || recovered > 0) {
+            logger.info('Alert evaluation run finished', { providers: providerIDs.length, notified, recovered });
+        }
+        return providerIDs.length;
+    }
+
+    // Evaluate now and then every ALERT_EVALUATION_INTERVAL_MINUTES
+    static startScheduler() {
+        scheduler.start();
+    }
+
+    static stopScheduler() {
+        scheduler.stop();
+    }
+}
+
+module.exports = AlertMonitor;
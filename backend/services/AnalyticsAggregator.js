@@ -0,0 +1,412 @@
+const pool = require('../config/database');
+const Analytics = require('../models/Analytics');
+const Payment = require('../models/Payment');
+const Review = require('../models/Review');
+const { mapDatabaseError } = require('../utils/errors');
+const { analyticsLogger } = require('../utils/logger');
+
+// Months of revenue kept in monthlyRevenue
+const REVENUE_MONTHS = 12;
+
+// A row is rebuilt from scratch when it is read this long after its last full rebuild,
+// which also corrects anything an incremental update missed
+const FULL_REBUILD_HOURS = parseInt(process.env.ANALYTICS_FULL_REBUILD_HOURS, 10) || 24;
+
+const ACCEPTED_STATUSES = "'Accepted', 'In Progress', 'Completed', 'Cancelled'";
+
+// Reviews at or above this rating count towards the satisfaction rate
+const POSITIVE_RATING = 4;
+
+// Earnings are net of refunds - a refund counts against its original payment's month
+const NET_AMOUNT = '(p.amount - p.refundedAmount)';
+
+const round = (value) => parseFloat(value.toFixed(2));
+
+const monthKey = (date) => {
+    const value = new Date(date);
+    return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}`;
+};
+
+// The last REVENUE_MONTHS month keys, oldest first
+const recentMonths = (now = new Date()) => {
+    const months = [];
+    for (let offset = REVENUE_MONTHS - 1; offset >= 0; offset--) {
+        months.push(monthKey(new Date(now.getFullYear(), now.getMonth() - offset, 1)));
+    }
+    return months;
+};
+
+const emptyCategory = () => ({ requests: 0, completed: 0, cancelled: 0, revenue: 0 });
+
+// Add to one category's totals without mutating the breakdown passed in
+const addToCategory = (categoryBreakdown, category, values) => {
+    const current = categoryBreakdown[category] || emptyCategory();
+    const updated = { ...current };
+    Object.entries(values).forEach(([key, value]) => {
+        updated[key] = round((updated[key] || 0) + value);
+    });
+    return { ...categoryBreakdown, [category]: updated };
+};
+
+// Rates and scores from the running totals - the formulas PerformanceAnalytics.getPerformanceSummary uses
+const withDerived = (totals) => {
+    const completionRate = totals.acceptedRequests > 0
+        ? (totals.jobsCompleted / totals.acceptedRequests) * 100
+        : 0;
+    const cancellationRate = totals.totalRequests > 0
+        ? (totals.cancelledRequests / totals.totalRequests) * 100
+        : 0;
+    const satisfactionRate = totals.reviewCount > 0
+        ? (totals.positiveReviews / totals.reviewCount) * 100
+        : 0;
+    const months = recentMonths();
+    const monthlyRevenue = {};
+    months.forEach(month => {
+        if (totals.monthlyRevenue[month] !== undefined) {
+            monthlyRevenue[month] = round(totals.monthlyRevenue[month]);
+        }
+    });
+
+    return {
+        ...totals,
+        totalEarnings: round(totals.totalEarnings),
+        responseMinutesTotal: round(totals.responseMinutesTotal),
+        averageRating: totals.reviewCount > 0 ? round(totals.ratingTotal / totals.reviewCount) : 0,
+        responseTimeAvg: totals.acceptedRequests > 0 ? round(totals.responseMinutesTotal / totals.acceptedRequests) : 0,
+        completionRate: round(completionRate),
+        cancellationRate: round(cancellationRate),
+        repeatCustomerRate: totals.uniqueCustomers > 0
+            ? round((totals.repeatCustomers / totals.uniqueCustomers) * 100)
+            : 0,
+        performanceScore: round(
+            (completionRate * 0.4) +
+            (satisfactionRate * 0.4) +
+            ((100 - cancellationRate) * 0.2)
+        ),
+        monthlyRevenue
+    };
+};
+
+// Run an incremental update - failures are logged only, the next full rebuild picks the change up
+const bestEffort = async (event, context, update) => {
+    try {
+        return await update();
+    } catch (error) {
+        analyticsLogger.error('Incremental analytics update failed', { event, ...context, error: error.message });
+        return false;
+    }
+};
+
+// Dashboard shape of an Analytics row
+const toSummary = (analytics) => ({
+    providerID: analytics.providerID,
+    totals: {
+        totalEarnings: analytics.totalEarnings,
+        jobsCompleted: analytics.jobsCompleted,
+        totalRequests: analytics.totalRequests,
+        acceptedRequests: analytics.acceptedRequests,
+        cancelledRequests: analytics.cancelledRequests,
+        paymentCount: analytics.paymentCount,
+        reviewCount: analytics.reviewCount,
+        uniqueCustomers: analytics.uniqueCustomers,
+        repeatCustomers: analytics.repeatCustomers
+    },
+    rates: {
+        averageRating: analytics.averageRating,
+        completionRate: analytics.completionRate,
+        cancellationRate: analytics.cancellationRate,
+        repeatCustomerRate: analytics.repeatCustomerRate,
+        responseTimeAvg: analytics.responseTimeAvg,
+        performanceScore: analytics.performanceScore
+    },
+    monthlyRevenue: recentMonths().map(month => ({
+        month,
+        revenue: analytics.monthlyRevenue[month] || 0
+    })),
+    categoryBreakdown: Object.entries(analytics.categoryBreakdown)
+        .map(([category, values]) => ({ category, ...emptyCategory(), ...values }))
+        .sort((a, b) => b.revenue - a.revenue || b.requests - a.requests),
+    lastUpdated: analytics.lastUpdated ? new Date(analytics.lastUpdated).toISOString() : null,
+    lastFullUpdate: analytics.lastFullUpdate ? new Date(analytics.lastFullUpdate).toISOString() : null
+});
+
+// The record* methods apply single changes to an existing row and never throw
+class AnalyticsAggregator {
+    // Recompute every aggregate for a provider from the source tables and store the row
+    static async rebuild(providerID) {
+        try {
+            analyticsLogger.debug('Rebuilding provider analytics', { providerID });
+
+            // Response time runs from creation to acceptance - JobHistory has the acceptance time
+            const requestsQuery = `
+                SELECT
+                    sr.category,
+                    COUNT(*) as totalRequests,
+                    COUNT(CASE WHEN sr.status IN (${ACCEPTED_STATUSES}) THEN 1 END) as acceptedRequests,
+                    COUNT(CASE WHEN sr.status = 'Completed' THEN 1 END) as completedRequests,
+                    COUNT(CASE WHEN sr.status = 'Cancelled' THEN 1 END) as cancelledRequests,
+                    COALESCE(SUM(CASE WHEN sr.status IN (${ACCEPTED_STATUSES})
+                        THEN TIMESTAMPDIFF(MINUTE, sr.createdAt, COALESCE(jh.acceptedAt, sr.updatedAt)) END), 0) as responseMinutes
+                FROM ServiceRequest sr
+                LEFT JOIN (
+                    SELECT requestID, MIN(createdAt) as acceptedAt
+                    FROM JobHistory
+                    WHERE providerID = ? AND action = 'accepted'
+                    GROUP BY requestID
+                ) jh ON sr.requestID = jh.requestID
+                WHERE sr.providerID = ?
+                GROUP BY sr.category
+            `;
+
+            const customersQuery = `
+                SELECT
+                    COUNT(*) as uniqueCustomers,
+                    COUNT(CASE WHEN requestCount > 1 THEN 1 END) as repeatCustomers
+                FROM (
+                    SELECT customerID, COUNT(*) as requestCount
+                    FROM ServiceRequest
+                    WHERE providerID = ?
+                    GROUP BY customerID
+                ) customers
+            `;
+
+            const revenueQuery = `
+                SELECT
+                    sr.category,
+                    DATE_FORMAT(p.paymentDate, '%Y-%m') as month,
+                    COALESCE(SUM(${NET_AMOUNT}), 0) as revenue,
+                    COUNT(*) as paymentCount
+                FROM Payment p
+                JOIN ServiceRequest sr ON p.requestID = sr.requestID
+                WHERE sr.providerID = ?
+                    AND p.status IN ('Completed', 'Refunded')
+                GROUP BY sr.category, DATE_FORMAT(p.paymentDate, '%Y-%m')
+            `;
+
+            const reviewsQuery = `
+                SELECT
+                    COUNT(*) as reviewCount,
+                    COALESCE(SUM(rating), 0) as ratingTotal,
+                    COUNT(CASE WHEN rating >= ${POSITIVE_RATING} THEN 1 END) as positiveReviews
+                FROM Review
+                WHERE providerID = ? AND (isHidden = FALSE OR isHidden IS NULL)
+            `;
+
+            const [[requestRows], [customerRows], [revenueRows], [reviewRows]] = await Promise.all([
+                pool.execute(requestsQuery, [providerID, providerID]),
+                pool.execute(customersQuery, [providerID]),
+                pool.execute(revenueQuery, [providerID]),
+                pool.execute(reviewsQuery, [providerID])
+            ]);
+
+            const totals = {
+                totalEarnings: 0,
+                jobsCompleted: 0,
+                totalRequests: 0,
+                acceptedRequests: 0,
+                cancelledRequests: 0,
+                responseMinutesTotal: 0,
+                paymentCount: 0,
+                reviewCount: parseInt(reviewRows[0].reviewCount, 10) || 0,
+                ratingTotal: parseInt(reviewRows[0].ratingTotal, 10) || 0,
+                positiveReviews: parseInt(reviewRows[0].positiveReviews, 10) || 0,
+                uniqueCustomers: parseInt(customerRows[0].uniqueCustomers, 10) || 0,
+                repeatCustomers: parseInt(customerRows[0].repeatCustomers, 10) || 0,
+                monthlyRevenue: {},
+                categoryBreakdown: {}
+            };
+
+            requestRows.forEach(row => {
+                const completed = parseInt(row.completedRequests, 10) || 0;
+                const cancelled = parseInt(row.cancelledRequests, 10) || 0;
+                const requests = parseInt(row.totalRequests, 10) || 0;
+
+                totals.totalRequests += requests;
+                totals.acceptedRequests += parseInt(row.acceptedRequests, 10) || 0;
+                totals.jobsCompleted += completed;
+                totals.cancelledRequests += cancelled;
+                totals.responseMinutesTotal += parseFloat(row.responseMinutes) || 0;
+                totals.categoryBreakdown = addToCategory(totals.categoryBreakdown, row.category, {
+                    requests,
+                    completed,
+                    cancelled
+                });
+            });
+
+            revenueRows.forEach(row => {
+                const revenue = parseFloat(row.revenue) || 0;
+
+                totals.totalEarnings += revenue;
+                totals.paymentCount += parseInt(row.paymentCount, 10) || 0;
+                if (row.month) {
+                    totals.monthlyRevenue[row.month] = (totals.monthlyRevenue[row.month] || 0) + revenue;
+                }
+                totals.categoryBreakdown = addToCategory(totals.categoryBreakdown, row.category, { revenue });
+            });
+
+            const analytics = await Analytics.saveFull(providerID, withDerived(totals));
+            analyticsLogger.info('Provider analytics rebuilt', { providerID });
+            return toSummary(analytics);
+        } catch (error) {
+            analyticsLogger.error('Error rebuilding provider analytics', { providerID, error: error.message });
+            throw mapDatabaseError(error);
+        }
+    }
+
+    // Stored aggregates for the dashboard - built on first use and rebuilt once FULL_REBUILD_HOURS old
+    static async getSummary(providerID) {
+        try {
+            const analytics = await Analytics.findByProvider(providerID);
+            const staleBefore = Date.now() - FULL_REBUILD_HOURS * 60 * 60 * 1000;
+
+            if (!analytics || !analytics.lastFullUpdate || new Date(analytics.lastFullUpdate).getTime() < staleBefore) {
+                return await this.rebuild(providerID);
+            }
+            return toSummary(analytics);
+        } catch (error) {
+            analyticsLogger.error('Error getting provider analytics summary', { providerID, error: error.message });
+            throw mapDatabaseError(error);
+        }
+    }
+
+    // Apply a change to the provider's running totals and re-derive the rates
+    static async applyChange(providerID, change) {
+        return Analytics.applyChange(providerID, (analytics) => withDerived(change(analytics)));
+    }
+
+    // A provider accepted a request - it now counts as theirs
+    static async recordRequestAccepted(requestID) {
+        return bestEffort('request_accepted', { requestID }, async () => {
+            const [rows] = await pool.execute(`
+                SELECT
+                    sr.providerID,
+                    sr.category,
+                    TIMESTAMPDIFF(MINUTE, sr.createdAt, NOW()) as responseMinutes,
+                    (SELECT COUNT(*) FROM ServiceRequest other
+                        WHERE other.providerID = sr.providerID AND other.customerID = sr.customerID) as customerRequests
+                FROM ServiceRequest sr
+                WHERE sr.requestID = ?
+            `, [requestID]);
+
+            const request = rows[0];
+            if (!request || !request.providerID) return false;
+
+            // The customer's first request with this provider makes them a customer, the second a repeat customer
+            const customerRequests = parseInt(request.customerRequests, 10) || 0;
+
+            return this.applyChange(request.providerID, (analytics) => ({
+                ...analytics,
+                totalRequests: analytics.totalRequests + 1,
+                acceptedRequests: analytics.acceptedRequests + 1,
+                responseMinutesTotal: analytics.responseMinutesTotal + (parseFloat(request.responseMinutes) || 0),
+                uniqueCustomers: analytics.uniqueCustomers + (customerRequests === 1 ? 1 : 0),
+                repeatCustomers: analytics.repeatCustomers + (customerRequests === 2 ? 1 : 0),
+                categoryBreakdown: addToCategory(analytics.categoryBreakdown, request.category, { requests: 1 })
+            }));
+        });
+    }
+
+    // An accepted request was cancelled - pending requests have no provider and are not counted
+    static async recordRequestCancelled(request) {
+        return bestEffort('request_cancelled', { requestID: request.requestID }, async () => {
+            if (!request.providerID) return false;
+
+            return this.applyChange(request.providerID, (analytics) => ({
+                ...analytics,
+                cancelledRequests: analytics.cancelledRequests + 1,
+                categoryBreakdown: addToCategory(analytics.categoryBreakdown, request.category, { cancelled: 1 })
+            }));
+        });
+    }
+
+    // The customer confirmed a request as completed
+    static async recordRequestCompleted(request) {
+        return bestEffort('request_completed', { requestID: request.requestID }, async () => {
+            if (!request.providerID) return false;
+
+            return this.applyChange(request.providerID, (analytics) => ({
+                ...analytics,
+                jobsCompleted: analytics.jobsCompleted + 1,
+                categoryBreakdown: addToCategory(analytics.categoryBreakdown, request.category, { completed: 1 })
+            }));
+        });
+    }
+
+    // A payment was completed
+    static async recordPayment(paymentID) {
+        return bestEffort('payment_completed', { paymentID }, async () => {
+            const payment = await Payment.findById(paymentID);
+            if (!payment || !payment.providerID) return false;
+
+            const amount = parseFloat(payment.amount) || 0;
+            const month = monthKey(payment.paymentDate || new Date());
+
+            return this.applyChange(payment.providerID, (analytics) => ({
+                ...analytics,
+                totalEarnings: analytics.totalEarnings + amount,
+                paymentCount: analytics.paymentCount + 1,
+                monthlyRevenue: { ...analytics.monthlyRevenue, [month]: (analytics.monthlyRevenue[month] || 0) + amount },
+                categoryBreakdown: addToCategory(analytics.categoryBreakdown, payment.category, { revenue: amount })
+            }));
+        });
+    }
+
+    // Part or all of a completed payment was refunded
+    static async recordRefund(paymentID, amount) {
+        return bestEffort('payment_refunded', { paymentID }, async () => {
+            const payment = await Payment.findById(paymentID);
+            if (!payment || !payment.providerID) return false;
+
+            const refunded = parseFloat(amount) || 0;
+            const month = payment.paymentDate ? monthKey(payment.paymentDate) : null;
+
+            return this.applyChange(payment.providerID, (analytics) => {
+                const monthlyRevenue = { ...analytics.monthlyRevenue };
+                if (month && monthlyRevenue[month] !== undefined) {
+                    monthlyRevenue[month] -= refunded;
+                }
+                return {
+                    ...analytics,
+                    totalEarnings: analytics.totalEarnings - refunded,
+                    monthlyRevenue,
+                    categoryBreakdown: addToCategory(analytics.categoryBreakdown, payment.category, { revenue: -refunded })
+                };
+            });
+        });
+    }
+
+    // A review was posted
+    static async recordReview(reviewID) {
+        return bestEffort('review_posted', { reviewID }, async () => {
+            const review = await Review.findById(reviewID);
+            if (!review || review.isHidden) return false;
+
+            return this.applyReviewChange(review, 1);
+        });
+    }
+
+    // A moderator hid or restored a review - only a change of visibility moves the totals
+    static async recordReviewModerated(review, action) {
+        return bestEffort('review_moderated', { reviewID: review.reviewID }, async () => {
+            const wasVisible = !review.isHidden;
+            const isVisible = action === 'approve';
+            if (wasVisible === isVisible) return false;
+
+            return this.applyReviewChange(review, isVisible ? 1 : -1);
+        });
+    }
+
+    // Add (direction 1) or take away (-1) one review's rating
+    static async applyReviewChange(review, direction) {
+        const rating = parseInt(review.rating, 10) || 0;
+
+        return this.applyChange(review.providerID, (analytics) => ({
+            ...analytics,
+            reviewCount: analytics.reviewCount + direction,
+            ratingTotal: analytics.ratingTotal + direction * rating,
+            positiveReviews: analytics.positiveReviews + (rating >= POSITIVE_RATING ? direction : 0)
+        }));
+    }
+}
+
+module.exports = AnalyticsAggregator;
@@ -0,0 +1,364 @@
+const os = require('os');
+const pool = require('../config/database');
+const PlatformBenchmark = require('../models/PlatformBenchmark');
+const { Logger } = require('../utils/logger');
+const { createScheduler } = require('../utils/scheduler');
+
+const logger = new Logger('BenchmarkSnapshot');
+
+// Metrics stored in PlatformBenchmark (the BenchmarkingService metric types that are computed)
+const SNAPSHOT_METRICS = {
+    COMPLETION_RATE: 'completion_rate',
+    RESPONSE_TIME: 'response_time',
+    CUSTOMER_SATISFACTION: 'customer_satisfaction',
+    REVENUE: 'revenue',
+    CANCELLATION_RATE: 'cancellation_rate'
+};
+
+// Metrics where a lower value ranks higher
+const LOWER_IS_BETTER = [SNAPSHOT_METRICS.RESPONSE_TIME, SNAPSHOT_METRICS.CANCELLATION_RATE];
+
+// A provider only counts towards a benchmark with at least this much data
+const MIN_REQUESTS = 5;
+const MIN_REVIEWS = 3;
+const MIN_PAYMENTS = 5;
+
+// Revenue is net of refunds, as in the provider's own analytics
+const NET_AMOUNT = '(p.amount - p.refundedAmount)';
+
+// Hour of the day (server time) the nightly snapshot is taken
+const configuredHour = parseInt(process.env.BENCHMARK_SNAPSHOT_HOUR, 10);
+const SNAPSHOT_HOUR = configuredHour >= 0 && configuredHour < 24 ? configuredHour : 2;
+// How often the scheduler checks whether a snapshot is due
+const CHECK_INTERVAL_MINUTES = 15;
+// How long a claimed nightly run may take before another instance may take it over
+const SNAPSHOT_LEASE_MINUTES = 60;
+
+// Identifies this process when claiming the nightly run
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+const ACCEPTED_STATUSES = "'Accepted', 'In Progress', 'Completed', 'Cancelled'";
+
+const scheduler = createScheduler({
+    name: 'Benchmark snapshot scheduler',
+    intervalMinutes: CHECK_INTERVAL_MINUTES,
+    task: () => BenchmarkSnapshotService.snapshotIfDue(),
+    details: { snapshotHour: SNAPSHOT_HOUR },
+    logger
+});
+
+let pendingSnapshot = null;
+
+const emptyStats = () => ({
+    totalRequests: 0,
+    acceptedRequests: 0,
+    completedRequests: 0,
+    cancelledRequests: 0,
+    responseMinutes: 0,
+    ratingTotal: 0,
+    reviewCount: 0,
+    revenue: 0,
+    paymentCount: 0
+});
+
+const addStats = (target, source) => {
+    Object.keys(target).forEach(key => {
+        target[key] += source[key] || 0;
+    });
+    return target;
+};
+
+// Value at a percentile of sorted values, interpolating between neighbours
+const percentileOfSorted = (sorted, percentile) => {
+    if (sorted.length === 1) return sorted[0];
+    const index = (percentile / 100) * (sorted.length - 1);
+    const lower = Math.floor(index);
+    const upper = Math.ceil(index);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+};
+
+const round = (value) => parseFloat(value.toFixed(2));
+
+// Most recent time a nightly snapshot should have been taken
+const lastScheduledRun = (now = new Date()) => {
+    const scheduled = new Date(now);
+    scheduled.setHours(SNAPSHOT_HOUR, 0, 0, 0);
+    if (scheduled > now) {
+        scheduled.setDate(scheduled.getDate() - 1);
+    }
+    return scheduled;
+};
+
+class BenchmarkSnapshotService {
+    // Raw request, review and payment totals per provider, overall and per service category
+    // Returns Map providerID -> { overall, categories: { [category]: stats } }
+    static async collectProviderStats(providerID = null) {
+        const providerFilter = providerID ? 'sr.providerID = ?' : 'sr.providerID IS NOT NULL';
+        const params = providerID ? [providerID] : [];
+
+        const requestsQuery = `
+            SELECT
+                sr.providerID,
+                sr.category,
+                COUNT(*) as totalRequests,
+                COUNT(CASE WHEN sr.status IN (${ACCEPTED_STATUSES}) THEN 1 END) as acceptedRequests,
+                COUNT(CASE WHEN sr.status = 'Completed' THEN 1 END) as completedRequests,
+                COUNT(CASE WHEN sr.status = 'Cancelled' THEN 1 END) as cancelledRequests,
+                COALESCE(SUM(CASE WHEN sr.status IN (${ACCEPTED_STATUSES})
+                    THEN TIMESTAMPDIFF(MINUTE, sr.createdAt, sr.updatedAt) END), 0) as responseMinutes
+            FROM ServiceRequest sr
+            WHERE ${providerFilter}
+            GROUP BY sr.providerID, sr.category
+        `;
+
+        const reviewsQuery = `
+            SELECT
+                sr.providerID,
+                sr.category,
+                SUM(r.rating) as ratingTotal,
+                COUNT(*) as reviewCount
+            FROM ServiceRequest sr
+            JOIN Review r ON sr.requestID = r.requestID
+            WHERE ${providerFilter}
+            GROUP BY sr.providerID, sr.category
+        `;
+
+        const revenueQuery = `
+            SELECT
+                sr.providerID,
+                sr.category,
+                SUM(${NET_AMOUNT}) as revenue,
+                COUNT(*) as paymentCount
+            FROM ServiceRequest sr
+            JOIN Payment p ON sr.requestID = p.requestID
+            WHERE ${providerFilter}
+                AND p.status IN ('Completed', 'Refunded')
+            GROUP BY sr.providerID, sr.category
+        `;
+
+        const [[requestRows], [reviewRows], [revenueRows]] = await Promise.all([
+            pool.execute(requestsQuery, params),
+            pool.execute(reviewsQuery, params),
+            pool.execute(revenueQuery, params)
+        ]);
+
+        const providers = new Map();
+        const addRow = (row, values) => {
+            if (!providers.has(row.providerID)) {
+                providers.set(row.providerID, { overall: emptyStats(), categories: {} });
+            }
+            const provider = providers.get(row.providerID);
+            if (!provider.categories[row.category]) {
+                provider.categories[row.category] = emptyStats();
+            }
+            addStats(provider.categories[row.category], values);
+            addStats(provider.overall, values);
+        };
+
+        requestRows.forEach(row => addRow(row, {
+            totalRequests: parseInt(row.totalRequests, 10) || 0,
+            acceptedRequests: parseInt(row.acceptedRequests, 10) || 0,
+            completedRequests: parseInt(row.completedRequests, 10) || 0,
+            cancelledRequests: parseInt(row.cancelledRequests, 10) || 0,
+            responseMinutes: parseFloat(row.responseMinutes) || 0
+        }));
+        reviewRows.forEach(row => addRow(row, {
+            ratingTotal: parseFloat(row.ratingTotal) || 0,
+            reviewCount: parseInt(row.reviewCount, 10) || 0
+        }));
+        revenueRows.forEach(row => addRow(row, {
+            revenue: parseFloat(row.revenue) || 0,
+            paymentCount: parseInt(row.paymentCount, 10) || 0
+        }));
+
+        return providers;
+    }
+
+    // Benchmark metric values from raw totals - null where there is too little data to count
+    static toMetricValues(stats, { minRequests = MIN_REQUESTS, minReviews = MIN_REVIEWS, minPayments = MIN_PAYMENTS } = {}) {
+        const hasRequests = stats.totalRequests >= minRequests;
+        return {
+            [SNAPSHOT_METRICS.COMPLETION_RATE]: hasRequests && stats.acceptedRequests > 0
+                ? (stats.completedRequests / stats.acceptedRequests) * 100
+                : null,
+            [SNAPSHOT_METRICS.RESPONSE_TIME]: hasRequests && stats.acceptedRequests > 0
+                ? stats.responseMinutes / stats.acceptedRequests
+                : null,
+            [SNAPSHOT_METRICS.CANCELLATION_RATE]: hasRequests
+                ? (stats.cancelledRequests / stats.totalRequests) * 100
+                : null,
+            [SNAPSHOT_METRICS.CUSTOMER_SATISFACTION]: stats.reviewCount >= minReviews && stats.reviewCount > 0
+                ? stats.ratingTotal / stats.reviewCount
+                : null,
+            [SNAPSHOT_METRICS.REVENUE]: stats.paymentCount >= minPayments
+                ? stats.revenue
+                : null
+        };
+    }
+
+    // Distribution of one metric across providers
+    static summarize(values) {
+        const sorted = values.filter(value => value !== null && !isNaN(value)).sort((a, b) => a - b);
+        if (sorted.length === 0) return null;
+
+        return {
+            averageValue: round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+            lowestValue: round(sorted[0]),
+            percentile10: round(percentileOfSorted(sorted, 10)),
+            percentile25: round(percentileOfSorted(sorted, 25)),
+            medianValue: round(percentileOfSorted(sorted, 50)),
+            percentile75: round(percentileOfSorted(sorted, 75)),
+            percentile90: round(percentileOfSorted(sorted, 90)),
+            highestValue: round(sorted[sorted.length - 1]),
+            sampleSize: sorted.length
+        };
+    }
+
+    // Where a value falls in a stored distribution (0-100, higher is better)
+    // Interpolates between the stored percentile points
+    static percentileInBenchmark(value, benchmark) {
+        const points = [
+            [0, benchmark.lowestValue],
+            [10, benchmark.percentile10],
+            [25, benchmark.percentile25],
+            [50, benchmark.medianValue],
+            [75, benchmark.percentile75],
+            [90, benchmark.percentile90],
+            [100, benchmark.highestValue]
+        ].filter(([, pointValue]) => pointValue !== null && pointValue !== undefined);
+
+        if (points.length === 0) return 0;
+
+        let percentile;
+        if (value <= points[0][1]) {
+            percentile = value < points[0][1] ? 0 : points[0][0];
+        } else if (value >= points[points.length - 1][1]) {
+            percentile = 100;
+        } else {
+            for (let i = 1; i < points.length; i++) {
+                const [lowPercentile, lowValue] = points[i - 1];
+                const [highPercentile, highValue] = points[i];
+                if (value <= highValue) {
+                    percentile = highValue === lowValue
+                        ? highPercentile
+                        : lowPercentile + ((value - lowValue) / (highValue - lowValue)) * (highPercentile - lowPercentile);
+                    break;
+                }
+            }
+        }
+
+        const ranked = LOWER_IS_BETTER.includes(benchmark.metricType) ? 100 - percentile : percentile;
+        return Math.round(Math.min(100, Math.max(0, ranked)));
+    }
+
+    // Compute platform-wide and per-category benchmarks and store them as one snapshot
+    static async takeSnapshot() {
+        const calculatedAt = new Date();
+        calculatedAt.setMilliseconds(0);
+
+        const providers = await this.collectProviderStats();
+        const platformValues = {};
+        const categoryValues = {};
+
+        providers.forEach(({ overall, categories }) => {
+            Object.entries(this.toMetricValues(overall)).forEach(([metricType, value]) => {
+                (platformValues[metricType] = platformValues[metricType] || []).push(value);
+            });
+
+            Object.entries(categories).forEach(([category, stats]) => {
+                categoryValues[category] = categoryValues[category] || {};
+                Object.entries(this.toMetricValues(stats)).forEach(([metricType, value]) => {
+                    (categoryValues[category][metricType] = categoryValues[category][metricType] || []).push(value);
+                });
+            });
+        });
+
+        const benchmarks = [];
+        const addBenchmarks = (valuesByMetric, category) => {
+            Object.values(SNAPSHOT_METRICS).forEach(metricType => {
+                const summary = this.summarize(valuesByMetric[metricType] || []);
+                if (summary) {
+                    benchmarks.push({ metricType, category, ...summary });
+                }
+            });
+        };
+
+        addBenchmarks(platformValues, null);
+        Object.entries(categoryValues).forEach(([category, valuesByMetric]) => addBenchmarks(valuesByMetric, category));
+
+        await PlatformBenchmark.createSnapshot(benchmarks, calculatedAt);
+        logger.info('Benchmark snapshot saved', {
+            providers: providers.size,
+            categories: Object.keys(categoryValues).length,
+            rows: benchmarks.length
+        });
+
+        return calculatedAt;
+    }
+
+    // Latest snapshot by metric type, platform-wide and per category - takes the first snapshot if none exists yet
+    // Returns { calculatedAt, platform: { [metricType]: row }, categories: { [category]: { [metricType]: row } } }
+    static async getLatestSnapshot() {
+        let calculatedAt = await PlatformBenchmark.getLatestCalculatedAt();
+
+        if (!calculatedAt) {
+            // Concurrent first requests share one snapshot
+            if (!pendingSnapshot) {
+                pendingSnapshot = this.takeSnapshot().finally(() => {
+                    pendingSnapshot = null;
+                });
+            }
+            calculatedAt = await pendingSnapshot;
+        }
+
+        const rows = await PlatformBenchmark.getSnapshot(calculatedAt);
+        const platform = {};
+        const categories = {};
+        rows.forEach(row => {
+            if (row.category === null) {
+                platform[row.metricType] = row;
+            } else {
+                categories[row.category] = categories[row.category] || {};
+                categories[row.category][row.metricType] = row;
+            }
+        });
+
+        return { calculatedAt, platform, categories };
+    }
+
+    // Latest snapshot rows of one scope by metric type - platform-wide when no category is given
+    static async getLatestBenchmarks(category = null) {
+        const { calculatedAt, platform, categories } = await this.getLatestSnapshot();
+        return { calculatedAt, benchmarks: category ? categories[category] || {} : platform };
+    }
+
+    // Take a snapshot when tonight's (or last night's) run has not happened yet
+    // Only the instance that claims the run takes it, so several app instances write one snapshot
+    static async snapshotIfDue() {
+        const scheduledFor = lastScheduledRun();
+        const latest = await PlatformBenchmark.getLatestCalculatedAt();
+        if (latest && new Date(latest) >= scheduledFor) return null;
+
+        if (!(await PlatformBenchmark.claimScheduledRun(scheduledFor, INSTANCE_ID, SNAPSHOT_LEASE_MINUTES))) {
+            return null;
+        }
+
+        const calculatedAt = await this.takeSnapshot();
+        await PlatformBenchmark.completeScheduledRun(scheduledFor, INSTANCE_ID);
+        return calculatedAt;
+    }
+
+    // Check now and then every CHECK_INTERVAL_MINUTES whether the nightly snapshot is due
+    static startScheduler() {
+        scheduler.start();
+    }
+
+    static stopScheduler() {
+        scheduler.stop();
+    }
+}
+
+BenchmarkSnapshotService.SNAPSHOT_METRICS = SNAPSHOT_METRICS;
+BenchmarkSnapshotService.LOWER_IS_BETTER = LOWER_IS_BETTER;
+
+module.exports = BenchmarkSnapshotService;
@@ -1,4 +1,6 @@
 const pool = require('../config/database');
+const PlatformBenchmark = require('../models/PlatformBenchmark');
+const BenchmarkSnapshotService = require('./BenchmarkSnapshotService');
 const { DatabaseError, ValidationError, mapDatabaseError } = require('../utils/errors');
 const { analyticsLogger } = require('../utils/logger');
 
@@ -12,234 +14,253 @@ const METRIC_TYPES = {
     RETENTION_RATE: 'retention_rate'
 };
 
+// Requests a provider needs before they are ranked against the benchmarks
+const MIN_RANKED_REQUESTS = 3;
+
+// Providers a category benchmark needs before it is used instead of the platform-wide one
+const MIN_PEER_SAMPLE = parseInt(process.env.BENCHMARK_MIN_PEER_SAMPLE, 10) || 5;
+
+// Snapshot columns blended across categories
+const BLENDED_COLUMNS = [
+    'averageValue',
+    'lowestValue',
+    'percentile10',
+    'percentile25',
+    'medianValue',
+    'percentile75',
+    'percentile90',
+    'highestValue'
+];
+
+const COMPARISON_SCOPES = {
+    CATEGORY: 'category',
+    MIXED: 'mixed',
+    PLATFORM: 'platform'
+};
+
+// Weighted blend of category benchmarks for one metric - weights are renormalised over the categories given
+// Peers working in several of the categories are counted once per category in sampleSize
+const blendBenchmarks = (metricType, weightedBenchmarks) => {
+    const blended = { metricType, category: null };
+
+    BLENDED_COLUMNS.forEach(column => {
+        const parts = weightedBenchmarks.filter(({ benchmark }) => benchmark[column] !== null);
+        const partWeight = parts.reduce((sum, { weight }) => sum + weight, 0);
+        blended[column] = partWeight > 0
+            ? parseFloat((parts.reduce((sum, { benchmark, weight }) => sum + benchmark[column] * weight, 0) / partWeight).toFixed(2))
+            : null;
+    });
+    blended.sampleSize = weightedBenchmarks.reduce((sum, { benchmark }) => sum + benchmark.sampleSize, 0);
+
+    return blended;
+};
+
+// Metrics in the response shape shared by platform and peer averages
+const buildAverages = (benchmarks) => {
+    const averageOf = (metricType) => benchmarks[metricType]?.averageValue || 0;
+    const distributionOf = (metricType) => {
+        const benchmark = benchmarks[metricType];
+        if (!benchmark) return null;
+        return {
+            median: benchmark.medianValue,
+            percentile25: benchmark.percentile25,
+            percentile75: benchmark.percentile75,
+            percentile90: benchmark.percentile90,
+            sampleSize: benchmark.sampleSize
+        };
+    };
+
+    const avgCompletionRate = averageOf(METRIC_TYPES.COMPLETION_RATE);
+    const avgResponseTime = averageOf(METRIC_TYPES.RESPONSE_TIME);
+    const avgSatisfaction = averageOf(METRIC_TYPES.CUSTOMER_SATISFACTION);
+    const avgRevenue = averageOf(METRIC_TYPES.REVENUE);
+    const avgCancellationRate = averageOf(METRIC_TYPES.CANCELLATION_RATE);
+
+    return {
+        completionRate: {
+            value: avgCompletionRate,
+            unit: 'percentage',
+            label: 'Completion Rate',
+            distribution: distributionOf(METRIC_TYPES.COMPLETION_RATE)
+        },
+        responseTime: {
+            value: avgResponseTime,
+            unit: 'minutes',
+            label: 'Average Response Time',
+            formatted: avgResponseTime < 60 
+                ? `${avgResponseTime.toFixed(0)} min`
+                : `${(avgResponseTime / 60).toFixed(1)} hrs`,
+            distribution: distributionOf(METRIC_TYPES.RESPONSE_TIME)
+        },
+        customerSatisfaction: {
+            value: avgSatisfaction,
+            unit: 'rating',
+            label: 'Customer Satisfaction',
+            maxValue: 5,
+            distribution: distributionOf(METRIC_TYPES.CUSTOMER_SATISFACTION)
+        },
+        averageRevenue: {
+            value: avgRevenue,
+            unit: 'currency',
+            label: 'Average Revenue',
+            formatted: `$${avgRevenue.toFixed(2)}`,
+            distribution: distributionOf(METRIC_TYPES.REVENUE)
+        },
+        cancellationRate: {
+            value: avgCancellationRate,
+            unit: 'percentage',
+            label: 'Cancellation Rate',
+            distribution: distributionOf(METRIC_TYPES.CANCELLATION_RATE)
+        }
+    };
+};
+
+// Response metric keys by snapshot metric type
+const METRIC_KEYS = {
+    [METRIC_TYPES.COMPLETION_RATE]: 'completionRate',
+    [METRIC_TYPES.RESPONSE_TIME]: 'responseTime',
+    [METRIC_TYPES.CUSTOMER_SATISFACTION]: 'customerSatisfaction',
+    [METRIC_TYPES.REVENUE]: 'averageRevenue',
+    [METRIC_TYPES.CANCELLATION_RATE]: 'cancellationRate'
+};
+
+// How a comparison is worded for a metric's benchmark scope
+const averageLabel = (scope) => (scope === COMPARISON_SCOPES.CATEGORY ? 'peer average' : 'platform average');
+
 class BenchmarkingService {
+    // Platform-wide averages from the latest nightly benchmark snapshot
     static async getPlatformAverages() {
         try {
             analyticsLogger.debug('Getting platform averages');
 
-            // Get completion rate average across all providers
-            const completionRateQuery = `
-                SELECT 
-                    AVG(completion_rate) as avgCompletionRate,
-                    COUNT(DISTINCT providerID) as providerCount
-                FROM (
-                    SELECT 
-                        sr.providerID,
-                        (COUNT(CASE WHEN sr.status = 'Completed' THEN 1 END) * 100.0 / 
-                         NULLIF(COUNT(CASE WHEN sr.status IN ('Accepted', 'In Progress', 'Completed', 'Cancelled') THEN 1 END), 0)) as completion_rate
-                    FROM ServiceRequest sr
-                    WHERE sr.providerID IS NOT NULL
-                    GROUP BY sr.providerID
-                    HAVING COUNT(*) >= 5
-                ) as provider_rates
-            `;
+            const { calculatedAt, benchmarks } = await BenchmarkSnapshotService.getLatestBenchmarks();
 
-            // Get average response time across all providers
-            const responseTimeQuery = `
-                SELECT 
-                    AVG(avg_response) as avgResponseTime
-                FROM (
-                    SELECT 
-                        sr.providerID,
-                        AVG(TIMESTAMPDIFF(MINUTE, sr.createdAt, sr.updatedAt)) as avg_response
-                    FROM ServiceRequest sr
-                    WHERE sr.providerID IS NOT NULL
-                        AND sr.status IN ('Accepted', 'In Progress', 'Completed', 'Cancelled')
-                    GROUP BY sr.providerID
-                    HAVING COUNT(*) >= 5
-                ) as provider_times
-            `;
-
-            // Get average customer satisfaction (rating) across all providers
-            const satisfactionQuery = `
-                SELECT 
-                    AVG(avg_rating) as avgSatisfaction
-                FROM (
-                    SELECT 
-                        sr.providerID,
-                        AVG(r.rating) as avg_rating
-                    FROM ServiceRequest sr
-                    JOIN Review r ON sr.requestID = r.requestID
-                    WHERE sr.providerID IS NOT NULL
-                    GROUP BY sr.providerID
-                    HAVING COUNT(*) >= 3
-                ) as provider_ratings
-            `;
+            return {
+                metrics: buildAverages(benchmarks),
+                sampleSize: benchmarks[METRIC_TYPES.COMPLETION_RATE]?.sampleSize || 0,
+                calculatedAt: new Date(calculatedAt).toISOString()
+            };
+        } catch (error) {
+            analyticsLogger.error('Error getting platform averages', { error: error.message });
+            throw mapDatabaseError(error);
+        }
+    }
 
-            // Get average revenue per provider
-            const revenueQuery = `
-                SELECT 
-                    AVG(total_revenue) as avgRevenue
-                FROM (
-                    SELECT 
-                        sr.providerID,
-                        SUM(p.amount) as total_revenue
-                    FROM ServiceRequest sr
-                    JOIN Payment p ON sr.requestID = p.requestID
-                    WHERE sr.providerID IS NOT NULL
-                        AND p.status = 'Completed'
-                    GROUP BY sr.providerID
-                    HAVING COUNT(*) >= 5
-                ) as provider_revenue
-            `;
+    // Benchmarks of the provider's peers - category benchmarks blended by the provider's own category mix
+    // A metric falls back to the platform-wide benchmark when none of the provider's categories has
+    // MIN_PEER_SAMPLE providers behind it
+    static async getPeerBenchmarks(providerID) {
+        const [providerStats, snapshot] = await Promise.all([
+            BenchmarkSnapshotService.collectProviderStats(providerID),
+            BenchmarkSnapshotService.getLatestSnapshot()
+        ]);
+
+        const [providerEntry] = providerStats.values();
+        const totalRequests = providerEntry ? providerEntry.overall.totalRequests : 0;
+
+        const categoryMix = providerEntry && totalRequests > 0
+            ? Object.entries(providerEntry.categories)
+                .filter(([, stats]) => stats.totalRequests > 0)
+                .map(([category, stats]) => {
+                    const peerCount = snapshot.categories[category]?.[METRIC_TYPES.COMPLETION_RATE]?.sampleSize || 0;
+                    return {
+                        category,
+                        requests: stats.totalRequests,
+                        weight: parseFloat((stats.totalRequests / totalRequests).toFixed(4)),
+                        peerCount,
+                        qualifies: peerCount >= MIN_PEER_SAMPLE
+                    };
+                })
+                .sort((a, b) => b.requests - a.requests)
+            : [];
+
+        const benchmarks = {};
+        Object.values(BenchmarkSnapshotService.SNAPSHOT_METRICS).forEach(metricType => {
+            const weighted = categoryMix
+                .map(({ category, weight }) => ({ category, weight, benchmark: snapshot.categories[category]?.[metricType] }))
+                .filter(({ benchmark }) => benchmark && benchmark.sampleSize >= MIN_PEER_SAMPLE);
+
+            if (weighted.length > 0) {
+                benchmarks[metricType] = {
+                    ...blendBenchmarks(metricType, weighted),
+                    scope: COMPARISON_SCOPES.CATEGORY,
+                    categories: weighted.map(({ category }) => category)
+                };
+            } else if (snapshot.platform[metricType]) {
+                benchmarks[metricType] = {
+                    ...snapshot.platform[metricType],
+                    scope: COMPARISON_SCOPES.PLATFORM,
+                    categories: []
+                };
+            }
+        });
+
+        const scopes = Object.values(benchmarks).map(benchmark => benchmark.scope);
+        const scope = scopes.length > 0 && scopes.every(metricScope => metricScope === COMPARISON_SCOPES.CATEGORY)
+            ? COMPARISON_SCOPES.CATEGORY
+            : scopes.includes(COMPARISON_SCOPES.CATEGORY)
+                ? COMPARISON_SCOPES.MIXED
+                : COMPARISON_SCOPES.PLATFORM;
+
+        return {
+            calculatedAt: snapshot.calculatedAt,
+            providerEntry,
+            categoryMix,
+            benchmarks,
+            scope,
+            minPeerSample: MIN_PEER_SAMPLE
+        };
+    }
 
-            // Get average cancellation rate
-            const cancellationQuery = `
-                SELECT 
-                    AVG(cancellation_rate) as avgCancellationRate
-                FROM (
-                    SELECT 
-                        sr.providerID,
-                        (COUNT(CASE WHEN sr.status = 'Cancelled' THEN 1 END) * 100.0 / 
-                         NULLIF(COUNT(*), 0)) as cancellation_rate
-                    FROM ServiceRequest sr
-                    WHERE sr.providerID IS NOT NULL
-                    GROUP BY sr.providerID
-                    HAVING COUNT(*) >= 5
-                ) as provider_cancellations
-            `;
+    // Averages of the provider's peers, in the getPlatformAverages shape
+    // Each metric carries the scope it was benchmarked at ('category' or 'platform')
+    static async getPeerAverages(providerID) {
+        try {
+            analyticsLogger.debug('Getting peer averages', { providerID });
 
-            const [
-                [completionRows],
-                [responseRows],
-                [satisfactionRows],
-                [revenueRows],
-                [cancellationRows]
-            ] = await Promise.all([
-                pool.execute(completionRateQuery),
-                pool.execute(responseTimeQuery),
-                pool.execute(satisfactionQuery),
-                pool.execute(revenueQuery),
-                pool.execute(cancellationQuery)
-            ]);
+            const { calculatedAt, categoryMix, benchmarks, scope, minPeerSample } = await this.getPeerBenchmarks(providerID);
 
-            const avgCompletionRate = parseFloat(completionRows[0]?.avgCompletionRate) || 0;
-            const providerCount = parseInt(completionRows[0]?.providerCount, 10) || 0;
-            const avgResponseTime = parseFloat(responseRows[0]?.avgResponseTime) || 0;
-            const avgSatisfaction = parseFloat(satisfactionRows[0]?.avgSatisfaction) || 0;
-            const avgRevenue = parseFloat(revenueRows[0]?.avgRevenue) || 0;
-            const avgCancellationRate = parseFloat(cancellationRows[0]?.avgCancellationRate) || 0;
+            const metrics = buildAverages(benchmarks);
+            Object.entries(METRIC_KEYS).forEach(([metricType, key]) => {
+                metrics[key].scope = benchmarks[metricType]?.scope || COMPARISON_SCOPES.PLATFORM;
+                metrics[key].categories = benchmarks[metricType]?.categories || [];
+            });
 
             return {
-                metrics: {
-                    completionRate: {
-                        value: parseFloat(avgCompletionRate.toFixed(2)),
-                        unit: 'percentage',
-                        label: 'Completion Rate'
-                    },
-                    responseTime: {
-                        value: parseFloat(avgResponseTime.toFixed(2)),
-                        unit: 'minutes',
-                        label: 'Average Response Time',
-                        formatted: avgResponseTime < 60 
-                            ? `${avgResponseTime.toFixed(0)} min`
-                            : `${(avgResponseTime / 60).toFixed(1)} hrs`
-                    },
-                    customerSatisfaction: {
-                        value: parseFloat(avgSatisfaction.toFixed(2)),
-                        unit: 'rating',
-                        label: 'Customer Satisfaction',
-                        maxValue: 5
-                    },
-                    averageRevenue: {
-                        value: parseFloat(avgRevenue.toFixed(2)),
-                        unit: 'currency',
-                        label: 'Average Revenue',
-                        formatted: `$${avgRevenue.toFixed(2)}`
-                    },
-                    cancellationRate: {
-                        value: parseFloat(avgCancellationRate.toFixed(2)),
-                        unit: 'percentage',
-                        label: 'Cancellation Rate'
-                    }
-                },
-                sampleSize: providerCount,
-                calculatedAt: new Date().toISOString()
+                providerID,
+                metrics,
+                scope,
+                comparisonGroup: categoryMix,
+                minPeerSample,
+                sampleSize: benchmarks[METRIC_TYPES.COMPLETION_RATE]?.sampleSize || 0,
+                calculatedAt: new Date(calculatedAt).toISOString()
             };
         } catch (error) {
-            analyticsLogger.error('Error getting platform averages', { error: error.message });
+            analyticsLogger.error('Error getting peer averages', { providerID, error: error.message });
             throw mapDatabaseError(error);
         }
     }
 
 
+    // Where the provider stands among peers in their own service categories (platform-wide where too few)
     static async getPercentileRankings(providerID) {
         try {
             analyticsLogger.debug('Getting percentile rankings', { providerID });
 
-            // Get provider's completion rate and rank
-            const completionRankQuery = `
-                SELECT 
-                    provider_rate,
-                    total_providers,
-                    providers_below,
-                    ROUND((providers_below * 100.0 / total_providers), 2) as percentile
-                FROM (
-                    SELECT 
-                        (SELECT 
-                            (COUNT(CASE WHEN sr2.status = 'Completed' THEN 1 END) * 100.0 / 
-                             NULLIF(COUNT(CASE WHEN sr2.status IN ('Accepted', 'In Progress', 'Completed', 'Cancelled') THEN 1 END), 0))
-                         FROM ServiceRequest sr2 WHERE sr2.providerID = ?) as provider_rate,
-                        COUNT(DISTINCT sr.providerID) as total_providers,
-                        (SELECT COUNT(DISTINCT sr3.providerID)
-                         FROM ServiceRequest sr3
-                         WHERE sr3.providerID != ?
-                         GROUP BY sr3.providerID
-                         HAVING (COUNT(CASE WHEN sr3.status = 'Completed' THEN 1 END) * 100.0 / 
-                                 NULLIF(COUNT(CASE WHEN sr3.status IN ('Accepted', 'In Progress', 'Completed', 'Cancelled') THEN 1 END), 0)) <=
-                                (SELECT (COUNT(CASE WHEN sr4.status = 'Completed' THEN 1 END) * 100.0 / 
-                                         NULLIF(COUNT(CASE WHEN sr4.status IN ('Accepted', 'In Progress', 'Completed', 'Cancelled') THEN 1 END), 0))
-                                 FROM ServiceRequest sr4 WHERE sr4.providerID = ?)
-                        ) as providers_below
-                    FROM ServiceRequest sr
-                    WHERE sr.providerID IS NOT NULL
-                ) as rankings
-            `;
+            const { calculatedAt, providerEntry, categoryMix, benchmarks, scope } = await this.getPeerBenchmarks(providerID);
 
-            // Simplified approach: Get all provider metrics and calculate percentiles
-            const allProvidersQuery = `
-                SELECT 
-                    sr.providerID,
-                    (COUNT(CASE WHEN sr.status = 'Completed' THEN 1 END) * 100.0 / 
-                     NULLIF(COUNT(CASE WHEN sr.status IN ('Accepted', 'In Progress', 'Completed', 'Cancelled') THEN 1 END), 0)) as completion_rate,
-                    AVG(CASE WHEN sr.status IN ('Accepted', 'In Progress', 'Completed', 'Cancelled') 
-                        THEN TIMESTAMPDIFF(MINUTE, sr.createdAt, sr.updatedAt) END) as avg_response_time,
-                    (COUNT(CASE WHEN sr.status = 'Cancelled' THEN 1 END) * 100.0 / 
-                     NULLIF(COUNT(*), 0)) as cancellation_rate
-                FROM ServiceRequest sr
-                WHERE sr.providerID IS NOT NULL
-                GROUP BY sr.providerID
-                HAVING COUNT(*) >= 3
-            `;
+            const totalProviders = benchmarks[METRIC_TYPES.COMPLETION_RATE]?.sampleSize || 0;
 
-            // Get provider's rating
-            const ratingQuery = `
-                SELECT 
-                    sr.providerID,
-                    AVG(r.rating) as avg_rating
-                FROM ServiceRequest sr
-                JOIN Review r ON sr.requestID = r.requestID
-                WHERE sr.providerID IS NOT NULL
-                GROUP BY sr.providerID
-                HAVING COUNT(*) >= 1
-            `;
-
-            const [[allProviders], [ratingData]] = await Promise.all([
-                pool.execute(allProvidersQuery),
-                pool.execute(ratingQuery)
-            ]);
-
-            // Create rating map
-            const ratingMap = new Map();
-            ratingData.forEach(row => {
-                ratingMap.set(row.providerID, parseFloat(row.avg_rating) || 0);
-            });
-
-            // Find provider's metrics
-            const providerMetrics = allProviders.find(p => p.providerID === providerID);
-            const providerRating = ratingMap.get(providerID) || 0;
+            // Peers need a full sample to be benchmarked - the provider is ranked from a few requests on
+            const providerValues = providerEntry
+                ? BenchmarkSnapshotService.toMetricValues(providerEntry.overall, {
+                    minRequests: MIN_RANKED_REQUESTS,
+                    minReviews: 1,
+                    minPayments: 1
+                })
+                : null;
 
-            if (!providerMetrics) {
+            if (!providerValues || providerValues[METRIC_TYPES.COMPLETION_RATE] === null) {
                 return {
                     providerID,
                     rankings: {
@@ -248,36 +269,31 @@ class BenchmarkingService {
                         customerSatisfaction: { value: 0, percentile: 0, rank: 'N/A' },
                         cancellationRate: { value: 0, percentile: 0, rank: 'N/A' }
                     },
-                    totalProviders: allProviders.length,
+                    totalProviders,
+                    comparisonScope: scope,
+                    comparisonGroup: categoryMix,
                     message: 'Insufficient data for ranking'
                 };
             }
 
-            // Calculate percentiles
-            const calculatePercentile = (providers, providerValue, metric, lowerIsBetter = false) => {
-                const values = providers.map(p => parseFloat(p[metric]) || 0).filter(v => !isNaN(v));
-                if (values.length === 0) return 0;
-                
-                const belowCount = lowerIsBetter
-                    ? values.filter(v => v >= providerValue).length
-                    : values.filter(v => v <= providerValue).length;
-                
-                return Math.round((belowCount / values.length) * 100);
+            const scopeOf = (metricType) => benchmarks[metricType]?.scope || COMPARISON_SCOPES.PLATFORM;
+
+            const percentileOf = (metricType, value) => {
+                const benchmark = benchmarks[metricType];
+                return benchmark ? BenchmarkSnapshotService.percentileInBenchmark(value, benchmark) : 0;
             };
 
-            const completionRate = parseFloat(providerMetrics.completion_rate) || 0;
-            const responseTime = parseFloat(providerMetrics.avg_response_time) || 0;
-            const cancellationRate = parseFloat(providerMetrics.cancellation_rate) || 0;
+            const completionRate = providerValues[METRIC_TYPES.COMPLETION_RATE] || 0;
+            const responseTime = providerValues[METRIC_TYPES.RESPONSE_TIME] || 0;
+            const cancellationRate = providerValues[METRIC_TYPES.CANCELLATION_RATE] || 0;
+            const providerRating = providerValues[METRIC_TYPES.CUSTOMER_SATISFACTION] || 0;
 
             // Calculate percentiles for each metric
-            const completionPercentile = calculatePercentile(allProviders, completionRate, 'completion_rate');
-            const responsePercentile = calculatePercentile(allProviders, responseTime, 'avg_response_time', true);
-            const cancellationPercentile = calculatePercentile(allProviders, cancellationRate, 'cancellation_rate', true);
-
-            // Calculate rating percentile
-            const ratingValues = Array.from(ratingMap.values());
-            const ratingPercentile = ratingValues.length > 0
-                ? Math.round((ratingValues.filter(v => v <= providerRating).length / ratingValues.length) * 100)
+            const completionPercentile = percentileOf(METRIC_TYPES.COMPLETION_RATE, completionRate);
+            const responsePercentile = percentileOf(METRIC_TYPES.RESPONSE_TIME, responseTime);
+            const cancellationPercentile = percentileOf(METRIC_TYPES.CANCELLATION_RATE, cancellationRate);
+            const ratingPercentile = providerRating > 0
+                ? percentileOf(METRIC_TYPES.CUSTOMER_SATISFACTION, providerRating)
                 : 0;
 
             // Determine rank labels
@@ -296,12 +312,14 @@ class BenchmarkingService {
                         value: parseFloat(completionRate.toFixed(2)),
                         percentile: completionPercentile,
                         rank: getRankLabel(completionPercentile),
+                        scope: scopeOf(METRIC_TYPES.COMPLETION_RATE),
                         unit: 'percentage'
                     },
                     responseTime: {
                         value: parseFloat(responseTime.toFixed(2)),
                         percentile: responsePercentile,
                         rank: getRankLabel(responsePercentile),
+                        scope: scopeOf(METRIC_TYPES.RESPONSE_TIME),
                         unit: 'minutes',
                         formatted: responseTime < 60 
                             ? `${responseTime.toFixed(0)} min`
@@ -311,6 +329,7 @@ class BenchmarkingService {
                         value: parseFloat(providerRating.toFixed(2)),
                         percentile: ratingPercentile,
                         rank: getRankLabel(ratingPercentile),
+                        scope: scopeOf(METRIC_TYPES.CUSTOMER_SATISFACTION),
                         unit: 'rating',
                         maxValue: 5
                     },
@@ -318,12 +337,15 @@ class BenchmarkingService {
                         value: parseFloat(cancellationRate.toFixed(2)),
                         percentile: cancellationPercentile,
                         rank: getRankLabel(cancellationPercentile),
+                        scope: scopeOf(METRIC_TYPES.CANCELLATION_RATE),
                         unit: 'percentage',
                         note: 'Lower is better'
                     }
                 },
-                totalProviders: allProviders.length,
-                calculatedAt: new Date().toISOString()
+                totalProviders,
+                comparisonScope: scope,
+                comparisonGroup: categoryMix,
+                calculatedAt: new Date(calculatedAt).toISOString()
             };
         } catch (error) {
             analyticsLogger.error('Error getting percentile rankings', { providerID, error: error.message });
@@ -332,6 +354,42 @@ class BenchmarkingService {
     }
 
 
+    // One metric's platform (or category) benchmark across stored snapshots
+    static async getBenchmarkHistory(metricType, { category = null, days = 90 } = {}) {
+        try {
+            analyticsLogger.debug('Getting benchmark history', { metricType, category, days });
+
+            if (!Object.values(BenchmarkSnapshotService.SNAPSHOT_METRICS).includes(metricType)) {
+                throw new ValidationError(
+                    `Metric must be one of: ${Object.values(BenchmarkSnapshotService.SNAPSHOT_METRICS).join(', ')}`
+                );
+            }
+
+            const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+            const rows = await PlatformBenchmark.getHistory(metricType, category, since);
+
+            return {
+                metricType,
+                category,
+                days,
+                points: rows.map(row => ({
+                    calculatedAt: new Date(row.calculatedAt).toISOString(),
+                    average: row.averageValue,
+                    median: row.medianValue,
+                    percentile25: row.percentile25,
+                    percentile75: row.percentile75,
+                    percentile90: row.percentile90,
+                    sampleSize: row.sampleSize
+                }))
+            };
+        } catch (error) {
+            if (error instanceof ValidationError) throw error;
+            analyticsLogger.error('Error getting benchmark history', { metricType, error: error.message });
+            throw mapDatabaseError(error);
+        }
+    }
+
+
     static async getYearOverYearComparison(providerID) {
         try {
             analyticsLogger.debug('Getting year-over-year comparison', { providerID });
@@ -690,8 +748,8 @@ class BenchmarkingService {
                 WHERE sr.providerID = ?
             `;
 
-            // Get platform averages for comparison
-            const platformAverages = await this.getPlatformAverages();
+            // Compare against peers in the provider's own categories (platform-wide where too few)
+            const peerAverages = await this.getPeerAverages(providerID);
 
             const [[providerRows], [ratingRows]] = await Promise.all([
                 pool.execute(providerMetricsQuery, [providerID]),
@@ -710,20 +768,20 @@ class BenchmarkingService {
             const suggestions = [];
             const strengths = [];
 
-            // Compare with platform averages and generate suggestions
-            const platformMetrics = platformAverages.metrics;
+            // Compare with peer averages and generate suggestions
+            const benchmarkMetrics = peerAverages.metrics;
 
             // Completion Rate Analysis
-            if (providerMetrics.completionRate < platformMetrics.completionRate.value) {
-                const gap = platformMetrics.completionRate.value - providerMetrics.completionRate;
+            if (providerMetrics.completionRate < benchmarkMetrics.completionRate.value) {
+                const gap = benchmarkMetrics.completionRate.value - providerMetrics.completionRate;
                 suggestions.push({
                     metric: 'completionRate',
                     priority: gap > 10 ? 'high' : 'medium',
                     currentValue: parseFloat(providerMetrics.completionRate.toFixed(2)),
-                    targetValue: parseFloat(platformMetrics.completionRate.value.toFixed(2)),
+                    targetValue: parseFloat(benchmarkMetrics.completionRate.value.toFixed(2)),
                     gap: parseFloat(gap.toFixed(2)),
                     title: 'Improve Service Completion Rate',
-                    description: `Your completion rate (${providerMetrics.completionRate.toFixed(1)}%) is below the platform average (${platformMetrics.completionRate.value.toFixed(1)}%).`,
+                    description: `Your completion rate (${providerMetrics.completionRate.toFixed(1)}%) is below the ${averageLabel(benchmarkMetrics.completionRate.scope)} (${benchmarkMetrics.completionRate.value.toFixed(1)}%).`,
                     recommendations: [
                         'Review and improve your service scheduling process',
                         'Communicate proactively with customers about any delays',
@@ -735,22 +793,22 @@ class BenchmarkingService {
                 strengths.push({
                     metric: 'completionRate',
                     value: parseFloat(providerMetrics.completionRate.toFixed(2)),
-                    platformAverage: parseFloat(platformMetrics.completionRate.value.toFixed(2)),
-                    description: 'Your completion rate exceeds the platform average'
+                    benchmarkAverage: parseFloat(benchmarkMetrics.completionRate.value.toFixed(2)),
+                    description: `Your completion rate exceeds the ${averageLabel(benchmarkMetrics.completionRate.scope)}`
                 });
             }
 
             // Response Time Analysis
-            if (providerMetrics.responseTime > platformMetrics.responseTime.value && platformMetrics.responseTime.value > 0) {
-                const gap = providerMetrics.responseTime - platformMetrics.responseTime.value;
+            if (providerMetrics.responseTime > benchmarkMetrics.responseTime.value && benchmarkMetrics.responseTime.value > 0) {
+                const gap = providerMetrics.responseTime - benchmarkMetrics.responseTime.value;
                 suggestions.push({
                     metric: 'responseTime',
                     priority: gap > 60 ? 'high' : 'medium',
                     currentValue: parseFloat(providerMetrics.responseTime.toFixed(2)),
-                    targetValue: parseFloat(platformMetrics.responseTime.value.toFixed(2)),
+                    targetValue: parseFloat(benchmarkMetrics.responseTime.value.toFixed(2)),
                     gap: parseFloat(gap.toFixed(2)),
                     title: 'Reduce Response Time',
-                    description: `Your average response time (${providerMetrics.responseTime.toFixed(0)} min) is slower than the platform average (${platformMetrics.responseTime.value.toFixed(0)} min).`,
+                    description: `Your average response time (${providerMetrics.responseTime.toFixed(0)} min) is slower than the ${averageLabel(benchmarkMetrics.responseTime.scope)} (${benchmarkMetrics.responseTime.value.toFixed(0)} min).`,
                     recommendations: [
                         'Enable push notifications for new service requests',
                         'Set aside dedicated time slots for responding to inquiries',
@@ -758,26 +816,26 @@ class BenchmarkingService {
                         'Consider hiring support staff during peak hours'
                     ]
                 });
-            } else if (platformMetrics.responseTime.value > 0) {
+            } else if (benchmarkMetrics.responseTime.value > 0) {
                 strengths.push({
                     metric: 'responseTime',
                     value: parseFloat(providerMetrics.responseTime.toFixed(2)),
-                    platformAverage: parseFloat(platformMetrics.responseTime.value.toFixed(2)),
-                    description: 'Your response time is faster than the platform average'
+                    benchmarkAverage: parseFloat(benchmarkMetrics.responseTime.value.toFixed(2)),
+                    description: `Your response time is faster than the ${averageLabel(benchmarkMetrics.responseTime.scope)}`
                 });
             }
 
             // Customer Satisfaction Analysis
-            if (providerMetrics.avgRating < platformMetrics.customerSatisfaction.value && providerMetrics.reviewCount > 0) {
-                const gap = platformMetrics.customerSatisfaction.value - providerMetrics.avgRating;
+            if (providerMetrics.avgRating < benchmarkMetrics.customerSatisfaction.value && providerMetrics.reviewCount > 0) {
+                const gap = benchmarkMetrics.customerSatisfaction.value - providerMetrics.avgRating;
                 suggestions.push({
                     metric: 'customerSatisfaction',
                     priority: gap > 0.5 ? 'high' : 'medium',
                     currentValue: parseFloat(providerMetrics.avgRating.toFixed(2)),
-                    targetValue: parseFloat(platformMetrics.customerSatisfaction.value.toFixed(2)),
+                    targetValue: parseFloat(benchmarkMetrics.customerSatisfaction.value.toFixed(2)),
                     gap: parseFloat(gap.toFixed(2)),
                     title: 'Improve Customer Satisfaction',
-                    description: `Your average rating (${providerMetrics.avgRating.toFixed(1)}) is below the platform average (${platformMetrics.customerSatisfaction.value.toFixed(1)}).`,
+                    description: `Your average rating (${providerMetrics.avgRating.toFixed(1)}) is below the ${averageLabel(benchmarkMetrics.customerSatisfaction.scope)} (${benchmarkMetrics.customerSatisfaction.value.toFixed(1)}).`,
                     recommendations: [
                         'Follow up with customers after service completion',
                         'Address negative feedback promptly and professionally',
@@ -789,22 +847,22 @@ class BenchmarkingService {
                 strengths.push({
                     metric: 'customerSatisfaction',
                     value: parseFloat(providerMetrics.avgRating.toFixed(2)),
-                    platformAverage: parseFloat(platformMetrics.customerSatisfaction.value.toFixed(2)),
-                    description: 'Your customer satisfaction rating exceeds the platform average'
+                    benchmarkAverage: parseFloat(benchmarkMetrics.customerSatisfaction.value.toFixed(2)),
+                    description: `Your customer satisfaction rating exceeds the ${averageLabel(benchmarkMetrics.customerSatisfaction.scope)}`
                 });
             }
 
             // Cancellation Rate Analysis
-            if (providerMetrics.cancellationRate > platformMetrics.cancellationRate.value) {
-                const gap = providerMetrics.cancellationRate - platformMetrics.cancellationRate.value;
+            if (providerMetrics.cancellationRate > benchmarkMetrics.cancellationRate.value) {
+                const gap = providerMetrics.cancellationRate - benchmarkMetrics.cancellationRate.value;
                 suggestions.push({
                     metric: 'cancellationRate',
                     priority: gap > 5 ? 'high' : 'medium',
                     currentValue: parseFloat(providerMetrics.cancellationRate.toFixed(2)),
-                    targetValue: parseFloat(platformMetrics.cancellationRate.value.toFixed(2)),
+                    targetValue: parseFloat(benchmarkMetrics.cancellationRate.value.toFixed(2)),
                     gap: parseFloat(gap.toFixed(2)),
                     title: 'Reduce Cancellation Rate',
-                    description: `Your cancellation rate (${providerMetrics.cancellationRate.toFixed(1)}%) is higher than the platform average (${platformMetrics.cancellationRate.value.toFixed(1)}%).`,
+                    description: `Your cancellation rate (${providerMetrics.cancellationRate.toFixed(1)}%) is higher than the ${averageLabel(benchmarkMetrics.cancellationRate.scope)} (${benchmarkMetrics.cancellationRate.value.toFixed(1)}%).`,
                     recommendations: [
                         'Confirm appointments 24 hours in advance',
                         'Maintain a waitlist for last-minute cancellations',
@@ -816,8 +874,8 @@ class BenchmarkingService {
                 strengths.push({
                     metric: 'cancellationRate',
                     value: parseFloat(providerMetrics.cancellationRate.toFixed(2)),
-                    platformAverage: parseFloat(platformMetrics.cancellationRate.value.toFixed(2)),
-                    description: 'Your cancellation rate is lower than the platform average'
+                    benchmarkAverage: parseFloat(benchmarkMetrics.cancellationRate.value.toFixed(2)),
+                    description: `Your cancellation rate is lower than the ${averageLabel(benchmarkMetrics.cancellationRate.scope)}`
                 });
             }
 
@@ -854,12 +912,14 @@ class BenchmarkingService {
                     totalRequests: providerMetrics.totalRequests,
                     reviewCount: providerMetrics.reviewCount
                 },
-                platformAverages: {
-                    completionRate: platformMetrics.completionRate.value,
-                    responseTime: platformMetrics.responseTime.value,
-                    cancellationRate: platformMetrics.cancellationRate.value,
-                    customerSatisfaction: platformMetrics.customerSatisfaction.value
+                benchmarkAverages: {
+                    completionRate: benchmarkMetrics.completionRate.value,
+                    responseTime: benchmarkMetrics.responseTime.value,
+                    cancellationRate: benchmarkMetrics.cancellationRate.value,
+                    customerSatisfaction: benchmarkMetrics.customerSatisfaction.value
                 },
+                comparisonScope: peerAverages.scope,
+                comparisonGroup: peerAverages.comparisonGroup,
                 suggestions,
                 strengths,
                 summary: {
@@ -868,7 +928,7 @@ class BenchmarkingService {
                     mediumPriority: suggestions.filter(s => s.priority === 'medium').length,
                     strengthCount: strengths.length,
                     overallAssessment: suggestions.length === 0 
-                        ? 'Excellent! You are performing above platform averages in all key metrics.'
+                        ? 'Excellent! You are performing above average in all key metrics.'
                         : suggestions.filter(s => s.priority === 'high').length > 0
                             ? 'There are high-priority areas that need attention to improve your performance.'
                             : 'You are performing well with some opportunities for improvement.'
@@ -885,8 +945,8 @@ class BenchmarkingService {
         try {
             analyticsLogger.debug('Comparing with benchmarks', { providerID });
 
-            const [platformAverages, percentileRankings] = await Promise.all([
-                this.getPlatformAverages(),
+            const [benchmarkAverages, percentileRankings] = await Promise.all([
+                this.getPeerAverages(providerID),
                 this.getPercentileRankings(providerID)
             ]);
 
@@ -898,10 +958,11 @@ class BenchmarkingService {
                 metric: 'completionRate',
                 label: 'Completion Rate',
                 providerValue: rankings.completionRate.value,
-                platformAverage: platformAverages.metrics.completionRate.value,
-                difference: parseFloat((rankings.completionRate.value - platformAverages.metrics.completionRate.value).toFixed(2)),
+                benchmarkAverage: benchmarkAverages.metrics.completionRate.value,
+                scope: benchmarkAverages.metrics.completionRate.scope,
+                difference: parseFloat((rankings.completionRate.value - benchmarkAverages.metrics.completionRate.value).toFixed(2)),
                 percentile: rankings.completionRate.percentile,
-                status: rankings.completionRate.value >= platformAverages.metrics.completionRate.value ? 'above' : 'below',
+                status: rankings.completionRate.value >= benchmarkAverages.metrics.completionRate.value ? 'above' : 'below',
                 unit: 'percentage'
             });
 
@@ -910,10 +971,11 @@ class BenchmarkingService {
                 metric: 'responseTime',
                 label: 'Response Time',
                 providerValue: rankings.responseTime.value,
-                platformAverage: platformAverages.metrics.responseTime.value,
-                difference: parseFloat((rankings.responseTime.value - platformAverages.metrics.responseTime.value).toFixed(2)),
+                benchmarkAverage: benchmarkAverages.metrics.responseTime.value,
+                scope: benchmarkAverages.metrics.responseTime.scope,
+                difference: parseFloat((rankings.responseTime.value - benchmarkAverages.metrics.responseTime.value).toFixed(2)),
                 percentile: rankings.responseTime.percentile,
-                status: rankings.responseTime.value <= platformAverages.metrics.responseTime.value ? 'above' : 'below',
+                status: rankings.responseTime.value <= benchmarkAverages.metrics.responseTime.value ? 'above' : 'below',
                 unit: 'minutes',
                 note: 'Lower is better'
             });
@@ -923,10 +985,11 @@ class BenchmarkingService {
                 metric: 'customerSatisfaction',
                 label: 'Customer Satisfaction',
                 providerValue: rankings.customerSatisfaction.value,
-                platformAverage: platformAverages.metrics.customerSatisfaction.value,
-                difference: parseFloat((rankings.customerSatisfaction.value - platformAverages.metrics.customerSatisfaction.value).toFixed(2)),
+                benchmarkAverage: benchmarkAverages.metrics.customerSatisfaction.value,
+                scope: benchmarkAverages.metrics.customerSatisfaction.scope,
+                difference: parseFloat((rankings.customerSatisfaction.value - benchmarkAverages.metrics.customerSatisfaction.value).toFixed(2)),
                 percentile: rankings.customerSatisfaction.percentile,
-                status: rankings.customerSatisfaction.value >= platformAverages.metrics.customerSatisfaction.value ? 'above' : 'below',
+                status: rankings.customerSatisfaction.value >= benchmarkAverages.metrics.customerSatisfaction.value ? 'above' : 'below',
                 unit: 'rating'
             });
 
@@ -935,10 +998,11 @@ class BenchmarkingService {
                 metric: 'cancellationRate',
                 label: 'Cancellation Rate',
                 providerValue: rankings.cancellationRate.value,
-                platformAverage: platformAverages.metrics.cancellationRate.value,
-                difference: parseFloat((rankings.cancellationRate.value - platformAverages.metrics.cancellationRate.value).toFixed(2)),
+                benchmarkAverage: benchmarkAverages.metrics.cancellationRate.value,
+                scope: benchmarkAverages.metrics.cancellationRate.scope,
+                difference: parseFloat((rankings.cancellationRate.value - benchmarkAverages.metrics.cancellationRate.value).toFixed(2)),
                 percentile: rankings.cancellationRate.percentile,
-                status: rankings.cancellationRate.value <= platformAverages.metrics.cancellationRate.value ? 'above' : 'below',
+                status: rankings.cancellationRate.value <= benchmarkAverages.metrics.cancellationRate.value ? 'above' : 'below',
                 unit: 'percentage',
                 note: 'Lower is better'
             });
@@ -958,6 +1022,8 @@ class BenchmarkingService {
                     overallPerformance: aboveBenchmark.length >= belowBenchmark.length ? 'above_average' : 'below_average'
                 },
                 totalProviders: percentileRankings.totalProviders,
+                comparisonScope: benchmarkAverages.scope,
+                comparisonGroup: benchmarkAverages.comparisonGroup,
                 calculatedAt: new Date().toISOString()
             };
         } catch (error) {
@@ -967,4 +1033,6 @@ class BenchmarkingService {
     }
 }
 
+BenchmarkingService.COMPARISON_SCOPES = COMPARISON_SCOPES;
+
 module.exports = BenchmarkingService;
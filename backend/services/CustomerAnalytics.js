@@ -5,6 +5,9 @@ const { analyticsLogger } = require('../utils/logger');
 // Valid time periods for analytics queries
 const VALID_PERIODS = ['7days', '30days', '6months', '1year', 'all'];
 
+// Leading postal code characters that make up a postal area (the ZIP3 sectional centre)
+const POSTAL_AREA_LENGTH = 3;
+
 class CustomerAnalytics {
     static parsePeriod(period) {
         switch (period) {
@@ -183,39 +186,88 @@ class CustomerAnalytics {
         try {
             analyticsLogger.debug('Getting geographic distribution', { providerID });
 
-            // Get customer distribution - using phone area codes as proxy for location
-            // In production, this would use actual address/location data
-            const query = `
-                SELECT 
-                    SUBSTRING(u.phone, 1, 3) as areaCode,
-                    COUNT(DISTINCT sr.customerID) as customerCount,
-                    COUNT(*) as requestCount
+            // Where each completed job took place - the request's address, or the customer's for requests without one
+            const locationsQuery = `
+                SELECT
+                    sr.customerID,
+                    IF(sr.city IS NOT NULL, sr.city, u.city) as city,
+                    IF(sr.city IS NOT NULL, sr.postalCode, u.postalCode) as postalCode,
+                    IF(sr.city IS NOT NULL, sr.latitude, u.latitude) as latitude,
+                    IF(sr.city IS NOT NULL, sr.longitude, u.longitude) as longitude
                 FROM ServiceRequest sr
                 JOIN USER u ON sr.customerID = u.userID
                 WHERE sr.providerID = ?
                     AND sr.status = 'Completed'
-                    AND u.phone IS NOT NULL
-                    AND LENGTH(u.phone) >= 3
-                GROUP BY SUBSTRING(u.phone, 1, 3)
-                ORDER BY customerCount DESC
             `;
 
-            const [rows] = await pool.execute(query, [providerID]);
+            const cityQuery = `
+                SELECT
+                    city,
+                    COUNT(DISTINCT customerID) as customerCount,
+                    COUNT(*) as requestCount,
+                    AVG(latitude) as latitude,
+                    AVG(longitude) as longitude
+                FROM (${locationsQuery}) locations
+                WHERE city IS NOT NULL
+                GROUP BY city
+                ORDER BY customerCount DESC, requestCount DESC
+            `;
 
-            // Calculate totals
-            const totalCustomers = rows.reduce((sum, row) => sum + parseInt(row.customerCount, 10), 0);
-            const totalRequests = rows.reduce((sum, row) => sum + parseInt(row.requestCount, 10), 0);
-
-            const regions = rows.map(row => ({
-                region: row.areaCode || 'Unknown',
-                customerCount: parseInt(row.customerCount, 10),
-                requestCount: parseInt(row.requestCount, 10),
-                customerPercentage: totalCustomers > 0 
-                    ? parseFloat(((parseInt(row.customerCount, 10) / totalCustomers) * 100).toFixed(2))
-                    : 0,
-                requestPercentage: totalRequests > 0 
-                    ? parseFloat(((parseInt(row.requestCount, 10) / totalRequests) * 100).toFixed(2))
-                    : 0
+            // Postal area is the first three characters of the postal code
+            const postalAreaQuery = `
+                SELECT
+                    LEFT(postalCode, ${POSTAL_AREA_LENGTH}) as postalArea,
+                    COUNT(DISTINCT customerID) as customerCount,
+                    COUNT(*) as requestCount
+                FROM (${locationsQuery}) locations
+                WHERE postalCode IS NOT NULL
+                GROUP BY LEFT(postalCode, ${POSTAL_AREA_LENGTH})
+                ORDER BY customerCount DESC, requestCount DESC
+            `;
+
+            const totalsQuery = `
+                SELECT
+                    COUNT(DISTINCT CASE WHEN city IS NOT NULL THEN customerID END) as totalCustomers,
+                    COUNT(CASE WHEN city IS NOT NULL THEN 1 END) as totalRequests,
+                    COUNT(DISTINCT CASE WHEN city IS NULL THEN customerID END) as unlocatedCustomers,
+                    COUNT(CASE WHEN city IS NULL THEN 1 END) as unlocatedRequests
+                FROM (${locationsQuery}) locations
+            `;
+
+            const [[cityRows], [postalAreaRows], [totalRows]] = await Promise.all([
+                pool.execute(cityQuery, [providerID]),
+                pool.execute(postalAreaQuery, [providerID]),
+                pool.execute(totalsQuery, [providerID])
+            ]);
+
+            const totalCustomers = parseInt(totalRows[0].totalCustomers, 10) || 0;
+            const totalRequests = parseInt(totalRows[0].totalRequests, 10) || 0;
+
+            const withShares = (row) => {
+                const customerCount = parseInt(row.customerCount, 10);
+                const requestCount = parseInt(row.requestCount, 10);
+                return {
+                    customerCount,
+                    requestCount,
+                    customerPercentage: totalCustomers > 0
+                        ? parseFloat(((customerCount / totalCustomers) * 100).toFixed(2))
+                        : 0,
+                    requestPercentage: totalRequests > 0
+                        ? parseFloat(((requestCount / totalRequests) * 100).toFixed(2))
+                        : 0
+                };
+            };
+
+            const regions = cityRows.map(row => ({
+                region: row.city,
+                ...withShares(row),
+                latitude: row.latitude === null ? null : parseFloat(parseFloat(row.latitude).toFixed(6)),
+                longitude: row.longitude === null ? null : parseFloat(parseFloat(row.longitude).toFixed(6))
+            }));
+
+            const postalAreas = postalAreaRows.map(row => ({
+                postalArea: row.postalArea,
+                ...withShares(row)
             }));
 
             // Get top regions
@@ -227,10 +279,19 @@ class CustomerAnalytics {
                 regionCount: regions.length,
                 regions,
                 topRegions,
+                postalAreaCount: postalAreas.length,
+                postalAreas,
+                // Completed jobs with no address on the request or the customer
+                unlocated: {
+                    customerCount: parseInt(totalRows[0].unlocatedCustomers, 10) || 0,
+                    requestCount: parseInt(totalRows[0].unlocatedRequests, 10) || 0
+                },
                 summary: {
                     mostPopularRegion: topRegions.length > 0 ? topRegions[0] : null,
-                    regionConcentration: topRegions.length > 0 
-                        ? parseFloat(topRegions.reduce((sum, r) => sum + r.customerPercentage, 0).toFixed(2))
+                    mostPopularPostalArea: postalAreas.length > 0 ? postalAreas[0] : null,
+                    // A customer can appear in more than one city, so the share is capped
+                    regionConcentration: topRegions.length > 0
+                        ? Math.min(100, parseFloat(topRegions.reduce((sum, r) => sum + r.customerPercentage, 0).toFixed(2)))
                         : 0
                 }
             };
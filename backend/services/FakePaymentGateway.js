@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+const { PaymentGateway } = require('./PaymentGateway');
+
+// Test tokens that always decline, mirroring what real gateways offer in sandbox mode
+const DECLINE_TOKENS = {
+    tok_decline: 'Card declined',
+    tok_insufficient_funds: 'Insufficient funds',
+    tok_expired_card: 'Card expired'
+};
+
+// In-process gateway for local development - no network calls, no real money.
+// Set FAKE_GATEWAY_DECLINE_RATE (0-1) to decline a share of payments at random.
+class FakePaymentGateway extends PaymentGateway {
+    constructor(options = {}) {
+        super();
+        const rate = options.declineRate !== undefined
+            ? options.declineRate
+            : parseFloat(process.env.FAKE_GATEWAY_DECLINE_RATE);
+        this.declineRate = isNaN(rate) ? 0 : Math.min(Math.max(rate, 0), 1);
+    }
+
+    get name() {
+        return 'fake';
+    }
+
+    async createPayment({ amount, currency, reference }) {
+        return {
+            transactionID: `fake_txn_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+            amount,
+            currency,
+            reference
+        };
+    }
+
+    async confirmPayment({ transactionID, paymentToken }) {
+        if (paymentToken && DECLINE_TOKENS[paymentToken]) {
+            return { success: false, transactionID, declineReason: DECLINE_TOKENS[paymentToken] };
+        }
+
+        if (this.declineRate > 0 && Math.random() < this.declineRate) {
+            return { success: false, transactionID, declineReason: 'Card declined' };
+        }
+
+        return { success: true, transactionID, declineReason: null };
+    }
+
+    async refundPayment({ transactionID }) {
+        if (!transactionID) {
+            return { success: false, refundID: null, declineReason: 'Unknown transaction' };
+        }
+
+        return {
+            success: true,
+            refundID: `fake_ref_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+            declineReason: null
+        };
+    }
+}
+
+module.exports = FakePaymentGateway;
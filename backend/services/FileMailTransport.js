@@ -0,0 +1,42 @@
+const fs = require('fs').promises;
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { MailTransport, MailTransportError } = require('./MailTransport');
+const { Logger } = require('../utils/logger');
+
+const logger = new Logger('Mail');
+
+// Development transport - nothing leaves the machine. Each message is built as a complete
+// .eml file (attachments included) under MAIL_OUTPUT_DIR (default exports/mail) and logged,
+// so it can be opened in any mail client.
+class FileMailTransport extends MailTransport {
+    constructor(options = {}) {
+        super();
+        this.outputDir = options.outputDir || process.env.MAIL_OUTPUT_DIR || path.join(process.cwd(), 'exports', 'mail');
+        this.from = options.from || process.env.MAIL_FROM || 'reports@localhost';
+        this.transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    }
+
+    get name() {
+        return 'file';
+    }
+
+    async send({ to, subject, text, html, attachments }) {
+        try {
+            const info = await this.transporter.sendMail({ from: this.from, to, subject, text, html, attachments });
+
+            await fs.mkdir(this.outputDir, { recursive: true });
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+            const safeRecipient = String(to).replace(/[^a-zA-Z0-9@._-]/g, '_');
+            const filePath = path.join(this.outputDir, `${timestamp}_${safeRecipient}.eml`);
+            await fs.writeFile(filePath, info.message);
+
+            logger.info('Mail written to file', { to, subject, filePath });
+            return { messageID: info.messageId };
+        } catch (error) {
+            throw new MailTransportError(`File mail delivery failed: ${error.message}`, error);
+        }
+    }
+}
+
+module.exports = FileMailTransport;
@@ -0,0 +1,63 @@
+const { AppError } = require('../utils/errors');
+
+class GeocoderError extends AppError {
+    constructor(message, originalError = null) {
+        super(message, 502, 'GEOCODER_ERROR');
+        this.originalError = originalError;
+    }
+}
+
+// Base class for geocoding adapters
+// geocode turns an address { street, city, postalCode } into { latitude, longitude, city }
+// and resolves null when the address is not known. Not finding an address is a normal result -
+// only throw GeocoderError when the service cannot be reached or answers unexpectedly.
+class Geocoder {
+    get name() {
+        throw new Error('Geocoder adapters must define a name');
+    }
+
+    async geocode({ street, city, postalCode }) {
+        throw new Error(`${this.constructor.name} does not implement geocode`);
+    }
+}
+
+// Registered adapters by name - add online geocoding services here
+const adapters = {};
+
+function registerGeocoder(name, factory) {
+    adapters[name] = factory;
+}
+
+let activeGeocoder = null;
+
+// Get the configured geocoder (GEOCODER env var, defaults to the offline lookup table)
+function getGeocoder() {
+    if (!activeGeocoder) {
+        const name = process.env.GEOCODER || 'lookup';
+        const factory = adapters[name];
+        if (!factory) {
+            throw new GeocoderError(`Unknown geocoder: ${name}`);
+        }
+        activeGeocoder = factory();
+    }
+    return activeGeocoder;
+}
+
+// Replace the active geocoder (useful for tests and local tooling)
+function setGeocoder(geocoder) {
+    activeGeocoder = geocoder;
+}
+
+module.exports = {
+    Geocoder,
+    GeocoderError,
+    registerGeocoder,
+    getGeocoder,
+    setGeocoder
+};
+
+// Built-in adapters
+registerGeocoder('lookup', () => {
+    const LookupTableGeocoder = require('./LookupTableGeocoder');
+    return new LookupTableGeocoder();
+});
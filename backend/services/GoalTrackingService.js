@@ -0,0 +1,181 @@
+const ProviderGoal = require('../models/ProviderGoal');
+const Notification = require('../models/Notification');
+const RevenueAnalytics = require('./RevenueAnalytics');
+const PerformanceAnalytics = require('./PerformanceAnalytics');
+const { Logger } = require('../utils/logger');
+const { createScheduler } = require('../utils/scheduler');
+
+const { GOAL_TYPES, GOAL_STATUS, GOAL_MILESTONES } = ProviderGoal;
+
+const logger = new Logger('GoalTracking');
+
+// How often active goals are re-evaluated in the background
+const EVALUATION_INTERVAL_MINUTES = parseInt(process.env.GOAL_EVALUATION_INTERVAL_MINUTES, 10) || 60;
+
+const GOAL_LABELS = {
+    [GOAL_TYPES.REVENUE]: 'revenue',
+    [GOAL_TYPES.SERVICES]: 'completed services',
+    [GOAL_TYPES.RATING]: 'average rating',
+    [GOAL_TYPES.CUSTOMERS]: 'customers served'
+};
+
+const scheduler = createScheduler({
+    name: 'Goal evaluation scheduler',
+    intervalMinutes: EVALUATION_INTERVAL_MINUTES,
+    task: () => GoalTrackingService.evaluateActiveGoals(),
+    logger
+});
+
+// YYYY-MM-DD in local time (DATE columns come back as local midnight)
+const toDateString = (value) => {
+    const date = value instanceof Date ? value : new Date(value);
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+};
+
+const formatValue = (goalType, value) => {
+    if (goalType === GOAL_TYPES.REVENUE) return `$${Number(value).toFixed(2)}`;
+    if (goalType === GOAL_TYPES.RATING) return Number(value).toFixed(2);
+    return String(Math.round(value));
+};
+
+// Store a notification and push it to the provider's Socket.io room
+// Failures are logged only - goal evaluation must not stop because of a notification
+const notifyProvider = async (providerID, message, notificationType) => {
+    try {
+        await Notification.create({ userID: providerID, message, notificationType });
+
+        if (global.io) {
+            global.io.to(`user_${providerID}`).emit('new_notification', {
+                message,
+                notificationType
+            });
+        }
+    } catch (error) {
+        logger.error(`Failed to create ${notificationType} notification`, error);
+    }
+};
+
+class GoalTrackingService {
+    // Measure a goal over startDate..targetDate (or today, while the goal is still running)
+    static async computeCurrentValue(goal) {
+        const today = toDateString(new Date());
+        const fromDate = toDateString(goal.startDate);
+        const targetDate = toDateString(goal.targetDate);
+        const toDate = targetDate < today ? targetDate : today;
+
+        if (fromDate > toDate) return 0;
+
+        if (goal.goalType === GOAL_TYPES.REVENUE) {
+            const earnings = await RevenueAnalytics.getEarningsBetween(goal.providerID, fromDate, toDate);
+            return earnings.totalEarnings;
+        }
+
+        const stats = await PerformanceAnalytics.getServiceStatsBetween(goal.providerID, fromDate, toDate);
+        switch (goal.goalType) {
+            case GOAL_TYPES.SERVICES:
+                return stats.completedServices;
+            case GOAL_TYPES.RATING:
+                return stats.averageRating;
+            case GOAL_TYPES.CUSTOMERS:
+                return stats.uniqueCustomers;
+            default:
+                return 0;
+        }
+    }
+
+    // Progress towards the target as a percentage, capped at 100
+    static getProgressPercent(currentValue, targetValue) {
+        const target = parseFloat(targetValue);
+        if (!target || target <= 0) return 0;
+        return Math.min(100, parseFloat(((parseFloat(currentValue) / target) * 100).toFixed(2)));
+    }
+
+    // Add progress and the days left to a goal row for API responses
+    static withProgress(goal) {
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        const targetDate = new Date(goal.targetDate);
+        targetDate.setHours(0, 0, 0, 0);
+
+        return {
+            ...goal,
+            currentValue: parseFloat(goal.currentValue) || 0,
+            targetValue: parseFloat(goal.targetValue),
+            progressPercent: this.getProgressPercent(goal.currentValue, goal.targetValue),
+            daysRemaining: Math.max(0, Math.round((targetDate - today) / (1000 * 60 * 60 * 24)))
+        };
+    }
+
+    // Refresh one active goal: store progress, send milestone notifications and close it once the deadline has passed
+    static async evaluateGoal(goal) {
+        const currentValue = await this.computeCurrentValue(goal);
+        await ProviderGoal.updateProgress(goal.goalID, currentValue);
+
+        const progress = this.getProgressPercent(currentValue, goal.targetValue);
+        const label = GOAL_LABELS[goal.goalType];
+        const target = formatValue(goal.goalType, goal.targetValue);
+
+        // Only the highest newly reached milestone is announced
+        const reached = GOAL_MILESTONES.filter(milestone => progress >= milestone && milestone > goal.notifiedMilestone);
+        if (reached.length > 0) {
+            const milestone = reached[reached.length - 1];
+            if (await ProviderGoal.markMilestoneNotified(goal.goalID, milestone)) {
+                const message = milestone >= 100
+                    ? `Goal reached! You hit your ${label} target of ${target}.`
+                    : `You're ${milestone}% of the way to your ${label} goal of ${target}.`;
+                await notifyProvider(goal.providerID, message, 'goal_milestone');
+            }
+        }
+
+        if (toDateString(goal.targetDate) < toDateString(new Date())) {
+            const status = progress >= 100 ? GOAL_STATUS.COMPLETED : GOAL_STATUS.CANCELLED;
+            if (await ProviderGoal.close(goal.goalID, status)) {
+                const message = status === GOAL_STATUS.COMPLETED
+                    ? `Your ${label} goal of ${target} ended and was marked completed.`
+                    : `The deadline for your ${label} goal of ${target} has passed at ${formatValue(goal.goalType, currentValue)} (${progress}%). The goal was closed.`;
+                await notifyProvider(goal.providerID, message, status === GOAL_STATUS.COMPLETED ? 'goal_completed' : 'goal_expired');
+                logger.info('Goal closed at deadline', { goalID: goal.goalID, status });
+            }
+        }
+
+        return ProviderGoal.findById(goal.goalID);
+    }
+
+    // Refresh a provider's active goals before showing them
+    static async evaluateProviderGoals(providerID) {
+        const goals = await ProviderGoal.getByProvider(providerID, GOAL_STATUS.ACTIVE);
+        for (const goal of goals) {
+            await this.evaluateGoal(goal);
+        }
+    }
+
+    // Refresh every active goal - returns how many were evaluated
+    static async evaluateActiveGoals() {
+        const goals = await ProviderGoal.getActive();
+        let evaluated = 0;
+
+        for (const goal of goals) {
+            try {
+                await this.evaluateGoal(goal);
+                evaluated++;
+            } catch (error) {
+                logger.error('Failed to evaluate goal', error);
+            }
+        }
+
+        return evaluated;
+    }
+
+    // Run evaluateActiveGoals now and then every GOAL_EVALUATION_INTERVAL_MINUTES
+    static startScheduler() {
+        scheduler.start();
+    }
+
+    static stopScheduler() {
+        scheduler.stop();
+    }
+}
+
+module.exports = GoalTrackingService;
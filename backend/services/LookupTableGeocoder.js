@@ -0,0 +1,53 @@
+const fs = require('fs');
+const { Geocoder, GeocoderError } = require('./Geocoder');
+const DEFAULT_POSTAL_AREAS = require('../config/postalAreas');
+
+// Postal area of a postal code - its first three characters
+const postalAreaOf = (postalCode) => (postalCode ? String(postalCode).trim().toUpperCase().slice(0, 3) : null);
+
+const normalizeCity = (city) => (city ? String(city).trim().toLowerCase() : null);
+
+// Offline geocoder for local development - resolves an address to the centre of its postal area,
+// or of the first postal area of its city when there is no postal code. No network calls.
+class LookupTableGeocoder extends Geocoder {
+    constructor(options = {}) {
+        super();
+        this.postalAreas = options.postalAreas || LookupTableGeocoder.loadTable(process.env.GEOCODER_LOOKUP_FILE);
+
+        this.cities = {};
+        Object.values(this.postalAreas).forEach(area => {
+            const key = normalizeCity(area.city);
+            if (key && !this.cities[key]) {
+                this.cities[key] = area;
+            }
+        });
+    }
+
+    // The built-in table, extended by a JSON file of the same shape when one is given
+    static loadTable(filePath) {
+        if (!filePath) return DEFAULT_POSTAL_AREAS;
+
+        try {
+            return { ...DEFAULT_POSTAL_AREAS, ...JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+        } catch (error) {
+            throw new GeocoderError(`Could not read geocoder lookup file ${filePath}`, error);
+        }
+    }
+
+    get name() {
+        return 'lookup';
+    }
+
+    async geocode({ city, postalCode }) {
+        const area = this.postalAreas[postalAreaOf(postalCode)] || this.cities[normalizeCity(city)];
+        if (!area) return null;
+
+        return {
+            latitude: area.latitude,
+            longitude: area.longitude,
+            city: area.city
+        };
+    }
+}
+
+module.exports = LookupTableGeocoder;
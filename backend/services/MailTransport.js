@@ -0,0 +1,67 @@
+const { AppError } = require('../utils/errors');
+
+class MailTransportError extends AppError {
+    constructor(message, originalError = null) {
+        super(message, 502, 'MAIL_TRANSPORT_ERROR');
+        this.originalError = originalError;
+    }
+}
+
+// Base class for mail transport adapters
+// send delivers one message { to, subject, text, html, attachments: [{ filename, path, contentType }] }
+// and resolves { messageID }. Throw MailTransportError when the message could not be handed over.
+class MailTransport {
+    get name() {
+        throw new Error('Mail transport adapters must define a name');
+    }
+
+    async send({ to, subject, text, html, attachments }) {
+        throw new Error(`${this.constructor.name} does not implement send`);
+    }
+}
+
+// Registered adapters by name
+const adapters = {};
+
+function registerTransport(name, factory) {
+    adapters[name] = factory;
+}
+
+let activeTransport = null;
+
+// Get the configured transport (MAIL_TRANSPORT env var, defaults to writing files locally)
+function getMailTransport() {
+    if (!activeTransport) {
+        const name = process.env.MAIL_TRANSPORT || 'file';
+        const factory = adapters[name];
+        if (!factory) {
+            throw new MailTransportError(`Unknown mail transport: ${name}`);
+        }
+        activeTransport = factory();
+    }
+    return activeTransport;
+}
+
+// Replace the active transport (useful for tests and local tooling)
+function setMailTransport(transport) {
+    activeTransport = transport;
+}
+
+module.exports = {
+    MailTransport,
+    MailTransportError,
+    registerTransport,
+    getMailTransport,
+    setMailTransport
+};
+
+// Built-in adapters
+registerTransport('smtp', () => {
+    const SmtpMailTransport = require('./SmtpMailTransport');
+    return new SmtpMailTransport();
+});
+
+registerTransport('file', () => {
+    const FileMailTransport = require('./FileMailTransport');
+    return new FileMailTransport();
+});
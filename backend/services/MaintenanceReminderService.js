@@ -0,0 +1,98 @@
+const MaintenanceReminder = require('../models/MaintenanceReminder');
+const Notification = require('../models/Notification');
+const maintenanceConfig = require('../config/maintenance');
+const { Logger } = require('../utils/logger');
+const { createScheduler } = require('../utils/scheduler');
+
+const logger = new Logger('MaintenanceReminder');
+
+const scheduler = createScheduler({
+    name: 'Maintenance reminder scheduler',
+    intervalMinutes: maintenanceConfig.intervalMinutes,
+    task: () => MaintenanceReminderService.sendDueReminders(),
+    logger
+});
+
+const formatDate = (value) => new Date(value).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric'
+});
+
+class MaintenanceReminderService {
+    // Frequency in days for an auto-reminder category, or null when the category has none
+    static getCategoryFrequency(category) {
+        return maintenanceConfig.categories[category] || null;
+    }
+
+    // Start or renew a reminder for a completed request in a configured category
+    // Failures are logged only - a completion must not fail because of a reminder
+    static async scheduleFromCompletedRequest(request) {
+        const reminderFrequency = this.getCategoryFrequency(request.category);
+        if (!reminderFrequency) return null;
+
+        try {
+            const reminderID = await MaintenanceReminder.upsertFromCompletedRequest({
+                customerID: request.customerID,
+                serviceType: request.category,
+                requestID: request.requestID,
+                reminderFrequency
+            });
+            logger.info('Maintenance reminder scheduled', { reminderID, requestID: request.requestID });
+            return reminderID;
+        } catch (error) {
+            logger.error('Failed to schedule maintenance reminder', error);
+            return null;
+        }
+    }
+
+    // Send an in-app notification for every reminder coming due - returns how many were sent
+    static async sendDueReminders() {
+        const reminders = await MaintenanceReminder.getDueForNotification(maintenanceConfig.leadDays);
+        let sent = 0;
+
+        for (const reminder of reminders) {
+            try {
+                // Claim before sending so overlapping runs never notify twice
+                const claimed = await MaintenanceReminder.markNotified(reminder.reminderID);
+                if (!claimed) continue;
+
+                const message = `Your ${reminder.serviceType} service is due on ${formatDate(reminder.nextServiceDate)}. Book again in one click from your dashboard.`;
+                await Notification.create({
+                    userID: reminder.customerID,
+                    requestID: reminder.requestID,
+                    message,
+                    notificationType: 'maintenance_reminder'
+                });
+
+                if (global.io) {
+                    global.io.to(`user_${reminder.customerID}`).emit('new_notification', {
+                        message,
+                        notificationType: 'maintenance_reminder',
+                        requestID: reminder.requestID,
+                        reminderID: reminder.reminderID
+                    });
+                }
+                sent++;
+            } catch (error) {
+                logger.error('Failed to send maintenance reminder', error);
+            }
+        }
+
+        if (sent > 0) {
+            logger.info('Maintenance reminders sent', { sent });
+        }
+        return sent;
+    }
+
+    // Run sendDueReminders now and then every MAINTENANCE_REMINDER_INTERVAL_MINUTES
+    static startScheduler() {
+        scheduler.start();
+    }
+
+    static stopScheduler() {
+        scheduler.stop();
+    }
+}
+
+module.exports = MaintenanceReminderService;
@@ -0,0 +1,73 @@
+const { AppError } = require('../utils/errors');
+
+class PaymentGatewayError extends AppError {
+    constructor(message, originalError = null) {
+        super(message, 502, 'PAYMENT_GATEWAY_ERROR');
+        this.originalError = originalError;
+    }
+}
+
+// Base class for payment gateway adapters
+// createPayment registers a payment and returns the gateway's transaction reference,
+// confirmPayment charges it and resolves { success, transactionID, declineReason },
+// refundPayment returns money on a charged transaction and resolves { success, refundID, declineReason }.
+// A decline is a normal result (success: false) - only throw PaymentGatewayError
+// when the gateway cannot be reached or answers unexpectedly.
+class PaymentGateway {
+    get name() {
+        throw new Error('Payment gateway adapters must define a name');
+    }
+
+    async createPayment({ amount, currency, reference, metadata }) {
+        throw new Error(`${this.constructor.name} does not implement createPayment`);
+    }
+
+    async confirmPayment({ transactionID, amount, paymentMethod, paymentToken }) {
+        throw new Error(`${this.constructor.name} does not implement confirmPayment`);
+    }
+
+    async refundPayment({ transactionID, amount, reason }) {
+        throw new Error(`${this.constructor.name} does not implement refundPayment`);
+    }
+}
+
+// Registered adapters by name - add real gateways here
+const adapters = {};
+
+function registerGateway(name, factory) {
+    adapters[name] = factory;
+}
+
+let activeGateway = null;
+
+// Get the configured gateway (PAYMENT_GATEWAY env var, defaults to the offline fake)
+function getPaymentGateway() {
+    if (!activeGateway) {
+        const name = process.env.PAYMENT_GATEWAY || 'fake';
+        const factory = adapters[name];
+        if (!factory) {
+            throw new PaymentGatewayError(`Unknown payment gateway: ${name}`);
+        }
+        activeGateway = factory();
+    }
+    return activeGateway;
+}
+
+// Replace the active gateway (useful for tests and local tooling)
+function setPaymentGateway(gateway) {
+    activeGateway = gateway;
+}
+
+module.exports = {
+    PaymentGateway,
+    PaymentGatewayError,
+    registerGateway,
+    getPaymentGateway,
+    setPaymentGateway
+};
+
+// Built-in adapters
+registerGateway('fake', () => {
+    const FakePaymentGateway = require('./FakePaymentGateway');
+    return new FakePaymentGateway();
+});
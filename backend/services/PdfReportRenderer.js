@@ -0,0 +1,338 @@
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+const ReportSections = require('./ReportSections');
+
+const { TEXT, INTEGER, NUMBER, CURRENCY, PERCENT, DATE } = ReportSections.VALUE_TYPES;
+
+const MARGIN = 50;
+const COLORS = {
+    primary: '#4a8bc2',
+    text: '#1a1a2e',
+    muted: '#888888',
+    grid: '#e0e0e0',
+    stripe: '#f4f7fb',
+    series: ['#4a8bc2', '#4caf50', '#e57373', '#ffb74d']
+};
+const TABLE_ROW_HEIGHT = 18;
+const CHART_HEIGHT = 170;
+// Most x-axis labels a chart prints before thinning them out
+const MAX_CHART_LABELS = 8;
+
+// Trend charts drawn at the top of each section, read straight from the analytics data
+const SECTION_CHARTS = {
+    Revenue: (data) => [{
+        title: 'Revenue Trend',
+        points: data.revenue?.revenueTrends?.dataPoints,
+        series: [{ name: 'Earnings', key: 'earnings' }],
+        type: CURRENCY
+    }],
+    Performance: (data) => [{
+        title: 'Request Volume',
+        points: data.performance?.requestVolumeTrends?.dataPoints,
+        series: [
+            { name: 'Total', key: 'totalRequests' },
+            { name: 'Completed', key: 'completedRequests' },
+            { name: 'Cancelled', key: 'cancelledRequests' }
+        ],
+        type: INTEGER
+    }, {
+        title: 'Rating Trend',
+        points: data.performance?.ratingTrends,
+        labelKey: 'month',
+        series: [{ name: 'Average rating', key: 'averageRating' }],
+        type: NUMBER
+    }],
+    Customers: (data) => [{
+        title: 'Customer Acquisition',
+        points: data.customer?.acquisitionTrends?.dataPoints,
+        series: [
+            { name: 'New', key: 'newCustomers' },
+            { name: 'Returning', key: 'returningCustomers' }
+        ],
+        type: INTEGER
+    }]
+};
+
+const formatValue = (type, value) => {
+    if (value === null || value === undefined) return '-';
+    if (value instanceof Date) return value.toISOString().slice(0, 10);
+    if (typeof value === 'string' || type === TEXT) return String(value);
+
+    switch (type) {
+        case CURRENCY:
+            return `$${value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+        case PERCENT:
+            return `${value.toFixed(2)}%`;
+        case INTEGER:
+            return Math.round(value).toLocaleString('en-US');
+        case DATE:
+            return String(value);
+        default:
+            return value.toLocaleString('en-US', { maximumFractionDigits: 2 });
+    }
+};
+
+// Short x-axis label: ISO dates lose the year, everything else is kept
+const formatAxisLabel = (label) => {
+    const text = String(label ?? '');
+    return /^\d{4}-\d{2}-\d{2}/.test(text) ? text.slice(5, 10) : text;
+};
+
+const pageBottom = (doc) => doc.page.height - doc.page.margins.bottom;
+const contentWidth = (doc) => doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+// Start a new page when the next block would not fit on this one
+const ensureSpace = (doc, height) => {
+    if (doc.y + height > pageBottom(doc)) {
+        doc.addPage();
+    }
+};
+
+const drawCover = (doc, reportData, sections) => {
+    const { analyticsData, reportMetadata, template } = reportData;
+    const width = contentWidth(doc);
+
+    doc.rect(0, 0, doc.page.width, 8).fill(COLORS.primary);
+
+    doc.fillColor(COLORS.text).font('Helvetica-Bold').fontSize(26)
+        .text(template?.name || 'Provider Analytics Report', MARGIN, 200, { width });
+    doc.moveDown(0.5);
+    if (template?.description) {
+        doc.font('Helvetica').fontSize(13).fillColor(COLORS.muted).text(template.description, { width });
+    }
+
+    const start = analyticsData.dateRange?.start;
+    const end = analyticsData.dateRange?.end;
+    const details = [
+        ['Report ID', reportMetadata?.reportID],
+        ['Period', start && end ? `${start} to ${end}` : analyticsData.period],
+        ['Generated', new Date(analyticsData.generatedAt).toISOString().replace('T', ' ').slice(0, 16) + ' UTC']
+    ].filter(([, value]) => value !== null && value !== undefined);
+
+    doc.moveDown(2);
+    details.forEach(([label, value]) => {
+        doc.font('Helvetica-Bold').fontSize(11).fillColor(COLORS.text).text(`${label}: `, { continued: true })
+            .font('Helvetica').text(String(value));
+    });
+
+    // Contents - the summary section is printed on the cover itself
+    doc.moveDown(2);
+    doc.font('Helvetica-Bold').fontSize(13).fillColor(COLORS.text).text('Contents');
+    doc.moveDown(0.3);
+    sections.slice(1).forEach(section => {
+        doc.font('Helvetica').fontSize(11).text(`•  ${section.name}`);
+    });
+};
+
+const drawSectionHeading = (doc, title) => {
+    doc.font('Helvetica-Bold').fontSize(18).fillColor(COLORS.text).text(title, MARGIN, doc.y);
+    const y = doc.y + 4;
+    doc.moveTo(MARGIN, y).lineTo(MARGIN + contentWidth(doc), y).lineWidth(1).strokeColor(COLORS.primary).stroke();
+    doc.y = y + 14;
+};
+
+const getColumnWidths = (doc, columns) => {
+    const width = contentWidth(doc);
+    if (columns.length === 2) return [width * 0.6, width * 0.4];
+
+    const first = width * 0.3;
+    const rest = (width - first) / (columns.length - 1);
+    return [first, ...columns.slice(1).map(() => rest)];
+};
+
+const drawTableHeader = (doc, columns, widths) => {
+    const y = doc.y;
+    doc.rect(MARGIN, y, contentWidth(doc), TABLE_ROW_HEIGHT).fill(COLORS.primary);
+    doc.font('Helvetica-Bold').fontSize(9).fillColor('white');
+
+    let x = MARGIN;
+    columns.forEach((column, index) => {
+        const align = index === 0 ? 'left' : 'right';
+        doc.text(column.header, x + 4, y + 5, { width: widths[index] - 8, align, lineBreak: false, ellipsis: true });
+        x += widths[index];
+    });
+    doc.y = y + TABLE_ROW_HEIGHT;
+};
+
+// Table with a header row that repeats when the table runs onto another page
+const drawTable = (doc, table) => {
+    const widths = getColumnWidths(doc, table.columns);
+
+    ensureSpace(doc, 20 + TABLE_ROW_HEIGHT * Math.min(table.rows.length + 1, 4));
+    doc.font('Helvetica-Bold').fontSize(12).fillColor(COLORS.text).text(table.title, MARGIN, doc.y);
+    doc.moveDown(0.3);
+    drawTableHeader(doc, table.columns, widths);
+
+    if (table.rows.length === 0) {
+        doc.font('Helvetica-Oblique').fontSize(9).fillColor(COLORS.muted)
+            .text('No data for this period', MARGIN + 4, doc.y + 5);
+        doc.y += 6;
+    }
+
+    table.rows.forEach((row, rowIndex) => {
+        if (doc.y + TABLE_ROW_HEIGHT > pageBottom(doc)) {
+            doc.addPage();
+            drawTableHeader(doc, table.columns, widths);
+        }
+
+        const y = doc.y;
+        if (rowIndex % 2 === 1) {
+            doc.rect(MARGIN, y, contentWidth(doc), TABLE_ROW_HEIGHT).fill(COLORS.stripe);
+        }
+        doc.font('Helvetica').fontSize(9).fillColor(COLORS.text);
+
+        let x = MARGIN;
+        table.columns.forEach((column, index) => {
+            const { type, value } = ReportSections.cellValue(column, row);
+            const align = index === 0 ? 'left' : 'right';
+            doc.text(formatValue(type, value), x + 4, y + 5, { width: widths[index] - 8, align, lineBreak: false, ellipsis: true });
+            x += widths[index];
+        });
+        doc.y = y + TABLE_ROW_HEIGHT;
+    });
+
+    doc.x = MARGIN;
+    doc.moveDown(1.2);
+};
+
+// Line chart with a zero-based y axis, gridlines, thinned x labels and a legend
+const drawChart = (doc, chart) => {
+    const labelKey = chart.labelKey || 'label';
+    const points = chart.points.map(point => ({
+        label: formatAxisLabel(point[labelKey]),
+        values: chart.series.map(series => parseFloat(point[series.key]) || 0)
+    }));
+
+    ensureSpace(doc, CHART_HEIGHT + 60);
+    doc.font('Helvetica-Bold').fontSize(12).fillColor(COLORS.text).text(chart.title, MARGIN, doc.y);
+    doc.moveDown(0.5);
+
+    const axisWidth = 60;
+    const left = MARGIN + axisWidth;
+    const top = doc.y;
+    const width = contentWidth(doc) - axisWidth;
+    const height = CHART_HEIGHT;
+    const bottom = top + height;
+
+    const maxValue = Math.max(...points.flatMap(point => point.values), 0);
+    const yMax = maxValue > 0 ? maxValue * 1.1 : 1;
+    const gridLines = 4;
+
+    doc.font('Helvetica').fontSize(8);
+    for (let i = 0; i <= gridLines; i++) {
+        const value = (yMax / gridLines) * i;
+        const y = bottom - (height / gridLines) * i;
+        doc.moveTo(left, y).lineTo(left + width, y).lineWidth(0.5).strokeColor(COLORS.grid).stroke();
+        doc.fillColor(COLORS.muted).text(formatValue(chart.type, value), MARGIN, y - 4, {
+            width: axisWidth - 6, align: 'right', lineBreak: false
+        });
+    }
+
+    const step = points.length > 1 ? width / (points.length - 1) : 0;
+    const xFor = (index) => (points.length > 1 ? left + step * index : left + width / 2);
+    const yFor = (value) => bottom - (value / yMax) * height;
+
+    // x labels, thinned so they do not overlap
+    const labelEvery = Math.ceil(points.length / MAX_CHART_LABELS);
+    points.forEach((point, index) => {
+        if (index % labelEvery !== 0 && index !== points.length - 1) return;
+        doc.fillColor(COLORS.muted).text(point.label, xFor(index) - 30, bottom + 4, {
+            width: 60, align: 'center', lineBreak: false, ellipsis: true
+        });
+    });
+
+    chart.series.forEach((series, seriesIndex) => {
+        const color = COLORS.series[seriesIndex % COLORS.series.length];
+        points.forEach((point, index) => {
+            const x = xFor(index);
+            const y = yFor(point.values[seriesIndex]);
+            if (index === 0) doc.moveTo(x, y);
+            else doc.lineTo(x, y);
+        });
+        doc.lineWidth(1.5).strokeColor(color).stroke();
+
+        points.forEach((point, index) => {
+            doc.circle(xFor(index), yFor(point.values[seriesIndex]), 2).fill(color);
+        });
+    });
+
+    // Legend
+    let legendX = left;
+    const legendY = bottom + 20;
+    chart.series.forEach((series, seriesIndex) => {
+        doc.rect(legendX, legendY, 8, 8).fill(COLORS.series[seriesIndex % COLORS.series.length]);
+        doc.fillColor(COLORS.text).fontSize(8).text(series.name, legendX + 12, legendY, { lineBreak: false });
+        legendX += 24 + doc.widthOfString(series.name);
+    });
+
+    doc.x = MARGIN;
+    doc.y = legendY + 24;
+};
+
+// Page numbers on every page after the cover
+const drawFooters = (doc) => {
+    const range = doc.bufferedPageRange();
+    for (let i = 1; i < range.count; i++) {
+        doc.switchToPage(range.start + i);
+        // Writing inside the bottom margin would otherwise open a new page
+        const bottomMargin = doc.page.margins.bottom;
+        doc.page.margins.bottom = 0;
+        doc.font('Helvetica').fontSize(8).fillColor(COLORS.muted)
+            .text(`Page ${i + 1} of ${range.count}`, MARGIN, doc.page.height - 35, {
+                width: contentWidth(doc), align: 'center', lineBreak: false
+            });
+        doc.page.margins.bottom = bottomMargin;
+    }
+};
+
+class PdfReportRenderer {
+    // Render the report to filePath - returns the number of pages written
+    static async render(reportData, filePath) {
+        const { analyticsData, reportMetadata } = reportData;
+        const includeCharts = reportMetadata?.options?.includeCharts !== false;
+        const sections = ReportSections.build(analyticsData);
+
+        const doc = new PDFDocument({
+            size: 'LETTER',
+            margin: MARGIN,
+            bufferPages: true,
+            info: {
+                Title: reportData.template?.name || 'Provider Analytics Report',
+                Author: 'Provider Analytics'
+            }
+        });
+        const output = fs.createWriteStream(filePath);
+        const finished = new Promise((resolve, reject) => {
+            output.on('finish', resolve);
+            output.on('error', reject);
+            doc.on('error', reject);
+        });
+        doc.pipe(output);
+
+        drawCover(doc, reportData, sections);
+
+        // Each section starts on its own page: charts first, then its tables
+        sections.slice(1).forEach(section => {
+            doc.addPage();
+            drawSectionHeading(doc, section.name);
+
+            if (includeCharts && SECTION_CHARTS[section.name]) {
+                SECTION_CHARTS[section.name](analyticsData)
+                    .filter(chart => Array.isArray(chart.points) && chart.points.length > 0)
+                    .forEach(chart => drawChart(doc, chart));
+            }
+
+            section.tables.forEach(table => drawTable(doc, table));
+        });
+
+        drawFooters(doc);
+        const pages = doc.bufferedPageRange().count;
+
+        doc.end();
+        await finished;
+
+        return { pages };
+    }
+}
+
+module.exports = PdfReportRenderer;
@@ -15,6 +15,14 @@ const REQUEST_STATUSES = {
     REJECTED: 'Rejected'
 };
 
+// When the provider responded to a request: the recorded accept time from JobHistory,
+// falling back to their first chat message and then updatedAt for requests older than the history
+const RESPONDED_AT = `COALESCE(
+    (SELECT MIN(jh.createdAt) FROM JobHistory jh WHERE jh.requestID = sr.requestID AND jh.action = 'accepted'),
+    (SELECT MIN(c.timestamp) FROM Chat c WHERE c.requestID = sr.requestID AND c.senderID = sr.providerID),
+    sr.updatedAt
+)`;
+
 class PerformanceAnalytics {
     static parsePeriod(period) {
         switch (period) {
@@ -144,34 +152,18 @@ class PerformanceAnalytics {
                 previousDateCondition = `AND sr.createdAt >= DATE_SUB(NOW(), INTERVAL ${days * 2} DAY) AND sr.createdAt < DATE_SUB(NOW(), INTERVAL ${interval})`;
             }
 
-            // Calculate response time as the time between request creation and first chat message from provider
-            // or the time between request creation and status change to 'Accepted'
+            // Calculate response time as the time between request creation and the provider accepting it
             const currentQuery = `
                 SELECT 
                     AVG(
-                        TIMESTAMPDIFF(MINUTE, sr.createdAt, 
-                            COALESCE(
-                                (SELECT MIN(c.timestamp) FROM Chat c WHERE c.requestID = sr.requestID AND c.senderID = sr.providerID),
-                                sr.updatedAt
-                            )
-                        )
+                        TIMESTAMPDIFF(MINUTE, sr.createdAt, ${RESPONDED_AT})
                     ) as avgResponseMinutes,
                     COUNT(*) as responseCount,
                     MIN(
-                        TIMESTAMPDIFF(MINUTE, sr.createdAt, 
-                            COALESCE(
-                                (SELECT MIN(c.timestamp) FROM Chat c WHERE c.requestID = sr.requestID AND c.senderID = sr.providerID),
-                                sr.updatedAt
-                            )
-                        )
+                        TIMESTAMPDIFF(MINUTE, sr.createdAt, ${RESPONDED_AT})
                     ) as minResponseMinutes,
                     MAX(
-                        TIMESTAMPDIFF(MINUTE, sr.createdAt, 
-                            COALESCE(
-                                (SELECT MIN(c.timestamp) FROM Chat c WHERE c.requestID = sr.requestID AND c.senderID = sr.providerID),
-                                sr.updatedAt
-                            )
-                        )
+                        TIMESTAMPDIFF(MINUTE, sr.createdAt, ${RESPONDED_AT})
                     ) as maxResponseMinutes
                 FROM ServiceRequest sr
                 WHERE sr.providerID = ?
@@ -208,12 +200,7 @@ class PerformanceAnalytics {
                 const previousQuery = `
                     SELECT 
                         AVG(
-                            TIMESTAMPDIFF(MINUTE, sr.createdAt, 
-                                COALESCE(
-                                    (SELECT MIN(c.timestamp) FROM Chat c WHERE c.requestID = sr.requestID AND c.senderID = sr.providerID),
-                                    sr.updatedAt
-                                )
-                            )
+                            TIMESTAMPDIFF(MINUTE, sr.createdAt, ${RESPONDED_AT})
                         ) as avgResponseMinutes
                     FROM ServiceRequest sr
                     WHERE sr.providerID = ?
@@ -717,6 +704,53 @@ class PerformanceAnalytics {
         }
     }
 
+    // Completed services, distinct customers served and average rating between two dates (inclusive)
+    // A service counts on the day it was completed - used for goal progress
+    static async getServiceStatsBetween(providerID, fromDate, toDate) {
+        try {
+            analyticsLogger.debug('Getting service stats between dates', { providerID, fromDate, toDate });
+
+            const servicesQuery = `
+                SELECT
+                    COUNT(*) as completedServices,
+                    COUNT(DISTINCT sr.customerID) as uniqueCustomers
+                FROM ServiceRequest sr
+                LEFT JOIN ServiceCompletion sc ON sr.requestID = sc.requestID
+                WHERE sr.providerID = ?
+                    AND sr.status = 'Completed'
+                    AND COALESCE(sc.completionDate, DATE(sr.updatedAt)) BETWEEN ? AND ?
+            `;
+
+            const ratingQuery = `
+                SELECT
+                    AVG(r.rating) as averageRating,
+                    COUNT(*) as reviewCount
+                FROM Review r
+                WHERE r.providerID = ?
+                    AND DATE(r.createdAt) BETWEEN ? AND ?
+            `;
+
+            const [[serviceRows], [ratingRows]] = await Promise.all([
+                pool.execute(servicesQuery, [providerID, fromDate, toDate]),
+                pool.execute(ratingQuery, [providerID, fromDate, toDate])
+            ]);
+
+            const averageRating = parseFloat(ratingRows[0].averageRating) || 0;
+
+            return {
+                fromDate,
+                toDate,
+                completedServices: parseInt(serviceRows[0].completedServices, 10) || 0,
+                uniqueCustomers: parseInt(serviceRows[0].uniqueCustomers, 10) || 0,
+                averageRating: parseFloat(averageRating.toFixed(2)),
+                reviewCount: parseInt(ratingRows[0].reviewCount, 10) || 0
+            };
+        } catch (error) {
+            analyticsLogger.error('Error getting service stats between dates', { providerID, fromDate, toDate, error: error.message });
+            throw mapDatabaseError(error);
+        }
+    }
+
     static async getDashboardData(providerID, period = '30days') {
         try {
             analyticsLogger.debug('Getting performance dashboard data', { providerID, period });
@@ -0,0 +1,320 @@
+const pool = require('../config/database');
+const Availability = require('../models/Availability');
+const Booking = require('../models/Booking');
+const Notification = require('../models/Notification');
+const RequestMatch = require('../models/RequestMatch');
+const ReviewAnalytics = require('./ReviewAnalytics');
+const PerformanceAnalytics = require('./PerformanceAnalytics');
+const { Logger } = require('../utils/logger');
+
+const logger = new Logger('ProviderMatching');
+
+// How much each factor counts towards a provider's match score (sums to 1)
+const WEIGHTS = {
+    category: 0.25,
+    distance: 0.2,
+    availability: 0.15,
+    rating: 0.15,
+    completion: 0.15,
+    workload: 0.1
+};
+
+// Providers kept on the shortlist, and how many of the best are invited straight away
+const SHORTLIST_SIZE = 10;
+const INVITE_COUNT = parseInt(process.env.MATCH_INVITE_COUNT, 10) || 3;
+
+// Candidates that get the rating and completion lookups - the rest are cut on the cheap factors
+const ENRICHED_CANDIDATES = 25;
+
+// Reach for providers without a service radius of their own
+const DEFAULT_RADIUS_MILES = 25;
+
+// Completed jobs in the category that count as fully experienced
+const EXPERIENCED_JOBS = 5;
+
+// Category score of a provider who offers the category in a bundle but has not completed a job in it yet
+const OFFERED_CATEGORY_SCORE = 0.2;
+
+// Accepted and in-progress jobs at which a provider counts as fully booked
+const FULL_WORKLOAD_JOBS = 5;
+
+// Days ahead checked for published free slots when the request has no date
+const OPEN_DAYS_AHEAD = 7;
+
+// Score for a factor the platform knows nothing about (no location, no reviews, no history)
+const UNKNOWN_SCORE = 0.5;
+
+const COMPLETION_PERIOD = '6months';
+
+const EARTH_RADIUS_MILES = 3958.8;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Great-circle distance between two points in miles
+const distanceBetween = (from, to) => {
+    const latitudeDelta = toRadians(to.latitude - from.latitude);
+    const longitudeDelta = toRadians(to.longitude - from.longitude);
+    const a = Math.sin(latitudeDelta / 2) ** 2 +
+        Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(longitudeDelta / 2) ** 2;
+    return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(a));
+};
+
+const hasLocation = (record) => record.latitude !== null && record.latitude !== undefined
+    && record.longitude !== null && record.longitude !== undefined;
+
+const toPoint = (record) => ({ latitude: parseFloat(record.latitude), longitude: parseFloat(record.longitude) });
+
+const round = (value, places = 2) => parseFloat(value.toFixed(places));
+
+// HH:MM of a service date chosen from a time slot, or null for date-only values
+const getTimeOfDay = (value) => {
+    const date = new Date(value);
+    if (isNaN(date.getTime()) || (date.getHours() === 0 && date.getMinutes() === 0)) return null;
+    return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+};
+
+const weightedScore = (factors) => Object.entries(WEIGHTS)
+    .reduce((sum, [factor, weight]) => sum + weight * (factors[factor] === undefined ? UNKNOWN_SCORE : factors[factor]), 0);
+
+class ProviderMatchingService {
+    // Score providers for a new request, store the ranked shortlist and invite the best ones
+    // Never throws - a request is created whether or not matching works, and resolves [] on failure
+    static async matchRequest(request) {
+        try {
+            const shortlist = await this.rankProviders(request);
+
+            const matches = shortlist.map((match, index) => ({ ...match, invited: index < INVITE_COUNT }));
+            await RequestMatch.saveShortlist(request.requestID, matches);
+
+            await Promise.all(matches
+                .filter(match => match.invited)
+                .map(match => this.invite(request, match)));
+
+            logger.info('Request matched', {
+                requestID: request.requestID,
+                candidates: shortlist.length,
+                invited: Math.min(INVITE_COUNT, shortlist.length)
+            });
+
+            return RequestMatch.getByRequest(request.requestID);
+        } catch (error) {
+            logger.error('Provider matching failed', { requestID: request.requestID, error: error.message });
+            return [];
+        }
+    }
+
+    // Ranked shortlist of { providerID, providerName, score (0-100), scoreBreakdown, distanceMiles }
+    static async rankProviders(request) {
+        const candidates = await this.getCandidates(request);
+        if (candidates.length === 0) return [];
+
+        const availability = await this.getAvailability(request, candidates.map(c => c.providerID));
+
+        // First pass on the factors the candidate query already has
+        const scored = [];
+        candidates.forEach(candidate => {
+            const distance = this.scoreDistance(request, candidate);
+            const open = availability[candidate.providerID];
+            if (distance.outOfRange || open === 0) return;
+
+            scored.push({
+                candidate,
+                distanceMiles: distance.miles,
+                factors: {
+                    category: Math.max(
+                        Math.min(candidate.completedInCategory / EXPERIENCED_JOBS, 1),
+                        candidate.offersCategory ? OFFERED_CATEGORY_SCORE : 0
+                    ),
+                    distance: distance.score,
+                    availability: open === undefined ? UNKNOWN_SCORE : open,
+                    workload: Math.max(0, 1 - candidate.activeJobs / FULL_WORKLOAD_JOBS)
+                }
+            });
+        });
+
+        scored.sort((a, b) => weightedScore(b.factors) - weightedScore(a.factors));
+        const finalists = scored.slice(0, ENRICHED_CANDIDATES);
+
+        // Second pass adds the review and completion figures for the finalists only
+        await Promise.all(finalists.map(async (entry) => {
+            const [rating, completion] = await Promise.all([
+                this.scoreRating(entry.candidate.providerID),
+                this.scoreCompletion(entry.candidate.providerID)
+            ]);
+            entry.factors.rating = rating;
+            entry.factors.completion = completion;
+        }));
+
+        return finalists
+            .map(entry => ({
+                providerID: entry.candidate.providerID,
+                providerName: entry.candidate.providerName,
+                score: round(weightedScore(entry.factors) * 100),
+                scoreBreakdown: Object.fromEntries(
+                    Object.keys(WEIGHTS).map(factor => [factor, round(entry.factors[factor])])
+                ),
+                distanceMiles: entry.distanceMiles
+            }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, SHORTLIST_SIZE);
+    }
+
+    // Providers who offer the request's category - a completed job in it or an active bundle for it -
+    // with their experience in it, current workload and home base
+    static async getCandidates(request) {
+        const query = `
+            SELECT
+                u.userID as providerID,
+                u.name as providerName,
+                u.latitude,
+                u.longitude,
+                u.serviceRadiusMiles,
+                COALESCE(experience.completedInCategory, 0) as completedInCategory,
+                COALESCE(workload.activeJobs, 0) as activeJobs,
+                EXISTS (
+                    SELECT 1 FROM ServiceBundle sb
+                    WHERE sb.providerID = u.userID AND sb.isActive = TRUE
+                    AND (sb.validTill IS NULL OR sb.validTill >= CURDATE())
+                    AND JSON_SEARCH(sb.servicesIncluded, 'one', ?) IS NOT NULL
+                ) as offersCategory
+            FROM USER u
+            LEFT JOIN (
+                SELECT providerID, COUNT(*) as completedInCategory
+                FROM ServiceRequest
+                WHERE category = ? AND status = 'Completed' AND providerID IS NOT NULL
+                GROUP BY providerID
+            ) experience ON u.userID = experience.providerID
+            LEFT JOIN (
+                SELECT providerID, COUNT(*) as activeJobs
+                FROM ServiceRequest
+                WHERE status IN ('Accepted', 'In Progress') AND providerID IS NOT NULL
+                GROUP BY providerID
+            ) workload ON u.userID = workload.providerID
+            WHERE u.role = 'Provider' AND u.userID <> ?
+            HAVING completedInCategory > 0 OR offersCategory
+        `;
+        const [rows] = await pool.execute(query, [request.category, request.category, request.customerID]);
+        return rows.map(row => ({
+            ...row,
+            completedInCategory: parseInt(row.completedInCategory, 10) || 0,
+            activeJobs: parseInt(row.activeJobs, 10) || 0,
+            offersCategory: Boolean(row.offersCategory)
+        }));
+    }
+
+    // providerID -> 1 with a free published slot, 0 when fully booked or blocked
+    // Providers who published nothing for the period are left out (unknown)
+    static async getAvailability(request, providerIDs) {
+        const availability = {};
+
+        if (request.serviceDate) {
+            const date = Booking.toDateString(request.serviceDate);
+            const slot = Availability.getSlotForTime(getTimeOfDay(request.serviceDate));
+
+            const [published] = await pool.execute(
+                'SELECT DISTINCT providerID FROM Availability WHERE date = ?',
+                [date]
+            );
+            published.forEach(row => { availability[row.providerID] = 0; });
+
+            const free = await Availability.getFreeSlots(date);
+            free
+                .filter(row => !slot || row.timeSlot === slot)
+                .forEach(row => { availability[row.providerID] = 1; });
+        } else {
+            const [rows] = await pool.execute(`
+                SELECT providerID, MAX(available) as hasOpenSlot
+                FROM Availability
+                WHERE date BETWEEN CURDATE() AND DATE_ADD(CURDATE(), INTERVAL ${OPEN_DAYS_AHEAD} DAY)
+                GROUP BY providerID
+            `);
+            // Without a date nobody is ruled out - a provider with no open slot this week just scores low
+            rows.forEach(row => { availability[row.providerID] = row.hasOpenSlot ? 1 : 0.1; });
+        }
+
+        const candidates = new Set(providerIDs);
+        Object.keys(availability).forEach(providerID => {
+            if (!candidates.has(parseInt(providerID, 10))) delete availability[providerID];
+        });
+        return availability;
+    }
+
+    // 1 at the provider's door, falling to 0 at the edge of their radius
+    static scoreDistance(request, candidate) {
+        if (!hasLocation(request) || !hasLocation(candidate)) {
+            return { score: UNKNOWN_SCORE, miles: null, outOfRange: false };
+        }
+
+        const miles = distanceBetween(toPoint(candidate), toPoint(request));
+        const radius = candidate.serviceRadiusMiles || DEFAULT_RADIUS_MILES;
+        return {
+            score: Math.max(0, 1 - miles / radius),
+            miles: round(miles, 1),
+            outOfRange: miles > radius
+        };
+    }
+
+    // Average rating out of 5 from the review analytics cache
+    static async scoreRating(providerID) {
+        try {
+            const analytics = await ReviewAnalytics.getCachedAnalytics(providerID);
+            if (!analytics.totalReviews) return UNKNOWN_SCORE;
+            return Math.min(parseFloat(analytics.averageRating) / 5, 1);
+        } catch (error) {
+            logger.warn('Rating lookup failed', { providerID, error: error.message });
+            return UNKNOWN_SCORE;
+        }
+    }
+
+    // Share of accepted jobs the provider completed recently
+    static async scoreCompletion(providerID) {
+        try {
+            const completion = await PerformanceAnalytics.getCompletionRate(providerID, COMPLETION_PERIOD);
+            if (!completion.acceptedRequests) return UNKNOWN_SCORE;
+            return Math.min(completion.completionRate / 100, 1);
+        } catch (error) {
+            logger.warn('Completion rate lookup failed', { providerID, error: error.message });
+            return UNKNOWN_SCORE;
+        }
+    }
+
+    // Store a notification and push the invitation to the provider's Socket.io room
+    static async invite(request, match) {
+        const distance = match.distanceMiles !== null ? ` ${match.distanceMiles} mi away` : '';
+        const message = `New ${request.category} request${distance} matches your profile - take a look before it is taken`;
+
+        try {
+            await Notification.create({
+                userID: match.providerID,
+                requestID: request.requestID,
+                message,
+                notificationType: 'request_invitation'
+            });
+
+            if (global.io) {
+                global.io.to(`user_${match.providerID}`).emit('new_notification', {
+                    message,
+                    notificationType: 'request_invitation',
+                    requestID: request.requestID
+                });
+                global.io.to(`user_${match.providerID}`).emit('request_invitation', {
+                    requestID: request.requestID,
+                    category: request.category,
+                    city: request.city || null,
+                    distanceMiles: match.distanceMiles,
+                    score: match.score
+                });
+            }
+        } catch (error) {
+            logger.error('Failed to send request invitation', {
+                requestID: request.requestID,
+                providerID: match.providerID,
+                error: error.message
+            });
+        }
+    }
+}
+
+ProviderMatchingService.WEIGHTS = WEIGHTS;
+
+module.exports = ProviderMatchingService;
@@ -1,22 +1,55 @@
 const pool = require('../config/database');
+const PerformanceAlert = require('../models/PerformanceAlert');
+const Notification = require('../models/Notification');
 const { DatabaseError, ValidationError, mapDatabaseError } = require('../utils/errors');
 const { analyticsLogger } = require('../utils/logger');
 
-// Metric types for threshold alerts
-const METRIC_TYPES = {
-    COMPLETION_RATE: 'completion_rate',
-    RESPONSE_TIME: 'response_time',
-    CANCELLATION_RATE: 'cancellation_rate',
-    RATING: 'rating',
-    EARNINGS: 'earnings',
-    REQUEST_COUNT: 'request_count'
+const { METRIC_TYPES, COMPARISON_OPERATORS, ALERT_EVENTS } = PerformanceAlert;
+
+// Notification types (and socket events) for alert state changes
+const ALERT_NOTIFICATIONS = {
+    [ALERT_EVENTS.BREACHED]: 'performance_alert',
+    [ALERT_EVENTS.RECOVERED]: 'performance_alert_recovered'
+};
+
+const METRIC_NAMES = {
+    [METRIC_TYPES.COMPLETION_RATE]: 'Completion rate',
+    [METRIC_TYPES.RESPONSE_TIME]: 'Response time',
+    [METRIC_TYPES.CANCELLATION_RATE]: 'Cancellation rate',
+    [METRIC_TYPES.RATING]: 'Average rating',
+    [METRIC_TYPES.EARNINGS]: 'Today\'s earnings',
+    [METRIC_TYPES.REQUEST_COUNT]: 'Today\'s requests'
+};
+
+const formatMetricValue = (metricType, value) => {
+    if (metricType === METRIC_TYPES.RESPONSE_TIME) return `${value.toFixed(0)} minutes`;
+    if (metricType === METRIC_TYPES.EARNINGS) return `$${value.toFixed(2)}`;
+    if (metricType === METRIC_TYPES.COMPLETION_RATE || metricType === METRIC_TYPES.CANCELLATION_RATE) {
+        return `${value.toFixed(1)}%`;
+    }
+    if (metricType === METRIC_TYPES.REQUEST_COUNT) return `${Math.round(value)}`;
+    return value.toFixed(2);
 };
 
-// Comparison operators for alerts
-const COMPARISON_OPERATORS = {
-    ABOVE: 'above',
-    BELOW: 'below',
-    EQUALS: 'equals'
+// Notify the provider of an alert state change - a Notification plus a live push to their room
+const notifyAlert = async (providerID, alert, notificationType) => {
+    try {
+        await Notification.create({ userID: providerID, message: alert.message, notificationType });
+
+        if (global.io) {
+            global.io.to(`user_${providerID}`).emit('new_notification', {
+                message: alert.message,
+                notificationType
+            });
+            global.io.to(`user_${providerID}`).emit(notificationType, alert);
+        }
+    } catch (error) {
+        analyticsLogger.error('Failed to send performance alert notification', {
+            providerID,
+            alertID: alert.alertID,
+            error: error.message
+        });
+    }
 };
 
 class RealTimeAnalytics {
@@ -42,7 +75,7 @@ class RealTimeAnalytics {
             // Get today's earnings
             const earningsQuery = `
                 SELECT 
-                    COALESCE(SUM(CASE WHEN p.status = 'Completed' THEN p.amount ELSE 0 END), 0) as completedEarnings,
+                    COALESCE(SUM(CASE WHEN p.status = 'Completed' THEN p.amount - p.refundedAmount ELSE 0 END), 0) as completedEarnings,
                     COALESCE(SUM(CASE WHEN p.status = 'Pending' THEN p.amount ELSE 0 END), 0) as pendingEarnings,
                     COUNT(CASE WHEN p.status = 'Completed' THEN 1 END) as completedPayments,
                     COUNT(CASE WHEN p.status = 'Pending' THEN 1 END) as pendingPayments
@@ -91,7 +124,7 @@ class RealTimeAnalytics {
             `;
 
             const yesterdayEarningsQuery = `
-                SELECT COALESCE(SUM(p.amount), 0) as totalEarnings
+                SELECT COALESCE(SUM(p.amount - p.refundedAmount), 0) as totalEarnings
                 FROM Payment p
                 JOIN ServiceRequest sr ON p.requestID = sr.requestID
                 WHERE sr.providerID = ?
@@ -351,10 +384,13 @@ class RealTimeAnalytics {
             const alertsQuery = `
                 SELECT 
                     alertID,
+                    providerID,
                     metricType,
                     thresholdValue,
                     comparisonOperator,
-                    lastTriggered
+                    cooldownMinutes,
+                    lastTriggered,
+                    breachedAt
                 FROM PerformanceAlert
                 WHERE providerID = ?
                     AND isActive = TRUE
@@ -367,6 +403,7 @@ class RealTimeAnalytics {
                     hasAlerts: false,
                     configuredAlerts: 0,
                     triggeredAlerts: [],
+                    recoveredAlerts: [],
                     metrics: {},
                     message: 'No performance alerts configured',
                     generatedAt: new Date().toISOString()
@@ -420,7 +457,7 @@ class RealTimeAnalytics {
 
             // Today's earnings
             const earningsQuery = `
-                SELECT COALESCE(SUM(p.amount), 0) as todayEarnings
+                SELECT COALESCE(SUM(p.amount - p.refundedAmount), 0) as todayEarnings
                 FROM Payment p
                 JOIN ServiceRequest sr ON p.requestID = sr.requestID
                 WHERE sr.providerID = ?
@@ -479,9 +516,9 @@ class RealTimeAnalytics {
                 [METRIC_TYPES.REQUEST_COUNT]: todayRequests
             };
 
-            // Check each alert against current metrics
+            // Check each alert against current metrics - only entering or leaving a breach is news
             const triggeredAlerts = [];
-            const alertsToUpdate = [];
+            const recoveredAlerts = [];
 
             for (const alert of alertRows) {
                 const currentValue = currentMetrics[alert.metricType];
@@ -502,29 +539,64 @@ class RealTimeAnalytics {
                         break;
                 }
 
+                const alertState = {
+                    alertID: alert.alertID,
+                    metricType: alert.metricType,
+                    thresholdValue,
+                    comparisonOperator: alert.comparisonOperator,
+                    currentValue: parseFloat(currentValue.toFixed(2)),
+                    lastTriggered: alert.lastTriggered,
+                    breachedAt: alert.breachedAt,
+                    notified: false
+                };
+
                 if (isTriggered) {
-                    triggeredAlerts.push({
-                        alertID: alert.alertID,
-                        metricType: alert.metricType,
-                        thresholdValue,
-                        comparisonOperator: alert.comparisonOperator,
-                        currentValue: parseFloat(currentValue.toFixed(2)),
+                    const triggeredAlert = {
+                        ...alertState,
                         message: this.generateAlertMessage(alert.metricType, alert.comparisonOperator, thresholdValue, currentValue),
-                        severity: this.calculateAlertSeverity(alert.metricType, alert.comparisonOperator, thresholdValue, currentValue),
-                        lastTriggered: alert.lastTriggered
+                        severity: this.calculateAlertSeverity(alert.metricType, alert.comparisonOperator, thresholdValue, currentValue)
+                    };
+
+                    // New breach - notify at most once per cooldown so a flapping metric stays quiet
+                    if (await PerformanceAlert.startBreach(alert.alertID)) {
+                        triggeredAlert.breachedAt = new Date();
+                        if (await PerformanceAlert.claimTrigger(alert.alertID)) {
+                            triggeredAlert.lastTriggered = triggeredAlert.breachedAt;
+                            triggeredAlert.notified = true;
+                            await notifyAlert(providerID, triggeredAlert, ALERT_NOTIFICATIONS[ALERT_EVENTS.BREACHED]);
+                        }
+                        await PerformanceAlert.recordEvent(alert, {
+                            eventType: ALERT_EVENTS.BREACHED,
+                            metricValue: triggeredAlert.currentValue,
+                            notified: triggeredAlert.notified
+                        });
+                    }
+
+                    triggeredAlerts.push(triggeredAlert);
+                } else if (alert.breachedAt && await PerformanceAlert.endBreach(alert.alertID)) {
+                    const recoveredAlert = {
+                        ...alertState,
+                        breachedAt: null,
+                        recoveredFrom: alert.breachedAt,
+                        message: this.generateRecoveryMessage(alert.metricType, currentValue),
+                        severity: 'info'
+                    };
+
+                    // Only announce the recovery of a breach the provider was told about
+                    const breachNotified = alert.lastTriggered
+                        && new Date(alert.lastTriggered) >= new Date(alert.breachedAt);
+                    if (breachNotified) {
+                        recoveredAlert.notified = true;
+                        await notifyAlert(providerID, recoveredAlert, ALERT_NOTIFICATIONS[ALERT_EVENTS.RECOVERED]);
+                    }
+                    await PerformanceAlert.recordEvent(alert, {
+                        eventType: ALERT_EVENTS.RECOVERED,
+                        metricValue: recoveredAlert.currentValue,
+                        notified: recoveredAlert.notified
                     });
-                    alertsToUpdate.push(alert.alertID);
-                }
-            }
 
-            // Update lastTriggered for triggered alerts
-            if (alertsToUpdate.length > 0) {
-                const updateQuery = `
-                    UPDATE PerformanceAlert 
-                    SET lastTriggered = NOW() 
-                    WHERE alertID IN (${alertsToUpdate.map(() => '?').join(',')})
-                `;
-                await pool.execute(updateQuery, alertsToUpdate);
+                    recoveredAlerts.push(recoveredAlert);
+                }
             }
 
             return {
@@ -532,6 +604,7 @@ class RealTimeAnalytics {
                 configuredAlerts: alertRows.length,
                 triggeredAlerts,
                 triggeredCount: triggeredAlerts.length,
+                recoveredAlerts,
                 metrics: {
                     completionRate: parseFloat(completionRate.toFixed(2)),
                     responseTimeMinutes: parseFloat(avgResponseMinutes.toFixed(2)),
@@ -549,42 +622,21 @@ class RealTimeAnalytics {
     }
 
     static generateAlertMessage(metricType, operator, threshold, currentValue) {
-        const metricNames = {
-            [METRIC_TYPES.COMPLETION_RATE]: 'Completion rate',
-            [METRIC_TYPES.RESPONSE_TIME]: 'Response time',
-            [METRIC_TYPES.CANCELLATION_RATE]: 'Cancellation rate',
-            [METRIC_TYPES.RATING]: 'Average rating',
-            [METRIC_TYPES.EARNINGS]: 'Today\'s earnings',
-            [METRIC_TYPES.REQUEST_COUNT]: 'Today\'s requests'
-        };
-
         const operatorText = {
             [COMPARISON_OPERATORS.ABOVE]: 'exceeded',
             [COMPARISON_OPERATORS.BELOW]: 'fallen below',
             [COMPARISON_OPERATORS.EQUALS]: 'reached'
         };
 
-        const metricName = metricNames[metricType] || metricType;
+        const metricName = METRIC_NAMES[metricType] || metricType;
         const opText = operatorText[operator] || operator;
 
-        let formattedCurrent = currentValue.toFixed(2);
-        let formattedThreshold = threshold.toFixed(2);
-
-        if (metricType === METRIC_TYPES.RESPONSE_TIME) {
-            formattedCurrent = `${currentValue.toFixed(0)} minutes`;
-            formattedThreshold = `${threshold.toFixed(0)} minutes`;
-        } else if (metricType === METRIC_TYPES.EARNINGS) {
-            formattedCurrent = `$${currentValue.toFixed(2)}`;
-            formattedThreshold = `$${threshold.toFixed(2)}`;
-        } else if (metricType === METRIC_TYPES.COMPLETION_RATE || metricType === METRIC_TYPES.CANCELLATION_RATE) {
-            formattedCurrent = `${currentValue.toFixed(1)}%`;
-            formattedThreshold = `${threshold.toFixed(1)}%`;
-        } else if (metricType === METRIC_TYPES.REQUEST_COUNT) {
-            formattedCurrent = `${Math.round(currentValue)}`;
-            formattedThreshold = `${Math.round(threshold)}`;
-        }
+        return `${metricName} has ${opText} ${formatMetricValue(metricType, threshold)} (current: ${formatMetricValue(metricType, currentValue)})`;
+    }
 
-        return `${metricName} has ${opText} ${formattedThreshold} (current: ${formattedCurrent})`;
+    static generateRecoveryMessage(metricType, currentValue) {
+        const metricName = METRIC_NAMES[metricType] || metricType;
+        return `${metricName} is back within your alert threshold (current: ${formatMetricValue(metricType, currentValue)})`;
     }
 
     static calculateAlertSeverity(metricType, operator, threshold, currentValue) {
@@ -876,5 +928,8 @@ class RealTimeAnalytics {
     }
 }
 
+RealTimeAnalytics.METRIC_TYPES = METRIC_TYPES;
+RealTimeAnalytics.COMPARISON_OPERATORS = COMPARISON_OPERATORS;
+
 module.exports = RealTimeAnalytics;
 
@@ -1,10 +1,16 @@
 const pool = require('../config/database');
-const { DatabaseError, ValidationError, mapDatabaseError } = require('../utils/errors');
+const { DatabaseError, ValidationError, ConflictError, mapDatabaseError } = require('../utils/errors');
 const { analyticsLogger } = require('../utils/logger');
 const RevenueAnalytics = require('./RevenueAnalytics');
 const PerformanceAnalytics = require('./PerformanceAnalytics');
 const CustomerAnalytics = require('./CustomerAnalytics');
 const BenchmarkingService = require('./BenchmarkingService');
+const ReportMetricCatalog = require('./ReportMetricCatalog');
+const ReportSections = require('./ReportSections');
+const PdfReportRenderer = require('./PdfReportRenderer');
+const ReportRetentionService = require('./ReportRetentionService');
+const ReportTemplate = require('../models/ReportTemplate');
+const ExcelJS = require('exceljs');
 const fs = require('fs').promises;
 const path = require('path');
 
@@ -20,6 +26,51 @@ const REPORT_TYPES = [
 // Valid export formats
 const EXPORT_FORMATS = ['pdf', 'csv', 'xlsx'];
 
+// Excel number formats per ReportSections value type (percent values are already 0-100)
+const EXCEL_NUMBER_FORMATS = {
+    integer: '#,##0',
+    number: '#,##0.##',
+    currency: '"$"#,##0.00',
+    percent: '0.00"%"',
+    date: 'yyyy-mm-dd'
+};
+const EXCEL_HEADER_COLOR = 'FF4A8BC2';
+
+// CSV layouts: a block per report table, or one tidy long-format table for BI tools
+const CSV_LAYOUTS = ['sections', 'long'];
+
+// Date-only values print as YYYY-MM-DD, timestamps as full ISO strings
+const toCsvDate = (date) => {
+    const iso = date.toISOString();
+    return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso;
+};
+
+// Quote a CSV field when it contains a comma, quote or line break (RFC 4180)
+const toCsvField = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = value instanceof Date ? toCsvDate(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvRow = (values) => values.map(toCsvField).join(',');
+
+// Emailed reports: recipient address check, recipients per report, and how the file is sent
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_EMAIL_RECIPIENTS = 20;
+const EMAIL_DELIVERY_METHODS = ['attachment', 'link'];
+
+// Days covered by each report period - a period stands in for a missing date range
+const REPORT_PERIODS = {
+    '7days': 7,
+    '30days': 30,
+    '6months': 180,
+    '1year': 365
+};
+
+// Saved custom templates: name length and rows per table returned by the live preview
+const MAX_TEMPLATE_NAME_LENGTH = 100;
+const PREVIEW_ROWS = 10;
+
 // Valid report frequencies
 const REPORT_FREQUENCIES = ['daily', 'weekly', 'monthly'];
 
@@ -28,27 +79,36 @@ const REPORT_TEMPLATES = {
     revenue: {
         name: 'Revenue Analytics Report',
         description: 'Comprehensive revenue and earnings analysis',
-        sections: ['totalEarnings', 'earningsByCategory', 'revenueTrends', 'paymentStatus', 'monthlyComparison']
+        sections: ['totalEarnings', 'earningsByCategory', 'revenueTrends', 'paymentStatus', 'monthlyComparison'],
+        metrics: ['totalEarnings', 'earningsByCategory', 'averageEarnings', 'revenueTrends', 'paymentStatus', 'monthlyComparison']
     },
     performance: {
         name: 'Performance Metrics Report',
         description: 'Service performance and completion analytics',
-        sections: ['completionRate', 'responseTime', 'volumeTrends', 'cancellationMetrics', 'categoryMetrics']
+        sections: ['completionRate', 'responseTime', 'volumeTrends', 'cancellationMetrics', 'categoryMetrics'],
+        metrics: ['completionRate', 'averageResponseTime', 'requestVolumeTrends', 'cancellationMetrics', 'metricsByCategory', 'performanceSummary', 'ratingTrends']
     },
     customer: {
         name: 'Customer Analytics Report',
         description: 'Customer insights and behavior analysis',
-        sections: ['uniqueCustomers', 'retentionRate', 'geographicDistribution', 'peakTimes', 'acquisitionTrends']
+        sections: ['uniqueCustomers', 'retentionRate', 'geographicDistribution', 'peakTimes', 'acquisitionTrends'],
+        metrics: ['uniqueCustomers', 'retentionRate', 'geographicDistribution', 'peakTimes', 'acquisitionTrends', 'lifetimeValue']
     },
     comprehensive: {
         name: 'Comprehensive Analytics Report',
         description: 'Complete business performance overview',
-        sections: ['revenue', 'performance', 'customer', 'benchmarks']
+        sections: ['revenue', 'performance', 'customer', 'benchmarks'],
+        metrics: [
+            'totalEarnings', 'earningsByCategory', 'averageEarnings', 'revenueTrends', 'paymentStatus', 'monthlyComparison',
+            'completionRate', 'averageResponseTime', 'requestVolumeTrends', 'cancellationMetrics', 'metricsByCategory',
+            'performanceSummary', 'ratingTrends', 'uniqueCustomers', 'percentileRankings'
+        ]
     },
     custom: {
         name: 'Custom Report',
         description: 'User-defined report with selected metrics',
-        sections: []
+        sections: [],
+        metrics: []
     }
 };
 
@@ -66,6 +126,33 @@ class ReportGenerator {
             throw new ValidationError(`Invalid format. Must be one of: ${EXPORT_FORMATS.join(', ')}`);
         }
 
+        if (options.csvLayout && !CSV_LAYOUTS.includes(options.csvLayout)) {
+            throw new ValidationError(`Invalid CSV layout. Must be one of: ${CSV_LAYOUTS.join(', ')}`);
+        }
+
+        if (options.emailDelivery && !EMAIL_DELIVERY_METHODS.includes(options.emailDelivery)) {
+            throw new ValidationError(`Invalid email delivery. Must be one of: ${EMAIL_DELIVERY_METHODS.join(', ')}`);
+        }
+
+        if (options.period && !REPORT_PERIODS[options.period]) {
+            throw new ValidationError(`Invalid period. Must be one of: ${Object.keys(REPORT_PERIODS).join(', ')}`);
+        }
+
+        if (options.metrics !== undefined) {
+            this.validateMetrics(options.metrics);
+        }
+
+        if (options.filters !== undefined) {
+            this.validateFilters(options.filters);
+        }
+
+        if (options.templateID !== undefined && options.templateID !== null) {
+            const templateID = parseInt(options.templateID, 10);
+            if (isNaN(templateID) || templateID <= 0) {
+                throw new ValidationError('Invalid template ID');
+            }
+        }
+
         if (options.dateRangeStart && options.dateRangeEnd) {
             const startDate = new Date(options.dateRangeStart);
             const endDate = new Date(options.dateRangeEnd);
@@ -85,14 +172,127 @@ class ReportGenerator {
             throw new ValidationError(`Invalid frequency. Must be one of: ${REPORT_FREQUENCIES.join(', ')}`);
         }
 
-        if (schedule.emailRecipients && !Array.isArray(schedule.emailRecipients)) {
+        if (schedule.emailRecipients) {
+            this.validateEmailRecipients(schedule.emailRecipients);
+        }
+    }
+
+    static validateEmailRecipients(recipients) {
+        if (!Array.isArray(recipients)) {
             throw new ValidationError('Email recipients must be an array');
         }
+
+        if (recipients.length > MAX_EMAIL_RECIPIENTS) {
+            throw new ValidationError(`A report can be emailed to at most ${MAX_EMAIL_RECIPIENTS} recipients`);
+        }
+
+        const invalid = recipients.filter(email => typeof email !== 'string' || !EMAIL_PATTERN.test(email));
+        if (invalid.length > 0) {
+            throw new ValidationError(`Invalid email recipient: ${invalid.join(', ')}`);
+        }
+    }
+
+    static validateMetrics(metrics) {
+        if (!Array.isArray(metrics)) {
+            throw new ValidationError('Metrics must be an array of metric IDs');
+        }
+
+        const unknown = metrics.filter(metricID => !ReportMetricCatalog.isKnownMetric(metricID));
+        if (unknown.length > 0) {
+            throw new ValidationError(`Unknown report metric: ${unknown.join(', ')}`);
+        }
+    }
+
+    static validateFilters(filters) {
+        if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+            throw new ValidationError('Filters must be an object');
+        }
+
+        const { categories } = filters;
+        if (categories !== undefined && (!Array.isArray(categories) || categories.some(category => typeof category !== 'string'))) {
+            throw new ValidationError('Category filter must be an array of category names');
+        }
+    }
+
+    static validateTemplate(template) {
+        if (!template) {
+            throw new ValidationError('Template data is required');
+        }
+
+        if (typeof template.name !== 'string' || !template.name.trim()) {
+            throw new ValidationError('Template name is required');
+        }
+
+        if (template.name.trim().length > MAX_TEMPLATE_NAME_LENGTH) {
+            throw new ValidationError(`Template name must be at most ${MAX_TEMPLATE_NAME_LENGTH} characters`);
+        }
+
+        this.validateMetrics(template.metrics);
+        if (template.metrics.length === 0) {
+            throw new ValidationError('Choose at least one metric for the template');
+        }
+
+        if (template.filters !== undefined && template.filters !== null) {
+            this.validateFilters(template.filters);
+        }
+
+        if (template.period && !REPORT_PERIODS[template.period]) {
+            throw new ValidationError(`Invalid period. Must be one of: ${Object.keys(REPORT_PERIODS).join(', ')}`);
+        }
+    }
+
+    // Fill in a saved template's metrics, filters and period, and the date range of a bare period
+    // Returns the options to generate with and the template describing the report
+    static async resolveReportOptions(providerID, options) {
+        const resolved = { ...options };
+        let template = REPORT_TEMPLATES[resolved.reportType] || REPORT_TEMPLATES.comprehensive;
+
+        if (resolved.templateID) {
+            const saved = await ReportTemplate.findById(parseInt(resolved.templateID, 10));
+            if (!saved || saved.providerID !== providerID) {
+                throw new ValidationError('Report template not found');
+            }
+
+            resolved.reportType = 'custom';
+            resolved.templateID = saved.templateID;
+            resolved.metrics = resolved.metrics?.length ? resolved.metrics : saved.metrics;
+            resolved.filters = resolved.filters || saved.filters;
+            resolved.period = resolved.period || saved.period;
+            template = { name: saved.name, description: saved.description || REPORT_TEMPLATES.custom.description };
+        }
+
+        if (resolved.reportType === 'custom') {
+            if (!resolved.metrics?.length) {
+                resolved.metrics = ReportMetricCatalog.expandSections(resolved.sections);
+            }
+            if (resolved.metrics.length === 0) {
+                throw new ValidationError('Choose at least one metric for a custom report');
+            }
+            template = { ...REPORT_TEMPLATES.custom, ...template, sections: resolved.metrics, metrics: resolved.metrics };
+        }
+
+        if (resolved.period && !resolved.dateRangeStart && !resolved.dateRangeEnd) {
+            const end = new Date();
+            const start = new Date(end.getTime() - REPORT_PERIODS[resolved.period] * 24 * 60 * 60 * 1000);
+            resolved.dateRangeStart = start.toISOString().split('T')[0];
+            resolved.dateRangeEnd = end.toISOString().split('T')[0];
+        }
+
+        return { options: resolved, template };
+    }
+
+    // Performance dashboard data plus the monthly rating trend for the report period
+    static async getPerformanceData(providerID, period) {
+        const [performance, ratingTrends] = await Promise.all([
+            PerformanceAnalytics.getDashboardData(providerID, period),
+            ReportMetricCatalog.METRICS.ratingTrends.fetch(providerID, period)
+        ]);
+        return { ...performance, ratingTrends };
     }
 
     static async generateAnalyticsData(providerID, options) {
         try {
-            const { reportType, dateRangeStart, dateRangeEnd, sections } = options;
+            const { reportType, dateRangeStart, dateRangeEnd, sections, metrics, filters } = options;
             
             // Determine period based on date range
             let period = '30days';
@@ -124,7 +324,7 @@ class ReportGenerator {
                     break;
                     
                 case 'performance':
-                    data.performance = await PerformanceAnalytics.getDashboardData(providerID, period);
+                    data.performance = await this.getPerformanceData(providerID, period);
                     break;
                     
                 case 'customer':
@@ -141,7 +341,7 @@ class ReportGenerator {
                 case 'comprehensive':
                     const [revenue, performance, customer, benchmarks] = await Promise.all([
                         RevenueAnalytics.getDashboardData(providerID, period),
-                        PerformanceAnalytics.getDashboardData(providerID, period),
+                        this.getPerformanceData(providerID, period),
                         CustomerAnalytics.getUniqueCustomerCount(providerID, period),
                         BenchmarkingService.getPercentileRankings(providerID)
                     ]);
@@ -153,25 +353,19 @@ class ReportGenerator {
                     break;
                     
                 case 'custom':
-                    if (sections && sections.includes('revenue')) {
-                        data.revenue = await RevenueAnalytics.getDashboardData(providerID, period);
-                    }
-                    if (sections && sections.includes('performance')) {
-                        data.performance = await PerformanceAnalytics.getDashboardData(providerID, period);
-                    }
-                    if (sections && sections.includes('customer')) {
-                        data.customer = await CustomerAnalytics.getUniqueCustomerCount(providerID, period);
-                    }
-                    if (sections && sections.includes('benchmarks')) {
-                        data.benchmarks = await BenchmarkingService.getPercentileRankings(providerID);
-                    }
+                    // Individual metrics from the catalog - older custom reports chose whole sections
+                    Object.assign(data, await ReportMetricCatalog.fetchMetrics(
+                        providerID,
+                        metrics && metrics.length > 0 ? metrics : ReportMetricCatalog.expandSections(sections),
+                        period
+                    ));
                     break;
                     
                 default:
                     throw new ValidationError(`Unsupported report type: ${reportType}`);
             }
 
-            return data;
+            return ReportMetricCatalog.applyFilters(data, filters);
         } catch (error) {
             analyticsLogger.error('Error generating analytics data', { providerID, options, error: error.message });
             throw error;
@@ -183,22 +377,33 @@ class ReportGenerator {
             this.validateReportOptions(options);
             analyticsLogger.debug('Generating report', { providerID, options });
 
+            const { options: resolvedOptions, template } = await this.resolveReportOptions(providerID, {
+                ...options,
+                reportType: options.reportType || 'comprehensive'
+            });
+
             const {
-                reportType = 'comprehensive',
+                reportType,
                 format = 'pdf',
                 dateRangeStart,
                 dateRangeEnd,
                 sections,
+                metrics,
+                filters,
+                templateID,
                 includeCharts = true,
-                includeSummary = true
-            } = options;
+                includeSummary = true,
+                csvLayout
+            } = resolvedOptions;
 
             // Generate analytics data
             const analyticsData = await this.generateAnalyticsData(providerID, {
                 reportType,
                 dateRangeStart,
                 dateRangeEnd,
-                sections
+                sections,
+                metrics,
+                filters
             });
 
             // Create report metadata
@@ -213,8 +418,12 @@ class ReportGenerator {
                 },
                 options: {
                     sections,
+                    metrics,
+                    filters,
+                    templateID,
                     includeCharts,
-                    includeSummary
+                    includeSummary,
+                    csvLayout
                 },
                 generatedAt: new Date().toISOString(),
                 status: 'generated'
@@ -225,7 +434,7 @@ class ReportGenerator {
                 INSERT INTO GeneratedReport (
                     providerID, reportType, dateRangeStart, dateRangeEnd, 
                     fileFormat, generatedAt, expiresAt
-                ) VALUES (?, ?, ?, ?, ?, NOW(), DATE_ADD(NOW(), INTERVAL 30 DAY))
+                ) VALUES (?, ?, ?, ?, ?, NOW(), DATE_ADD(NOW(), INTERVAL ? DAY))
             `;
 
             const startDate = dateRangeStart || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
@@ -236,7 +445,8 @@ class ReportGenerator {
                 reportType,
                 startDate,
                 endDate,
-                format
+                format,
+                ReportRetentionService.RETENTION_DAYS
             ]);
 
             reportMetadata.reportID = result.insertId;
@@ -244,7 +454,7 @@ class ReportGenerator {
             return {
                 reportMetadata,
                 analyticsData,
-                template: REPORT_TEMPLATES[reportType] || REPORT_TEMPLATES.custom
+                template
             };
         } catch (error) {
             if (error instanceof ValidationError) throw error;
@@ -261,6 +471,8 @@ class ReportGenerator {
 
             analyticsLogger.debug('Exporting data', { providerID, format, options });
 
+            await ReportRetentionService.assertWithinQuota(providerID);
+
             // Generate the report data
             const reportData = await this.generateReport(providerID, {
                 ...options,
@@ -292,13 +504,13 @@ class ReportGenerator {
                     throw new ValidationError(`Unsupported export format: ${format}`);
             }
 
-            // Update database with file path
+            // Update database with file path and size - the size counts towards the storage quota
             const updateQuery = `
                 UPDATE GeneratedReport 
-                SET filePath = ? 
+                SET filePath = ?, fileSize = ?, status = 'available'
                 WHERE reportID = ?
             `;
-            await pool.execute(updateQuery, [filePath, reportData.reportMetadata.reportID]);
+            await pool.execute(updateQuery, [filePath, exportResult.size, reportData.reportMetadata.reportID]);
 
             return {
                 reportID: reportData.reportMetadata.reportID,
@@ -307,10 +519,10 @@ class ReportGenerator {
                 format,
                 size: exportResult.size,
                 generatedAt: reportData.reportMetadata.generatedAt,
-                expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString()
+                expiresAt: new Date(Date.now() + ReportRetentionService.RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString()
             };
         } catch (error) {
-            if (error instanceof ValidationError) throw error;
+            if (error instanceof ValidationError || error instanceof ReportRetentionService.StorageQuotaError) throw error;
             analyticsLogger.error('Error exporting data', { providerID, format, options, error: error.message });
             throw mapDatabaseError(error);
         }
@@ -318,57 +530,72 @@ class ReportGenerator {
 
     static async exportToCSV(reportData, filePath) {
         try {
-            const { analyticsData } = reportData;
-            let csvContent = '';
-
-            // Add header
-            csvContent += `Provider Analytics Report - ${analyticsData.reportType}\n`;
-            csvContent += `Generated: ${analyticsData.generatedAt}\n`;
-            csvContent += `Period: ${analyticsData.period}\n\n`;
-
-            // Export revenue data if available
-            if (analyticsData.revenue) {
-                csvContent += 'REVENUE ANALYTICS\n';
-                csvContent += 'Metric,Value,Period\n';
-                
-                const revenue = analyticsData.revenue;
-                if (revenue.totalEarnings) {
-                    csvContent += `Total Earnings,${revenue.totalEarnings.currentPeriod.totalEarnings},${revenue.totalEarnings.period}\n`;
-                }
-                
-                if (revenue.earningsByCategory && revenue.earningsByCategory.categories) {
-                    csvContent += '\nEarnings by Category\n';
-                    csvContent += 'Category,Earnings,Service Count,Percentage\n';
-                    revenue.earningsByCategory.categories.forEach(cat => {
-                        csvContent += `${cat.category},${cat.earnings},${cat.serviceCount},${cat.percentage}%\n`;
+            const { analyticsData, reportMetadata } = reportData;
+            const layout = reportMetadata?.options?.csvLayout || 'sections';
+            const sections = ReportSections.build(analyticsData);
+            const lines = [];
+
+            if (layout === 'long') {
+                // One observation per line: section, metric, dimension, period, value
+                const reportPeriod = analyticsData.dateRange?.start && analyticsData.dateRange?.end
+                    ? `${analyticsData.dateRange.start}/${analyticsData.dateRange.end}`
+                    : analyticsData.period;
+
+                lines.push(toCsvRow(['section', 'metric', 'dimension', 'period', 'value']));
+                // Summary holds report metadata rather than observations; missing values are left out
+                sections.slice(1).forEach(section => {
+                    section.tables.forEach(table => {
+                        const [first, ...valueColumns] = table.columns;
+
+                        table.rows.forEach(row => {
+                            if (first.key === 'metric' && valueColumns.length === 1 && valueColumns[0].type === 'row') {
+                                const { value } = ReportSections.cellValue(valueColumns[0], row);
+                                if (value === null) return;
+                                lines.push(toCsvRow([section.name, row.metric, '', reportPeriod, value]));
+                                return;
+                            }
+
+                            const { value: label } = ReportSections.cellValue(first, row);
+                            const isPeriod = first.role === 'period';
+
+                            valueColumns.forEach(column => {
+                                const { value } = ReportSections.cellValue(column, row);
+                                if (value === null) return;
+                                lines.push(toCsvRow([
+                                    section.name,
+                                    `${table.title} - ${column.header}`,
+                                    isPeriod ? '' : label,
+                                    isPeriod ? label : reportPeriod,
+                                    value
+                                ]));
+                            });
+                        });
                     });
-                }
-                csvContent += '\n';
-            }
-
-            // Export performance data if available
-            if (analyticsData.performance) {
-                csvContent += 'PERFORMANCE ANALYTICS\n';
-                csvContent += 'Metric,Value,Period\n';
-                
-                const perf = analyticsData.performance;
-                if (perf.completionRate) {
-                    csvContent += `Completion Rate,${perf.completionRate.completionRate}%,${perf.completionRate.period}\n`;
-                }
-                if (perf.averageResponseTime) {
-                    csvContent += `Average Response Time,${perf.averageResponseTime.averageResponseTime.formatted},${perf.averageResponseTime.period}\n`;
-                }
-                csvContent += '\n';
+                });
+            } else {
+                // One block per table, each with its own header row
+                sections.forEach(section => {
+                    lines.push(toCsvRow([section.name.toUpperCase()]));
+                    section.tables.forEach(table => {
+                        lines.push(toCsvRow([table.title]));
+                        lines.push(toCsvRow(table.columns.map(column => column.header)));
+                        table.rows.forEach(row => {
+                            lines.push(toCsvRow(table.columns.map(column => ReportSections.cellValue(column, row).value)));
+                        });
+                        lines.push('');
+                    });
+                });
             }
 
-            // Write to file
+            // RFC 4180 records end with CRLF, including the last one
+            const csvContent = lines.map(line => `${line}\r\n`).join('');
             await fs.writeFile(filePath, csvContent, 'utf8');
             const stats = await fs.stat(filePath);
 
             return {
                 success: true,
                 size: stats.size,
-                rows: csvContent.split('\n').length
+                rows: lines.length
             };
         } catch (error) {
             analyticsLogger.error('Error exporting to CSV', { filePath, error: error.message });
@@ -378,35 +605,82 @@ class ReportGenerator {
 
     static async exportToExcel(reportData, filePath) {
         try {
-            // For now, create a simple text-based Excel-compatible format
-            // In a real implementation, you would use a library like 'xlsx' or 'exceljs'
-            const { analyticsData } = reportData;
-            let content = '';
-
-            content += `Provider Analytics Report\t${analyticsData.reportType}\n`;
-            content += `Generated\t${analyticsData.generatedAt}\n`;
-            content += `Period\t${analyticsData.period}\n\n`;
-
-            // Add revenue data
-            if (analyticsData.revenue) {
-                content += 'REVENUE ANALYTICS\n';
-                content += 'Metric\tValue\tPeriod\n';
-                
-                const revenue = analyticsData.revenue;
-                if (revenue.totalEarnings) {
-                    content += `Total Earnings\t${revenue.totalEarnings.currentPeriod.totalEarnings}\t${revenue.totalEarnings.period}\n`;
+            const { analyticsData, template } = reportData;
+            const workbook = new ExcelJS.Workbook();
+            workbook.creator = 'Provider Analytics';
+            workbook.created = new Date(analyticsData.generatedAt || Date.now());
+
+            const sections = ReportSections.build(analyticsData);
+
+            sections.forEach((section, index) => {
+                const sheet = workbook.addWorksheet(section.name);
+                const widths = [];
+                let headerRow = null;
+
+                // Report title above the first sheet's tables
+                if (index === 0) {
+                    const titleRow = sheet.addRow([template?.name || 'Provider Analytics Report']);
+                    titleRow.font = { bold: true, size: 14 };
+                    sheet.addRow([]);
                 }
-                content += '\n';
-            }
 
-            // Write to file
-            await fs.writeFile(filePath, content, 'utf8');
+                section.tables.forEach(table => {
+                    const titleRow = sheet.addRow([table.title]);
+                    titleRow.font = { bold: true, size: 12 };
+
+                    const header = sheet.addRow(table.columns.map(column => column.header));
+                    header.eachCell(cell => {
+                        cell.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+                        cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: EXCEL_HEADER_COLOR } };
+                        cell.border = { bottom: { style: 'thin' } };
+                    });
+                    if (!headerRow) headerRow = header.number;
+
+                    table.rows.forEach(row => {
+                        const cells = table.columns.map(column => ReportSections.cellValue(column, row));
+                        const added = sheet.addRow(cells.map(cell => cell.value));
+
+                        cells.forEach((cell, columnIndex) => {
+                            const numFmt = EXCEL_NUMBER_FORMATS[cell.type];
+                            if (numFmt && cell.value !== null && typeof cell.value !== 'string') {
+                                added.getCell(columnIndex + 1).numFmt = numFmt;
+                            }
+                        });
+                    });
+
+                    if (table.rows.length === 0) {
+                        sheet.addRow(['No data for this period']).font = { italic: true, color: { argb: 'FF888888' } };
+                    }
+
+                    // Size columns to the longest header or value
+                    table.columns.forEach((column, columnIndex) => {
+                        const longest = table.rows.reduce((max, row) => {
+                            const { value } = ReportSections.cellValue(column, row);
+                            return Math.max(max, value instanceof Date ? 10 : String(value ?? '').length);
+                        }, column.header.length);
+                        widths[columnIndex] = Math.max(widths[columnIndex] || 12, Math.min(longest + 2, 50));
+                    });
+
+                    sheet.addRow([]);
+                });
+
+                widths.forEach((width, columnIndex) => {
+                    sheet.getColumn(columnIndex + 1).width = width;
+                });
+
+                // Keep the first table's header visible while scrolling
+                if (headerRow) {
+                    sheet.views = [{ state: 'frozen', ySplit: headerRow }];
+                }
+            });
+
+            await workbook.xlsx.writeFile(filePath);
             const stats = await fs.stat(filePath);
 
             return {
                 success: true,
                 size: stats.size,
-                sheets: 1
+                sheets: sections.length
             };
         } catch (error) {
             analyticsLogger.error('Error exporting to Excel', { filePath, error: error.message });
@@ -416,53 +690,13 @@ class ReportGenerator {
 
     static async exportToPDF(reportData, filePath) {
         try {
-            // For now, create a simple text-based PDF-compatible format
-            // In a real implementation, you would use a library like 'pdfkit' or 'puppeteer'
-            const { analyticsData, template } = reportData;
-            let content = '';
-
-            content += `PROVIDER ANALYTICS REPORT\n`;
-            content += `${template.name}\n`;
-            content += `Generated: ${analyticsData.generatedAt}\n`;
-            content += `Period: ${analyticsData.period}\n\n`;
-
-            content += `${template.description}\n\n`;
-
-            // Add summary sections
-            if (analyticsData.revenue) {
-                content += 'REVENUE SUMMARY\n';
-                content += '================\n';
-                const revenue = analyticsData.revenue;
-                if (revenue.totalEarnings) {
-                    content += `Total Earnings: $${revenue.totalEarnings.currentPeriod.formattedEarnings}\n`;
-                    if (revenue.totalEarnings.percentageChange !== null) {
-                        content += `Change from Previous Period: ${revenue.totalEarnings.percentageChange}%\n`;
-                    }
-                }
-                content += '\n';
-            }
-
-            if (analyticsData.performance) {
-                content += 'PERFORMANCE SUMMARY\n';
-                content += '===================\n';
-                const perf = analyticsData.performance;
-                if (perf.completionRate) {
-                    content += `Completion Rate: ${perf.completionRate.completionRate}%\n`;
-                }
-                if (perf.averageResponseTime) {
-                    content += `Average Response Time: ${perf.averageResponseTime.averageResponseTime.formatted}\n`;
-                }
-                content += '\n';
-            }
-
-            // Write to file
-            await fs.writeFile(filePath, content, 'utf8');
+            const { pages } = await PdfReportRenderer.render(reportData, filePath);
             const stats = await fs.stat(filePath);
 
             return {
                 success: true,
                 size: stats.size,
-                pages: Math.ceil(content.length / 3000) // Rough estimate
+                pages
             };
         } catch (error) {
             analyticsLogger.error('Error exporting to PDF', { filePath, error: error.message });
@@ -476,6 +710,14 @@ class ReportGenerator {
             this.validateReportOptions(options);
             analyticsLogger.debug('Scheduling report', { providerID, schedule, options });
 
+            // Check the saved template and metric choice now rather than on the first run.
+            // Runs resolve the template again, so later edits to it apply to upcoming reports
+            const { options: resolvedOptions } = await this.resolveReportOptions(providerID, {
+                ...options,
+                reportType: options.reportType || 'comprehensive'
+            });
+            const { reportType } = resolvedOptions;
+
             const {
                 frequency,
                 emailRecipients = [],
@@ -510,7 +752,7 @@ class ReportGenerator {
 
             const [result] = await pool.execute(insertQuery, [
                 providerID,
-                options.reportType || 'comprehensive',
+                reportType,
                 frequency,
                 nextRunDate.toISOString().slice(0, 19).replace('T', ' '),
                 JSON.stringify(emailRecipients),
@@ -521,7 +763,7 @@ class ReportGenerator {
             return {
                 scheduleID: result.insertId,
                 providerID,
-                reportType: options.reportType || 'comprehensive',
+                reportType,
                 frequency,
                 nextRunDate: nextRunDate.toISOString(),
                 emailRecipients,
@@ -536,6 +778,23 @@ class ReportGenerator {
         }
     }
 
+    // Generated report row by ID (undefined when missing)
+    static async getReportById(reportID) {
+        try {
+            const [rows] = await pool.execute(
+                `SELECT reportID, providerID, reportType, dateRangeStart, dateRangeEnd,
+                        filePath, fileFormat, fileSize, status, isPinned, generatedAt, expiresAt
+                 FROM GeneratedReport
+                 WHERE reportID = ?`,
+                [reportID]
+            );
+            return rows[0];
+        } catch (error) {
+            analyticsLogger.error('Error getting report', { reportID, error: error.message });
+            throw mapDatabaseError(error);
+        }
+    }
+
     static async getTemplates() {
         try {
             analyticsLogger.debug('Getting report templates');
@@ -552,7 +811,9 @@ class ReportGenerator {
                 templates,
                 totalCount: templates.length,
                 supportedFormats: EXPORT_FORMATS,
-                supportedFrequencies: REPORT_FREQUENCIES
+                supportedFrequencies: REPORT_FREQUENCIES,
+                supportedPeriods: Object.keys(REPORT_PERIODS),
+                availableMetrics: ReportMetricCatalog.getCatalog()
             };
         } catch (error) {
             analyticsLogger.error('Error getting templates', { error: error.message });
@@ -560,6 +821,111 @@ class ReportGenerator {
         }
     }
 
+    // Build a report's tables without writing a file or history row - the builder's live preview
+    // Cells are typed ReportSections values, at most PREVIEW_ROWS rows per table
+    static async previewReport(providerID, options = {}) {
+        try {
+            this.validateReportOptions(options);
+
+            const { options: resolvedOptions, template } = await this.resolveReportOptions(providerID, {
+                ...options,
+                reportType: options.reportType || 'custom'
+            });
+
+            const analyticsData = await this.generateAnalyticsData(providerID, resolvedOptions);
+
+            const sections = ReportSections.build(analyticsData).map(section => ({
+                name: section.name,
+                tables: section.tables.map(table => ({
+                    title: table.title,
+                    columns: table.columns.map(column => ({ header: column.header, type: column.type })),
+                    rows: table.rows
+                        .slice(0, PREVIEW_ROWS)
+                        .map(row => table.columns.map(column => ReportSections.cellValue(column, row))),
+                    totalRows: table.rows.length
+                }))
+            }));
+
+            return {
+                template: { name: template.name, description: template.description },
+                reportType: resolvedOptions.reportType,
+                period: analyticsData.period,
+                dateRange: analyticsData.dateRange,
+                sections
+            };
+        } catch (error) {
+            if (error instanceof ValidationError) throw error;
+            analyticsLogger.error('Error previewing report', { providerID, options, error: error.message });
+            throw mapDatabaseError(error);
+        }
+    }
+
+    static async getCustomTemplates(providerID) {
+        try {
+            return await ReportTemplate.getByProvider(providerID);
+        } catch (error) {
+            analyticsLogger.error('Error getting custom templates', { providerID, error: error.message });
+            throw mapDatabaseError(error);
+        }
+    }
+
+    // Save a named metric selection - names are unique per provider
+    static async saveCustomTemplate(providerID, templateData) {
+        try {
+            this.validateTemplate(templateData);
+
+            const template = {
+                providerID,
+                name: templateData.name.trim(),
+                description: templateData.description,
+                metrics: [...new Set(templateData.metrics)],
+                filters: templateData.filters || {},
+                period: templateData.period
+            };
+            const templateID = await ReportTemplate.create(template);
+            return ReportTemplate.findById(templateID);
+        } catch (error) {
+            if (error instanceof ValidationError) throw error;
+            if (error.code === 'ER_DUP_ENTRY') {
+                throw new ConflictError(`A report template named "${templateData.name.trim()}" already exists`);
+            }
+            analyticsLogger.error('Error saving custom template', { providerID, error: error.message });
+            throw mapDatabaseError(error);
+        }
+    }
+
+    // Replace a saved template's name, metrics, filters and period - null when it is not the provider's
+    static async updateCustomTemplate(templateID, providerID, templateData) {
+        try {
+            this.validateTemplate(templateData);
+
+            const updated = await ReportTemplate.update(templateID, providerID, {
+                name: templateData.name.trim(),
+                description: templateData.description || null,
+                metrics: [...new Set(templateData.metrics)],
+                filters: templateData.filters || {},
+                period: templateData.period || null
+            });
+            return updated ? ReportTemplate.findById(templateID) : null;
+        } catch (error) {
+            if (error instanceof ValidationError) throw error;
+            if (error.code === 'ER_DUP_ENTRY') {
+                throw new ConflictError(`A report template named "${templateData.name.trim()}" already exists`);
+            }
+            analyticsLogger.error('Error updating custom template', { templateID, providerID, error: error.message });
+            throw mapDatabaseError(error);
+        }
+    }
+
+    static async deleteCustomTemplate(templateID, providerID) {
+        try {
+            return await ReportTemplate.delete(templateID, providerID);
+        } catch (error) {
+            analyticsLogger.error('Error deleting custom template', { templateID, providerID, error: error.message });
+            throw mapDatabaseError(error);
+        }
+    }
+
     static getEstimatedGenerationTime(templateID) {
         const times = {
             revenue: '2-3 minutes',
@@ -629,12 +995,15 @@ class ReportGenerator {
                     gr.dateRangeEnd,
                     gr.filePath,
                     gr.fileFormat,
+                    gr.fileSize,
+                    gr.isPinned,
                     gr.generatedAt,
                     gr.expiresAt,
+                    gr.expiredAt,
                     CASE 
-                        WHEN gr.expiresAt < NOW() THEN 'expired'
-                        WHEN gr.filePath IS NOT NULL THEN 'available'
-                        ELSE 'generating'
+                        WHEN gr.status = 'expired' THEN 'expired'
+                        WHEN gr.isPinned = FALSE AND gr.expiresAt < NOW() THEN 'expired'
+                        ELSE gr.status
                     END as status
                 FROM GeneratedReport gr
                 WHERE ${whereClause}
@@ -654,8 +1023,11 @@ class ReportGenerator {
                 },
                 filePath: row.filePath,
                 format: row.fileFormat,
+                fileSize: row.fileSize,
+                isPinned: Boolean(row.isPinned),
                 generatedAt: row.generatedAt,
                 expiresAt: row.expiresAt,
+                expiredAt: row.expiredAt,
                 status: row.status,
                 isExpired: row.status === 'expired',
                 isAvailable: row.status === 'available',
@@ -670,20 +1042,34 @@ class ReportGenerator {
                     sr.frequency,
                     sr.nextRunDate,
                     sr.lastRunDate,
-                    sr.isActive
+                    sr.isActive,
+                    sr.reportOptions,
+                    sr.lastRunStatus,
+                    sr.lastError,
+                    sr.lastReportID,
+                    sr.failureCount,
+                    sr.retryAt
                 FROM ScheduledReport sr
                 WHERE sr.providerID = ? AND sr.isActive = true
                 ORDER BY sr.nextRunDate ASC
             `;
 
             const [scheduledRows] = await pool.execute(scheduledQuery, [providerID]);
+            const storage = await ReportRetentionService.getStorageUsage(providerID);
             const scheduledReports = scheduledRows.map(row => ({
                 scheduleID: row.scheduleID,
                 reportType: row.reportType,
                 frequency: row.frequency,
                 nextRunDate: row.nextRunDate,
                 lastRunDate: row.lastRunDate,
-                isActive: Boolean(row.isActive)
+                isActive: Boolean(row.isActive),
+                format: (typeof row.reportOptions === 'string' ? JSON.parse(row.reportOptions) : row.reportOptions || {}).format || 'pdf',
+                // Outcome of the most recent run: success, retrying (with retryAt) or failed
+                lastRunStatus: row.lastRunStatus,
+                lastError: row.lastError,
+                lastReportID: row.lastReportID,
+                failureCount: row.failureCount,
+                retryAt: row.retryAt
             }));
 
             return {
@@ -701,8 +1087,10 @@ class ReportGenerator {
                     totalReports: totalCount,
                     availableReports: reports.filter(r => r.isAvailable).length,
                     expiredReports: reports.filter(r => r.isExpired).length,
-                    activeSchedules: scheduledReports.length
-                }
+                    activeSchedules: scheduledReports.length,
+                    failedSchedules: scheduledReports.filter(s => s.lastRunStatus === 'failed').length
+                },
+                storage
             };
         } catch (error) {
             analyticsLogger.error('Error getting report history', { providerID, options, error: error.message });
@@ -761,4 +1149,6 @@ class ReportGenerator {
     }
 }
 
+ReportGenerator.EMAIL_DELIVERY_METHODS = EMAIL_DELIVERY_METHODS;
+
 module.exports = ReportGenerator;
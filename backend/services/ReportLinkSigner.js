@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+
+// Signs report download tokens so a link works without a login until it expires.
+// Tokens are "<base64url payload>.<base64url HMAC-SHA256>" keyed with REPORT_LINK_SECRET (falls back to JWT_SECRET).
+// Tokens carry the ReportShareLink ID so every link can be revoked and logged.
+const getSecret = () => process.env.REPORT_LINK_SECRET
+    || process.env.JWT_SECRET
+    || 'your-secret-key-change-in-production';
+
+const signPayload = (encodedPayload) => crypto
+    .createHmac('sha256', getSecret())
+    .update(encodedPayload)
+    .digest('base64url');
+
+class ReportLinkSigner {
+    // Token granting download of reportID through share link linkID until expiresAt
+    static sign(reportID, expiresAt, linkID) {
+        const payload = { reportID, lid: linkID, exp: Math.floor(new Date(expiresAt).getTime() / 1000) };
+        const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+        return `${encodedPayload}.${signPayload(encodedPayload)}`;
+    }
+
+    // Payload { reportID, linkID, expiresAt } of a correctly signed token - null otherwise
+    // Expired tokens are still read, so expired attempts can be logged
+    static read(token) {
+        if (typeof token !== 'string') return null;
+
+        const [encodedPayload, signature] = token.split('.');
+        if (!encodedPayload || !signature) return null;
+
+        const expected = Buffer.from(signPayload(encodedPayload));
+        const actual = Buffer.from(signature);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            return null;
+        }
+
+        try {
+            const payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+            if (!payload.reportID || !payload.exp) {
+                return null;
+            }
+            return {
+                reportID: payload.reportID,
+                linkID: payload.lid || null,
+                expiresAt: new Date(payload.exp * 1000)
+            };
+        } catch {
+            return null;
+        }
+    }
+}
+
+module.exports = ReportLinkSigner;
@@ -0,0 +1,123 @@
+const fs = require('fs').promises;
+const path = require('path');
+const ReportDelivery = require('../models/ReportDelivery');
+const ReportShareService = require('./ReportShareService');
+const ReportShareLink = require('../models/ReportShareLink');
+const { getMailTransport } = require('./MailTransport');
+const { AppError } = require('../utils/errors');
+const { Logger } = require('../utils/logger');
+
+const logger = new Logger('ReportMailer');
+
+const { ATTACHMENT, LINK } = ReportDelivery.DELIVERY_METHODS;
+
+// Files above this size are sent as a download link even when an attachment was asked for
+const MAX_ATTACHMENT_BYTES = (parseFloat(process.env.REPORT_EMAIL_MAX_ATTACHMENT_MB) || 10) * 1024 * 1024;
+
+const CONTENT_TYPES = {
+    pdf: 'application/pdf',
+    csv: 'text/csv',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+const toDateString = (value) => (value ? new Date(value).toISOString().slice(0, 10) : null);
+
+const buildMessage = (report, method, link, linkExpiresAt) => {
+    const label = `${report.reportType} report`;
+    const range = report.dateRangeStart && report.dateRangeEnd
+        ? ` for ${toDateString(report.dateRangeStart)} to ${toDateString(report.dateRangeEnd)}`
+        : '';
+    const subject = `Your ${label}${range} is ready`;
+
+    if (method === LINK) {
+        const expiry = linkExpiresAt.toISOString().replace('T', ' ').slice(0, 16);
+        return {
+            subject,
+            text: `Your ${label}${range} has been generated.\n\nDownload it here: ${link}\n\nThis link expires on ${expiry} UTC.`,
+            html: `<p>Your ${label}${range} has been generated.</p>`
+                + `<p><a href="${link}">Download the report</a></p>`
+                + `<p>This link expires on ${expiry} UTC.</p>`
+        };
+    }
+
+    return {
+        subject,
+        text: `Your ${label}${range} has been generated and is attached to this email.`,
+        html: `<p>Your ${label}${range} has been generated and is attached to this email.</p>`
+    };
+};
+
+class ReportMailer {
+    // Email a generated report to each recipient, recording a ReportDelivery row per recipient
+    // report needs reportID, reportType, filePath, fileFormat and expiresAt (date range optional)
+    // method is 'attachment' (default) or 'link'; one recipient failing does not stop the others
+    // Each recipient of a link gets their own share link so access is logged and revocable per person
+    static async deliverReport(report, recipients, { method = ATTACHMENT, scheduleID = null } = {}) {
+        // Retention may have removed the file - there is nothing left to attach or link to
+        if (!(await ReportShareService.isDownloadable(report))) {
+            throw new AppError('Report is no longer available', 404, 'REPORT_UNAVAILABLE');
+        }
+
+        const transport = getMailTransport();
+        let deliveryMethod = method === LINK ? LINK : ATTACHMENT;
+
+        if (deliveryMethod === ATTACHMENT) {
+            const stats = await fs.stat(report.filePath);
+            if (stats.size > MAX_ATTACHMENT_BYTES) {
+                logger.info('Report too large to attach, sending a link instead', { reportID: report.reportID, size: stats.size });
+                deliveryMethod = LINK;
+            }
+        }
+
+        const linkExpiresAt = deliveryMethod === LINK ? ReportShareService.getLinkExpiry(report) : null;
+        const attachments = deliveryMethod === ATTACHMENT
+            ? [{
+                filename: path.basename(report.filePath),
+                path: report.filePath,
+                contentType: CONTENT_TYPES[report.fileFormat] || 'application/octet-stream'
+            }]
+            : undefined;
+
+        const results = [];
+        for (const recipient of recipients) {
+            const deliveryID = await ReportDelivery.create({
+                reportID: report.reportID,
+                scheduleID,
+                recipient,
+                method: deliveryMethod,
+                transport: transport.name,
+                linkExpiresAt
+            });
+
+            try {
+                let message;
+                if (deliveryMethod === LINK) {
+                    const link = await ReportShareService.createLink(report, {
+                        label: recipient,
+                        source: ReportShareLink.LINK_SOURCES.EMAIL
+                    });
+                    message = buildMessage(report, LINK, link.url, link.expiresAt);
+                } else {
+                    message = buildMessage(report, ATTACHMENT);
+                }
+
+                const { messageID } = await transport.send({ to: recipient, ...message, attachments });
+                await ReportDelivery.markSent(deliveryID, messageID);
+                results.push({ deliveryID, recipient, status: 'sent' });
+            } catch (error) {
+                await ReportDelivery.markFailed(deliveryID, error.message);
+                logger.warn('Report email failed', { reportID: report.reportID, recipient, error: error.message });
+                results.push({ deliveryID, recipient, status: 'failed', error: error.message });
+            }
+        }
+
+        return {
+            method: deliveryMethod,
+            sent: results.filter(result => result.status === 'sent').length,
+            failed: results.filter(result => result.status === 'failed').length,
+            deliveries: results
+        };
+    }
+}
+
+module.exports = ReportMailer;
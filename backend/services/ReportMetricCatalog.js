@@ -0,0 +1,221 @@
+const RevenueAnalytics = require('./RevenueAnalytics');
+const PerformanceAnalytics = require('./PerformanceAnalytics');
+const CustomerAnalytics = require('./CustomerAnalytics');
+const BenchmarkingService = require('./BenchmarkingService');
+const ReviewAnalytics = require('./ReviewAnalytics');
+
+// Months of rating history included for each report period
+const RATING_TREND_MONTHS = {
+    '7days': 3,
+    '30days': 3,
+    '6months': 6,
+    '1year': 12
+};
+
+// Every metric a custom report can pick. The ID doubles as the key under its section in the
+// analytics data, matching the dashboard payloads so ReportSections renders custom reports unchanged.
+const METRICS = {
+    // Revenue
+    totalEarnings: {
+        section: 'revenue',
+        label: 'Total earnings',
+        description: 'Net and gross earnings with refunds and change from the previous period',
+        fetch: (providerID, period) => RevenueAnalytics.getTotalEarnings(providerID, period)
+    },
+    earningsByCategory: {
+        section: 'revenue',
+        label: 'Earnings by category',
+        description: 'Earnings, services and share per service category',
+        fetch: (providerID, period) => RevenueAnalytics.getEarningsByCategory(providerID, period)
+    },
+    averageEarnings: {
+        section: 'revenue',
+        label: 'Average earnings per service',
+        description: 'Average amount earned per completed service',
+        fetch: (providerID) => RevenueAnalytics.getAverageEarningsPerService(providerID)
+    },
+    revenueTrends: {
+        section: 'revenue',
+        label: 'Revenue trend',
+        description: 'Earnings over the report period',
+        fetch: (providerID, period) => RevenueAnalytics.getRevenueTrends(providerID, period)
+    },
+    paymentStatus: {
+        section: 'revenue',
+        label: 'Payment status',
+        description: 'Pending, completed, failed and refunded payments',
+        fetch: (providerID) => RevenueAnalytics.getPaymentStatus(providerID)
+    },
+    monthlyComparison: {
+        section: 'revenue',
+        label: 'Monthly comparison',
+        description: 'Earnings, services and customers for each of the last 12 months',
+        fetch: (providerID) => RevenueAnalytics.getMonthlyComparison(providerID, 12)
+    },
+
+    // Performance
+    completionRate: {
+        section: 'performance',
+        label: 'Completion rate',
+        description: 'Share of accepted requests that were completed',
+        fetch: (providerID, period) => PerformanceAnalytics.getCompletionRate(providerID, period)
+    },
+    averageResponseTime: {
+        section: 'performance',
+        label: 'Response time',
+        description: 'Average time to respond to new requests',
+        fetch: (providerID, period) => PerformanceAnalytics.getAverageResponseTime(providerID, period)
+    },
+    requestVolumeTrends: {
+        section: 'performance',
+        label: 'Request volume',
+        description: 'Total, completed and cancelled requests over time',
+        fetch: (providerID, period) => PerformanceAnalytics.getRequestVolumeTrends(providerID, period)
+    },
+    cancellationMetrics: {
+        section: 'performance',
+        label: 'Cancellations',
+        description: 'Cancellation rate and the most common reasons',
+        fetch: (providerID, period) => PerformanceAnalytics.getCancellationMetrics(providerID, period)
+    },
+    metricsByCategory: {
+        section: 'performance',
+        label: 'Performance by category',
+        description: 'Completion, cancellation and ratings per service category',
+        fetch: (providerID) => PerformanceAnalytics.getMetricsByCategory(providerID)
+    },
+    performanceSummary: {
+        section: 'performance',
+        label: 'Performance summary',
+        description: 'Satisfaction rate, average rating and overall performance score',
+        fetch: (providerID, period) => PerformanceAnalytics.getPerformanceSummary(providerID, period)
+    },
+    ratingTrends: {
+        section: 'performance',
+        label: 'Rating trend',
+        description: 'Average rating and review count per month',
+        fetch: (providerID, period) => ReviewAnalytics.getRatingTrends(providerID, RATING_TREND_MONTHS[period] || 3)
+    },
+
+    // Customers
+    uniqueCustomers: {
+        section: 'customer',
+        label: 'Unique customers',
+        description: 'Customers served and requests per customer',
+        fetch: (providerID, period) => CustomerAnalytics.getUniqueCustomerCount(providerID, period)
+    },
+    retentionRate: {
+        section: 'customer',
+        label: 'Retention rate',
+        description: 'Repeat versus one-time customers',
+        fetch: (providerID) => CustomerAnalytics.getRetentionRate(providerID)
+    },
+    geographicDistribution: {
+        section: 'customer',
+        label: 'Customer regions',
+        description: 'Customers and requests per city and postal area',
+        fetch: (providerID) => CustomerAnalytics.getGeographicDistribution(providerID)
+    },
+    peakTimes: {
+        section: 'customer',
+        label: 'Peak times',
+        description: 'Requests by hour of day and day of week',
+        fetch: (providerID) => CustomerAnalytics.getPeakServiceTimes(providerID)
+    },
+    acquisitionTrends: {
+        section: 'customer',
+        label: 'Customer acquisition',
+        description: 'New and returning customers over time',
+        fetch: (providerID, period) => CustomerAnalytics.getAcquisitionTrends(providerID, period)
+    },
+    lifetimeValue: {
+        section: 'customer',
+        label: 'Customer lifetime value',
+        description: 'Average lifetime value and top customers',
+        fetch: (providerID) => CustomerAnalytics.getCustomerLifetimeValue(providerID)
+    },
+
+    // Benchmarks
+    percentileRankings: {
+        section: 'benchmarks',
+        label: 'Percentile rankings',
+        description: 'How you rank against other providers',
+        fetch: (providerID) => BenchmarkingService.getPercentileRankings(providerID)
+    }
+};
+
+const SECTION_LABELS = {
+    revenue: 'Revenue',
+    performance: 'Performance',
+    customer: 'Customers',
+    benchmarks: 'Benchmarks'
+};
+
+// Category breakdowns narrowed by the categories filter
+const CATEGORY_BREAKDOWNS = [
+    ['revenue', 'earningsByCategory'],
+    ['performance', 'metricsByCategory']
+];
+
+class ReportMetricCatalog {
+    static isKnownMetric(metricID) {
+        return Object.prototype.hasOwnProperty.call(METRICS, metricID);
+    }
+
+    // Public description of the catalog, grouped by section, for the report builder
+    static getCatalog() {
+        return Object.entries(SECTION_LABELS).map(([section, label]) => ({
+            section,
+            label,
+            metrics: Object.entries(METRICS)
+                .filter(([, metric]) => metric.section === section)
+                .map(([metricID, metric]) => ({
+                    metricID,
+                    label: metric.label,
+                    description: metric.description
+                }))
+        }));
+    }
+
+    // Metric IDs of whole sections - custom reports used to pick sections rather than metrics
+    static expandSections(sections = []) {
+        return Object.keys(METRICS).filter(metricID => sections.includes(METRICS[metricID].section));
+    }
+
+    // Fetch the chosen metrics and group them by section the way generateAnalyticsData does
+    static async fetchMetrics(providerID, metricIDs, period) {
+        const uniqueIDs = [...new Set(metricIDs)].filter(metricID => this.isKnownMetric(metricID));
+        const values = await Promise.all(uniqueIDs.map(metricID => METRICS[metricID].fetch(providerID, period)));
+
+        const data = {};
+        uniqueIDs.forEach((metricID, index) => {
+            const { section } = METRICS[metricID];
+            if (section === 'benchmarks') {
+                data.benchmarks = values[index];
+            } else {
+                data[section] = { ...data[section], [metricID]: values[index] };
+            }
+        });
+        return data;
+    }
+
+    // Narrow category breakdowns to the chosen categories (names compared case-insensitively)
+    static applyFilters(data, filters = {}) {
+        const categories = (filters.categories || []).map(category => String(category).toLowerCase());
+        if (categories.length === 0) return data;
+
+        CATEGORY_BREAKDOWNS.forEach(([section, metricID]) => {
+            const breakdown = data[section]?.[metricID];
+            if (breakdown?.categories) {
+                breakdown.categories = breakdown.categories.filter(row =>
+                    categories.includes(String(row.category).toLowerCase())
+                );
+            }
+        });
+        return data;
+    }
+}
+
+ReportMetricCatalog.METRICS = METRICS;
+
+module.exports = ReportMetricCatalog;
@@ -0,0 +1,162 @@
+const fs = require('fs').promises;
+const pool = require('../config/database');
+const { AppError } = require('../utils/errors');
+const { Logger } = require('../utils/logger');
+const { createScheduler } = require('../utils/scheduler');
+
+const logger = new Logger('ReportRetention');
+
+// Days a generated report is kept before the cleanup job deletes it (unless pinned)
+const RETENTION_DAYS = parseInt(process.env.REPORT_RETENTION_DAYS, 10) || 30;
+// Disk space each provider may use for available reports, pinned ones included
+const QUOTA_BYTES = (parseFloat(process.env.REPORT_STORAGE_QUOTA_MB) || 200) * 1024 * 1024;
+// How often expired reports are cleaned up
+const CLEANUP_INTERVAL_MINUTES = parseInt(process.env.REPORT_CLEANUP_INTERVAL_MINUTES, 10) || 60;
+// Reports expired per cleanup query
+const BATCH_SIZE = 100;
+
+class StorageQuotaError extends AppError {
+    constructor(message) {
+        super(message, 507, 'STORAGE_QUOTA_EXCEEDED');
+    }
+}
+
+const scheduler = createScheduler({
+    name: 'Report cleanup scheduler',
+    intervalMinutes: CLEANUP_INTERVAL_MINUTES,
+    task: () => ReportRetentionService.cleanupExpiredReports(),
+    details: { retentionDays: RETENTION_DAYS },
+    logger
+});
+
+const formatMegabytes = (bytes) => `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+
+class ReportRetentionService {
+    // A report can no longer be downloaded once cleaned up, or once past expiresAt unless pinned
+    static isExpired(report) {
+        if (report.status === 'expired') return true;
+        if (report.isPinned) return false;
+        return Boolean(report.expiresAt) && new Date(report.expiresAt) < new Date();
+    }
+
+    static async getStorageUsage(providerID) {
+        const query = `
+            SELECT
+                COALESCE(SUM(fileSize), 0) as usedBytes,
+                COUNT(*) as reportCount,
+                COALESCE(SUM(isPinned = TRUE), 0) as pinnedCount
+            FROM GeneratedReport
+            WHERE providerID = ? AND status = 'available'
+        `;
+        const [rows] = await pool.execute(query, [providerID]);
+        const usedBytes = parseInt(rows[0].usedBytes, 10) || 0;
+
+        return {
+            usedBytes,
+            quotaBytes: QUOTA_BYTES,
+            remainingBytes: Math.max(QUOTA_BYTES - usedBytes, 0),
+            usedPercent: parseFloat(((usedBytes / QUOTA_BYTES) * 100).toFixed(1)),
+            reportCount: parseInt(rows[0].reportCount, 10) || 0,
+            pinnedCount: parseInt(rows[0].pinnedCount, 10) || 0,
+            retentionDays: RETENTION_DAYS
+        };
+    }
+
+    // Throw StorageQuotaError when the provider has no room for another report
+    static async assertWithinQuota(providerID) {
+        const usage = await this.getStorageUsage(providerID);
+        if (usage.usedBytes >= QUOTA_BYTES) {
+            throw new StorageQuotaError(
+                `Report storage is full (${formatMegabytes(usage.usedBytes)} of ${formatMegabytes(QUOTA_BYTES)}). `
+                + 'Delete or unpin older reports to generate new ones.'
+            );
+        }
+        return usage;
+    }
+
+    // Pin or unpin a report the provider owns - returns false when it is missing or already expired
+    static async setPinned(reportID, providerID, pinned) {
+        const query = `
+            UPDATE GeneratedReport
+            SET isPinned = ?
+            WHERE reportID = ? AND providerID = ? AND status <> 'expired'
+        `;
+        const [result] = await pool.execute(query, [Boolean(pinned), reportID, providerID]);
+        return result.affectedRows > 0;
+    }
+
+    // Remove a report's file and row - deliveries go with it
+    static async deleteReport(report) {
+        await this.removeFile(report.filePath);
+        const [result] = await pool.execute('DELETE FROM GeneratedReport WHERE reportID = ?', [report.reportID]);
+        return result.affectedRows > 0;
+    }
+
+    static async removeFile(filePath) {
+        if (!filePath) return;
+        try {
+            await fs.unlink(filePath);
+        } catch (error) {
+            // Already gone is fine - the row still needs updating
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+
+    // Delete the files of unpinned reports past expiresAt and mark their rows expired
+    // Returns how many reports were expired
+    static async cleanupExpiredReports() {
+        let expired = 0;
+
+        for (;;) {
+            const [rows] = await pool.execute(`
+                SELECT reportID, filePath
+                FROM GeneratedReport
+                WHERE status <> 'expired'
+                    AND isPinned = FALSE
+                    AND expiresAt < NOW()
+                ORDER BY expiresAt ASC
+                LIMIT ${BATCH_SIZE}
+            `);
+            if (rows.length === 0) break;
+
+            let batchExpired = 0;
+            for (const report of rows) {
+                try {
+                    await this.removeFile(report.filePath);
+                    // Re-check the conditions so a report pinned meanwhile keeps its row intact
+                    const [result] = await pool.execute(`
+                        UPDATE GeneratedReport
+                        SET status = 'expired', filePath = NULL, expiredAt = NOW()
+                        WHERE reportID = ? AND isPinned = FALSE AND status <> 'expired'
+                    `, [report.reportID]);
+                    batchExpired += result.affectedRows;
+                } catch (error) {
+                    logger.error('Failed to expire report', { reportID: report.reportID, error: error.message });
+                }
+            }
+
+            expired += batchExpired;
+            // Stop when nothing in the batch could be expired so failing files are not retried forever
+            if (batchExpired === 0 || rows.length < BATCH_SIZE) break;
+        }
+
+        if (expired > 0) {
+            logger.info('Expired reports cleaned up', { expired });
+        }
+        return expired;
+    }
+
+    // Clean up now and then every REPORT_CLEANUP_INTERVAL_MINUTES
+    static startScheduler() {
+        scheduler.start();
+    }
+
+    static stopScheduler() {
+        scheduler.stop();
+    }
+}
+
+ReportRetentionService.RETENTION_DAYS = RETENTION_DAYS;
+ReportRetentionService.StorageQuotaError = StorageQuotaError;
+
+module.exports = ReportRetentionService;
@@ -0,0 +1,310 @@
+// Flattens generateAnalyticsData output into titled tables of typed values so every
+// export format (xlsx, pdf, csv) renders the same sections, rows and columns.
+// A table's first column may carry a role: 'period' for trend labels, 'dimension' for breakdowns
+
+// Cell value types - exporters pick number formats from these
+const VALUE_TYPES = {
+    TEXT: 'text',
+    INTEGER: 'integer',
+    NUMBER: 'number',
+    CURRENCY: 'currency',
+    PERCENT: 'percent', // stored as 0-100, the way the analytics services return rates
+    DATE: 'date'
+};
+
+const { TEXT, INTEGER, NUMBER, CURRENCY, PERCENT, DATE } = VALUE_TYPES;
+
+// Two-column "Metric | Value" table - each row carries its own value type
+const METRIC_COLUMNS = [
+    { header: 'Metric', key: 'metric', type: TEXT },
+    { header: 'Value', key: 'value', type: 'row' }
+];
+
+const metric = (label, value, type) => ({ metric: label, value, valueType: type });
+
+// Drop metrics whose source value is missing so partial data does not produce blank rows
+const metricTable = (title, rows) => ({
+    title,
+    columns: METRIC_COLUMNS,
+    rows: rows.filter(row => row.value !== undefined && row.value !== null)
+});
+
+const table = (title, columns, rows) => ({ title, columns, rows: rows || [] });
+
+// ISO dates become Date values; anything else (week or month labels) stays text
+// Date-only strings parse as UTC midnight, which is how spreadsheet cells store them
+const toDateOrText = (value) => {
+    if (value instanceof Date) return value;
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) {
+        const date = new Date(value);
+        if (!isNaN(date.getTime())) return date;
+    }
+    return value;
+};
+
+const buildOverview = (data) => ({
+    name: 'Summary',
+    tables: [
+        metricTable('Report', [
+            metric('Report type', data.reportType, TEXT),
+            metric('Period', data.period, TEXT),
+            metric('Range start', toDateOrText(data.dateRange?.start), DATE),
+            metric('Range end', toDateOrText(data.dateRange?.end), DATE),
+            metric('Generated at', data.generatedAt ? new Date(data.generatedAt) : null, DATE)
+        ])
+    ]
+});
+
+const buildRevenue = (revenue) => {
+    const { totalEarnings, earningsByCategory, averageEarnings, revenueTrends, paymentStatus, monthlyComparison } = revenue;
+    const tables = [];
+
+    tables.push(metricTable('Key Figures', [
+        metric('Net earnings', totalEarnings?.currentPeriod?.totalEarnings, CURRENCY),
+        metric('Gross earnings', totalEarnings?.currentPeriod?.grossEarnings, CURRENCY),
+        metric('Refunded', totalEarnings?.currentPeriod?.refundedAmount, CURRENCY),
+        metric('Previous period earnings', totalEarnings?.previousPeriod?.totalEarnings, CURRENCY),
+        metric('Change from previous period', totalEarnings?.percentageChange, PERCENT),
+        metric('Average per service', averageEarnings?.averageEarnings, CURRENCY),
+        metric('Completed services', averageEarnings?.completedServices, INTEGER)
+    ]));
+
+    if (earningsByCategory) {
+        tables.push(table('Earnings by Category', [
+            { header: 'Category', key: 'category', type: TEXT, role: 'dimension' },
+            { header: 'Earnings', key: 'earnings', type: CURRENCY },
+            { header: 'Services', key: 'serviceCount', type: INTEGER },
+            { header: 'Share', key: 'percentage', type: PERCENT }
+        ], earningsByCategory.categories));
+    }
+
+    if (revenueTrends) {
+        tables.push(table('Revenue Trend', [
+            { header: 'Period', key: 'label', type: DATE, role: 'period' },
+            { header: 'Earnings', key: 'earnings', type: CURRENCY },
+            { header: 'Services', key: 'serviceCount', type: INTEGER },
+            { header: 'Change', key: 'percentageChange', type: PERCENT }
+        ], revenueTrends.dataPoints));
+    }
+
+    if (paymentStatus) {
+        tables.push(table('Payment Status', [
+            { header: 'Status', key: 'status', type: TEXT, role: 'dimension' },
+            { header: 'Payments', key: 'count', type: INTEGER },
+            { header: 'Amount', key: 'amount', type: CURRENCY },
+            { header: 'Share', key: 'percentage', type: PERCENT }
+        ], ['pending', 'completed', 'failed', 'refunded']
+            .filter(status => paymentStatus[status])
+            .map(status => ({ status: status.charAt(0).toUpperCase() + status.slice(1), ...paymentStatus[status] }))));
+    }
+
+    if (monthlyComparison) {
+        tables.push(table('Monthly Comparison', [
+            { header: 'Month', key: 'monthLabel', type: TEXT, role: 'period' },
+            { header: 'Earnings', key: 'earnings', type: CURRENCY },
+            { header: 'Services', key: 'serviceCount', type: INTEGER },
+            { header: 'Customers', key: 'uniqueCustomers', type: INTEGER },
+            { header: 'Change', key: 'monthOverMonthChange', type: PERCENT }
+        ], monthlyComparison.monthlyData));
+    }
+
+    return { name: 'Revenue', tables };
+};
+
+const buildPerformance = (performance) => {
+    const { completionRate, averageResponseTime, requestVolumeTrends, cancellationMetrics, metricsByCategory, performanceSummary, ratingTrends } = performance;
+    const tables = [];
+
+    tables.push(metricTable('Key Figures', [
+        metric('Completion rate', completionRate?.completionRate, PERCENT),
+        metric('Total requests', completionRate?.totalRequests, INTEGER),
+        metric('Accepted requests', completionRate?.acceptedRequests, INTEGER),
+        metric('Completed requests', completionRate?.completedRequests, INTEGER),
+        metric('Average response time (minutes)', averageResponseTime?.averageResponseTime?.minutes, NUMBER),
+        metric('Cancellation rate', cancellationMetrics?.cancellationRate, PERCENT),
+        metric('Cancelled requests', cancellationMetrics?.cancelledRequests, INTEGER),
+        metric('Average rating', performanceSummary?.satisfaction?.averageRating, NUMBER),
+        metric('Total reviews', performanceSummary?.satisfaction?.totalReviews, INTEGER),
+        metric('Satisfaction rate', performanceSummary?.rates?.satisfactionRate, PERCENT),
+        metric('Performance score', performanceSummary?.performanceScore, NUMBER)
+    ]));
+
+    if (requestVolumeTrends) {
+        tables.push(table('Request Volume', [
+            { header: 'Period', key: 'label', type: DATE, role: 'period' },
+            { header: 'Total', key: 'totalRequests', type: INTEGER },
+            { header: 'Completed', key: 'completedRequests', type: INTEGER },
+            { header: 'Cancelled', key: 'cancelledRequests', type: INTEGER },
+            { header: 'Pending', key: 'pendingRequests', type: INTEGER },
+            { header: 'Active', key: 'activeRequests', type: INTEGER }
+        ], requestVolumeTrends.dataPoints));
+    }
+
+    if (cancellationMetrics) {
+        tables.push(table('Cancellation Reasons', [
+            { header: 'Reason', key: 'reason', type: TEXT, role: 'dimension' },
+            { header: 'Count', key: 'count', type: INTEGER },
+            { header: 'Share', key: 'percentage', type: PERCENT }
+        ], cancellationMetrics.reasons));
+    }
+
+    if (ratingTrends) {
+        tables.push(table('Rating Trend', [
+            { header: 'Month', key: 'month', type: TEXT, role: 'period' },
+            { header: 'Average rating', key: 'averageRating', type: NUMBER },
+            { header: 'Reviews', key: 'reviewCount', type: INTEGER }
+        ], ratingTrends));
+    }
+
+    if (metricsByCategory) {
+        tables.push(table('By Category', [
+            { header: 'Category', key: 'category', type: TEXT, role: 'dimension' },
+            { header: 'Requests', key: 'totalRequests', type: INTEGER },
+            { header: 'Completed', key: 'completedRequests', type: INTEGER },
+            { header: 'Cancelled', key: 'cancelledRequests', type: INTEGER },
+            { header: 'Completion rate', key: 'completionRate', type: PERCENT },
+            { header: 'Cancellation rate', key: 'cancellationRate', type: PERCENT },
+            { header: 'Average rating', key: 'averageRating', type: NUMBER },
+            { header: 'Reviews', key: 'reviewCount', type: INTEGER }
+        ], metricsByCategory.categories));
+    }
+
+    return { name: 'Performance', tables };
+};
+
+// Comprehensive and custom reports carry only the unique customer count; customer reports carry everything
+const buildCustomers = (customer) => {
+    const uniqueCustomers = customer.uniqueCustomers && typeof customer.uniqueCustomers === 'object'
+        ? customer.uniqueCustomers
+        : customer;
+    const { retentionRate, geographicDistribution, peakTimes, acquisitionTrends, lifetimeValue } = customer;
+    const tables = [];
+
+    tables.push(metricTable('Key Figures', [
+        metric('Unique customers', uniqueCustomers.uniqueCustomers, INTEGER),
+        metric('Requests', uniqueCustomers.totalRequests, INTEGER),
+        metric('Requests per customer', uniqueCustomers.averageRequestsPerCustomer, NUMBER),
+        metric('Change from previous period', uniqueCustomers.percentageChange, PERCENT),
+        metric('Retention rate', retentionRate?.retentionRate, PERCENT),
+        metric('Repeat customers', retentionRate?.repeatCustomers, INTEGER),
+        metric('One-time customers', retentionRate?.oneTimeCustomers, INTEGER),
+        metric('Average lifetime value', lifetimeValue?.averageLifetimeValue, CURRENCY),
+        metric('Average revenue per request', lifetimeValue?.averageRevenuePerRequest, CURRENCY),
+        metric('Average tenure (days)', lifetimeValue?.averageTenureDays, NUMBER)
+    ]));
+
+    if (lifetimeValue?.topCustomers) {
+        tables.push(table('Top Customers', [
+            { header: 'Customer', key: 'customerName', type: TEXT, role: 'dimension' },
+            { header: 'Revenue', key: 'totalRevenue', type: CURRENCY },
+            { header: 'Requests', key: 'totalRequests', type: INTEGER },
+            { header: 'Tenure (days)', key: 'tenureDays', type: INTEGER }
+        ], lifetimeValue.topCustomers));
+    }
+
+    if (geographicDistribution) {
+        tables.push(table('Regions', [
+            { header: 'City', key: 'region', type: TEXT, role: 'dimension' },
+            { header: 'Customers', key: 'customerCount', type: INTEGER },
+            { header: 'Requests', key: 'requestCount', type: INTEGER },
+            { header: 'Customer share', key: 'customerPercentage', type: PERCENT },
+            { header: 'Request share', key: 'requestPercentage', type: PERCENT }
+        ], geographicDistribution.regions));
+
+        if (geographicDistribution.postalAreas) {
+            tables.push(table('Postal Areas', [
+                { header: 'Postal area', key: 'postalArea', type: TEXT, role: 'dimension' },
+                { header: 'Customers', key: 'customerCount', type: INTEGER },
+                { header: 'Requests', key: 'requestCount', type: INTEGER },
+                { header: 'Customer share', key: 'customerPercentage', type: PERCENT },
+                { header: 'Request share', key: 'requestPercentage', type: PERCENT }
+            ], geographicDistribution.postalAreas));
+        }
+    }
+
+    if (acquisitionTrends) {
+        tables.push(table('Customer Acquisition', [
+            { header: 'Period', key: 'label', type: DATE, role: 'period' },
+            { header: 'New', key: 'newCustomers', type: INTEGER },
+            { header: 'Returning', key: 'returningCustomers', type: INTEGER },
+            { header: 'Total', key: 'totalCustomers', type: INTEGER },
+            { header: 'Requests', key: 'totalRequests', type: INTEGER }
+        ], acquisitionTrends.dataPoints));
+    }
+
+    if (peakTimes) {
+        tables.push(table('Requests by Hour', [
+            { header: 'Hour', key: 'label', type: TEXT, role: 'dimension' },
+            { header: 'Requests', key: 'requestCount', type: INTEGER }
+        ], peakTimes.hourlyDistribution));
+        tables.push(table('Requests by Day', [
+            { header: 'Day', key: 'dayName', type: TEXT, role: 'dimension' },
+            { header: 'Requests', key: 'requestCount', type: INTEGER }
+        ], peakTimes.dailyDistribution));
+    }
+
+    return { name: 'Customers', tables };
+};
+
+const BENCHMARK_LABELS = {
+    completionRate: 'Completion rate',
+    responseTime: 'Response time (minutes)',
+    customerSatisfaction: 'Customer satisfaction',
+    cancellationRate: 'Cancellation rate'
+};
+
+const buildBenchmarks = (benchmarks) => ({
+    name: 'Benchmarks',
+    tables: [
+        table('Percentile Rankings', [
+            { header: 'Metric', key: 'metric', type: TEXT, role: 'dimension' },
+            { header: 'Your value', key: 'value', type: NUMBER },
+            { header: 'Percentile', key: 'percentile', type: INTEGER },
+            { header: 'Rank', key: 'rank', type: TEXT }
+        ], Object.entries(benchmarks.rankings || {}).map(([key, ranking]) => ({
+            metric: BENCHMARK_LABELS[key] || key,
+            ...ranking
+        }))),
+        metricTable('Comparison Group', [
+            metric('Providers compared', benchmarks.totalProviders, INTEGER)
+        ])
+    ]
+});
+
+class ReportSections {
+    // Sections in export order - only those present in the analytics data are returned
+    static build(analyticsData) {
+        const sections = [buildOverview(analyticsData)];
+
+        if (analyticsData.revenue) sections.push(buildRevenue(analyticsData.revenue));
+        if (analyticsData.performance) sections.push(buildPerformance(analyticsData.performance));
+        if (analyticsData.customer) sections.push(buildCustomers(analyticsData.customer));
+        if (analyticsData.benchmarks) sections.push(buildBenchmarks(analyticsData.benchmarks));
+
+        // Custom reports may pick only some metrics of a section - skip key figure tables left
+        // without rows, and sections left without tables
+        return sections
+            .map(section => ({
+                ...section,
+                tables: section.tables.filter(t => t.columns !== METRIC_COLUMNS || t.rows.length > 0)
+            }))
+            .filter(section => section.tables.length > 0);
+    }
+
+    // Typed value of one table cell: Date for date columns, numbers for numeric columns, null when missing
+    static cellValue(column, row) {
+        const type = column.type === 'row' ? row.valueType : column.type;
+        const value = row[column.key];
+
+        if (value === undefined || value === null || value === '') return { type, value: null };
+        if (type === DATE) return { type, value: toDateOrText(value) };
+        if (type === TEXT) return { type, value: String(value) };
+
+        const number = typeof value === 'number' ? value : parseFloat(value);
+        return { type, value: isNaN(number) ? String(value) : number };
+    }
+}
+
+ReportSections.VALUE_TYPES = VALUE_TYPES;
+
+module.exports = ReportSections;
@@ -0,0 +1,171 @@
+const fs = require('fs').promises;
+const ReportShareLink = require('../models/ReportShareLink');
+const ReportLinkSigner = require('./ReportLinkSigner');
+const ReportRetentionService = require('./ReportRetentionService');
+const ReportGenerator = require('./ReportGenerator');
+const { ValidationError } = require('../utils/errors');
+const { Logger } = require('../utils/logger');
+
+const logger = new Logger('ReportShare');
+
+const { DOWNLOADED, EXPIRED, REVOKED, USED, UNAVAILABLE } = ReportShareLink.ACCESS_OUTCOMES;
+
+// Default lifetime of share links and emailed download links
+const LINK_EXPIRY_HOURS = parseInt(process.env.REPORT_LINK_EXPIRY_HOURS, 10) || 72;
+// Longest lifetime a provider may choose for a share link
+const MAX_LINK_EXPIRY_HOURS = (parseInt(process.env.REPORT_SHARE_LINK_MAX_DAYS, 10) || 30) * 24;
+// Public base URL of this API, used to build download links
+const PUBLIC_API_URL = process.env.PUBLIC_API_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+// Why an attempt was refused - status codes answered by the public download route
+const DENIALS = {
+    [EXPIRED]: { statusCode: 410, message: 'This download link has expired' },
+    [REVOKED]: { statusCode: 410, message: 'This download link has been revoked' },
+    [USED]: { statusCode: 410, message: 'This download link has already been used' },
+    [UNAVAILABLE]: { statusCode: 410, message: 'Report has expired and is no longer available' }
+};
+
+const INVALID_LINK = { statusCode: 403, message: 'This download link is invalid or has expired' };
+
+// A report can be handed out while it is available and its file is still on disk
+const isDownloadable = async (report) => {
+    if (!report || !report.filePath || ReportRetentionService.isExpired(report)) return false;
+    try {
+        await fs.access(report.filePath);
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+class ReportShareService {
+    // Whether the report's file can still be handed out (not expired and still on disk)
+    static isDownloadable(report) {
+        return isDownloadable(report);
+    }
+
+    // Link expiry for the requested lifetime - never past the report's own expiry unless it is pinned
+    static getLinkExpiry(report, expiresInHours = LINK_EXPIRY_HOURS) {
+        const linkExpiry = new Date(Date.now() + expiresInHours * 60 * 60 * 1000);
+        if (!report.isPinned && report.expiresAt && new Date(report.expiresAt) < linkExpiry) {
+            return new Date(report.expiresAt);
+        }
+        return linkExpiry;
+    }
+
+    // Mint a tracked, signed download link for a report
+    // Returns { linkID, url, expiresAt, singleUse, label }
+    static async createLink(report, { expiresInHours, singleUse = false, label, createdBy, source } = {}) {
+        const hours = expiresInHours === undefined || expiresInHours === null
+            ? LINK_EXPIRY_HOURS
+            : Number(expiresInHours);
+
+        if (!Number.isFinite(hours) || hours <= 0 || hours > MAX_LINK_EXPIRY_HOURS) {
+            throw new ValidationError(`Link expiry must be between 1 and ${MAX_LINK_EXPIRY_HOURS} hours`);
+        }
+
+        if (label && String(label).length > 255) {
+            throw new ValidationError('Link label must be at most 255 characters');
+        }
+
+        const expiresAt = this.getLinkExpiry(report, hours);
+        const linkID = await ReportShareLink.create({
+            reportID: report.reportID,
+            createdBy,
+            source,
+            label,
+            singleUse,
+            expiresAt
+        });
+
+        return {
+            linkID,
+            url: `${PUBLIC_API_URL}/api/reports/links/${ReportLinkSigner.sign(report.reportID, expiresAt, linkID)}`,
+            expiresAt,
+            singleUse: Boolean(singleUse),
+            label: label || null
+        };
+    }
+
+    // Resolve a link token for download, counting the use and logging the attempt
+    // Returns { report } when the file may be sent, { statusCode, message } otherwise
+    static async openLink(token, { ipAddress, userAgent } = {}) {
+        // Every link is tracked - a token without a link ID could be neither revoked nor logged
+        const payload = ReportLinkSigner.read(token);
+        if (!payload || !payload.linkID) return INVALID_LINK;
+
+        const link = await ReportShareLink.findById(payload.linkID);
+        if (!link || link.reportID !== payload.reportID) return INVALID_LINK;
+
+        let outcome = DOWNLOADED;
+        let report = null;
+
+        if (link.revokedAt) {
+            outcome = REVOKED;
+        } else if (new Date(link.expiresAt) < new Date()) {
+            outcome = EXPIRED;
+        } else if (link.singleUse && link.useCount > 0) {
+            outcome = USED;
+        } else {
+            report = await ReportGenerator.getReportById(link.reportID);
+            if (!(await isDownloadable(report))) {
+                outcome = UNAVAILABLE;
+            } else if (!(await ReportShareLink.claimUse(link.linkID))) {
+                // Another request took the single use (or the link was revoked) meanwhile
+                outcome = USED;
+            }
+        }
+
+        try {
+            await ReportShareLink.logAccess(link.linkID, { outcome, ipAddress, userAgent });
+        } catch (error) {
+            logger.error('Failed to log share link access', { linkID: link.linkID, error: error.message });
+        }
+
+        return outcome === DOWNLOADED ? { report } : DENIALS[outcome];
+    }
+
+    static async revokeLink(reportID, linkID) {
+        return ReportShareLink.revoke(linkID, reportID);
+    }
+
+    // Links of a report with their state and access log, for the report history
+    static async getLinks(reportID) {
+        const [links, accesses] = await Promise.all([
+            ReportShareLink.getByReport(reportID),
+            ReportShareLink.getAccessesByReport(reportID)
+        ]);
+        const now = new Date();
+
+        return links.map(link => {
+            let status = 'active';
+            if (link.revokedAt) status = 'revoked';
+            else if (new Date(link.expiresAt) < now) status = 'expired';
+            else if (link.singleUse && link.useCount > 0) status = 'used';
+
+            return {
+                linkID: link.linkID,
+                source: link.source,
+                label: link.label,
+                singleUse: Boolean(link.singleUse),
+                expiresAt: link.expiresAt,
+                revokedAt: link.revokedAt,
+                useCount: link.useCount,
+                lastAccessedAt: link.lastAccessedAt,
+                createdAt: link.createdAt,
+                status,
+                accessCount: parseInt(link.accessCount, 10) || 0,
+                accesses: accesses
+                    .filter(access => access.linkID === link.linkID)
+                    .map(({ accessID, outcome, ipAddress, userAgent, accessedAt }) => ({
+                        accessID, outcome, ipAddress, userAgent, accessedAt
+                    }))
+            };
+        });
+    }
+}
+
+ReportShareService.LINK_EXPIRY_HOURS = LINK_EXPIRY_HOURS;
+ReportShareService.MAX_LINK_EXPIRY_HOURS = MAX_LINK_EXPIRY_HOURS;
+
+module.exports = ReportShareService;
@@ -5,6 +5,9 @@ const { analyticsLogger } = require('../utils/logger');
 // Valid time periods for analytics queries
 const VALID_PERIODS = ['7days', '30days', '6months', '1year', 'all'];
 
+// Earnings are reported net of refunds - a refund counts against its original payment's date
+const NET_AMOUNT = '(p.amount - p.refundedAmount)';
+
 class RevenueAnalytics {
     static parsePeriod(period) {
         switch (period) {
@@ -42,17 +45,20 @@ class RevenueAnalytics {
             if (interval) {
                 // Current period earnings
                 currentPeriodQuery = `
-                    SELECT COALESCE(SUM(p.amount), 0) as totalEarnings
+                    SELECT
+                        COALESCE(SUM(${NET_AMOUNT}), 0) as totalEarnings,
+                        COALESCE(SUM(p.amount), 0) as grossEarnings,
+                        COALESCE(SUM(p.refundedAmount), 0) as refundedAmount
                     FROM Payment p
                     JOIN ServiceRequest sr ON p.requestID = sr.requestID
                     WHERE sr.providerID = ?
-                        AND p.status = 'Completed'
+                        AND p.status IN ('Completed', 'Refunded')
                         AND p.paymentDate >= DATE_SUB(NOW(), INTERVAL ${interval})
                 `;
 
                 // Previous period earnings for comparison
                 previousPeriodQuery = `
-                    SELECT COALESCE(SUM(p.amount), 0) as totalEarnings
+                    SELECT COALESCE(SUM(${NET_AMOUNT}), 0) as totalEarnings
                     FROM Payment p
                     JOIN ServiceRequest sr ON p.requestID = sr.requestID
                     WHERE sr.providerID = ?
@@ -63,17 +69,22 @@ class RevenueAnalytics {
             } else {
                 // All time earnings
                 currentPeriodQuery = `
-                    SELECT COALESCE(SUM(p.amount), 0) as totalEarnings
+                    SELECT
+                        COALESCE(SUM(${NET_AMOUNT}), 0) as totalEarnings,
+                        COALESCE(SUM(p.amount), 0) as grossEarnings,
+                        COALESCE(SUM(p.refundedAmount), 0) as refundedAmount
                     FROM Payment p
                     JOIN ServiceRequest sr ON p.requestID = sr.requestID
                     WHERE sr.providerID = ?
-                        AND p.status = 'Completed'
+                        AND p.status IN ('Completed', 'Refunded')
                 `;
                 previousPeriodQuery = null;
             }
 
             const [currentRows] = await pool.execute(currentPeriodQuery, params);
             const currentEarnings = parseFloat(currentRows[0].totalEarnings) || 0;
+            const grossEarnings = parseFloat(currentRows[0].grossEarnings) || 0;
+            const refundedAmount = parseFloat(currentRows[0].refundedAmount) || 0;
 
             let previousEarnings = 0;
             let percentageChange = null;
@@ -95,7 +106,10 @@ class RevenueAnalytics {
                 period,
                 currentPeriod: {
                     totalEarnings: currentEarnings,
-                    formattedEarnings: currentEarnings.toFixed(2)
+                    formattedEarnings: currentEarnings.toFixed(2),
+                    grossEarnings,
+                    refundedAmount,
+                    formattedRefunded: refundedAmount.toFixed(2)
                 },
                 previousPeriod: previousPeriodQuery ? {
                     totalEarnings: previousEarnings,
@@ -126,7 +140,7 @@ class RevenueAnalytics {
             const query = `
                 SELECT 
                     sr.category,
-                    COALESCE(SUM(p.amount), 0) as categoryEarnings,
+                    COALESCE(SUM(${NET_AMOUNT}), 0) as categoryEarnings,
                     COUNT(DISTINCT sr.requestID) as serviceCount
                 FROM Payment p
                 JOIN ServiceRequest sr ON p.requestID = sr.requestID
@@ -173,8 +187,8 @@ class RevenueAnalytics {
 
             const query = `
                 SELECT 
-                    COALESCE(AVG(p.amount), 0) as averageEarnings,
-                    COALESCE(SUM(p.amount), 0) as totalEarnings,
+                    COALESCE(AVG(${NET_AMOUNT}), 0) as averageEarnings,
+                    COALESCE(SUM(${NET_AMOUNT}), 0) as totalEarnings,
                     COUNT(DISTINCT sr.requestID) as completedServices
                 FROM Payment p
                 JOIN ServiceRequest sr ON p.requestID = sr.requestID
@@ -235,7 +249,7 @@ class RevenueAnalytics {
             const query = `
                 SELECT 
                     DATE_FORMAT(p.paymentDate, '${dateFormat}') as periodLabel,
-                    COALESCE(SUM(p.amount), 0) as earnings,
+                    COALESCE(SUM(${NET_AMOUNT}), 0) as earnings,
                     COUNT(DISTINCT sr.requestID) as serviceCount
                 FROM Payment p
                 JOIN ServiceRequest sr ON p.requestID = sr.requestID
@@ -299,7 +313,9 @@ class RevenueAnalytics {
                 SELECT 
                     p.status,
                     COALESCE(SUM(p.amount), 0) as totalAmount,
-                    COUNT(*) as paymentCount
+                    COALESCE(SUM(p.refundedAmount), 0) as refundedAmount,
+                    COUNT(*) as paymentCount,
+                    COUNT(CASE WHEN p.refundedAmount > 0 THEN 1 END) as refundedCount
                 FROM Payment p
                 JOIN ServiceRequest sr ON p.requestID = sr.requestID
                 WHERE sr.providerID = ?
@@ -316,15 +332,19 @@ class RevenueAnalytics {
                 refunded: { amount: 0, count: 0 }
             };
 
-            // Fill in actual values
+            // Fill in actual values - refunded money is moved out of its payment's bucket
+            // into 'refunded', so partially refunded payments only count their net amount as completed
             rows.forEach(row => {
                 const status = row.status.toLowerCase();
-                if (statusBreakdown[status] !== undefined) {
+                const refundedAmount = parseFloat(row.refundedAmount);
+                if (statusBreakdown[status] !== undefined && status !== 'refunded') {
                     statusBreakdown[status] = {
-                        amount: parseFloat(row.totalAmount),
+                        amount: parseFloat(row.totalAmount) - refundedAmount,
                         count: parseInt(row.paymentCount, 10)
                     };
                 }
+                statusBreakdown.refunded.amount += refundedAmount;
+                statusBreakdown.refunded.count += parseInt(row.refundedCount, 10);
             });
 
             // Calculate totals
@@ -386,7 +406,7 @@ class RevenueAnalytics {
                 SELECT 
                     DATE_FORMAT(p.paymentDate, '%Y-%m') as month,
                     DATE_FORMAT(p.paymentDate, '%b %Y') as monthLabel,
-                    COALESCE(SUM(p.amount), 0) as earnings,
+                    COALESCE(SUM(${NET_AMOUNT}), 0) as earnings,
                     COUNT(DISTINCT sr.requestID) as serviceCount,
                     COUNT(DISTINCT sr.customerID) as uniqueCustomers
                 FROM Payment p
@@ -480,6 +500,38 @@ class RevenueAnalytics {
         }
     }
 
+    // Net earnings for payments made between two dates (inclusive) - used for goal progress
+    static async getEarningsBetween(providerID, fromDate, toDate) {
+        try {
+            analyticsLogger.debug('Getting earnings between dates', { providerID, fromDate, toDate });
+
+            const query = `
+                SELECT
+                    COALESCE(SUM(${NET_AMOUNT}), 0) as totalEarnings,
+                    COUNT(*) as paymentCount
+                FROM Payment p
+                JOIN ServiceRequest sr ON p.requestID = sr.requestID
+                WHERE sr.providerID = ?
+                    AND p.status IN ('Completed', 'Refunded')
+                    AND DATE(p.paymentDate) BETWEEN ? AND ?
+            `;
+
+            const [rows] = await pool.execute(query, [providerID, fromDate, toDate]);
+            const totalEarnings = parseFloat(rows[0].totalEarnings) || 0;
+
+            return {
+                fromDate,
+                toDate,
+                totalEarnings,
+                formattedEarnings: totalEarnings.toFixed(2),
+                paymentCount: parseInt(rows[0].paymentCount, 10) || 0
+            };
+        } catch (error) {
+            analyticsLogger.error('Error getting earnings between dates', { providerID, fromDate, toDate, error: error.message });
+            throw mapDatabaseError(error);
+        }
+    }
+
     static async getDashboardData(providerID, period = '30days') {
         try {
             analyticsLogger.debug('Getting revenue dashboard data', { providerID, period });
@@ -0,0 +1,270 @@
+const os = require('os');
+const pool = require('../config/database');
+const Notification = require('../models/Notification');
+const ReportGenerator = require('./ReportGenerator');
+const ReportMailer = require('./ReportMailer');
+const ReportRetentionService = require('./ReportRetentionService');
+const { Logger } = require('../utils/logger');
+const { createScheduler } = require('../utils/scheduler');
+
+const logger = new Logger('ReportScheduler');
+
+// How often the runner looks for due schedules
+const POLL_INTERVAL_MINUTES = parseInt(process.env.REPORT_SCHEDULER_INTERVAL_MINUTES, 10) || 5;
+// How long a claimed schedule stays locked to this instance before another may take it over
+const LOCK_MINUTES = parseInt(process.env.REPORT_RUN_LOCK_MINUTES, 10) || 15;
+// Attempts per run before it is marked failed, and the first retry delay (doubled after each failure)
+const MAX_ATTEMPTS = parseInt(process.env.REPORT_MAX_ATTEMPTS, 10) || 3;
+const RETRY_BASE_MINUTES = parseInt(process.env.REPORT_RETRY_BASE_MINUTES, 10) || 5;
+// Schedules picked up per poll
+const BATCH_SIZE = 10;
+
+// Identifies this backend instance in ScheduledReport.lockedBy
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+// The next regular run after nextRunDate that is in the future - skips runs missed while the server was down
+const NEXT_RUN_DATE = `CASE frequency
+    WHEN 'daily' THEN DATE_ADD(nextRunDate, INTERVAL TIMESTAMPDIFF(DAY, nextRunDate, NOW()) + 1 DAY)
+    WHEN 'weekly' THEN DATE_ADD(nextRunDate, INTERVAL TIMESTAMPDIFF(WEEK, nextRunDate, NOW()) + 1 WEEK)
+    ELSE DATE_ADD(nextRunDate, INTERVAL TIMESTAMPDIFF(MONTH, nextRunDate, NOW()) + 1 MONTH)
+END`;
+
+const scheduler = createScheduler({
+    name: 'Report scheduler',
+    intervalMinutes: POLL_INTERVAL_MINUTES,
+    task: () => ScheduledReportRunner.runDueReports(),
+    details: { instance: INSTANCE_ID },
+    logger
+});
+
+const toDateString = (date) => {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+};
+
+// The period a run reports on: the day, week or month ending today
+const getReportWindow = (frequency) => {
+    const end = new Date();
+    const start = new Date(end);
+    if (frequency === 'daily') start.setDate(start.getDate() - 1);
+    else if (frequency === 'weekly') start.setDate(start.getDate() - 7);
+    else start.setMonth(start.getMonth() - 1);
+    return { dateRangeStart: toDateString(start), dateRangeEnd: toDateString(end) };
+};
+
+// JSON columns may arrive parsed or as strings depending on the driver
+const parseJsonColumn = (value, fallback) => {
+    if (!value) return fallback;
+    return typeof value === 'string' ? JSON.parse(value) : value;
+};
+
+// Store a notification and push it to the provider's Socket.io room
+// Failures are logged only - the run result is already recorded
+const notifyProvider = async (providerID, message, notificationType) => {
+    try {
+        await Notification.create({ userID: providerID, message, notificationType });
+
+        if (global.io) {
+            global.io.to(`user_${providerID}`).emit('new_notification', {
+                message,
+                notificationType
+            });
+        }
+    } catch (error) {
+        logger.error(`Failed to create ${notificationType} notification`, error);
+    }
+};
+
+class ScheduledReportRunner {
+    // Active schedules whose run (or retry) is due and that no live instance holds
+    static async getDueSchedules(limit = BATCH_SIZE) {
+        const query = `
+            SELECT * FROM ScheduledReport
+            WHERE isActive = TRUE
+                AND COALESCE(retryAt, nextRunDate) <= NOW()
+                AND (lockedUntil IS NULL OR lockedUntil < NOW())
+            ORDER BY COALESCE(retryAt, nextRunDate) ASC
+            LIMIT ${parseInt(limit, 10)}
+        `;
+        const [rows] = await pool.execute(query);
+        return rows;
+    }
+
+    // Atomically lock a due schedule to this instance - false when another instance got it first
+    static async claimSchedule(scheduleID) {
+        const query = `
+            UPDATE ScheduledReport
+            SET lockedBy = ?, lockedUntil = DATE_ADD(NOW(), INTERVAL ? MINUTE)
+            WHERE scheduleID = ?
+                AND isActive = TRUE
+                AND COALESCE(retryAt, nextRunDate) <= NOW()
+                AND (lockedUntil IS NULL OR lockedUntil < NOW())
+        `;
+        const [result] = await pool.execute(query, [INSTANCE_ID, LOCK_MINUTES, scheduleID]);
+        return result.affectedRows > 0;
+    }
+
+    // Record a successful run, move to the next regular run and release the lock
+    static async recordSuccess(scheduleID, reportID) {
+        const query = `
+            UPDATE ScheduledReport
+            SET lastRunDate = NOW(),
+                lastRunStatus = 'success',
+                lastError = NULL,
+                lastReportID = ?,
+                failureCount = 0,
+                retryAt = NULL,
+                nextRunDate = ${NEXT_RUN_DATE},
+                lockedBy = NULL,
+                lockedUntil = NULL
+            WHERE scheduleID = ? AND lockedBy = ?
+        `;
+        const [result] = await pool.execute(query, [reportID, scheduleID, INSTANCE_ID]);
+        return result.affectedRows > 0;
+    }
+
+    // Record a failed attempt - retry with exponential backoff, or give up on this run after MAX_ATTEMPTS
+    // Returns true when the run was marked failed
+    static async recordFailure(schedule, errorMessage) {
+        const attempts = (schedule.failureCount || 0) + 1;
+        const message = String(errorMessage).slice(0, 500);
+
+        if (attempts < MAX_ATTEMPTS) {
+            const delayMinutes = RETRY_BASE_MINUTES * Math.pow(2, attempts - 1);
+            const query = `
+                UPDATE ScheduledReport
+                SET lastRunStatus = 'retrying',
+                    lastError = ?,
+                    failureCount = ?,
+                    retryAt = DATE_ADD(NOW(), INTERVAL ? MINUTE),
+                    lockedBy = NULL,
+                    lockedUntil = NULL
+                WHERE scheduleID = ? AND lockedBy = ?
+            `;
+            await pool.execute(query, [message, attempts, delayMinutes, schedule.scheduleID, INSTANCE_ID]);
+            logger.warn('Scheduled report failed, retrying', { scheduleID: schedule.scheduleID, attempts, delayMinutes });
+            return false;
+        }
+
+        // Out of attempts: keep the failure visible and wait for the next regular run
+        const query = `
+            UPDATE ScheduledReport
+            SET lastRunDate = NOW(),
+                lastRunStatus = 'failed',
+                lastError = ?,
+                failureCount = 0,
+                retryAt = NULL,
+                nextRunDate = ${NEXT_RUN_DATE},
+                lockedBy = NULL,
+                lockedUntil = NULL
+            WHERE scheduleID = ? AND lockedBy = ?
+        `;
+        await pool.execute(query, [message, schedule.scheduleID, INSTANCE_ID]);
+        logger.error('Scheduled report failed', { scheduleID: schedule.scheduleID, attempts, error: message });
+        return true;
+    }
+
+    // Email a finished run to the schedule's recipients - returns how many were sent
+    // Delivery problems are recorded per recipient and never fail the run itself
+    static async emailReport(schedule, reportID, recipients, method) {
+        if (!Array.isArray(recipients) || recipients.length === 0) return 0;
+
+        try {
+            const report = await ReportGenerator.getReportById(reportID);
+            const delivery = await ReportMailer.deliverReport(report, recipients, {
+                method,
+                scheduleID: schedule.scheduleID
+            });
+            return delivery.sent;
+        } catch (error) {
+            logger.error('Scheduled report email failed', { scheduleID: schedule.scheduleID, reportID, error: error.message });
+            return 0;
+        }
+    }
+
+    // Remove a report generated by a run this instance no longer holds
+    // Failures are logged only - the cleanup job expires the report later anyway
+    static async discardReport(schedule, result) {
+        try {
+            await ReportRetentionService.deleteReport({ reportID: result.reportID, filePath: result.filePath });
+        } catch (error) {
+            logger.error('Failed to discard duplicate scheduled report', { scheduleID: schedule.scheduleID, reportID: result.reportID, error: error.message });
+        }
+    }
+
+    // Generate the report for one claimed schedule and record the outcome
+    static async runSchedule(schedule) {
+        const reportOptions = parseJsonColumn(schedule.reportOptions, {});
+        const recipients = parseJsonColumn(schedule.emailRecipients, []);
+        const format = reportOptions.format || 'pdf';
+        const label = `${schedule.frequency} ${schedule.reportType}`;
+
+        try {
+            const result = await ReportGenerator.exportData(schedule.providerID, format, {
+                ...reportOptions,
+                reportType: schedule.reportType,
+                ...getReportWindow(schedule.frequency)
+            });
+
+            const recorded = await this.recordSuccess(schedule.scheduleID, result.reportID);
+            // Another instance took the run over - it generates and delivers its own report,
+            // so this one drops its copy and must not email or notify too
+            if (!recorded) {
+                logger.warn('Schedule lock was lost before the run finished', { scheduleID: schedule.scheduleID });
+                await this.discardReport(schedule, result);
+                return false;
+            }
+
+            const emailed = await this.emailReport(schedule, result.reportID, recipients, reportOptions.emailDelivery);
+
+            await notifyProvider(
+                schedule.providerID,
+                emailed > 0
+                    ? `Your ${label} report is ready to download and was emailed to ${emailed} recipient${emailed === 1 ? '' : 's'}.`
+                    : `Your ${label} report is ready to download.`,
+                'scheduled_report_ready'
+            );
+            logger.info('Scheduled report generated', { scheduleID: schedule.scheduleID, reportID: result.reportID });
+            return true;
+        } catch (error) {
+            const failed = await this.recordFailure(schedule, error.message);
+            if (failed) {
+                await notifyProvider(
+                    schedule.providerID,
+                    `Your ${label} report could not be generated after ${MAX_ATTEMPTS} attempts: ${error.message}`,
+                    'scheduled_report_failed'
+                );
+            }
+            return false;
+        }
+    }
+
+    // Claim and run every due schedule - returns how many runs succeeded
+    static async runDueReports() {
+        const schedules = await this.getDueSchedules();
+        let succeeded = 0;
+
+        for (const schedule of schedules) {
+            // Another instance may have claimed it since the SELECT
+            if (!(await this.claimSchedule(schedule.scheduleID))) continue;
+
+            if (await this.runSchedule(schedule)) {
+                succeeded++;
+            }
+        }
+
+        return succeeded;
+    }
+
+    // Poll for due schedules now and then every REPORT_SCHEDULER_INTERVAL_MINUTES
+    static startScheduler() {
+        scheduler.start();
+    }
+
+    static stopScheduler() {
+        scheduler.stop();
+    }
+}
+
+module.exports = ScheduledReportRunner;
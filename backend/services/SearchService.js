@@ -0,0 +1,408 @@
+const pool = require('../config/database');
+const { ValidationError } = require('../utils/errors');
+
+// What can be searched, in the order results are returned
+const SEARCH_TYPES = ['requests', 'bundles', 'providers'];
+
+// Words shorter than InnoDB's innodb_ft_min_token_size are never indexed, so they cannot match
+const MIN_TERM_LENGTH = 3;
+const MAX_TERMS = 8;
+const MAX_QUERY_LENGTH = 200;
+
+// Typo tolerance: longer words also match on their stem with the last letters dropped,
+// so "plumbr" finds "plumber" and "electricain" finds "electrician"
+const TYPO_TAIL = 2;
+const MIN_STEM_LENGTH = 4;
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+const MAX_RATING = 5;
+
+// A bundle name match counts this many times more than a match in its description or services
+const BUNDLE_NAME_BOOST = 2;
+
+// Characters of context kept around the first match in long fields
+const SNIPPET_LENGTH = 160;
+const SNIPPET_LEAD = 60;
+
+const WORD = /[\p{L}\p{N}]+/gu;
+
+const round = (value, places = 2) => parseFloat(Number(value).toFixed(places));
+
+const parseNumber = (value, label, { min = 0, max = null } = {}) => {
+    if (value === undefined || value === null || value === '') return null;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < min || (max !== null && number > max)) {
+        throw new ValidationError(max !== null
+            ? `${label} must be a number between ${min} and ${max}`
+            : `${label} must be a number of at least ${min}`);
+    }
+    return number;
+};
+
+// JSON columns come back parsed from MySQL but as strings from MariaDB
+const toServiceList = (value) => {
+    if (Array.isArray(value)) return value;
+    if (typeof value !== 'string') return [];
+    try {
+        const parsed = JSON.parse(value);
+        return Array.isArray(parsed) ? parsed : [];
+    } catch {
+        return [];
+    }
+};
+
+// Split text into { text, match } segments around the words the pattern matches
+const toSegments = (text, pattern) => {
+    const segments = [];
+    let last = 0;
+    text.replace(pattern, (match, offset) => {
+        if (offset > last) segments.push({ text: text.slice(last, offset), match: false });
+        segments.push({ text: match, match: true });
+        last = offset + match.length;
+        return match;
+    });
+    if (last < text.length) segments.push({ text: text.slice(last), match: false });
+    return segments;
+};
+
+class SearchService {
+    // Validate the query string parameters of GET /api/search
+    static parseOptions(params = {}) {
+        const q = typeof params.q === 'string' ? params.q.trim() : '';
+        if (!q) {
+            throw new ValidationError('Search text (q) is required');
+        }
+        if (q.length > MAX_QUERY_LENGTH) {
+            throw new ValidationError(`Search text must be at most ${MAX_QUERY_LENGTH} characters`);
+        }
+
+        const terms = this.parseTerms(q);
+        if (terms.length === 0) {
+            throw new ValidationError(`Search for at least one word of ${MIN_TERM_LENGTH} or more characters`);
+        }
+
+        const types = params.types
+            ? String(params.types).split(',').map(type => type.trim()).filter(Boolean)
+            : SEARCH_TYPES;
+        const unknown = types.filter(type => !SEARCH_TYPES.includes(type));
+        if (unknown.length > 0 || types.length === 0) {
+            throw new ValidationError(`Invalid types. Must be any of: ${SEARCH_TYPES.join(', ')}`);
+        }
+
+        const minPrice = parseNumber(params.minPrice, 'minPrice');
+        const maxPrice = parseNumber(params.maxPrice, 'maxPrice');
+        if (minPrice !== null && maxPrice !== null && minPrice > maxPrice) {
+            throw new ValidationError('minPrice cannot be greater than maxPrice');
+        }
+
+        const limit = parseNumber(params.limit, 'limit', { min: 1, max: MAX_LIMIT });
+
+        return {
+            q,
+            terms,
+            types: SEARCH_TYPES.filter(type => types.includes(type)),
+            category: params.category ? String(params.category).trim() : null,
+            minPrice,
+            maxPrice,
+            minRating: parseNumber(params.minRating, 'minRating', { max: MAX_RATING }),
+            limit: limit === null ? DEFAULT_LIMIT : Math.floor(limit)
+        };
+    }
+
+    // Lowercased, de-duplicated words long enough to be in the index
+    static parseTerms(text) {
+        const words = (text.toLowerCase().match(WORD) || []).filter(word => word.length >= MIN_TERM_LENGTH);
+        return [...new Set(words)].slice(0, MAX_TERMS);
+    }
+
+    // The prefixes a term matches on - the word itself and, for longer words, its shortened stem
+    static getPrefixes(term) {
+        const stemLength = Math.max(MIN_STEM_LENGTH, term.length - TYPO_TAIL);
+        return stemLength < term.length ? [term, term.slice(0, stemLength)] : [term];
+    }
+
+    // MATCH ... AGAINST expression in boolean mode: strict requires every term, relaxed any of them
+    // Terms are letters and digits only, so no boolean operators can be smuggled in
+    static buildBooleanQuery(terms, strict = true) {
+        return terms
+            .map(term => {
+                const prefixes = this.getPrefixes(term).map(prefix => `${prefix}*`).join(' ');
+                return strict ? `+(${prefixes})` : prefixes;
+            })
+            .join(' ');
+    }
+
+    // Word-start prefix pattern mirroring the boolean query, for highlighting
+    static buildHighlightPattern(terms) {
+        const prefixes = [...new Set(terms.flatMap(term => this.getPrefixes(term)))]
+            .sort((a, b) => b.length - a.length);
+        return new RegExp(`(?<![\\p{L}\\p{N}])(?:${prefixes.join('|')})[\\p{L}\\p{N}]*`, 'giu');
+    }
+
+    // Segments of a field around its first match, or null when nothing in it matched
+    static highlight(text, pattern) {
+        if (!text) return null;
+        const value = String(text);
+
+        pattern.lastIndex = 0;
+        const first = pattern.exec(value);
+        pattern.lastIndex = 0;
+        if (!first) return null;
+
+        if (value.length <= SNIPPET_LENGTH) {
+            return toSegments(value, pattern);
+        }
+
+        // Window around the first match, cut on word boundaries
+        let start = Math.max(0, first.index - SNIPPET_LEAD);
+        if (start > 0) {
+            const space = value.indexOf(' ', start);
+            start = space !== -1 && space < first.index ? space + 1 : start;
+        }
+        let end = Math.min(value.length, start + SNIPPET_LENGTH);
+        if (end < value.length) {
+            const space = value.lastIndexOf(' ', end);
+            end = space > first.index + first[0].length ? space : end;
+        }
+
+        const segments = toSegments(value.slice(start, end), pattern);
+        if (start > 0) segments.unshift({ text: '…', match: false });
+        if (end < value.length) segments.push({ text: '…', match: false });
+        return segments;
+    }
+
+    // Highlights for the fields of a result that matched, keyed by field name
+    static highlightFields(fields, pattern) {
+        const highlights = {};
+        Object.entries(fields).forEach(([field, text]) => {
+            const segments = this.highlight(text, pattern);
+            if (segments) highlights[field] = segments;
+        });
+        return highlights;
+    }
+
+    // Search every requested type; if requiring all the words finds nothing, any of them will do
+    static async search(user, options) {
+        let relaxed = false;
+        let results = await this.searchAll(user, options, this.buildBooleanQuery(options.terms, true));
+
+        const total = Object.values(results).reduce((sum, rows) => sum + rows.length, 0);
+        if (total === 0 && options.terms.length > 1) {
+            relaxed = true;
+            results = await this.searchAll(user, options, this.buildBooleanQuery(options.terms, false));
+        }
+
+        const pattern = this.buildHighlightPattern(options.terms);
+        const highlighters = {
+            requests: row => this.highlightFields({ description: row.description }, pattern),
+            bundles: row => this.highlightFields({
+                bundleName: row.bundleName,
+                description: row.description,
+                servicesIncluded: row.servicesIncluded.join(', ')
+            }, pattern),
+            providers: row => this.highlightFields({ name: row.name }, pattern)
+        };
+
+        const data = {};
+        Object.entries(results).forEach(([type, rows]) => {
+            data[type] = rows.map(row => ({ ...row, highlights: highlighters[type](row) }));
+        });
+
+        return {
+            query: options.q,
+            terms: options.terms,
+            relaxed,
+            filters: {
+                category: options.category,
+                minPrice: options.minPrice,
+                maxPrice: options.maxPrice,
+                minRating: options.minRating
+            },
+            results: data,
+            total: Object.values(data).reduce((sum, rows) => sum + rows.length, 0)
+        };
+    }
+
+    // Each type is ranked on its own index - relevance scores are not comparable across types
+    static async searchAll(user, options, against) {
+        const searches = {
+            requests: () => this.searchRequests(user, options, against),
+            bundles: () => this.searchBundles(options, against),
+            providers: () => this.searchProviders(options, against)
+        };
+
+        const rows = await Promise.all(options.types.map(type => searches[type]()));
+        const results = {};
+        options.types.forEach((type, index) => { results[type] = rows[index]; });
+        return results;
+    }
+
+    // Request descriptions the user may see: customers their own requests, providers the open
+    // job board plus their own jobs, admins everything. Price filters apply to the final price
+    static async searchRequests(user, options, against) {
+        const params = [against, against];
+        let query = `
+            SELECT
+                sr.requestID,
+                sr.category,
+                sr.description,
+                sr.status,
+                sr.serviceDate,
+                sr.finalPrice,
+                sr.city,
+                sr.createdAt,
+                c.name as customerName,
+                p.name as providerName,
+                MATCH(sr.description) AGAINST (? IN BOOLEAN MODE) as relevance
+            FROM ServiceRequest sr
+            LEFT JOIN USER c ON sr.customerID = c.userID
+            LEFT JOIN USER p ON sr.providerID = p.userID
+            WHERE MATCH(sr.description) AGAINST (? IN BOOLEAN MODE)
+        `;
+
+        if (user.role === 'Customer') {
+            query += ' AND sr.customerID = ?';
+            params.push(user.userID);
+        } else if (user.role === 'Provider') {
+            query += " AND (sr.providerID = ? OR (sr.status = 'Pending' AND sr.providerID IS NULL))";
+            params.push(user.userID);
+        } else if (user.role !== 'Admin') {
+            return [];
+        }
+
+        if (options.category) {
+            query += ' AND sr.category = ?';
+            params.push(options.category);
+        }
+        if (options.minPrice !== null) {
+            query += ' AND sr.finalPrice >= ?';
+            params.push(options.minPrice);
+        }
+        if (options.maxPrice !== null) {
+            query += ' AND sr.finalPrice <= ?';
+            params.push(options.maxPrice);
+        }
+
+        query += ` ORDER BY relevance DESC, sr.createdAt DESC LIMIT ${options.limit}`;
+
+        const [rows] = await pool.execute(query, params);
+        return rows.map(row => ({
+            ...row,
+            finalPrice: row.finalPrice === null ? null : parseFloat(row.finalPrice),
+            relevance: round(row.relevance, 4)
+        }));
+    }
+
+    // Active, unexpired bundles by name, description and included services
+    // Ratings are the offering provider's average rating
+    static async searchBundles(options, against) {
+        const params = [against, against, against];
+        let query = `
+            SELECT
+                sb.bundleID,
+                sb.providerID,
+                sb.bundleName,
+                sb.description,
+                sb.servicesIncluded,
+                sb.price,
+                sb.validTill,
+                u.name as providerName,
+                a.averageRating as providerRating,
+                a.reviewCount as providerReviewCount,
+                MATCH(sb.bundleName) AGAINST (? IN BOOLEAN MODE) * ${BUNDLE_NAME_BOOST}
+                    + MATCH(sb.bundleName, sb.description, sb.servicesText) AGAINST (? IN BOOLEAN MODE) as relevance
+            FROM ServiceBundle sb
+            JOIN USER u ON sb.providerID = u.userID
+            LEFT JOIN Analytics a ON sb.providerID = a.providerID
+            WHERE sb.isActive = TRUE
+            AND (sb.validTill IS NULL OR sb.validTill >= CURDATE())
+            AND MATCH(sb.bundleName, sb.description, sb.servicesText) AGAINST (? IN BOOLEAN MODE)
+        `;
+
+        // Same category test as the bundle browser
+        if (options.category) {
+            query += ` AND JSON_SEARCH(sb.servicesIncluded, 'one', ?) IS NOT NULL`;
+            params.push(options.category);
+        }
+        if (options.minPrice !== null) {
+            query += ' AND sb.price >= ?';
+            params.push(options.minPrice);
+        }
+        if (options.maxPrice !== null) {
+            query += ' AND sb.price <= ?';
+            params.push(options.maxPrice);
+        }
+        if (options.minRating !== null) {
+            query += ' AND COALESCE(a.averageRating, 0) >= ?';
+            params.push(options.minRating);
+        }
+
+        query += ` ORDER BY relevance DESC, sb.createdAt DESC LIMIT ${options.limit}`;
+
+        const [rows] = await pool.execute(query, params);
+        return rows.map(row => ({
+            ...row,
+            servicesIncluded: toServiceList(row.servicesIncluded),
+            price: parseFloat(row.price),
+            providerRating: row.providerRating === null ? null : parseFloat(row.providerRating),
+            providerReviewCount: row.providerReviewCount || 0,
+            relevance: round(row.relevance, 4)
+        }));
+    }
+
+    // Providers by name; a category keeps those who completed a job in it or offer a bundle for it
+    static async searchProviders(options, against) {
+        const params = [against, against];
+        let query = `
+            SELECT
+                u.userID as providerID,
+                u.name,
+                u.city,
+                a.averageRating,
+                a.reviewCount,
+                a.jobsCompleted,
+                MATCH(u.name) AGAINST (? IN BOOLEAN MODE) as relevance
+            FROM USER u
+            LEFT JOIN Analytics a ON u.userID = a.providerID
+            WHERE u.role = 'Provider'
+            AND MATCH(u.name) AGAINST (? IN BOOLEAN MODE)
+        `;
+
+        if (options.category) {
+            query += `
+                AND (
+                    EXISTS (
+                        SELECT 1 FROM ServiceRequest cr
+                        WHERE cr.providerID = u.userID AND cr.category = ? AND cr.status = 'Completed'
+                    )
+                    OR EXISTS (
+                        SELECT 1 FROM ServiceBundle cb
+                        WHERE cb.providerID = u.userID AND cb.isActive = TRUE
+                        AND JSON_SEARCH(cb.servicesIncluded, 'one', ?) IS NOT NULL
+                    )
+                )
+            `;
+            params.push(options.category, options.category);
+        }
+        if (options.minRating !== null) {
+            query += ' AND COALESCE(a.averageRating, 0) >= ?';
+            params.push(options.minRating);
+        }
+
+        query += ` ORDER BY relevance DESC, a.averageRating DESC LIMIT ${options.limit}`;
+
+        const [rows] = await pool.execute(query, params);
+        return rows.map(row => ({
+            ...row,
+            averageRating: row.averageRating === null ? null : parseFloat(row.averageRating),
+            reviewCount: row.reviewCount || 0,
+            jobsCompleted: row.jobsCompleted || 0,
+            relevance: round(row.relevance, 4)
+        }));
+    }
+}
+
+SearchService.SEARCH_TYPES = SEARCH_TYPES;
+
+module.exports = SearchService;
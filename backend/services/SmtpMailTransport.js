@@ -0,0 +1,37 @@
+const nodemailer = require('nodemailer');
+const { MailTransport, MailTransportError } = require('./MailTransport');
+
+// Sends mail through an SMTP server configured with SMTP_HOST, SMTP_PORT, SMTP_SECURE,
+// SMTP_USER and SMTP_PASSWORD. Without credentials it connects unauthenticated, which is
+// what local sinks such as MailHog or smtp4dev expect (e.g. SMTP_HOST=localhost SMTP_PORT=1025).
+class SmtpMailTransport extends MailTransport {
+    constructor(options = {}) {
+        super();
+        const port = parseInt(options.port || process.env.SMTP_PORT, 10) || 587;
+        const secure = options.secure !== undefined ? options.secure : process.env.SMTP_SECURE === 'true';
+        const user = options.user || process.env.SMTP_USER;
+
+        this.from = options.from || process.env.MAIL_FROM || 'reports@localhost';
+        this.transporter = nodemailer.createTransport({
+            host: options.host || process.env.SMTP_HOST || 'localhost',
+            port,
+            secure,
+            auth: user ? { user, pass: options.password || process.env.SMTP_PASSWORD } : undefined
+        });
+    }
+
+    get name() {
+        return 'smtp';
+    }
+
+    async send({ to, subject, text, html, attachments }) {
+        try {
+            const info = await this.transporter.sendMail({ from: this.from, to, subject, text, html, attachments });
+            return { messageID: info.messageId };
+        } catch (error) {
+            throw new MailTransportError(`SMTP delivery failed: ${error.message}`, error);
+        }
+    }
+}
+
+module.exports = SmtpMailTransport;
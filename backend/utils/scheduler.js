@@ -0,0 +1,41 @@
+// Periodic background job: runs `task` on start and then every `intervalMinutes`
+// A tick is skipped while the previous run is still going, and the timer never keeps the process alive
+// name labels the log lines ("<name> started", "<name> run failed"); details are added to the start line
+const createScheduler = ({ name, intervalMinutes, task, logger, details = {} }) => {
+    let timer = null;
+    let running = false;
+
+    const run = async () => {
+        if (running) return;
+        running = true;
+        try {
+            await task();
+        } catch (error) {
+            logger.error(`${name} run failed`, error);
+        } finally {
+            running = false;
+        }
+    };
+
+    return {
+        start() {
+            if (timer) return;
+
+            run();
+            timer = setInterval(run, intervalMinutes * 60 * 1000);
+            timer.unref();
+            logger.info(`${name} started`, { intervalMinutes, ...details });
+        },
+
+        stop() {
+            if (timer) {
+                clearInterval(timer);
+                timer = null;
+            }
+        }
+    };
+};
+
+module.exports = {
+    createScheduler
+};
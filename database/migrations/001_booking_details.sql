@@ -0,0 +1,20 @@
+-- =====================================================
+-- Bookings: manual bookings and booking status
+-- Upgrades a database created before bookings were managed through /api/bookings.
+-- Fresh installs get these changes from schema.sql - run this once, only on an existing database:
+--   mysql -u <user> -p local_services_db < migrations/001_booking_details.sql
+-- =====================================================
+
+USE local_services_db;
+
+-- requestID is NULL for manual bookings of offline customers
+ALTER TABLE Booking
+    MODIFY requestID INT,
+    ADD COLUMN customerName VARCHAR(100) AFTER manualBooking,
+    ADD COLUMN customerPhone VARCHAR(20) AFTER customerName,
+    ADD COLUMN notes TEXT AFTER customerPhone,
+    ADD COLUMN status VARCHAR(50) DEFAULT 'Scheduled' AFTER notes,
+    ADD INDEX idx_status (status);
+
+-- Bookings that already carry a cancellation reason were cancelled
+UPDATE Booking SET status = 'Cancelled' WHERE cancellationReason IS NOT NULL;
@@ -0,0 +1,15 @@
+-- =====================================================
+-- Payments: agreed price and payment gateway details
+-- Upgrades a database created before payments went through a payment gateway.
+-- Fresh installs get these changes from schema.sql - run this once, only on an existing database:
+--   mysql -u <user> -p local_services_db < migrations/002_payments.sql
+-- =====================================================
+
+USE local_services_db;
+
+ALTER TABLE ServiceRequest
+    ADD COLUMN finalPrice DECIMAL(10, 2) AFTER priorityLevel;
+
+ALTER TABLE Payment
+    ADD COLUMN paymentGateway VARCHAR(50) AFTER paymentMethod,
+    ADD COLUMN failureReason VARCHAR(255) AFTER transactionID;
@@ -0,0 +1,12 @@
+-- =====================================================
+-- Refunds: amount refunded per payment
+-- Upgrades a database created before refunds were added; the Refund table itself is
+-- created by schema.sql, which is safe to re-run on an existing database.
+-- Fresh installs get these changes from schema.sql - run this once, only on an existing database:
+--   mysql -u <user> -p local_services_db < migrations/003_refunds.sql
+-- =====================================================
+
+USE local_services_db;
+
+ALTER TABLE Payment
+    ADD COLUMN refundedAmount DECIMAL(10, 2) DEFAULT 0 AFTER failureReason;
@@ -0,0 +1,32 @@
+-- =====================================================
+-- JobHistory: one row per service request status change
+-- Upgrades a database created before request history was recorded.
+-- Fresh installs get these changes from schema.sql - run this once, only on an existing database:
+--   mysql -u <user> -p local_services_db < migrations/004_job_history.sql
+-- =====================================================
+
+USE local_services_db;
+
+-- providerID is NULL for changes made before a provider accepted the request
+ALTER TABLE JobHistory
+    MODIFY providerID INT,
+    ADD COLUMN action VARCHAR(50) NOT NULL AFTER customerID,
+    ADD COLUMN previousStatus VARCHAR(50) AFTER action,
+    ADD COLUMN changedBy INT AFTER status,
+    ADD COLUMN notes TEXT AFTER changedBy,
+    ADD FOREIGN KEY (changedBy) REFERENCES USER(userID) ON DELETE SET NULL,
+    ADD INDEX idx_action (action),
+    ADD INDEX idx_created_at (createdAt);
+
+-- Older rows only kept the status, so derive the action from it
+UPDATE JobHistory
+SET action = CASE status
+    WHEN 'Pending' THEN 'created'
+    WHEN 'Accepted' THEN 'accepted'
+    WHEN 'Rejected' THEN 'rejected'
+    WHEN 'In Progress' THEN 'started'
+    WHEN 'Completed' THEN 'completed'
+    WHEN 'Cancelled' THEN 'cancelled'
+    ELSE LOWER(status)
+END
+WHERE action = '';
@@ -0,0 +1,21 @@
+-- =====================================================
+-- MaintenanceReminder: one reminder per customer and service, renewed on completion
+-- Upgrades a database created before reminders were created automatically.
+-- Fresh installs get these changes from schema.sql - run this once, only on an existing database:
+--   mysql -u <user> -p local_services_db < migrations/005_maintenance_reminders.sql
+-- =====================================================
+
+USE local_services_db;
+
+-- The unique key below allows one reminder per customer and service - keep the newest of any duplicates
+DELETE older FROM MaintenanceReminder older
+JOIN MaintenanceReminder newer
+    ON newer.customerID = older.customerID
+    AND newer.serviceType = older.serviceType
+    AND newer.reminderID > older.reminderID;
+
+ALTER TABLE MaintenanceReminder
+    ADD COLUMN requestID INT NULL COMMENT 'Completed request that last renewed the reminder' AFTER reminderFrequency,
+    ADD COLUMN lastNotifiedAt DATETIME NULL COMMENT 'When the customer was last reminded for nextServiceDate' AFTER requestID,
+    ADD FOREIGN KEY (requestID) REFERENCES ServiceRequest(requestID) ON DELETE SET NULL,
+    ADD UNIQUE KEY unique_customer_service (customerID, serviceType);
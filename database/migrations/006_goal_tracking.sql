@@ -0,0 +1,15 @@
+-- =====================================================
+-- ProviderGoal: milestone notifications and closing time
+-- Upgrades a database created before goal progress was tracked.
+-- Fresh installs get these changes from schema.sql - run this once, only on an existing database:
+--   mysql -u <user> -p local_services_db < migrations/006_goal_tracking.sql
+-- =====================================================
+
+USE local_services_db;
+
+ALTER TABLE ProviderGoal
+    ADD COLUMN notifiedMilestone TINYINT DEFAULT 0 COMMENT 'Highest progress milestone (%) the provider was notified about' AFTER status,
+    ADD COLUMN closedAt DATETIME NULL COMMENT 'When the goal left the active status' AFTER notifiedMilestone;
+
+-- Goals that are already closed count as closed at their last update
+UPDATE ProviderGoal SET closedAt = updatedAt, updatedAt = updatedAt WHERE status <> 'active';
@@ -0,0 +1,18 @@
+-- =====================================================
+-- ScheduledReport: run status, retries and instance locking
+-- Upgrades a database created before scheduled reports ran in the background.
+-- Fresh installs get these changes from schema.sql - run this once, only on an existing database:
+--   mysql -u <user> -p local_services_db < migrations/007_scheduled_report_runs.sql
+-- =====================================================
+
+USE local_services_db;
+
+ALTER TABLE ScheduledReport
+    ADD COLUMN lastRunStatus ENUM('success', 'retrying', 'failed') NULL AFTER isActive,
+    ADD COLUMN lastError VARCHAR(500) NULL AFTER lastRunStatus,
+    ADD COLUMN lastReportID INT NULL COMMENT 'GeneratedReport produced by the last successful run' AFTER lastError,
+    ADD COLUMN failureCount INT DEFAULT 0 COMMENT 'Consecutive failed attempts for the current run' AFTER lastReportID,
+    ADD COLUMN retryAt DATETIME NULL COMMENT 'Backoff time for a failed run - nextRunDate keeps the regular cadence' AFTER failureCount,
+    ADD COLUMN lockedBy VARCHAR(100) NULL COMMENT 'Backend instance currently running the schedule' AFTER retryAt,
+    ADD COLUMN lockedUntil DATETIME NULL COMMENT 'Lease expiry so a crashed instance does not block the schedule' AFTER lockedBy,
+    ADD INDEX idx_retry_at (retryAt);
@@ -0,0 +1,18 @@
+-- =====================================================
+-- GeneratedReport: file size, availability and pinning for retention
+-- Upgrades a database created before old report files were expired.
+-- Fresh installs get these changes from schema.sql - run this once, only on an existing database:
+--   mysql -u <user> -p local_services_db < migrations/008_report_retention.sql
+-- =====================================================
+
+USE local_services_db;
+
+ALTER TABLE GeneratedReport
+    ADD COLUMN fileSize BIGINT NULL COMMENT 'Bytes on disk - counts towards the provider storage quota' AFTER fileFormat,
+    ADD COLUMN status ENUM('generating', 'available', 'expired') DEFAULT 'generating' AFTER fileSize,
+    ADD COLUMN isPinned BOOLEAN DEFAULT FALSE COMMENT 'Pinned reports are never expired by the cleanup job' AFTER status,
+    ADD COLUMN expiredAt DATETIME NULL COMMENT 'When the cleanup job deleted the file' AFTER expiresAt,
+    ADD INDEX idx_cleanup (status, isPinned, expiresAt);
+
+-- Reports generated so far have their file written; their size stays unknown until they expire
+UPDATE GeneratedReport SET status = 'available' WHERE filePath IS NOT NULL;
@@ -0,0 +1,11 @@
+-- =====================================================
+-- PerformanceAlert: per-alert cooldown between notifications
+-- Upgrades a database created before alerts were managed through the API.
+-- Fresh installs get these changes from schema.sql - run this once, only on an existing database:
+--   mysql -u <user> -p local_services_db < migrations/009_alert_cooldown.sql
+-- =====================================================
+
+USE local_services_db;
+
+ALTER TABLE PerformanceAlert
+    ADD COLUMN cooldownMinutes INT NOT NULL DEFAULT 60 AFTER isActive;
@@ -0,0 +1,12 @@
+-- =====================================================
+-- PerformanceAlert: when the current breach started
+-- Upgrades a database created before alerts were evaluated in the background; the
+-- PerformanceAlertEvent table itself is created by schema.sql, which is safe to re-run.
+-- Fresh installs get these changes from schema.sql - run this once, only on an existing database:
+--   mysql -u <user> -p local_services_db < migrations/010_alert_breaches.sql
+-- =====================================================
+
+USE local_services_db;
+
+ALTER TABLE PerformanceAlert
+    ADD COLUMN breachedAt DATETIME AFTER lastTriggered;
@@ -0,0 +1,16 @@
+-- =====================================================
+-- PlatformBenchmark: full percentile spread per snapshot
+-- Upgrades a database created before nightly benchmark snapshots; the BenchmarkSnapshotRun
+-- table itself is created by schema.sql, which is safe to re-run.
+-- Fresh installs get these changes from schema.sql - run this once, only on an existing database:
+--   mysql -u <user> -p local_services_db < migrations/011_benchmark_percentiles.sql
+-- =====================================================
+
+USE local_services_db;
+
+ALTER TABLE PlatformBenchmark
+    ADD COLUMN lowestValue DECIMAL(10, 2) AFTER averageValue,
+    ADD COLUMN percentile10 DECIMAL(10, 2) AFTER lowestValue,
+    MODIFY medianValue DECIMAL(10, 2) AFTER percentile25,
+    ADD COLUMN highestValue DECIMAL(10, 2) AFTER percentile90,
+    ADD INDEX idx_metric_category_calculated (metricType, category, calculatedAt);
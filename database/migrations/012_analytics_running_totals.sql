@@ -0,0 +1,22 @@
+-- =====================================================
+-- Analytics: running totals for incremental updates
+-- Upgrades a database created before provider aggregates were kept current incrementally.
+-- Fresh installs get these changes from schema.sql - run this once, only on an existing database:
+--   mysql -u <user> -p local_services_db < migrations/012_analytics_running_totals.sql
+-- =====================================================
+
+USE local_services_db;
+
+ALTER TABLE Analytics
+    ADD COLUMN totalRequests INT DEFAULT 0 AFTER categoryBreakdown,
+    ADD COLUMN acceptedRequests INT DEFAULT 0 AFTER totalRequests,
+    ADD COLUMN cancelledRequests INT DEFAULT 0 AFTER acceptedRequests,
+    ADD COLUMN responseMinutesTotal DECIMAL(14, 2) DEFAULT 0 AFTER cancelledRequests,
+    ADD COLUMN paymentCount INT DEFAULT 0 AFTER responseMinutesTotal,
+    ADD COLUMN reviewCount INT DEFAULT 0 AFTER paymentCount,
+    ADD COLUMN ratingTotal INT DEFAULT 0 AFTER reviewCount,
+    ADD COLUMN positiveReviews INT DEFAULT 0 AFTER ratingTotal,
+    ADD COLUMN repeatCustomers INT DEFAULT 0 AFTER positiveReviews;
+
+-- The new totals start at zero, so have every provider's aggregates rebuilt on their next read
+UPDATE Analytics SET lastFullUpdate = NULL;
@@ -0,0 +1,26 @@
+-- =====================================================
+-- Addresses: geocoded addresses on users and service requests
+-- Upgrades a database created before addresses were stored.
+-- Fresh installs get these changes from schema.sql - run this once, only on an existing database:
+--   mysql -u <user> -p local_services_db < migrations/013_addresses.sql
+-- =====================================================
+
+USE local_services_db;
+
+ALTER TABLE USER
+    ADD COLUMN street VARCHAR(255) AFTER verified,
+    ADD COLUMN city VARCHAR(100) AFTER street,
+    ADD COLUMN postalCode VARCHAR(20) AFTER city,
+    ADD COLUMN latitude DECIMAL(9, 6) AFTER postalCode,
+    ADD COLUMN longitude DECIMAL(9, 6) AFTER latitude,
+    ADD INDEX idx_city (city),
+    ADD INDEX idx_postal_code (postalCode);
+
+ALTER TABLE ServiceRequest
+    ADD COLUMN street VARCHAR(255) AFTER cancellationReason,
+    ADD COLUMN city VARCHAR(100) AFTER street,
+    ADD COLUMN postalCode VARCHAR(20) AFTER city,
+    ADD COLUMN latitude DECIMAL(9, 6) AFTER postalCode,
+    ADD COLUMN longitude DECIMAL(9, 6) AFTER latitude,
+    ADD INDEX idx_city (city),
+    ADD INDEX idx_postal_code (postalCode);
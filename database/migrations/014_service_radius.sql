@@ -0,0 +1,14 @@
+-- =====================================================
+-- Job board: provider service radius and the location prefilter
+-- Upgrades a database created before the job board was limited by distance.
+-- Fresh installs get these changes from schema.sql - run this once, only on an existing database:
+--   mysql -u <user> -p local_services_db < migrations/014_service_radius.sql
+-- =====================================================
+
+USE local_services_db;
+
+ALTER TABLE USER
+    ADD COLUMN serviceRadiusMiles INT AFTER longitude;
+
+ALTER TABLE ServiceRequest
+    ADD INDEX idx_status_location (status, latitude, longitude);
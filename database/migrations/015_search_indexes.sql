@@ -0,0 +1,25 @@
+-- =====================================================
+-- Search: FULLTEXT indexes on requests, bundles and providers
+-- Upgrades a database created before full-text search.
+-- Fresh installs get these changes from schema.sql - run this once, only on an existing database:
+--   mysql -u <user> -p local_services_db < migrations/015_search_indexes.sql
+-- InnoDB builds one FULLTEXT index per ALTER TABLE, so each index gets its own statement
+-- =====================================================
+
+USE local_services_db;
+
+ALTER TABLE USER
+    ADD FULLTEXT INDEX ft_name (name);
+
+ALTER TABLE ServiceRequest
+    ADD FULLTEXT INDEX ft_description (description);
+
+-- servicesIncluded as plain text - JSON columns cannot carry a FULLTEXT index
+ALTER TABLE ServiceBundle
+    ADD COLUMN servicesText TEXT GENERATED ALWAYS AS (JSON_UNQUOTE(servicesIncluded)) STORED AFTER servicesIncluded;
+
+ALTER TABLE ServiceBundle
+    ADD FULLTEXT INDEX ft_bundle_name (bundleName);
+
+ALTER TABLE ServiceBundle
+    ADD FULLTEXT INDEX ft_bundle_text (bundleName, description, servicesText);
@@ -14,11 +14,23 @@ CREATE TABLE IF NOT EXISTS USER (
     phone VARCHAR(20),
     role ENUM('Customer', 'Provider', 'Admin') NOT NULL,
     verified BOOLEAN DEFAULT FALSE,
+    -- Home or business address; coordinates come from the geocoder when not supplied
+    street VARCHAR(255),
+    city VARCHAR(100),
+    postalCode VARCHAR(20),
+    latitude DECIMAL(9, 6),
+    longitude DECIMAL(9, 6),
+    -- Providers only: how far from their address they take jobs (NULL shows every pending request)
+    serviceRadiusMiles INT,
     createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
     updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     INDEX idx_email (email),
     INDEX idx_role (role),
-    INDEX idx_verified (verified)
+    INDEX idx_verified (verified),
+    INDEX idx_city (city),
+    INDEX idx_postal_code (postalCode),
+    -- Provider search
+    FULLTEXT INDEX ft_name (name)
 );
 
 -- =====================================================
@@ -36,8 +48,15 @@ CREATE TABLE IF NOT EXISTS ServiceRequest (
     serviceDate DATETIME,
     status VARCHAR(50) DEFAULT 'Pending',
     priorityLevel VARCHAR(50) DEFAULT 'Normal',
+    finalPrice DECIMAL(10, 2),
     completionConfirmed BOOLEAN DEFAULT FALSE,
     cancellationReason TEXT,
+    -- Where the work happens; defaults to the customer's address
+    street VARCHAR(255),
+    city VARCHAR(100),
+    postalCode VARCHAR(20),
+    latitude DECIMAL(9, 6),
+    longitude DECIMAL(9, 6),
     createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
     updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     FOREIGN KEY (customerID) REFERENCES USER(userID) ON DELETE CASCADE,
@@ -46,17 +65,27 @@ CREATE TABLE IF NOT EXISTS ServiceRequest (
     INDEX idx_provider (providerID),
     INDEX idx_status (status),
     INDEX idx_category (category),
-    INDEX idx_service_date (serviceDate)
+    INDEX idx_service_date (serviceDate),
+    INDEX idx_city (city),
+    INDEX idx_postal_code (postalCode),
+    -- Job board bounding-box prefilter
+    INDEX idx_status_location (status, latitude, longitude),
+    -- Request search
+    FULLTEXT INDEX ft_description (description)
 );
 
--- Booking Table
+-- Booking Table (requestID is NULL for manual bookings of offline customers)
 CREATE TABLE IF NOT EXISTS Booking (
     bookingID INT PRIMARY KEY AUTO_INCREMENT,
-    requestID INT NOT NULL,
+    requestID INT,
     providerID INT NOT NULL,
     scheduledDate DATE NOT NULL,
     scheduledTime TIME,
     manualBooking BOOLEAN DEFAULT FALSE,
+    customerName VARCHAR(100),
+    customerPhone VARCHAR(20),
+    notes TEXT,
+    status VARCHAR(50) DEFAULT 'Scheduled',
     cancellationReason TEXT,
     createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
     updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
@@ -64,7 +93,8 @@ CREATE TABLE IF NOT EXISTS Booking (
     FOREIGN KEY (providerID) REFERENCES USER(userID) ON DELETE CASCADE,
     INDEX idx_request (requestID),
     INDEX idx_provider (providerID),
-    INDEX idx_scheduled_date (scheduledDate)
+    INDEX idx_scheduled_date (scheduledDate),
+    INDEX idx_status (status)
 );
 
 -- =====================================================
@@ -79,7 +109,10 @@ CREATE TABLE IF NOT EXISTS Payment (
     status VARCHAR(50) DEFAULT 'Pending',
     paymentDate DATETIME,
     paymentMethod VARCHAR(50),
+    paymentGateway VARCHAR(50),
     transactionID VARCHAR(100),
+    failureReason VARCHAR(255),
+    refundedAmount DECIMAL(10, 2) DEFAULT 0,
     createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
     updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     FOREIGN KEY (requestID) REFERENCES ServiceRequest(requestID) ON DELETE CASCADE,
@@ -134,6 +167,8 @@ CREATE TABLE IF NOT EXISTS ServiceBundle (
     bundleName VARCHAR(200) NOT NULL,
     description TEXT,
     servicesIncluded JSON,
+    -- servicesIncluded as plain text - JSON columns cannot carry a FULLTEXT index
+    servicesText TEXT GENERATED ALWAYS AS (JSON_UNQUOTE(servicesIncluded)) STORED,
     price DECIMAL(10, 2) NOT NULL,
     validTill DATE,
     isActive BOOLEAN DEFAULT TRUE,
@@ -142,7 +177,10 @@ CREATE TABLE IF NOT EXISTS ServiceBundle (
     FOREIGN KEY (providerID) REFERENCES USER(userID) ON DELETE CASCADE,
     INDEX idx_provider (providerID),
     INDEX idx_valid_till (validTill),
-    INDEX idx_is_active (isActive)
+    INDEX idx_is_active (isActive),
+    -- Bundle search; the name-only index lets name matches outrank description matches
+    FULLTEXT INDEX ft_bundle_name (bundleName),
+    FULLTEXT INDEX ft_bundle_text (bundleName, description, servicesText)
 );
 
 -- =====================================================
@@ -206,6 +244,27 @@ CREATE TABLE IF NOT EXISTS Complaint (
     INDEX idx_created_at (createdAt)
 );
 
+-- Refund Table (audit record of every refund attempt against a payment)
+CREATE TABLE IF NOT EXISTS Refund (
+    refundID INT PRIMARY KEY AUTO_INCREMENT,
+    paymentID INT NOT NULL,
+    complaintID INT,
+    issuedBy INT,
+    amount DECIMAL(10, 2) NOT NULL,
+    reason TEXT NOT NULL,
+    status VARCHAR(50) DEFAULT 'Completed',
+    gatewayRefundID VARCHAR(100),
+    failureReason VARCHAR(255),
+    createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (paymentID) REFERENCES Payment(paymentID) ON DELETE CASCADE,
+    FOREIGN KEY (complaintID) REFERENCES Complaint(complaintID) ON DELETE SET NULL,
+    FOREIGN KEY (issuedBy) REFERENCES USER(userID) ON DELETE SET NULL,
+    INDEX idx_payment (paymentID),
+    INDEX idx_complaint (complaintID),
+    INDEX idx_status (status),
+    INDEX idx_created_at (createdAt)
+);
+
 -- Chat Table
 CREATE TABLE IF NOT EXISTS Chat (
     messageID INT PRIMARY KEY AUTO_INCREMENT,
@@ -244,6 +303,16 @@ CREATE TABLE IF NOT EXISTS Analytics (
     repeatCustomerRate DECIMAL(5, 2) DEFAULT 0,
     monthlyRevenue JSON,
     categoryBreakdown JSON,
+    -- Running totals the rates above are derived from, kept so single changes can be applied incrementally
+    totalRequests INT DEFAULT 0,
+    acceptedRequests INT DEFAULT 0,
+    cancelledRequests INT DEFAULT 0,
+    responseMinutesTotal DECIMAL(14, 2) DEFAULT 0,
+    paymentCount INT DEFAULT 0,
+    reviewCount INT DEFAULT 0,
+    ratingTotal INT DEFAULT 0,
+    positiveReviews INT DEFAULT 0,
+    repeatCustomers INT DEFAULT 0,
     lastFullUpdate DATETIME,
     lastUpdated DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     FOREIGN KEY (providerID) REFERENCES USER(userID) ON DELETE CASCADE,
@@ -281,6 +350,8 @@ CREATE TABLE IF NOT EXISTS ProviderGoal (
     startDate DATE NOT NULL,
     targetDate DATE NOT NULL,
     status ENUM('active', 'completed', 'cancelled') DEFAULT 'active',
+    notifiedMilestone TINYINT DEFAULT 0 COMMENT 'Highest progress milestone (%) the provider was notified about',
+    closedAt DATETIME NULL COMMENT 'When the goal left the active status',
     createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
     updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     FOREIGN KEY (providerID) REFERENCES USER(userID) ON DELETE CASCADE,
@@ -301,11 +372,19 @@ CREATE TABLE IF NOT EXISTS ScheduledReport (
     emailRecipients JSON,
     reportOptions JSON,
     isActive BOOLEAN DEFAULT TRUE,
+    lastRunStatus ENUM('success', 'retrying', 'failed') NULL,
+    lastError VARCHAR(500) NULL,
+    lastReportID INT NULL COMMENT 'GeneratedReport produced by the last successful run',
+    failureCount INT DEFAULT 0 COMMENT 'Consecutive failed attempts for the current run',
+    retryAt DATETIME NULL COMMENT 'Backoff time for a failed run - nextRunDate keeps the regular cadence',
+    lockedBy VARCHAR(100) NULL COMMENT 'Backend instance currently running the schedule',
+    lockedUntil DATETIME NULL COMMENT 'Lease expiry so a crashed instance does not block the schedule',
     createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
     updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     FOREIGN KEY (providerID) REFERENCES USER(userID) ON DELETE CASCADE,
     INDEX idx_provider (providerID),
     INDEX idx_next_run (nextRunDate),
+    INDEX idx_retry_at (retryAt),
     INDEX idx_active (isActive),
     INDEX idx_frequency (frequency)
 );
@@ -319,15 +398,89 @@ CREATE TABLE IF NOT EXISTS GeneratedReport (
     dateRangeEnd DATE NOT NULL,
     filePath VARCHAR(500),
     fileFormat ENUM('pdf', 'csv', 'xlsx') NOT NULL,
+    fileSize BIGINT NULL COMMENT 'Bytes on disk - counts towards the provider storage quota',
+    status ENUM('generating', 'available', 'expired') DEFAULT 'generating',
+    isPinned BOOLEAN DEFAULT FALSE COMMENT 'Pinned reports are never expired by the cleanup job',
     generatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
     expiresAt DATETIME,
+    expiredAt DATETIME NULL COMMENT 'When the cleanup job deleted the file',
     FOREIGN KEY (providerID) REFERENCES USER(userID) ON DELETE CASCADE,
     INDEX idx_provider (providerID),
     INDEX idx_generated_at (generatedAt),
     INDEX idx_report_type (reportType),
+    INDEX idx_expires_at (expiresAt),
+    INDEX idx_cleanup (status, isPinned, expiresAt)
+);
+
+-- ReportDelivery Table (Per-recipient email delivery of generated reports)
+CREATE TABLE IF NOT EXISTS ReportDelivery (
+    deliveryID INT PRIMARY KEY AUTO_INCREMENT,
+    reportID INT NOT NULL,
+    scheduleID INT NULL COMMENT 'Set when the delivery came from a scheduled run',
+    recipient VARCHAR(255) NOT NULL,
+    method ENUM('attachment', 'link') NOT NULL,
+    status ENUM('pending', 'sent', 'failed') DEFAULT 'pending',
+    transport VARCHAR(50) NULL,
+    messageID VARCHAR(255) NULL,
+    linkExpiresAt DATETIME NULL,
+    error VARCHAR(500) NULL,
+    sentAt DATETIME NULL,
+    createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (reportID) REFERENCES GeneratedReport(reportID) ON DELETE CASCADE,
+    FOREIGN KEY (scheduleID) REFERENCES ScheduledReport(scheduleID) ON DELETE SET NULL,
+    INDEX idx_report (reportID),
+    INDEX idx_schedule (scheduleID),
+    INDEX idx_status (status)
+);
+
+-- ReportShareLink Table (Signed download links for people without an account)
+CREATE TABLE IF NOT EXISTS ReportShareLink (
+    linkID INT PRIMARY KEY AUTO_INCREMENT,
+    reportID INT NOT NULL,
+    createdBy INT NULL COMMENT 'User who shared the report - NULL for links emailed by a schedule',
+    source ENUM('share', 'email') DEFAULT 'share',
+    label VARCHAR(255) NULL COMMENT 'Who the link is for, e.g. the recipient address',
+    singleUse BOOLEAN DEFAULT FALSE,
+    expiresAt DATETIME NOT NULL,
+    revokedAt DATETIME NULL,
+    useCount INT DEFAULT 0 COMMENT 'Successful downloads',
+    lastAccessedAt DATETIME NULL,
+    createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (reportID) REFERENCES GeneratedReport(reportID) ON DELETE CASCADE,
+    FOREIGN KEY (createdBy) REFERENCES USER(userID) ON DELETE SET NULL,
+    INDEX idx_report (reportID),
     INDEX idx_expires_at (expiresAt)
 );
 
+-- ReportLinkAccess Table (Every attempt to open a share link)
+CREATE TABLE IF NOT EXISTS ReportLinkAccess (
+    accessID INT PRIMARY KEY AUTO_INCREMENT,
+    linkID INT NOT NULL,
+    outcome ENUM('downloaded', 'expired', 'revoked', 'used', 'unavailable') NOT NULL,
+    ipAddress VARCHAR(45) NULL,
+    userAgent VARCHAR(255) NULL,
+    accessedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (linkID) REFERENCES ReportShareLink(linkID) ON DELETE CASCADE,
+    INDEX idx_link (linkID),
+    INDEX idx_accessed_at (accessedAt)
+);
+
+-- ReportTemplate Table (Saved custom report metric selections)
+CREATE TABLE IF NOT EXISTS ReportTemplate (
+    templateID INT PRIMARY KEY AUTO_INCREMENT,
+    providerID INT NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    description VARCHAR(255) NULL,
+    metrics JSON NOT NULL COMMENT 'Metric IDs from the report metric catalog',
+    filters JSON NULL COMMENT 'Default filters, e.g. {"categories": ["Plumbing"]}',
+    period VARCHAR(20) NULL COMMENT 'Default period: 7days, 30days, 6months or 1year',
+    createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (providerID) REFERENCES USER(userID) ON DELETE CASCADE,
+    UNIQUE KEY uk_provider_name (providerID, name),
+    INDEX idx_provider (providerID)
+);
+
 -- PerformanceAlert Table (Threshold Alerts)
 CREATE TABLE IF NOT EXISTS PerformanceAlert (
     alertID INT PRIMARY KEY AUTO_INCREMENT,
@@ -336,7 +489,9 @@ CREATE TABLE IF NOT EXISTS PerformanceAlert (
     thresholdValue DECIMAL(10, 2) NOT NULL,
     comparisonOperator ENUM('above', 'below', 'equals') NOT NULL,
     isActive BOOLEAN DEFAULT TRUE,
+    cooldownMinutes INT NOT NULL DEFAULT 60,
     lastTriggered DATETIME,
+    breachedAt DATETIME,
     createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
     updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     FOREIGN KEY (providerID) REFERENCES USER(userID) ON DELETE CASCADE,
@@ -345,21 +500,51 @@ CREATE TABLE IF NOT EXISTS PerformanceAlert (
     INDEX idx_metric_type (metricType)
 );
 
+-- PerformanceAlertEvent Table (Alert Breach / Recovery History)
+CREATE TABLE IF NOT EXISTS PerformanceAlertEvent (
+    eventID INT PRIMARY KEY AUTO_INCREMENT,
+    alertID INT NOT NULL,
+    providerID INT NOT NULL,
+    eventType ENUM('breached', 'recovered') NOT NULL,
+    metricType VARCHAR(50) NOT NULL,
+    comparisonOperator ENUM('above', 'below', 'equals') NOT NULL,
+    thresholdValue DECIMAL(10, 2) NOT NULL,
+    metricValue DECIMAL(12, 2) NOT NULL,
+    notified BOOLEAN DEFAULT FALSE,
+    createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (alertID) REFERENCES PerformanceAlert(alertID) ON DELETE CASCADE,
+    FOREIGN KEY (providerID) REFERENCES USER(userID) ON DELETE CASCADE,
+    INDEX idx_alert_created (alertID, createdAt),
+    INDEX idx_provider_created (providerID, createdAt)
+);
+
 -- PlatformBenchmark Table (Benchmarking Data)
 CREATE TABLE IF NOT EXISTS PlatformBenchmark (
     benchmarkID INT PRIMARY KEY AUTO_INCREMENT,
     metricType VARCHAR(50) NOT NULL,
     category VARCHAR(100),
     averageValue DECIMAL(10, 2) NOT NULL,
-    medianValue DECIMAL(10, 2),
+    lowestValue DECIMAL(10, 2),
+    percentile10 DECIMAL(10, 2),
     percentile25 DECIMAL(10, 2),
+    medianValue DECIMAL(10, 2),
     percentile75 DECIMAL(10, 2),
     percentile90 DECIMAL(10, 2),
+    highestValue DECIMAL(10, 2),
     sampleSize INT NOT NULL,
     calculatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
     INDEX idx_metric (metricType),
     INDEX idx_category (category),
-    INDEX idx_calculated (calculatedAt)
+    INDEX idx_calculated (calculatedAt),
+    INDEX idx_metric_category_calculated (metricType, category, calculatedAt)
+);
+
+-- BenchmarkSnapshotRun Table (one claim per nightly snapshot, so only one app instance takes it)
+CREATE TABLE IF NOT EXISTS BenchmarkSnapshotRun (
+    scheduledFor DATETIME PRIMARY KEY,
+    claimedBy VARCHAR(100) NOT NULL,
+    claimedAt DATETIME NOT NULL,
+    completedAt DATETIME
 );
 
 -- =====================================================
@@ -370,19 +555,44 @@ CREATE TABLE IF NOT EXISTS PlatformBenchmark (
 CREATE TABLE IF NOT EXISTS JobHistory (
     jobID INT PRIMARY KEY AUTO_INCREMENT,
     requestID INT NOT NULL,
-    providerID INT NOT NULL,
+    providerID INT,
     customerID INT NOT NULL,
+    action VARCHAR(50) NOT NULL,
+    previousStatus VARCHAR(50),
     status VARCHAR(50) NOT NULL,
+    changedBy INT,
+    notes TEXT,
     completionDate DATE,
     createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (requestID) REFERENCES ServiceRequest(requestID) ON DELETE CASCADE,
     FOREIGN KEY (providerID) REFERENCES USER(userID) ON DELETE CASCADE,
     FOREIGN KEY (customerID) REFERENCES USER(userID) ON DELETE CASCADE,
+    FOREIGN KEY (changedBy) REFERENCES USER(userID) ON DELETE SET NULL,
     INDEX idx_request (requestID),
     INDEX idx_provider (providerID),
     INDEX idx_customer (customerID),
     INDEX idx_status (status),
-    INDEX idx_completion_date (completionDate)
+    INDEX idx_action (action),
+    INDEX idx_completion_date (completionDate),
+    INDEX idx_created_at (createdAt)
+);
+
+-- RequestMatch Table (ranked provider shortlist computed when a request is created; the top ones are invited)
+CREATE TABLE IF NOT EXISTS RequestMatch (
+    matchID INT PRIMARY KEY AUTO_INCREMENT,
+    requestID INT NOT NULL,
+    providerID INT NOT NULL,
+    matchRank INT NOT NULL,
+    score DECIMAL(5, 2) NOT NULL,
+    scoreBreakdown JSON COMMENT 'Per-factor scores between 0 and 1',
+    distanceMiles DECIMAL(7, 1),
+    invited BOOLEAN DEFAULT FALSE,
+    createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (requestID) REFERENCES ServiceRequest(requestID) ON DELETE CASCADE,
+    FOREIGN KEY (providerID) REFERENCES USER(userID) ON DELETE CASCADE,
+    UNIQUE KEY unique_request_provider (requestID, providerID),
+    INDEX idx_request_rank (requestID, matchRank),
+    INDEX idx_provider_invited (providerID, invited)
 );
 
 -- MaintenanceReminder Table
@@ -394,9 +604,13 @@ CREATE TABLE IF NOT EXISTS MaintenanceReminder (
     nextServiceDate DATE NOT NULL,
     status VARCHAR(50) DEFAULT 'Active',
     reminderFrequency INT DEFAULT 30 COMMENT 'Days between reminders',
+    requestID INT NULL COMMENT 'Completed request that last renewed the reminder',
+    lastNotifiedAt DATETIME NULL COMMENT 'When the customer was last reminded for nextServiceDate',
     createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
     updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     FOREIGN KEY (customerID) REFERENCES USER(userID) ON DELETE CASCADE,
+    FOREIGN KEY (requestID) REFERENCES ServiceRequest(requestID) ON DELETE SET NULL,
+    UNIQUE KEY unique_customer_service (customerID, serviceType),
     INDEX idx_customer (customerID),
     INDEX idx_next_date (nextServiceDate),
     INDEX idx_status (status)
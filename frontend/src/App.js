@@ -9,6 +9,8 @@ import BundleManagerPage from './components/Bundle/BundleManagerPage';
 import BundleListPage from './components/Bundle/BundleListPage';
 import Gamification from './components/Gamification/Gamification';
 import AnalyticsDashboard from './components/Analytics/AnalyticsDashboard';
+import GoalTracker from './components/Goals/GoalTracker';
+import SearchPage from './components/Search/SearchPage';
 import './App.css';
 
 // Protected Route Component
@@ -85,13 +87,25 @@ function App() {
                             </ProtectedRoute>
                         }
                     />
-                    {/* Redirect old routes to analytics */}
                     <Route
-                        path="/dashboard/provider/reports"
-                        element={<Navigate to="/dashboard/provider/analytics" replace />}
+                        path="/dashboard/provider/goals"
+                        element={
+                            <ProtectedRoute allowedRoles={['Provider']}>
+                                <GoalTracker />
+                            </ProtectedRoute>
+                        }
                     />
                     <Route
-                        path="/dashboard/provider/goals"
+                        path="/search"
+                        element={
+                            <ProtectedRoute allowedRoles={['Customer', 'Provider']}>
+                                <SearchPage />
+                            </ProtectedRoute>
+                        }
+                    />
+                    {/* Redirect old routes to analytics */}
+                    <Route
+                        path="/dashboard/provider/reports"
                         element={<Navigate to="/dashboard/provider/analytics" replace />}
                     />
                     {/* Default redirect */}
@@ -0,0 +1,350 @@
+import { useState, useEffect, useCallback } from 'react';
+import analyticsService from '../../services/analyticsService';
+import './Analytics.css';
+
+const METRIC_LABELS = {
+  completion_rate: 'Completion rate (%)',
+  response_time: 'Avg response time (min)',
+  cancellation_rate: 'Cancellation rate (%)',
+  rating: 'Average rating',
+  earnings: 'Today\'s earnings ($)',
+  request_count: 'Today\'s requests'
+};
+
+const OPERATOR_LABELS = {
+  above: 'goes above',
+  below: 'falls below',
+  equals: 'equals'
+};
+
+const DEFAULT_COOLDOWN_MINUTES = 60;
+
+const EMPTY_FORM = {
+  metricType: 'completion_rate',
+  comparisonOperator: 'below',
+  thresholdValue: '',
+  cooldownMinutes: DEFAULT_COOLDOWN_MINUTES
+};
+
+const AlertSettings = ({ onAlertsChange }) => {
+  const [alerts, setAlerts] = useState([]);
+  const [options, setOptions] = useState({
+    metricTypes: Object.keys(METRIC_LABELS),
+    comparisonOperators: Object.keys(OPERATOR_LABELS),
+    defaultCooldownMinutes: DEFAULT_COOLDOWN_MINUTES,
+    maxAlerts: null
+  });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [editingAlertID, setEditingAlertID] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [history, setHistory] = useState([]);
+  const [historyLoading, setHistoryLoading] = useState(false);
+
+  const loadAlerts = useCallback(async () => {
+    try {
+      setError(null);
+      const response = await analyticsService.getAlerts();
+      if (response.success) {
+        const { alerts: alertList, ...alertOptions } = response.data;
+        setAlerts(alertList || []);
+        setOptions(prev => ({ ...prev, ...alertOptions }));
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load alerts');
+      console.error('Error loading alerts:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadAlerts();
+  }, [loadAlerts]);
+
+  const loadHistory = useCallback(async () => {
+    setHistoryLoading(true);
+    try {
+      const response = await analyticsService.getAlertHistory();
+      if (response.success) {
+        setHistory(response.data.events || []);
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load alert history');
+      console.error('Error loading alert history:', err);
+    } finally {
+      setHistoryLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (showHistory) {
+      loadHistory();
+    }
+  }, [showHistory, loadHistory]);
+
+  /**
+   * Reload the list and let the dashboard re-check its thresholds
+   */
+  const handleAlertsChanged = () => {
+    loadAlerts();
+    if (onAlertsChange) {
+      onAlertsChange();
+    }
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleNewAlert = () => {
+    setEditingAlertID(null);
+    setFormData({ ...EMPTY_FORM, cooldownMinutes: options.defaultCooldownMinutes });
+    setShowForm(true);
+  };
+
+  const handleEditAlert = (alert) => {
+    setEditingAlertID(alert.alertID);
+    setFormData({
+      metricType: alert.metricType,
+      comparisonOperator: alert.comparisonOperator,
+      thresholdValue: alert.thresholdValue,
+      cooldownMinutes: alert.cooldownMinutes
+    });
+    setShowForm(true);
+  };
+
+  const handleCloseForm = () => {
+    setShowForm(false);
+    setEditingAlertID(null);
+  };
+
+  /**
+   * Create a new alert or save the one being edited
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const alertData = {
+        metricType: formData.metricType,
+        comparisonOperator: formData.comparisonOperator,
+        thresholdValue: parseFloat(formData.thresholdValue),
+        cooldownMinutes: parseInt(formData.cooldownMinutes, 10)
+      };
+      const response = editingAlertID
+        ? await analyticsService.updateAlert(editingAlertID, alertData)
+        : await analyticsService.createAlert(alertData);
+      if (response.success) {
+        handleCloseForm();
+        handleAlertsChanged();
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save alert');
+      console.error('Error saving alert:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (alert) => {
+    try {
+      await analyticsService.updateAlert(alert.alertID, { isActive: !alert.isActive });
+      handleAlertsChanged();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to update alert');
+    }
+  };
+
+  const handleDeleteAlert = async (alertID) => {
+    if (!window.confirm('Delete this alert?')) return;
+
+    try {
+      await analyticsService.deleteAlert(alertID);
+      if (editingAlertID === alertID) {
+        handleCloseForm();
+      }
+      handleAlertsChanged();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to delete alert');
+    }
+  };
+
+  const formatThreshold = (metricType, value) => {
+    if (metricType === 'earnings') return `$${Number(value).toFixed(2)}`;
+    if (metricType === 'completion_rate' || metricType === 'cancellation_rate') return `${Number(value)}%`;
+    if (metricType === 'response_time') return `${Number(value)} min`;
+    return Number(value);
+  };
+
+  const formatCooldown = (minutes) => {
+    if (minutes % 1440 === 0) return `${minutes / 1440} day${minutes === 1440 ? '' : 's'}`;
+    if (minutes % 60 === 0) return `${minutes / 60} hr`;
+    return `${minutes} min`;
+  };
+
+  const isPercentMetric = formData.metricType === 'completion_rate' || formData.metricType === 'cancellation_rate';
+  const atLimit = options.maxAlerts !== null && alerts.length >= options.maxAlerts;
+
+  return (
+    <div className="alert-settings">
+      <div className="alert-settings-toolbar">
+        <h4 className="alert-settings-title">Alert Settings</h4>
+        <div className="alert-settings-actions">
+          <button className="refresh-button" onClick={() => setShowHistory(prev => !prev)}>
+            {showHistory ? 'Hide History' : 'History'}
+          </button>
+          {!showForm && (
+            <button className="refresh-button" onClick={handleNewAlert} disabled={atLimit}>
+              + New Alert
+            </button>
+          )}
+        </div>
+      </div>
+
+      {showForm && (
+        <form className="alert-form" onSubmit={handleSubmit}>
+          <label>
+            Notify me when
+            <select name="metricType" value={formData.metricType} onChange={handleInputChange}>
+              {options.metricTypes.map(metricType => (
+                <option key={metricType} value={metricType}>{METRIC_LABELS[metricType] || metricType}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Condition
+            <select name="comparisonOperator" value={formData.comparisonOperator} onChange={handleInputChange}>
+              {options.comparisonOperators.map(operator => (
+                <option key={operator} value={operator}>{OPERATOR_LABELS[operator] || operator}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Threshold
+            <input
+              type="number"
+              name="thresholdValue"
+              min="0"
+              max={isPercentMetric ? '100' : formData.metricType === 'rating' ? '5' : undefined}
+              step={formData.metricType === 'rating' ? '0.1' : formData.metricType === 'request_count' ? '1' : '0.01'}
+              value={formData.thresholdValue}
+              onChange={handleInputChange}
+              required
+            />
+          </label>
+          <label>
+            Cooldown (minutes)
+            <input
+              type="number"
+              name="cooldownMinutes"
+              min="5"
+              max="10080"
+              step="1"
+              value={formData.cooldownMinutes}
+              onChange={handleInputChange}
+              required
+            />
+          </label>
+          <div className="alert-form-actions">
+            <button type="button" className="refresh-button" onClick={handleCloseForm}>
+              Cancel
+            </button>
+            <button type="submit" className="retry-button" disabled={saving}>
+              {saving ? 'Saving...' : editingAlertID ? 'Save Changes' : 'Create Alert'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {error && <div className="alert-settings-error">{error}</div>}
+
+      {loading ? (
+        <p className="alert-settings-empty">Loading alerts...</p>
+      ) : alerts.length === 0 ? (
+        <p className="alert-settings-empty">
+          No alerts configured. Create one to be notified when a metric crosses a threshold.
+        </p>
+      ) : (
+        <div className="alert-settings-list">
+          {alerts.map(alert => (
+            <div key={alert.alertID} className={`alert-settings-item ${alert.isActive ? '' : 'alert-inactive'}`}>
+              <div className="alert-settings-info">
+                <span className="alert-settings-condition">
+                  {METRIC_LABELS[alert.metricType] || alert.metricType}{' '}
+                  {OPERATOR_LABELS[alert.comparisonOperator] || alert.comparisonOperator}{' '}
+                  {formatThreshold(alert.metricType, alert.thresholdValue)}
+                  {alert.inBreach && <span className="alert-breach-badge">In breach</span>}
+                </span>
+                <span className="alert-settings-meta">
+                  At most once every {formatCooldown(alert.cooldownMinutes)}
+                  {alert.inBreach && ` · Breached since ${new Date(alert.breachedAt).toLocaleString()}`}
+                  {alert.lastTriggered && ` · Last fired ${new Date(alert.lastTriggered).toLocaleString()}`}
+                </span>
+              </div>
+              <div className="alert-settings-actions">
+                <label className="auto-refresh-toggle">
+                  <input
+                    type="checkbox"
+                    checked={alert.isActive}
+                    onChange={() => handleToggleActive(alert)}
+                  />
+                  <span>Active</span>
+                </label>
+                <button className="alert-settings-button" onClick={() => handleEditAlert(alert)}>
+                  Edit
+                </button>
+                <button
+                  className="alert-settings-button alert-settings-delete"
+                  onClick={() => handleDeleteAlert(alert.alertID)}
+                >
+                  Delete
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {showHistory && (
+        <div className="alert-history">
+          <h4 className="alert-settings-title">Breach History</h4>
+          {historyLoading ? (
+            <p className="alert-settings-empty">Loading history...</p>
+          ) : history.length === 0 ? (
+            <p className="alert-settings-empty">No breaches recorded yet.</p>
+          ) : (
+            <ul className="alert-history-list">
+              {history.map(event => (
+                <li key={event.eventID} className={`alert-history-item alert-history-${event.eventType}`}>
+                  <span className="alert-history-event">
+                    {event.eventType === 'breached' ? '⚠️ Breached' : '✅ Recovered'}
+                  </span>
+                  <span className="alert-history-condition">
+                    {METRIC_LABELS[event.metricType] || event.metricType}{' '}
+                    {OPERATOR_LABELS[event.comparisonOperator] || event.comparisonOperator}{' '}
+                    {formatThreshold(event.metricType, event.thresholdValue)}
+                    {' '}(was {formatThreshold(event.metricType, event.metricValue)})
+                  </span>
+                  <span className="alert-settings-meta">{new Date(event.createdAt).toLocaleString()}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {atLimit && (
+        <p className="alert-settings-meta">
+          You have reached the limit of {options.maxAlerts} alerts.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default AlertSettings;
@@ -2,6 +2,7 @@ import { useState, useEffect, useCallback } from 'react';
 import { Link } from 'react-router-dom';
 import analyticsService from '../../services/analyticsService';
 import { authService } from '../../services/authService';
+import SummarySection from './SummarySection';
 import RevenueSection from './RevenueSection';
 import PerformanceSection from './PerformanceSection';
 import CustomerSection from './CustomerSection';
@@ -49,21 +50,27 @@ const AnalyticsDashboard = () => {
 
     try {
       setError(null);
-      // Fetch dashboard data and additional customer/benchmark data in parallel
-      const [dashboardResponse, customerResponse, benchmarkResponse] = await Promise.all([
-        analyticsService.getDashboard(providerID, { period: selectedPeriod }),
+      // Fetch the stored summary and the period breakdowns in parallel
+      const [dashboardResponse, revenueResponse, performanceResponse, customerResponse, benchmarkResponse] = await Promise.all([
+        analyticsService.getDashboard(providerID),
+        analyticsService.getRevenueAnalytics(providerID, selectedPeriod).catch(() => null),
+        analyticsService.getPerformanceMetrics(providerID, selectedPeriod).catch(() => null),
         analyticsService.getCustomerAnalytics(providerID, selectedPeriod).catch(() => null),
         analyticsService.getBenchmarks(providerID).catch(() => null)
       ]);
       
       // Extract data from API response format { success: true, data: {...} }
       const dashboardData = dashboardResponse?.data || dashboardResponse;
+      const revenueData = revenueResponse?.data || revenueResponse;
+      const performanceData = performanceResponse?.data || performanceResponse;
       const customerData = customerResponse?.data || customerResponse;
       const benchmarkData = benchmarkResponse?.data || benchmarkResponse;
       
-      // Merge the data - use detailed customer/benchmark data if available
+      // Merge the data - the dashboard carries the all-time summary and its freshness
       const mergedData = {
         ...dashboardData,
+        revenue: revenueData,
+        performance: performanceData,
         customers: customerData || dashboardData?.customers,
         benchmarks: benchmarkData || dashboardData?.benchmarks
       };
@@ -211,6 +218,11 @@ const AnalyticsDashboard = () => {
 
           {/* Dashboard Content */}
           <div className="analytics-content">
+            {/* Summary Section */}
+            <section className="analytics-section">
+              <SummarySection data={dashboardData?.summary} />
+            </section>
+
             {/* Revenue Section */}
             <section className="analytics-section">
               <RevenueSection 
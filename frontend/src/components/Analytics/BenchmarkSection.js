@@ -1,6 +1,42 @@
+import { useState, useEffect } from 'react';
 import analyticsService from '../../services/analyticsService';
+import LineChart from '../Charts/LineChart';
+
+// Benchmarks that can be charted over time (snapshot metric types)
+const HISTORY_METRICS = [
+  { value: 'completion_rate', label: 'Completion Rate' },
+  { value: 'response_time', label: 'Response Time' },
+  { value: 'customer_satisfaction', label: 'Customer Satisfaction' },
+  { value: 'cancellation_rate', label: 'Cancellation Rate' },
+  { value: 'revenue', label: 'Revenue' }
+];
 
 const BenchmarkSection = ({ data }) => {
+  const [historyMetric, setHistoryMetric] = useState(HISTORY_METRICS[0].value);
+  const [history, setHistory] = useState([]);
+
+  // Benchmark snapshots over the last 90 days for the selected metric
+  useEffect(() => {
+    let cancelled = false;
+
+    analyticsService.getBenchmarkHistory(historyMetric, { days: 90 })
+      .then(response => {
+        if (!cancelled) {
+          setHistory(response.data?.points || []);
+        }
+      })
+      .catch(err => {
+        console.error('Error fetching benchmark history:', err);
+        if (!cancelled) {
+          setHistory([]);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [historyMetric]);
+
   // Handle empty/loading state
   if (!data) {
     return (
@@ -17,10 +53,17 @@ const BenchmarkSection = ({ data }) => {
   }
 
   // Extract data from backend response format
-  // Backend returns: platformAverages (object with metrics), percentileRankings (object with rankings), improvementSuggestions (array)
-  const platformAverages = data.platformAverages?.metrics || {};
+  // Backend returns: peerAverages / platformAverages (objects with metrics), percentileRankings (object with rankings),
+  // improvementSuggestions (object with a suggestions array)
+  // Peer averages compare against providers in the same categories, metric by metric falling back to platform-wide
+  const averagesData = data.peerAverages || data.platformAverages;
+  const platformAverages = averagesData?.metrics || {};
   const percentileRankingsData = data.percentileRankings?.rankings || data.percentileRankings || {};
-  const suggestions = data.improvementSuggestions || data.suggestions || [];
+  const suggestions = data.improvementSuggestions?.suggestions || data.suggestions || [];
+  const comparisonScope = averagesData?.scope || 'platform';
+  const comparisonGroup = averagesData?.comparisonGroup || [];
+  const peerCategories = comparisonGroup.filter(group => group.qualifies);
+  const thinCategories = comparisonGroup.filter(group => !group.qualifies);
 
   // Build comparisons array from platform averages and percentile rankings
   const comparisons = [];
@@ -30,7 +73,8 @@ const BenchmarkSection = ({ data }) => {
     comparisons.push({
       metric: 'Completion Rate',
       providerValue: percentileRankingsData.completionRate.value || 0,
-      platformAverage: platformAverages.completionRate.value || 0
+      platformAverage: platformAverages.completionRate.value || 0,
+      scope: platformAverages.completionRate.scope || 'platform'
     });
   }
   
@@ -39,7 +83,8 @@ const BenchmarkSection = ({ data }) => {
     comparisons.push({
       metric: 'Response Time',
       providerValue: percentileRankingsData.responseTime.value || 0,
-      platformAverage: platformAverages.responseTime.value || 0
+      platformAverage: platformAverages.responseTime.value || 0,
+      scope: platformAverages.responseTime.scope || 'platform'
     });
   }
   
@@ -48,7 +93,8 @@ const BenchmarkSection = ({ data }) => {
     comparisons.push({
       metric: 'Customer Satisfaction',
       providerValue: percentileRankingsData.customerSatisfaction.value || 0,
-      platformAverage: platformAverages.customerSatisfaction.value || 0
+      platformAverage: platformAverages.customerSatisfaction.value || 0,
+      scope: platformAverages.customerSatisfaction.scope || 'platform'
     });
   }
   
@@ -57,23 +103,36 @@ const BenchmarkSection = ({ data }) => {
     comparisons.push({
       metric: 'Cancellation Rate',
       providerValue: percentileRankingsData.cancellationRate.value || 0,
-      platformAverage: platformAverages.cancellationRate.value || 0
+      platformAverage: platformAverages.cancellationRate.value || 0,
+      scope: platformAverages.cancellationRate.scope || 'platform'
     });
   }
 
   // Build percentile rankings object for display
   const percentileRankings = {};
   if (percentileRankingsData.completionRate?.percentile !== undefined) {
-    percentileRankings['Completion Rate'] = percentileRankingsData.completionRate.percentile;
+    percentileRankings['Completion Rate'] = {
+      percentile: percentileRankingsData.completionRate.percentile,
+      scope: percentileRankingsData.completionRate.scope || 'platform'
+    };
   }
   if (percentileRankingsData.responseTime?.percentile !== undefined) {
-    percentileRankings['Response Time'] = percentileRankingsData.responseTime.percentile;
+    percentileRankings['Response Time'] = {
+      percentile: percentileRankingsData.responseTime.percentile,
+      scope: percentileRankingsData.responseTime.scope || 'platform'
+    };
   }
   if (percentileRankingsData.customerSatisfaction?.percentile !== undefined) {
-    percentileRankings['Customer Satisfaction'] = percentileRankingsData.customerSatisfaction.percentile;
+    percentileRankings['Customer Satisfaction'] = {
+      percentile: percentileRankingsData.customerSatisfaction.percentile,
+      scope: percentileRankingsData.customerSatisfaction.scope || 'platform'
+    };
   }
   if (percentileRankingsData.cancellationRate?.percentile !== undefined) {
-    percentileRankings['Cancellation Rate'] = percentileRankingsData.cancellationRate.percentile;
+    percentileRankings['Cancellation Rate'] = {
+      percentile: percentileRankingsData.cancellationRate.percentile,
+      scope: percentileRankingsData.cancellationRate.scope || 'platform'
+    };
   }
 
   // Helper to get status label
@@ -85,6 +144,11 @@ const BenchmarkSection = ({ data }) => {
     }
   };
 
+  // Describe who the provider is compared with, e.g. "Plumbing (70%), Electrical (30%)"
+  const describeGroup = (groups) => groups
+    .map(group => `${group.category} (${Math.round(group.weight * 100)}%)`)
+    .join(', ');
+
   // Format comparison metrics
   const formattedComparisons = comparisons.map(item => {
     const status = analyticsService.getBenchmarkStatus(item.providerValue, item.platformAverage);
@@ -117,11 +181,41 @@ const BenchmarkSection = ({ data }) => {
         <div>
           <h2 className="section-title">Performance Benchmarks</h2>
           <p className="section-subtitle">
-            Compare your performance against platform averages
+            {comparisonScope === 'platform'
+              ? 'Compare your performance against platform averages'
+              : `Compared with providers in ${describeGroup(peerCategories)}`}
+            {averagesData?.calculatedAt && (
+              <> · as of {new Date(averagesData.calculatedAt).toLocaleDateString()}
+                {averagesData.sampleSize > 0 && ` (${averagesData.sampleSize} providers)`}
+              </>
+            )}
           </p>
         </div>
       </div>
 
+      {/* Say when (and why) figures are platform-wide rather than from peers in the same categories */}
+      {data.peerAverages && comparisonScope === 'platform' && (
+        <div className="benchmark-scope-note">
+          {comparisonGroup.length === 0
+            ? 'Once you have completed requests you will be compared with providers in your own service categories. '
+            : `Fewer than ${data.peerAverages.minPeerSample} providers work in ${describeGroup(comparisonGroup)}. `}
+          Until then these figures are platform-wide averages across all categories.
+        </div>
+      )}
+      {data.peerAverages && comparisonScope === 'mixed' && (
+        <div className="benchmark-scope-note">
+          Some metrics have too few peers in your categories to compare against and use platform-wide averages instead.
+          They are marked &quot;Platform Avg&quot;.
+        </div>
+      )}
+      {data.peerAverages && comparisonScope !== 'platform' && thinCategories.length > 0 && (
+        <div className="benchmark-scope-note">
+          {thinCategories.map(group => group.category).join(', ')}
+          {thinCategories.length === 1 ? ' has' : ' have'} fewer than {data.peerAverages.minPeerSample} providers
+          and {thinCategories.length === 1 ? 'is' : 'are'} left out of the comparison.
+        </div>
+      )}
+
       {/* Benchmark Comparisons */}
       {formattedComparisons.length > 0 && (
         <div className="benchmark-list">
@@ -134,7 +228,7 @@ const BenchmarkSection = ({ data }) => {
                     You: {item.formattedProviderValue}
                   </span>
                   <span className="benchmark-platform-value">
-                    Platform Avg: {item.formattedPlatformValue}
+                    {item.scope === 'category' ? 'Peer Avg' : 'Platform Avg'}: {item.formattedPlatformValue}
                   </span>
                 </div>
               </div>
@@ -149,17 +243,54 @@ const BenchmarkSection = ({ data }) => {
       {/* Percentile Rankings */}
       {Object.keys(percentileRankings).length > 0 && (
         <div className="percentile-grid">
-          {Object.entries(percentileRankings).map(([metric, percentile], index) => (
+          {Object.entries(percentileRankings).map(([metric, { percentile, scope }], index) => (
             <div key={index} className="percentile-item">
               <p className="percentile-value">
                 {typeof percentile === 'number' ? `${Math.round(percentile)}th` : percentile}
               </p>
               <p className="percentile-label">{formatMetricLabel(metric)}</p>
+              <p className="percentile-scope">{scope === 'category' ? 'among peers' : 'platform-wide'}</p>
             </div>
           ))}
         </div>
       )}
 
+      {/* Benchmarks over time - shown once there is more than one snapshot to compare */}
+      {(history.length > 1 || historyMetric !== HISTORY_METRICS[0].value) && (
+        <div className="benchmark-history">
+          <div className="benchmark-history-header">
+            <h3 className="benchmark-history-title">Platform Benchmarks Over Time</h3>
+            <select
+              className="period-select"
+              value={historyMetric}
+              onChange={(e) => setHistoryMetric(e.target.value)}
+            >
+              {HISTORY_METRICS.map(metric => (
+                <option key={metric.value} value={metric.value}>{metric.label}</option>
+              ))}
+            </select>
+          </div>
+          <LineChart
+            data={history.map(point => ({
+              ...point,
+              name: new Date(point.calculatedAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+            }))}
+            xKey="name"
+            lines={[
+              { dataKey: 'average', color: '#4a90d9', name: 'Average' },
+              { dataKey: 'median', color: '#22c55e', name: 'Median' },
+              { dataKey: 'percentile25', color: '#f59e0b', name: '25th percentile' },
+              { dataKey: 'percentile75', color: '#8b5cf6', name: '75th percentile' }
+            ]}
+            height={260}
+            tooltipFormatter={(value) => formatMetricValue(
+              HISTORY_METRICS.find(metric => metric.value === historyMetric)?.label,
+              value
+            )}
+          />
+        </div>
+      )}
+
       {/* Improvement Suggestions */}
       {suggestions.length > 0 && (
         <div className="suggestions-list">
@@ -170,7 +301,12 @@ const BenchmarkSection = ({ data }) => {
             <div key={index} className="suggestion-item">
               <span className="suggestion-icon">💡</span>
               <p className="suggestion-text">
-                {typeof suggestion === 'string' ? suggestion : suggestion.text || suggestion.message}
+                {typeof suggestion === 'string' ? suggestion : (
+                  <>
+                    {suggestion.title && <span className="suggestion-title">{suggestion.title}</span>}
+                    {suggestion.description || suggestion.text || suggestion.message}
+                  </>
+                )}
               </p>
             </div>
           ))}
@@ -23,6 +23,7 @@ const CustomerSection = ({ data, period }) => {
   const retentionData = data.retentionRate || {};
   const peakTimesData = data.peakServiceTimes || {};
   const acquisitionData = data.acquisitionTrends || {};
+  const geographicData = data.geographicDistribution || {};
 
   // Extract values with fallbacks
   const uniqueCustomers = uniqueCustomersData.uniqueCustomers || uniqueCustomersData.totalCustomers || 0;
@@ -51,6 +52,14 @@ const CustomerSection = ({ data, period }) => {
     value: parseInt(item.requestCount || item.count || item.value) || 0
   }));
 
+  // Cities and postal areas where completed jobs took place
+  const cityChartData = (geographicData.topRegions || []).map(region => ({
+    name: region.region,
+    value: region.customerCount
+  }));
+  const postalAreas = (geographicData.postalAreas || []).slice(0, 8);
+  const unlocatedRequests = geographicData.unlocated?.requestCount || 0;
+
   return (
     <div className="customer-section">
       <div className="section-header">
@@ -143,6 +152,52 @@ const CustomerSection = ({ data, period }) => {
           />
         </div>
       )}
+
+      {/* Customer Regions */}
+      {(cityChartData.length > 0 || postalAreas.length > 0) && (
+        <div className="region-breakdown">
+          {cityChartData.length > 0 && (
+            <div className="chart-wrapper">
+              <BarChart
+                data={cityChartData}
+                xKey="name"
+                bars={[{ dataKey: 'value', color: '#4a90d9', name: 'Customers' }]}
+                title="Top Cities"
+                height={280}
+                horizontal={true}
+                showLegend={false}
+                tooltipFormatter={(value) => `${value} customers`}
+              />
+            </div>
+          )}
+
+          {postalAreas.length > 0 && (
+            <div className="region-list">
+              <h3 className="region-list-title">Postal Areas</h3>
+              {postalAreas.map(area => (
+                <div key={area.postalArea} className="region-row">
+                  <span className="region-name">{area.postalArea}</span>
+                  <div className="region-bar">
+                    <div
+                      className="region-bar-fill"
+                      style={{ width: `${Math.min(area.requestPercentage, 100)}%` }}
+                    />
+                  </div>
+                  <span className="region-share">
+                    {analyticsService.formatPercentage(area.requestPercentage)}
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {unlocatedRequests > 0 && (
+        <p className="region-note">
+          {unlocatedRequests} completed job{unlocatedRequests === 1 ? ' has' : 's have'} no address and {unlocatedRequests === 1 ? 'is' : 'are'} not shown by region.
+        </p>
+      )}
     </div>
   );
 };
@@ -1,6 +1,8 @@
 import { useState, useEffect, useCallback } from 'react';
+import { io } from 'socket.io-client';
 import analyticsService from '../../services/analyticsService';
 import { authService } from '../../services/authService';
+import AlertSettings from './AlertSettings';
 import './Analytics.css';
 
 const RealTimeDashboard = () => {
@@ -10,6 +12,7 @@ const RealTimeDashboard = () => {
   const [error, setError] = useState(null);
   const [lastRefresh, setLastRefresh] = useState(null);
   const [autoRefresh, setAutoRefresh] = useState(true);
+  const [liveAlert, setLiveAlert] = useState(null);
 
   // Auto-refresh interval (30 seconds)
   const REFRESH_INTERVAL = 30000;
@@ -30,8 +33,8 @@ const RealTimeDashboard = () => {
 
     try {
       setError(null);
-      const data = await analyticsService.getRealTimeMetrics(providerID);
-      setRealTimeData(data);
+      const response = await analyticsService.getRealTimeMetrics(providerID);
+      setRealTimeData(response.data);
       setLastRefresh(new Date());
     } catch (err) {
       console.error('Error fetching real-time data:', err);
@@ -57,6 +60,29 @@ const RealTimeDashboard = () => {
     };
   }, [fetchRealTimeData, autoRefresh]);
 
+  // Alerts pushed by the server as soon as they fire
+  useEffect(() => {
+    const token = authService.getToken();
+    if (!token) return;
+
+    const socket = io(process.env.REACT_APP_API_URL?.replace('/api', '') || 'http://localhost:5001', {
+      auth: { token },
+      transports: ['websocket', 'polling']
+    });
+
+    const handleAlertChange = (alert) => {
+      setLiveAlert(alert);
+      fetchRealTimeData();
+    };
+
+    socket.on('performance_alert', handleAlertChange);
+    socket.on('performance_alert_recovered', handleAlertChange);
+
+    return () => {
+      socket.close();
+    };
+  }, [fetchRealTimeData]);
+
   /**
    * Toggle auto-refresh
    */
@@ -151,7 +177,7 @@ const RealTimeDashboard = () => {
     );
   }
 
-  const { todayMetrics, queueStatus, recentActivity } = realTimeData || {};
+  const { todayMetrics, queueStatus, thresholdAlerts, recentActivity } = realTimeData || {};
 
   return (
     <div className="realtime-dashboard">
@@ -329,6 +355,34 @@ const RealTimeDashboard = () => {
           </div>
         )}
       </section>
+      <section className="realtime-section">
+        <div className="section-header">
+          <h3 className="section-title">Performance Alerts</h3>
+          <span className="activity-count">
+            {thresholdAlerts?.triggeredCount || 0} of {thresholdAlerts?.configuredAlerts || 0} triggered
+          </span>
+        </div>
+
+        {liveAlert && (
+          <div className={`live-alert alert-severity-${liveAlert.severity}`}>
+            <span>🔔 {liveAlert.message}</span>
+            <button className="live-alert-dismiss" onClick={() => setLiveAlert(null)}>×</button>
+          </div>
+        )}
+
+        {thresholdAlerts?.triggeredAlerts?.length > 0 && (
+          <div className="triggered-alerts">
+            {thresholdAlerts.triggeredAlerts.map((alert) => (
+              <div key={alert.alertID} className={`triggered-alert alert-severity-${alert.severity}`}>
+                <span className="triggered-alert-message">{alert.message}</span>
+                <span className="triggered-alert-severity">{alert.severity}</span>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <AlertSettings onAlertsChange={fetchRealTimeData} />
+      </section>
       <section className="realtime-section">
         <div className="section-header">
           <h3 className="section-title">Recent Activity</h3>
@@ -41,6 +41,7 @@ const RevenueSection = ({ data, period }) => {
   const paymentStatus = data.paymentStatus || {};
   const completedPayments = paymentStatus.completed?.amount || 0;
   const pendingPayments = paymentStatus.pending?.amount || 0;
+  const refundedPayments = paymentStatus.refunded?.amount || 0;
 
   return (
     <div className="revenue-section">
@@ -56,7 +57,7 @@ const RevenueSection = ({ data, period }) => {
       {/* Key Metrics */}
       <div className="metrics-grid">
         <div className="metric-card">
-          <p className="metric-label">Total Earnings</p>
+          <p className="metric-label">Net Earnings</p>
           <p className="metric-value">
             {analyticsService.formatCurrency(totalEarnings)}
           </p>
@@ -136,6 +137,14 @@ const RevenueSection = ({ data, period }) => {
             {analyticsService.formatCurrency(pendingPayments)}
           </p>
         </div>
+        {refundedPayments > 0 && (
+          <div className="payment-item refunded">
+            <p className="payment-item-label">Refunded</p>
+            <p className="payment-item-value">
+              {analyticsService.formatCurrency(refundedPayments)}
+            </p>
+          </div>
+        )}
       </div>
     </div>
   );
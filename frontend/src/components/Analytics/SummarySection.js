@@ -0,0 +1,104 @@
+import analyticsService from '../../services/analyticsService';
+import LineChart from '../Charts/LineChart';
+
+const SummarySection = ({ data }) => {
+  // Handle empty/loading state
+  if (!data) {
+    return (
+      <div className="summary-section">
+        <div className="section-header">
+          <h2 className="section-title">All-Time Summary</h2>
+        </div>
+        <div className="empty-state">
+          <span className="empty-state-icon">📋</span>
+          <p className="empty-state-text">No summary available yet</p>
+        </div>
+      </div>
+    );
+  }
+
+  const totals = data.totals || {};
+  const rates = data.rates || {};
+
+  // Last 12 months of net revenue, oldest first
+  const monthlyData = (data.monthlyRevenue || []).map(item => ({
+    name: new Date(`${item.month}-01T00:00:00`).toLocaleDateString('en-US', { month: 'short', year: '2-digit' }),
+    value: item.revenue || 0
+  }));
+  const hasRevenue = monthlyData.some(item => item.value !== 0);
+
+  return (
+    <div className="summary-section">
+      <div className="section-header">
+        <div>
+          <h2 className="section-title">All-Time Summary</h2>
+          <p className="section-subtitle">
+            Your totals since you joined
+            {data.lastUpdated && <> · updated {new Date(data.lastUpdated).toLocaleString()}</>}
+          </p>
+        </div>
+      </div>
+
+      {/* Key Metrics */}
+      <div className="metrics-grid">
+        <div className="metric-card">
+          <p className="metric-label">Net Earnings</p>
+          <p className="metric-value">
+            {analyticsService.formatCurrency(totals.totalEarnings || 0)}
+          </p>
+          <div className="metric-change neutral">
+            <span>{totals.paymentCount || 0} payments</span>
+          </div>
+        </div>
+
+        <div className="metric-card">
+          <p className="metric-label">Jobs Completed</p>
+          <p className="metric-value">{totals.jobsCompleted || 0}</p>
+          <div className="metric-change neutral">
+            <span>{analyticsService.formatPercentage(rates.completionRate || 0)} completion rate</span>
+          </div>
+        </div>
+
+        <div className="metric-card">
+          <p className="metric-label">Average Rating</p>
+          <p className="metric-value">{(rates.averageRating || 0).toFixed(1)}</p>
+          <div className="metric-change neutral">
+            <span>{totals.reviewCount || 0} reviews</span>
+          </div>
+        </div>
+
+        <div className="metric-card">
+          <p className="metric-label">Performance Score</p>
+          <p className="metric-value">{(rates.performanceScore || 0).toFixed(0)}</p>
+          <div className="metric-change neutral">
+            <span>{analyticsService.formatDuration(rates.responseTimeAvg || 0)} avg response</span>
+          </div>
+        </div>
+
+        <div className="metric-card">
+          <p className="metric-label">Customers</p>
+          <p className="metric-value">{totals.uniqueCustomers || 0}</p>
+          <div className="metric-change neutral">
+            <span>{analyticsService.formatPercentage(rates.repeatCustomerRate || 0)} come back</span>
+          </div>
+        </div>
+      </div>
+
+      {/* Monthly Revenue Chart */}
+      {hasRevenue && (
+        <div className="chart-wrapper">
+          <LineChart
+            data={monthlyData}
+            xKey="name"
+            lines={[{ dataKey: 'value', color: '#4a90d9', name: 'Net revenue' }]}
+            title="Revenue by Month"
+            height={260}
+            tooltipFormatter={(value) => analyticsService.formatCurrency(value)}
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SummarySection;
@@ -0,0 +1,224 @@
+import React, { useState, useEffect } from 'react';
+import { availabilityService } from '../../services/availabilityService';
+import './Availability.css';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// List every YYYY-MM-DD date between two dates (inclusive)
+const listDates = (fromDate, toDate) => {
+    const dates = [];
+    const current = new Date(`${fromDate}T00:00:00`);
+    const end = new Date(`${toDate}T00:00:00`);
+    while (current <= end) {
+        const month = String(current.getMonth() + 1).padStart(2, '0');
+        const day = String(current.getDate()).padStart(2, '0');
+        dates.push(`${current.getFullYear()}-${month}-${day}`);
+        current.setDate(current.getDate() + 1);
+    }
+    return dates;
+};
+
+const AvailabilityCalendar = () => {
+    const [calendar, setCalendar] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [showWeeklyForm, setShowWeeklyForm] = useState(false);
+    const [weeklyForm, setWeeklyForm] = useState({ weekdays: [1, 2, 3, 4, 5], timeSlots: [], weeks: 4 });
+    const [saving, setSaving] = useState(false);
+
+    useEffect(() => {
+        loadCalendar();
+    }, []);
+
+    const loadCalendar = async () => {
+        try {
+            setLoading(true);
+            setError(null);
+            const response = await availabilityService.getCalendar();
+            if (response.success) {
+                setCalendar(response.data);
+            }
+        } catch (err) {
+            setError(err.message || 'Failed to load availability');
+            console.error('Error loading availability:', err);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const getCellState = (date, timeSlot) => {
+        const booked = calendar.bookings.some(b => b.scheduledDate === date && b.timeSlot === timeSlot);
+        if (booked) return 'booked';
+        const slot = calendar.slots.find(s => s.date === date && s.timeSlot === timeSlot);
+        if (!slot) return 'unset';
+        return slot.available ? 'open' : 'blocked';
+    };
+
+    const handleToggleSlot = async (date, timeSlot, state) => {
+        if (state === 'booked') return;
+        try {
+            await availabilityService.updateSlot(date, timeSlot, state !== 'open');
+            loadCalendar();
+        } catch (err) {
+            alert(err.message || 'Failed to update availability');
+        }
+    };
+
+    const handleBlockDay = async (date) => {
+        if (!window.confirm(`Block out all slots on ${date}?`)) {
+            return;
+        }
+        try {
+            await availabilityService.blockDay(date);
+            loadCalendar();
+        } catch (err) {
+            alert(err.message || 'Failed to block day');
+        }
+    };
+
+    const toggleListValue = (field, value) => {
+        setWeeklyForm(prev => ({
+            ...prev,
+            [field]: prev[field].includes(value)
+                ? prev[field].filter(v => v !== value)
+                : [...prev[field], value]
+        }));
+    };
+
+    const handlePublishWeekly = async (e) => {
+        e.preventDefault();
+        if (weeklyForm.weekdays.length === 0 || weeklyForm.timeSlots.length === 0) {
+            setError('Select at least one day and one time slot');
+            return;
+        }
+
+        try {
+            setSaving(true);
+            setError(null);
+            const response = await availabilityService.publishWeekly(weeklyForm);
+            if (response.success) {
+                setShowWeeklyForm(false);
+                loadCalendar();
+            }
+        } catch (err) {
+            setError(err.message || 'Failed to publish availability');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    if (loading && !calendar) {
+        return <div className="availability-loading">Loading availability...</div>;
+    }
+
+    const dates = calendar ? listDates(calendar.fromDate, calendar.toDate) : [];
+
+    return (
+        <div className="availability-calendar">
+            <div className="availability-header">
+                <h2>My Availability</h2>
+                {!showWeeklyForm && (
+                    <button className="btn-availability-primary" onClick={() => setShowWeeklyForm(true)}>
+                        Set Weekly Availability
+                    </button>
+                )}
+            </div>
+
+            {error && <div className="availability-error">{error}</div>}
+
+            {showWeeklyForm && calendar && (
+                <form className="weekly-availability-form" onSubmit={handlePublishWeekly}>
+                    <div className="weekly-form-group">
+                        <span className="weekly-form-label">Days:</span>
+                        {WEEKDAYS.map((label, day) => (
+                            <label key={label} className="weekly-option">
+                                <input
+                                    type="checkbox"
+                                    checked={weeklyForm.weekdays.includes(day)}
+                                    onChange={() => toggleListValue('weekdays', day)}
+                                />
+                                {label}
+                            </label>
+                        ))}
+                    </div>
+                    <div className="weekly-form-group">
+                        <span className="weekly-form-label">Slots:</span>
+                        {calendar.timeSlots.map(slot => (
+                            <label key={slot} className="weekly-option">
+                                <input
+                                    type="checkbox"
+                                    checked={weeklyForm.timeSlots.includes(slot)}
+                                    onChange={() => toggleListValue('timeSlots', slot)}
+                                />
+                                {slot}
+                            </label>
+                        ))}
+                    </div>
+                    <div className="weekly-form-group">
+                        <label className="weekly-form-label" htmlFor="weeks">Repeat for</label>
+                        <select
+                            id="weeks"
+                            value={weeklyForm.weeks}
+                            onChange={(e) => setWeeklyForm(prev => ({ ...prev, weeks: parseInt(e.target.value, 10) }))}
+                        >
+                            {[1, 2, 4, 8, 12].map(w => (
+                                <option key={w} value={w}>{w} week{w > 1 ? 's' : ''}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div className="weekly-form-actions">
+                        <button type="button" className="btn-availability-secondary" onClick={() => setShowWeeklyForm(false)}>
+                            Cancel
+                        </button>
+                        <button type="submit" className="btn-availability-primary" disabled={saving}>
+                            {saving ? 'Publishing...' : 'Publish'}
+                        </button>
+                    </div>
+                </form>
+            )}
+
+            {calendar && (
+                <div className="availability-grid-wrapper">
+                    <table className="availability-grid">
+                        <thead>
+                            <tr>
+                                <th>Slot</th>
+                                {dates.map(date => (
+                                    <th key={date}>
+                                        <div>{WEEKDAYS[new Date(`${date}T00:00:00`).getDay()]}</div>
+                                        <div className="availability-date">{date.slice(5)}</div>
+                                        <button className="btn-block-day" onClick={() => handleBlockDay(date)}>
+                                            Block
+                                        </button>
+                                    </th>
+                                ))}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {calendar.timeSlots.map(timeSlot => (
+                                <tr key={timeSlot}>
+                                    <td className="availability-slot-label">{timeSlot}</td>
+                                    {dates.map(date => {
+                                        const state = getCellState(date, timeSlot);
+                                        return (
+                                            <td
+                                                key={date}
+                                                className={`availability-cell cell-${state}`}
+                                                onClick={() => handleToggleSlot(date, timeSlot, state)}
+                                                title={state === 'booked' ? 'Booked' : 'Click to toggle'}
+                                            >
+                                                {state === 'booked' ? 'Booked' : state === 'open' ? 'Open' : state === 'blocked' ? 'Off' : ''}
+                                            </td>
+                                        );
+                                    })}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default AvailabilityCalendar;
@@ -0,0 +1,132 @@
+import React, { useState } from 'react';
+import { bookingService } from '../../services/bookingService';
+import './Booking.css';
+
+const ManualBookingForm = ({ onSuccess, onCancel }) => {
+    const [formData, setFormData] = useState({
+        customerName: '',
+        customerPhone: '',
+        scheduledDate: '',
+        scheduledTime: '',
+        notes: ''
+    });
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    const handleInputChange = (e) => {
+        const { name, value } = e.target;
+        setFormData(prev => ({
+            ...prev,
+            [name]: value
+        }));
+        if (error) setError(null);
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        if (!formData.customerName.trim()) {
+            setError('Customer name is required');
+            return;
+        }
+
+        if (!formData.scheduledDate) {
+            setError('Please select a date');
+            return;
+        }
+
+        try {
+            setLoading(true);
+            setError(null);
+            const response = await bookingService.createManualBooking({
+                customerName: formData.customerName.trim(),
+                customerPhone: formData.customerPhone.trim() || null,
+                scheduledDate: formData.scheduledDate,
+                scheduledTime: formData.scheduledTime || null,
+                notes: formData.notes.trim() || null
+            });
+
+            if (response.success) {
+                if (onSuccess) onSuccess(response.data.booking);
+            } else {
+                setError(response.message || 'Failed to create booking');
+            }
+        } catch (err) {
+            setError(err.message || 'Failed to create booking');
+            console.error('Error creating manual booking:', err);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <form className="manual-booking-form" onSubmit={handleSubmit}>
+            <h3>New Manual Booking</h3>
+
+            {error && <div className="booking-error">{error}</div>}
+
+            <div className="booking-form-row">
+                <label htmlFor="customerName">Customer Name *</label>
+                <input
+                    id="customerName"
+                    name="customerName"
+                    value={formData.customerName}
+                    onChange={handleInputChange}
+                    required
+                />
+            </div>
+            <div className="booking-form-row">
+                <label htmlFor="customerPhone">Customer Phone</label>
+                <input
+                    id="customerPhone"
+                    name="customerPhone"
+                    value={formData.customerPhone}
+                    onChange={handleInputChange}
+                />
+            </div>
+            <div className="booking-form-row">
+                <label htmlFor="scheduledDate">Date *</label>
+                <input
+                    type="date"
+                    id="scheduledDate"
+                    name="scheduledDate"
+                    value={formData.scheduledDate}
+                    onChange={handleInputChange}
+                    min={new Date().toISOString().split('T')[0]}
+                    required
+                />
+            </div>
+            <div className="booking-form-row">
+                <label htmlFor="scheduledTime">Time</label>
+                <input
+                    type="time"
+                    id="scheduledTime"
+                    name="scheduledTime"
+                    value={formData.scheduledTime}
+                    onChange={handleInputChange}
+                />
+            </div>
+            <div className="booking-form-row">
+                <label htmlFor="notes">Notes</label>
+                <textarea
+                    id="notes"
+                    name="notes"
+                    rows={3}
+                    value={formData.notes}
+                    onChange={handleInputChange}
+                />
+            </div>
+
+            <div className="booking-form-actions">
+                <button type="button" className="btn-booking-secondary" onClick={onCancel} disabled={loading}>
+                    Cancel
+                </button>
+                <button type="submit" className="btn-booking-primary" disabled={loading}>
+                    {loading ? 'Saving...' : 'Create Booking'}
+                </button>
+            </div>
+        </form>
+    );
+};
+
+export default ManualBookingForm;
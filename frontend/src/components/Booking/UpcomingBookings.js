@@ -0,0 +1,133 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { bookingService } from '../../services/bookingService';
+import { serviceRequestService } from '../../services/serviceRequestService';
+import ManualBookingForm from './ManualBookingForm';
+import './Booking.css';
+
+const UpcomingBookings = ({ userRole = 'Customer' }) => {
+    const [bookings, setBookings] = useState([]);
+    const [range, setRange] = useState('week');
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [showManualForm, setShowManualForm] = useState(false);
+
+    const loadBookings = useCallback(async () => {
+        try {
+            setLoading(true);
+            setError(null);
+            const response = await bookingService.getUpcomingBookings(range);
+            if (response.success) {
+                setBookings(response.data.bookings || []);
+            }
+        } catch (err) {
+            setError(err.message || 'Failed to load bookings');
+            console.error('Error loading bookings:', err);
+        } finally {
+            setLoading(false);
+        }
+    }, [range]);
+
+    useEffect(() => {
+        loadBookings();
+    }, [loadBookings]);
+
+    /**
+     * Cancel a booking; bookings made by accepting a request are cancelled through the request
+     */
+    const handleCancel = async (booking) => {
+        const reason = window.prompt('Please enter a reason for cancelling this booking:');
+        if (!reason || !reason.trim()) {
+            return;
+        }
+
+        try {
+            const response = booking.requestID
+                ? await serviceRequestService.cancelServiceRequest(booking.requestID, reason.trim())
+                : await bookingService.cancelBooking(booking.bookingID, reason.trim());
+            if (response.success) {
+                loadBookings();
+            } else {
+                alert(response.message || 'Failed to cancel booking');
+            }
+        } catch (err) {
+            alert(err.message || 'Failed to cancel booking');
+            console.error('Error cancelling booking:', err);
+        }
+    };
+
+    const handleManualBookingCreated = () => {
+        setShowManualForm(false);
+        loadBookings();
+    };
+
+    const formatDate = (dateString) => {
+        return new Date(dateString).toLocaleDateString('en-US', {
+            weekday: 'short',
+            month: 'short',
+            day: 'numeric'
+        });
+    };
+
+    const formatTime = (timeString) => {
+        return timeString ? timeString.slice(0, 5) : 'Any time';
+    };
+
+    return (
+        <div className="upcoming-bookings">
+            <div className="upcoming-bookings-header">
+                <h2>Upcoming Bookings</h2>
+                <div className="upcoming-bookings-controls">
+                    <select value={range} onChange={(e) => setRange(e.target.value)} className="booking-range-select">
+                        <option value="day">Today</option>
+                        <option value="week">Next 7 Days</option>
+                    </select>
+                    {userRole === 'Provider' && !showManualForm && (
+                        <button className="btn-booking-primary" onClick={() => setShowManualForm(true)}>
+                            + Manual Booking
+                        </button>
+                    )}
+                </div>
+            </div>
+
+            {showManualForm && (
+                <ManualBookingForm
+                    onSuccess={handleManualBookingCreated}
+                    onCancel={() => setShowManualForm(false)}
+                />
+            )}
+
+            {error && <div className="booking-error">{error}</div>}
+
+            {loading ? (
+                <div className="booking-loading">Loading bookings...</div>
+            ) : bookings.length === 0 ? (
+                <div className="booking-empty">No bookings scheduled for this period.</div>
+            ) : (
+                <ul className="booking-list">
+                    {bookings.map((booking) => (
+                        <li key={booking.bookingID} className="booking-item">
+                            <div className="booking-when">
+                                <span className="booking-date">{formatDate(booking.scheduledDate)}</span>
+                                <span className="booking-time">{formatTime(booking.scheduledTime)}</span>
+                            </div>
+                            <div className="booking-info">
+                                <strong>{booking.category || 'Manual booking'}</strong>
+                                {userRole === 'Provider' ? (
+                                    <span>Customer: {booking.customerName || 'Unknown'}</span>
+                                ) : (
+                                    <span>Provider: {booking.providerName}</span>
+                                )}
+                                {booking.notes && <span className="booking-notes">{booking.notes}</span>}
+                            </div>
+                            <button className="btn-booking-cancel" onClick={() => handleCancel(booking)}>
+                                Cancel
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default UpcomingBookings;
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { complaintService } from '../../services/complaintService';
 import { authService } from '../../services/authService';
+import { paymentService } from '../../services/paymentService';
 import './Complaint.css';
 
 const ComplaintDetails = ({ complaint, onClose, onRefresh }) => {
@@ -10,6 +11,9 @@ const ComplaintDetails = ({ complaint, onClose, onRefresh }) => {
     const [status, setStatus] = useState(complaint.status);
     const [resolutionNotes, setResolutionNotes] = useState('');
     const [updating, setUpdating] = useState(false);
+    const [refundAmount, setRefundAmount] = useState('');
+    const [refundReason, setRefundReason] = useState('');
+    const [refunding, setRefunding] = useState(false);
     const currentUser = authService.getCurrentUser();
     const isAdmin = currentUser?.role === 'Admin';
 
@@ -71,6 +75,47 @@ const ComplaintDetails = ({ complaint, onClose, onRefresh }) => {
         }
     };
 
+    const handleRefund = async (e) => {
+        e.preventDefault();
+
+        if (!refundReason.trim()) {
+            setError('Please enter a reason for the refund');
+            return;
+        }
+
+        try {
+            setRefunding(true);
+            setError(null);
+
+            const paymentsResponse = await paymentService.getPaymentsByRequest(fullComplaint.requestID);
+            const payment = (paymentsResponse.data?.payments || []).find(p => p.status === 'Completed');
+            if (!payment) {
+                setError('There is no completed payment to refund for this service request');
+                return;
+            }
+
+            const response = await paymentService.refundPayment(payment.paymentID, {
+                amount: refundAmount ? parseFloat(refundAmount) : null,
+                reason: refundReason.trim(),
+                complaintID: fullComplaint.complaintID
+            });
+
+            if (response.success) {
+                setRefundAmount('');
+                setRefundReason('');
+                alert(response.message || 'Refund issued successfully!');
+            } else {
+                setError(response.message || 'Failed to issue refund');
+            }
+        } catch (err) {
+            const errorMessage = err.message || err.response?.data?.message || 'Failed to issue refund';
+            setError(errorMessage);
+            console.error('Error issuing refund:', err);
+        } finally {
+            setRefunding(false);
+        }
+    };
+
     const formatDate = (dateString) => {
         if (!dateString) return 'Not specified';
         const date = new Date(dateString);
@@ -237,6 +282,42 @@ const ComplaintDetails = ({ complaint, onClose, onRefresh }) => {
                                 {updating ? 'Updating...' : 'Update Status'}
                             </button>
                         </form>
+
+                        {complaintData.requestID && (
+                            <form onSubmit={handleRefund} className="admin-form">
+                                <div className="form-group">
+                                    <label htmlFor="refundAmount">Refund Amount:</label>
+                                    <input
+                                        type="number"
+                                        id="refundAmount"
+                                        min="0.01"
+                                        step="0.01"
+                                        value={refundAmount}
+                                        onChange={(e) => setRefundAmount(e.target.value)}
+                                        className="form-input"
+                                        placeholder="Leave empty for a full refund"
+                                    />
+                                </div>
+                                <div className="form-group">
+                                    <label htmlFor="refundReason">Refund Reason:</label>
+                                    <textarea
+                                        id="refundReason"
+                                        value={refundReason}
+                                        onChange={(e) => setRefundReason(e.target.value)}
+                                        className="form-textarea"
+                                        rows="2"
+                                        placeholder="Why is the customer being refunded?"
+                                    />
+                                </div>
+                                <button
+                                    type="submit"
+                                    className="btn-update-status"
+                                    disabled={refunding}
+                                >
+                                    {refunding ? 'Refunding...' : 'Issue Refund'}
+                                </button>
+                            </form>
+                        )}
                     </div>
                 )}
             </div>
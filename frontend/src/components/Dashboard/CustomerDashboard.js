@@ -5,6 +5,8 @@ import { dashboardService } from '../../services/dashboardService';
 import { reviewService } from '../../services/reviewService';
 import CreateServiceRequest from '../ServiceRequest/CreateServiceRequest';
 import ServiceRequestList from '../ServiceRequest/ServiceRequestList';
+import UpcomingBookings from '../Booking/UpcomingBookings';
+import MaintenanceReminders from '../Maintenance/MaintenanceReminders';
 import ChatHeader from '../Chat/ChatHeader';
 import NotificationCenter from '../Notifications/NotificationCenter';
 import ComplaintSubmission from '../Complaints/ComplaintSubmission';
@@ -17,6 +19,7 @@ const CustomerDashboard = () => {
     const [dashboardData, setDashboardData] = useState(null);
     const [loading, setLoading] = useState(true);
     const [showCreateRequest, setShowCreateRequest] = useState(false);
+    const [rebookData, setRebookData] = useState(null); // pre-fill for "Book again" from a reminder
     const [selectedChatConversation, setSelectedChatConversation] = useState(null);
     const [showComplaintSubmission, setShowComplaintSubmission] = useState(false);
     const [complaintView, setComplaintView] = useState(null); // 'my-complaints' or 'against-me'
@@ -108,6 +111,9 @@ const CustomerDashboard = () => {
                         <Link to="/dashboard/customer/bundles" className="nav-link">
                             Browse Bundles
                         </Link>
+                        <Link to="/search" className="nav-link">
+                            Search
+                        </Link>
                     </div>
                     <div className="welcome-section">
                         <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px' }}>
@@ -140,12 +146,17 @@ const CustomerDashboard = () => {
                     {showCreateRequest && (
                         <div style={{ marginBottom: '30px' }}>
                             <CreateServiceRequest
+                                initialData={rebookData}
                                 onSuccess={(request) => {
                                     setShowCreateRequest(false);
+                                    setRebookData(null);
                                     // Reload dashboard data to update stats
                                     loadDashboardData();
                                 }}
-                                onCancel={() => setShowCreateRequest(false)}
+                                onCancel={() => {
+                                    setShowCreateRequest(false);
+                                    setRebookData(null);
+                                }}
                             />
                         </div>
                     )}
@@ -156,6 +167,24 @@ const CustomerDashboard = () => {
                         </div>
                     )}
 
+                    {!showCreateRequest && (
+                        <div style={{ marginBottom: '30px' }}>
+                            <UpcomingBookings userRole="Customer" />
+                        </div>
+                    )}
+
+                    {!showCreateRequest && (
+                        <div style={{ marginBottom: '30px' }}>
+                            <MaintenanceReminders
+                                onRebook={(prefill) => {
+                                    setRebookData(prefill);
+                                    setShowCreateRequest(true);
+                                    window.scrollTo({ top: 0, behavior: 'smooth' });
+                                }}
+                            />
+                        </div>
+                    )}
+
                     {/* Complaints Section */}
                     {!showCreateRequest && (
                         <div style={{ marginBottom: '30px' }}>
@@ -4,6 +4,8 @@ import { authService } from '../../services/authService';
 import { dashboardService } from '../../services/dashboardService';
 import { reviewService } from '../../services/reviewService';
 import ServiceRequestList from '../ServiceRequest/ServiceRequestList';
+import UpcomingBookings from '../Booking/UpcomingBookings';
+import AvailabilityCalendar from '../Availability/AvailabilityCalendar';
 import ReviewsList from '../Reviews/ReviewsList';
 import ChatHeader from '../Chat/ChatHeader';
 import NotificationCenter from '../Notifications/NotificationCenter';
@@ -132,9 +134,15 @@ const ProviderDashboard = () => {
                             <Link to="/dashboard/provider/analytics" className="nav-link">
                                 Analytics
                             </Link>
+                            <Link to="/dashboard/provider/goals" className="nav-link">
+                                Goals
+                            </Link>
                             <Link to="/gamification" className="nav-link">
                                 Gamification
                             </Link>
+                            <Link to="/search" className="nav-link">
+                                Search
+                            </Link>
                         </div>
                         <h2>Welcome to Your Dashboard</h2>
                         <p>Manage your services and track your performance.</p>
@@ -168,6 +176,14 @@ const ProviderDashboard = () => {
                         />
                     </div>
 
+                    <div style={{ marginBottom: '30px' }}>
+                        <UpcomingBookings userRole="Provider" />
+                    </div>
+
+                    <div style={{ marginBottom: '30px' }}>
+                        <AvailabilityCalendar />
+                    </div>
+
                     {/* Complaints Section */}
                     <div style={{ marginBottom: '30px' }}>
                         <div style={{ 
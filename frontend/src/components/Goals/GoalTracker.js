@@ -0,0 +1,247 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { goalService } from '../../services/goalService';
+import '../Analytics/Analytics.css';
+import './Goals.css';
+
+const GOAL_TYPE_OPTIONS = [
+  { value: 'revenue', label: 'Revenue ($)' },
+  { value: 'services', label: 'Completed services' },
+  { value: 'rating', label: 'Average rating' },
+  { value: 'customers', label: 'Customers served' }
+];
+
+const STATUS_FILTERS = [
+  { value: '', label: 'All' },
+  { value: 'active', label: 'Active' },
+  { value: 'completed', label: 'Completed' },
+  { value: 'cancelled', label: 'Cancelled' }
+];
+
+const EMPTY_FORM = { goalType: 'revenue', targetValue: '', startDate: '', targetDate: '' };
+
+const GoalTracker = () => {
+  const [goals, setGoals] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+
+  const loadGoals = useCallback(async () => {
+    try {
+      setError(null);
+      const response = await goalService.getGoals(statusFilter || null);
+      if (response.success) {
+        setGoals(response.data.goals || []);
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to load goals');
+      console.error('Error loading goals:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [statusFilter]);
+
+  useEffect(() => {
+    setLoading(true);
+    loadGoals();
+  }, [loadGoals]);
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const response = await goalService.createGoal({
+        goalType: formData.goalType,
+        targetValue: parseFloat(formData.targetValue),
+        startDate: formData.startDate || undefined,
+        targetDate: formData.targetDate
+      });
+      if (response.success) {
+        setShowForm(false);
+        setFormData(EMPTY_FORM);
+        loadGoals();
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to create goal');
+      console.error('Error creating goal:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCancelGoal = async (goalID) => {
+    if (!window.confirm('Cancel this goal? It will stop tracking progress.')) return;
+
+    try {
+      await goalService.cancelGoal(goalID);
+      loadGoals();
+    } catch (err) {
+      alert(err.message || 'Failed to cancel goal');
+    }
+  };
+
+  const handleDeleteGoal = async (goalID) => {
+    if (!window.confirm('Delete this goal permanently?')) return;
+
+    try {
+      await goalService.deleteGoal(goalID);
+      loadGoals();
+    } catch (err) {
+      alert(err.message || 'Failed to delete goal');
+    }
+  };
+
+  const formatValue = (goalType, value) => {
+    if (goalType === 'revenue') return `$${Number(value).toFixed(2)}`;
+    if (goalType === 'rating') return Number(value).toFixed(2);
+    return Math.round(value);
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric'
+    });
+  };
+
+  const getTypeLabel = (goalType) => {
+    return GOAL_TYPE_OPTIONS.find(option => option.value === goalType)?.label || goalType;
+  };
+
+  return (
+    <div className="analytics-dashboard">
+      <div className="analytics-header">
+        <div className="header-title">
+          <h1>Goals</h1>
+          <p className="header-subtitle">
+            Set targets and track your progress automatically
+          </p>
+        </div>
+
+        <div className="header-controls">
+          <Link to="/dashboard/provider" className="back-link">
+            ← Back to Dashboard
+          </Link>
+        </div>
+      </div>
+
+      <div className="goals-toolbar">
+        <select
+          value={statusFilter}
+          onChange={(e) => setStatusFilter(e.target.value)}
+          className="period-select"
+        >
+          {STATUS_FILTERS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        {!showForm && (
+          <button className="goal-button-primary" onClick={() => setShowForm(true)}>
+            + New Goal
+          </button>
+        )}
+      </div>
+
+      {showForm && (
+        <form className="goal-form" onSubmit={handleCreate}>
+          <label>
+            Goal type
+            <select name="goalType" value={formData.goalType} onChange={handleInputChange}>
+              {GOAL_TYPE_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Target
+            <input
+              type="number"
+              name="targetValue"
+              min="0"
+              step={formData.goalType === 'rating' ? '0.1' : formData.goalType === 'revenue' ? '0.01' : '1'}
+              max={formData.goalType === 'rating' ? '5' : undefined}
+              value={formData.targetValue}
+              onChange={handleInputChange}
+              required
+            />
+          </label>
+          <label>
+            Start (optional)
+            <input type="date" name="startDate" value={formData.startDate} onChange={handleInputChange} />
+          </label>
+          <label>
+            Deadline
+            <input type="date" name="targetDate" value={formData.targetDate} onChange={handleInputChange} required />
+          </label>
+          <div className="goal-form-actions">
+            <button type="button" className="goal-button-secondary" onClick={() => setShowForm(false)}>
+              Cancel
+            </button>
+            <button type="submit" className="goal-button-primary" disabled={saving}>
+              {saving ? 'Saving...' : 'Save Goal'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {error && <div className="goal-error">{error}</div>}
+
+      {loading ? (
+        <div className="goal-empty">Loading goals...</div>
+      ) : goals.length === 0 ? (
+        <div className="goal-empty">No goals yet. Set one to start tracking your progress.</div>
+      ) : (
+        <div className="goal-grid">
+          {goals.map(goal => (
+            <div key={goal.goalID} className={`goal-card goal-${goal.status}`}>
+              <div className="goal-card-header">
+                <span className="goal-type">{getTypeLabel(goal.goalType)}</span>
+                <span className={`goal-status goal-status-${goal.status}`}>{goal.status}</span>
+              </div>
+
+              <div className="goal-values">
+                <strong>{formatValue(goal.goalType, goal.currentValue)}</strong>
+                <span> / {formatValue(goal.goalType, goal.targetValue)}</span>
+              </div>
+
+              <div className="goal-progress-bar">
+                <div
+                  className={`goal-progress-fill ${goal.progressPercent >= 100 ? 'goal-progress-done' : ''}`}
+                  style={{ width: `${goal.progressPercent}%` }}
+                />
+              </div>
+              <div className="goal-progress-label">{goal.progressPercent}% complete</div>
+
+              <div className="goal-dates">
+                {formatDate(goal.startDate)} – {formatDate(goal.targetDate)}
+                {goal.status === 'active' && <span> · {goal.daysRemaining} days left</span>}
+              </div>
+
+              <div className="goal-actions">
+                {goal.status === 'active' && (
+                  <button className="goal-button-secondary" onClick={() => handleCancelGoal(goal.goalID)}>
+                    Cancel Goal
+                  </button>
+                )}
+                <button className="goal-button-delete" onClick={() => handleDeleteGoal(goal.goalID)}>
+                  Delete
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GoalTracker;
@@ -0,0 +1,226 @@
+import React, { useState, useEffect } from 'react';
+import { maintenanceReminderService } from '../../services/maintenanceReminderService';
+import './MaintenanceReminders.css';
+
+const SERVICE_TYPES = [
+    'Plumbing',
+    'Electrical',
+    'Cleaning',
+    'Carpentry',
+    'Painting',
+    'Gardening',
+    'Appliance Repair',
+    'Other'
+];
+
+const MaintenanceReminders = ({ onRebook }) => {
+    const [reminders, setReminders] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [showForm, setShowForm] = useState(false);
+    const [formData, setFormData] = useState({
+        serviceType: '',
+        lastServiceDate: '',
+        reminderFrequency: 30
+    });
+
+    useEffect(() => {
+        loadReminders();
+    }, []);
+
+    const loadReminders = async () => {
+        try {
+            setLoading(true);
+            setError(null);
+            const response = await maintenanceReminderService.getReminders();
+            if (response.success) {
+                setReminders(response.data.reminders || []);
+            }
+        } catch (err) {
+            setError(err.message || 'Failed to load maintenance reminders');
+            console.error('Error loading maintenance reminders:', err);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleInputChange = (e) => {
+        const { name, value } = e.target;
+        setFormData(prev => ({ ...prev, [name]: value }));
+    };
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        try {
+            const response = await maintenanceReminderService.createReminder({
+                ...formData,
+                reminderFrequency: parseInt(formData.reminderFrequency, 10)
+            });
+            if (response.success) {
+                setShowForm(false);
+                setFormData({ serviceType: '', lastServiceDate: '', reminderFrequency: 30 });
+                loadReminders();
+            }
+        } catch (err) {
+            setError(err.message || 'Failed to create maintenance reminder');
+            console.error('Error creating maintenance reminder:', err);
+        }
+    };
+
+    const handleToggleStatus = async (reminder) => {
+        try {
+            const status = reminder.status === 'Active' ? 'Paused' : 'Active';
+            const response = await maintenanceReminderService.updateReminder(reminder.reminderID, { status });
+            if (response.success) {
+                loadReminders();
+            }
+        } catch (err) {
+            alert(err.message || 'Failed to update maintenance reminder');
+            console.error('Error updating maintenance reminder:', err);
+        }
+    };
+
+    const handleDelete = async (reminderID) => {
+        if (!window.confirm('Delete this maintenance reminder?')) {
+            return;
+        }
+
+        try {
+            const response = await maintenanceReminderService.deleteReminder(reminderID);
+            if (response.success) {
+                loadReminders();
+            }
+        } catch (err) {
+            alert(err.message || 'Failed to delete maintenance reminder');
+            console.error('Error deleting maintenance reminder:', err);
+        }
+    };
+
+    // Pre-fill a new service request from the reminder
+    const handleRebook = (reminder) => {
+        if (onRebook) {
+            onRebook({
+                category: reminder.serviceType,
+                description: reminder.lastRequestDescription || `Routine ${reminder.serviceType.toLowerCase()} maintenance`
+            });
+        }
+    };
+
+    const formatDate = (dateString) => {
+        return new Date(dateString).toLocaleDateString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            year: 'numeric'
+        });
+    };
+
+    const getDaysUntil = (dateString) => {
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        const due = new Date(dateString);
+        due.setHours(0, 0, 0, 0);
+        return Math.round((due - today) / (1000 * 60 * 60 * 24));
+    };
+
+    const renderDueLabel = (reminder) => {
+        const days = getDaysUntil(reminder.nextServiceDate);
+        if (days < 0) return <span className="reminder-due reminder-overdue">Overdue by {-days} days</span>;
+        if (days === 0) return <span className="reminder-due reminder-soon">Due today</span>;
+        return <span className={`reminder-due ${days <= 7 ? 'reminder-soon' : ''}`}>Due in {days} days</span>;
+    };
+
+    return (
+        <div className="maintenance-reminders">
+            <div className="maintenance-reminders-header">
+                <h2>Maintenance Reminders</h2>
+                {!showForm && (
+                    <button className="btn-reminder-primary" onClick={() => setShowForm(true)}>
+                        + Add Reminder
+                    </button>
+                )}
+            </div>
+
+            {showForm && (
+                <form className="reminder-form" onSubmit={handleCreate}>
+                    <select name="serviceType" value={formData.serviceType} onChange={handleInputChange} required>
+                        <option value="">Service type</option>
+                        {SERVICE_TYPES.map(type => (
+                            <option key={type} value={type}>{type}</option>
+                        ))}
+                    </select>
+                    <label>
+                        Last service
+                        <input
+                            type="date"
+                            name="lastServiceDate"
+                            value={formData.lastServiceDate}
+                            onChange={handleInputChange}
+                            required
+                        />
+                    </label>
+                    <label>
+                        Every
+                        <input
+                            type="number"
+                            name="reminderFrequency"
+                            min="1"
+                            value={formData.reminderFrequency}
+                            onChange={handleInputChange}
+                            required
+                        />
+                        days
+                    </label>
+                    <div className="reminder-form-actions">
+                        <button type="button" className="btn-reminder-secondary" onClick={() => setShowForm(false)}>
+                            Cancel
+                        </button>
+                        <button type="submit" className="btn-reminder-primary">Save</button>
+                    </div>
+                </form>
+            )}
+
+            {error && <div className="reminder-error">{error}</div>}
+
+            {loading ? (
+                <div className="reminder-empty">Loading reminders...</div>
+            ) : reminders.length === 0 ? (
+                <div className="reminder-empty">
+                    No reminders yet. Recurring services you complete will show up here.
+                </div>
+            ) : (
+                <ul className="reminder-list">
+                    {reminders.map(reminder => (
+                        <li
+                            key={reminder.reminderID}
+                            className={`reminder-item ${reminder.status !== 'Active' ? 'reminder-paused' : ''}`}
+                        >
+                            <div className="reminder-info">
+                                <strong>{reminder.serviceType}</strong>
+                                <span>
+                                    Next service {formatDate(reminder.nextServiceDate)}
+                                    {reminder.status === 'Active' ? <> · {renderDueLabel(reminder)}</> : ' · Paused'}
+                                </span>
+                                <span className="reminder-meta">
+                                    Every {reminder.reminderFrequency} days · last done {formatDate(reminder.lastServiceDate)}
+                                </span>
+                            </div>
+                            <div className="reminder-actions">
+                                <button className="btn-reminder-primary" onClick={() => handleRebook(reminder)}>
+                                    Book again
+                                </button>
+                                <button className="btn-reminder-secondary" onClick={() => handleToggleStatus(reminder)}>
+                                    {reminder.status === 'Active' ? 'Pause' : 'Resume'}
+                                </button>
+                                <button className="btn-reminder-delete" onClick={() => handleDelete(reminder.reminderID)}>
+                                    Delete
+                                </button>
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default MaintenanceReminders;
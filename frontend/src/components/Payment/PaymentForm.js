@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import { paymentService } from '../../services/paymentService';
+import '../ServiceRequest/CreateServiceRequest.css';
+
+const PAYMENT_METHODS = ['Card', 'Bank Transfer', 'Wallet'];
+
+const PaymentForm = ({ request, onSuccess, onCancel }) => {
+    const [paymentMethod, setPaymentMethod] = useState('Card');
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError(null);
+        setLoading(true);
+
+        try {
+            const initiated = await paymentService.initiatePayment(request.requestID, paymentMethod);
+            if (!initiated.success) {
+                setError(initiated.message || 'Failed to initiate payment');
+                return;
+            }
+
+            const response = await paymentService.confirmPayment(initiated.data.payment.paymentID);
+            if (response.success) {
+                if (onSuccess) {
+                    onSuccess(response.data.payment);
+                }
+            } else {
+                setError(response.message || 'Payment failed');
+            }
+        } catch (err) {
+            const errorMessage = err.message || err.response?.data?.message || 'Payment failed';
+            setError(errorMessage);
+            console.error('Error paying for service request:', err);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className="create-service-request-container">
+            <div className="create-service-request-card">
+                <h2>Pay for {request.category}</h2>
+
+                {error && (
+                    <div className="error-message">
+                        {error}
+                    </div>
+                )}
+
+                <form onSubmit={handleSubmit}>
+                    <div className="form-group">
+                        <label>Amount</label>
+                        <p className="form-help">
+                            ${parseFloat(request.finalPrice || 0).toFixed(2)}
+                            {request.providerName ? ` to ${request.providerName}` : ''}
+                        </p>
+                    </div>
+
+                    <div className="form-group">
+                        <label htmlFor="paymentMethod">Payment Method *</label>
+                        <select
+                            id="paymentMethod"
+                            value={paymentMethod}
+                            onChange={(e) => setPaymentMethod(e.target.value)}
+                            className="form-select"
+                        >
+                            {PAYMENT_METHODS.map(method => (
+                                <option key={method} value={method}>{method}</option>
+                            ))}
+                        </select>
+                        {request.paymentStatus === 'Failed' && (
+                            <small className="form-help">
+                                Your previous payment attempt failed. You can try again.
+                            </small>
+                        )}
+                    </div>
+
+                    <div className="form-actions">
+                        <button
+                            type="button"
+                            onClick={onCancel}
+                            className="btn-cancel"
+                            disabled={loading}
+                        >
+                            Cancel
+                        </button>
+                        <button
+                            type="submit"
+                            className="btn-submit"
+                            disabled={loading}
+                        >
+                            {loading ? 'Processing...' : 'Pay Now'}
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+};
+
+export default PaymentForm;
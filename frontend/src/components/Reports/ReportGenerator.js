@@ -1,8 +1,68 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import reportService from '../../services/reportService';
 import { authService } from '../../services/authService';
 import './Reports.css';
 
+// Service categories offered when creating a request
+const availableCategories = [
+  'Plumbing',
+  'Electrical',
+  'Cleaning',
+  'Carpentry',
+  'Painting',
+  'Gardening',
+  'Appliance Repair',
+  'Moving',
+  'Delivery',
+  'Other'
+];
+
+// Report periods in days - saved templates store the period rather than fixed dates
+const PERIOD_DAYS = {
+  '7days': 7,
+  '30days': 30,
+  '6months': 180,
+  '1year': 365
+};
+
+// Wait this long after the last change before refreshing the live preview
+const PREVIEW_DELAY_MS = 600;
+
+// Saved templates share the card grid with the built-in ones
+const savedTemplateKey = (templateID) => `saved-${templateID}`;
+
+const toDateInput = (date) => date.toISOString().split('T')[0];
+
+// Same buckets the backend uses to turn a date range into a period
+const getPeriodForRange = (startDate, endDate) => {
+  const days = Math.ceil((new Date(endDate) - new Date(startDate)) / (1000 * 60 * 60 * 24));
+  if (days <= 7) return '7days';
+  if (days <= 30) return '30days';
+  if (days <= 180) return '6months';
+  return '1year';
+};
+
+const formatPreviewCell = ({ type, value }) => {
+  if (value === null || value === undefined) return '—';
+
+  switch (type) {
+    case 'currency':
+      return typeof value === 'number'
+        ? `$${value.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+        : value;
+    case 'percent':
+      return typeof value === 'number' ? `${value.toLocaleString(undefined, { maximumFractionDigits: 2 })}%` : value;
+    case 'integer':
+    case 'number':
+      return typeof value === 'number' ? value.toLocaleString(undefined, { maximumFractionDigits: 2 }) : value;
+    case 'date':
+      // Dates arrive as ISO strings - date-only values are UTC midnight
+      return /T00:00:00(\.000)?Z$/.test(value) ? value.slice(0, 10) : new Date(value).toLocaleString();
+    default:
+      return String(value);
+  }
+};
+
 const ReportGenerator = ({ onReportGenerated }) => {
   // Get current user
   const user = authService.getCurrentUser();
@@ -12,38 +72,27 @@ const ReportGenerator = ({ onReportGenerated }) => {
   const [startDate, setStartDate] = useState('');
   const [endDate, setEndDate] = useState('');
   const [format, setFormat] = useState('pdf');
+  const [csvLayout, setCsvLayout] = useState('sections');
   const [selectedMetrics, setSelectedMetrics] = useState([]);
   const [selectedCategories, setSelectedCategories] = useState([]);
   const [selectedTemplate, setSelectedTemplate] = useState('');
 
   // UI state
   const [templates, setTemplates] = useState([]);
+  const [customTemplates, setCustomTemplates] = useState([]);
+  const [metricGroups, setMetricGroups] = useState([]);
   const [loading, setLoading] = useState(false);
   const [generating, setGenerating] = useState(false);
+  const [savingTemplate, setSavingTemplate] = useState(false);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(null);
   const [showPreview, setShowPreview] = useState(false);
   const [validationError, setValidationError] = useState(null);
 
-  // Available metrics for selection
-  const availableMetrics = [
-    { id: 'revenue', label: 'Revenue & Earnings', description: 'Total earnings, trends, and breakdowns' },
-    { id: 'performance', label: 'Performance Metrics', description: 'Completion rate, response time, cancellations' },
-    { id: 'customers', label: 'Customer Analytics', description: 'Customer count, retention, acquisition' },
-    { id: 'ratings', label: 'Ratings & Reviews', description: 'Average ratings, review counts, satisfaction' },
-    { id: 'services', label: 'Service Statistics', description: 'Service volume, popular services, trends' }
-  ];
-
-  // Available categories (would typically come from API)
-  const availableCategories = [
-    { id: 'all', label: 'All Categories' },
-    { id: 'plumbing', label: 'Plumbing' },
-    { id: 'electrical', label: 'Electrical' },
-    { id: 'cleaning', label: 'Cleaning' },
-    { id: 'landscaping', label: 'Landscaping' },
-    { id: 'handyman', label: 'Handyman' },
-    { id: 'hvac', label: 'HVAC' }
-  ];
+  // Live preview state
+  const [livePreview, setLivePreview] = useState(null);
+  const [previewLoading, setPreviewLoading] = useState(false);
+  const [previewError, setPreviewError] = useState(null);
 
   // Available formats
   const availableFormats = reportService.getAvailableFormats();
@@ -54,26 +103,30 @@ const ReportGenerator = ({ onReportGenerated }) => {
     const thirtyDaysAgo = new Date(today);
     thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
 
-    setEndDate(today.toISOString().split('T')[0]);
-    setStartDate(thirtyDaysAgo.toISOString().split('T')[0]);
+    setEndDate(toDateInput(today));
+    setStartDate(toDateInput(thirtyDaysAgo));
   }, []);
 
-  // Fetch templates on mount
+  // Fetch built-in templates, the metric catalog and saved templates on mount
   useEffect(() => {
     const fetchTemplates = async () => {
       try {
         setLoading(true);
-        const response = await reportService.getTemplates();
-        setTemplates(response.templates || []);
+        const [templatesResponse, customResponse] = await Promise.all([
+          reportService.getTemplates(),
+          reportService.getCustomTemplates().catch(err => {
+            console.error('Error fetching saved templates:', err);
+            return null;
+          })
+        ]);
+
+        // The blank custom template is what the metric picker builds
+        setTemplates((templatesResponse.data?.templates || []).filter(t => t.templateID !== 'custom'));
+        setMetricGroups(templatesResponse.data?.availableMetrics || []);
+        setCustomTemplates(customResponse?.data || []);
       } catch (err) {
         console.error('Error fetching templates:', err);
-        // Use default templates if API fails
-        setTemplates([
-          { id: 'monthly-summary', name: 'Monthly Summary', description: 'Overview of monthly performance' },
-          { id: 'tax-report', name: 'Tax Report', description: 'Earnings report for tax purposes' },
-          { id: 'performance-review', name: 'Performance Review', description: 'Detailed performance analysis' },
-          { id: 'client-presentation', name: 'Client Presentation', description: 'Professional summary for clients' }
-        ]);
+        setError('Failed to load report options. Please refresh the page.');
       } finally {
         setLoading(false);
       }
@@ -82,57 +135,195 @@ const ReportGenerator = ({ onReportGenerated }) => {
     fetchTemplates();
   }, []);
 
+  const allMetrics = useMemo(
+    () => metricGroups.flatMap(group => group.metrics),
+    [metricGroups]
+  );
+
+  // Options shared by generation and the live preview
+  const reportOptions = useMemo(() => {
+    const builtIn = templates.find(t => t.templateID === selectedTemplate);
+    const saved = customTemplates.find(t => savedTemplateKey(t.templateID) === selectedTemplate);
+
+    return {
+      providerID,
+      reportType: builtIn ? builtIn.templateID : 'custom',
+      dateRangeStart: startDate,
+      dateRangeEnd: endDate,
+      metrics: builtIn ? undefined : selectedMetrics,
+      filters: { categories: selectedCategories },
+      templateID: saved ? saved.templateID : undefined
+    };
+  }, [providerID, templates, customTemplates, selectedTemplate, startDate, endDate, selectedMetrics, selectedCategories]);
+
+  // Refresh the live preview shortly after the selection settles
+  useEffect(() => {
+    const hasMetrics = reportOptions.reportType !== 'custom' || reportOptions.metrics.length > 0;
+    if (!providerID || !hasMetrics || !reportService.validateDateRange(startDate, endDate).isValid) {
+      setLivePreview(null);
+      setPreviewError(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setPreviewLoading(true);
+      try {
+        const response = await reportService.previewReport(reportOptions);
+        if (!cancelled) {
+          setLivePreview(response.data);
+          setPreviewError(null);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          console.error('Error previewing report:', err);
+          setPreviewError(err.response?.data?.message || 'Preview is unavailable right now');
+        }
+      } finally {
+        if (!cancelled) setPreviewLoading(false);
+      }
+    }, PREVIEW_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [providerID, reportOptions, startDate, endDate]);
+
 
   /**
-   * Handle metric selection toggle
+   * Handle metric selection toggle - a changed selection no longer matches the chosen template
    */
-  const handleMetricToggle = (metricId) => {
+  const handleMetricToggle = (metricID) => {
     setSelectedMetrics(prev => {
-      if (prev.includes(metricId)) {
-        return prev.filter(id => id !== metricId);
+      if (prev.includes(metricID)) {
+        return prev.filter(id => id !== metricID);
       }
-      return [...prev, metricId];
+      return [...prev, metricID];
     });
+    setSelectedTemplate('');
     setValidationError(null);
   };
 
   /**
-   * Handle category selection toggle
+   * Select or clear every metric of a section
    */
-  const handleCategoryToggle = (categoryId) => {
-    if (categoryId === 'all') {
-      setSelectedCategories(['all']);
+  const handleGroupToggle = (group) => {
+    const groupIDs = group.metrics.map(metric => metric.metricID);
+    const allSelected = groupIDs.every(id => selectedMetrics.includes(id));
+
+    setSelectedMetrics(prev => (allSelected
+      ? prev.filter(id => !groupIDs.includes(id))
+      : [...new Set([...prev, ...groupIDs])]));
+    setSelectedTemplate('');
+    setValidationError(null);
+  };
+
+  /**
+   * Handle category selection toggle - no categories means all of them
+   */
+  const handleCategoryToggle = (category) => {
+    if (category === null) {
+      setSelectedCategories([]);
     } else {
-      setSelectedCategories(prev => {
-        const filtered = prev.filter(id => id !== 'all');
-        if (filtered.includes(categoryId)) {
-          return filtered.filter(id => id !== categoryId);
-        }
-        return [...filtered, categoryId];
-      });
+      setSelectedCategories(prev => (prev.includes(category)
+        ? prev.filter(c => c !== category)
+        : [...prev, category]));
     }
     setValidationError(null);
   };
 
   /**
-   * Handle template selection
+   * Handle built-in template selection
    */
-  const handleTemplateSelect = (templateId) => {
-    setSelectedTemplate(templateId);
-    
-    // Pre-fill metrics based on template
-    if (templateId === 'monthly-summary') {
-      setSelectedMetrics(['revenue', 'performance', 'customers']);
-    } else if (templateId === 'tax-report') {
-      setSelectedMetrics(['revenue']);
-    } else if (templateId === 'performance-review') {
-      setSelectedMetrics(['performance', 'ratings', 'services']);
-    } else if (templateId === 'client-presentation') {
-      setSelectedMetrics(['revenue', 'performance', 'ratings']);
+  const handleTemplateSelect = (template) => {
+    setSelectedTemplate(template.templateID);
+    setSelectedMetrics(template.metrics || []);
+    setValidationError(null);
+  };
+
+  /**
+   * Handle saved template selection - restores its metrics, categories and period
+   */
+  const handleSavedTemplateSelect = (template) => {
+    setSelectedTemplate(savedTemplateKey(template.templateID));
+    setSelectedMetrics(template.metrics || []);
+    setSelectedCategories(template.filters?.categories || []);
+
+    if (template.period && PERIOD_DAYS[template.period]) {
+      const today = new Date();
+      const start = new Date(today);
+      start.setDate(start.getDate() - PERIOD_DAYS[template.period]);
+      setStartDate(toDateInput(start));
+      setEndDate(toDateInput(today));
     }
     setValidationError(null);
   };
 
+  /**
+   * Save the current selection as a named template, replacing one with the same name if confirmed
+   */
+  const handleSaveTemplate = async () => {
+    if (selectedMetrics.length === 0) {
+      setValidationError('Please select at least one metric before saving a template');
+      return;
+    }
+
+    const input = window.prompt('Name for this report template:');
+    const name = input?.trim();
+    if (!name) return;
+
+    const existing = customTemplates.find(t => t.name.toLowerCase() === name.toLowerCase());
+    if (existing && !window.confirm(`Replace the saved template "${existing.name}"?`)) return;
+
+    const template = {
+      name,
+      metrics: selectedMetrics,
+      filters: { categories: selectedCategories },
+      period: getPeriodForRange(startDate, endDate)
+    };
+
+    setSavingTemplate(true);
+    setError(null);
+    setSuccess(null);
+
+    try {
+      const response = existing
+        ? await reportService.updateCustomTemplate(existing.templateID, template)
+        : await reportService.saveCustomTemplate(template);
+      const saved = response.data;
+
+      setCustomTemplates(prev => [...prev.filter(t => t.templateID !== saved.templateID), saved]
+        .sort((a, b) => a.name.localeCompare(b.name)));
+      setSelectedTemplate(savedTemplateKey(saved.templateID));
+      setSuccess(`Template "${saved.name}" saved`);
+    } catch (err) {
+      console.error('Error saving template:', err);
+      setError(err.response?.data?.message || 'Failed to save template. Please try again.');
+    } finally {
+      setSavingTemplate(false);
+    }
+  };
+
+  /**
+   * Delete a saved template
+   */
+  const handleDeleteTemplate = async (e, template) => {
+    e.stopPropagation();
+    if (!window.confirm(`Delete the saved template "${template.name}"?`)) return;
+
+    try {
+      await reportService.deleteCustomTemplate(template.templateID);
+      setCustomTemplates(prev => prev.filter(t => t.templateID !== template.templateID));
+      if (selectedTemplate === savedTemplateKey(template.templateID)) {
+        setSelectedTemplate('');
+      }
+    } catch (err) {
+      console.error('Error deleting template:', err);
+      setError(err.response?.data?.message || 'Failed to delete template. Please try again.');
+    }
+  };
+
   /**
    * Validate form before submission
    */
@@ -171,43 +362,36 @@ const ReportGenerator = ({ onReportGenerated }) => {
 
     try {
       const options = {
-        providerID,
-        startDate,
-        endDate,
+        ...reportOptions,
         format,
-        metrics: selectedMetrics,
-        categories: selectedCategories.length > 0 ? selectedCategories : ['all'],
-        templateID: selectedTemplate || undefined
+        csvLayout: format === 'csv' ? csvLayout : undefined
       };
 
       const response = await reportService.generateReport(options);
-      
+      const report = response.data;
+
       setShowPreview(false);
 
-      // Trigger download if URL is provided - show success only after download completes
-      if (response.downloadUrl || response.reportID) {
+      // Trigger download - show success only after download completes
+      if (report?.reportID) {
         const filename = reportService.generateFilename(
-          selectedTemplate || 'custom-report',
+          reportOptions.reportType === 'custom' ? 'custom-report' : reportOptions.reportType,
           startDate,
           endDate,
           format
         );
-        
-        if (response.reportID) {
-          try {
-            await reportService.downloadReportFile(response.reportID, filename);
-            setSuccess('Report generated and downloaded successfully!');
-          } catch (downloadError) {
-            console.error('Download failed:', downloadError);
-            setError('Report was generated but download failed. You can retry from Report History.');
-            // Still notify parent so report appears in history
-            if (onReportGenerated) {
-              onReportGenerated(response);
-            }
-            return;
+
+        try {
+          await reportService.downloadReportFile(report.reportID, filename);
+          setSuccess('Report generated and downloaded successfully!');
+        } catch (downloadError) {
+          console.error('Download failed:', downloadError);
+          setError('Report was generated but download failed. You can retry from Report History.');
+          // Still notify parent so report appears in history
+          if (onReportGenerated) {
+            onReportGenerated(report);
           }
-        } else {
-          setSuccess('Report generated successfully!');
+          return;
         }
       } else {
         setSuccess('Report generated successfully!');
@@ -215,7 +399,7 @@ const ReportGenerator = ({ onReportGenerated }) => {
 
       // Notify parent component
       if (onReportGenerated) {
-        onReportGenerated(response);
+        onReportGenerated(report);
       }
     } catch (err) {
       console.error('Error generating report:', err);
@@ -240,11 +424,20 @@ const ReportGenerator = ({ onReportGenerated }) => {
    */
   const getSelectedMetricsLabels = () => {
     return selectedMetrics.map(id => {
-      const metric = availableMetrics.find(m => m.id === id);
+      const metric = allMetrics.find(m => m.metricID === id);
       return metric?.label || id;
     });
   };
 
+  /**
+   * Name of the chosen template for the preview
+   */
+  const getTemplateName = () => {
+    const builtIn = templates.find(t => t.templateID === selectedTemplate);
+    const saved = customTemplates.find(t => savedTemplateKey(t.templateID) === selectedTemplate);
+    return builtIn?.name || saved?.name || 'Custom Report';
+  };
+
   if (loading) {
     return (
       <div className="report-generator">
@@ -294,23 +487,45 @@ const ReportGenerator = ({ onReportGenerated }) => {
           <div className="template-grid">
             {templates.map(template => (
               <div
-                key={template.id}
-                className={`template-card ${selectedTemplate === template.id ? 'selected' : ''}`}
-                onClick={() => handleTemplateSelect(template.id)}
+                key={template.templateID}
+                className={`template-card ${selectedTemplate === template.templateID ? 'selected' : ''}`}
+                onClick={() => handleTemplateSelect(template)}
               >
                 <div className="template-icon">📄</div>
                 <div className="template-info">
                   <span className="template-name">{template.name}</span>
                   <span className="template-description">{template.description}</span>
                 </div>
-                {selectedTemplate === template.id && (
+                {selectedTemplate === template.templateID && (
                   <span className="template-check">✓</span>
                 )}
               </div>
             ))}
+            {customTemplates.map(template => (
+              <div
+                key={savedTemplateKey(template.templateID)}
+                className={`template-card saved ${selectedTemplate === savedTemplateKey(template.templateID) ? 'selected' : ''}`}
+                onClick={() => handleSavedTemplateSelect(template)}
+              >
+                <div className="template-icon">⭐</div>
+                <div className="template-info">
+                  <span className="template-name">{template.name}</span>
+                  <span className="template-description">
+                    {template.description || `${template.metrics.length} metric${template.metrics.length === 1 ? '' : 's'}`}
+                  </span>
+                </div>
+                <button
+                  className="template-delete"
+                  title="Delete template"
+                  onClick={(e) => handleDeleteTemplate(e, template)}
+                >
+                  ×
+                </button>
+              </div>
+            ))}
           </div>
           {selectedTemplate && (
-            <button 
+            <button
               className="clear-template-btn"
               onClick={() => setSelectedTemplate('')}
             >
@@ -349,7 +564,7 @@ const ReportGenerator = ({ onReportGenerated }) => {
                   setValidationError(null);
                 }}
                 min={startDate || undefined}
-                max={new Date().toISOString().split('T')[0]}
+                max={toDateInput(new Date())}
               />
             </div>
           </div>
@@ -359,29 +574,29 @@ const ReportGenerator = ({ onReportGenerated }) => {
               const today = new Date();
               const weekAgo = new Date(today);
               weekAgo.setDate(weekAgo.getDate() - 7);
-              setStartDate(weekAgo.toISOString().split('T')[0]);
-              setEndDate(today.toISOString().split('T')[0]);
+              setStartDate(toDateInput(weekAgo));
+              setEndDate(toDateInput(today));
             }}>Last 7 Days</button>
             <button onClick={() => {
               const today = new Date();
               const monthAgo = new Date(today);
               monthAgo.setDate(monthAgo.getDate() - 30);
-              setStartDate(monthAgo.toISOString().split('T')[0]);
-              setEndDate(today.toISOString().split('T')[0]);
+              setStartDate(toDateInput(monthAgo));
+              setEndDate(toDateInput(today));
             }}>Last 30 Days</button>
             <button onClick={() => {
               const today = new Date();
               const threeMonthsAgo = new Date(today);
               threeMonthsAgo.setMonth(threeMonthsAgo.getMonth() - 3);
-              setStartDate(threeMonthsAgo.toISOString().split('T')[0]);
-              setEndDate(today.toISOString().split('T')[0]);
+              setStartDate(toDateInput(threeMonthsAgo));
+              setEndDate(toDateInput(today));
             }}>Last 3 Months</button>
             <button onClick={() => {
               const today = new Date();
               const yearAgo = new Date(today);
               yearAgo.setFullYear(yearAgo.getFullYear() - 1);
-              setStartDate(yearAgo.toISOString().split('T')[0]);
-              setEndDate(today.toISOString().split('T')[0]);
+              setStartDate(toDateInput(yearAgo));
+              setEndDate(toDateInput(today));
             }}>Last Year</button>
           </div>
         </div>
@@ -390,49 +605,70 @@ const ReportGenerator = ({ onReportGenerated }) => {
         {/* Metrics Selection */}
         <div className="form-section">
           <h3 className="section-label">Metrics to Include</h3>
-          <p className="section-description">Select the data you want in your report</p>
-          <div className="metrics-grid">
-            {availableMetrics.map(metric => (
-              <div
-                key={metric.id}
-                className={`metric-option ${selectedMetrics.includes(metric.id) ? 'selected' : ''}`}
-                onClick={() => handleMetricToggle(metric.id)}
-              >
-                <div className="metric-checkbox">
-                  {selectedMetrics.includes(metric.id) ? '✓' : ''}
+          <p className="section-description">Pick individual metrics from any section</p>
+          {metricGroups.map(group => {
+            const selectedCount = group.metrics.filter(m => selectedMetrics.includes(m.metricID)).length;
+            return (
+              <div key={group.section} className="metric-group">
+                <div className="metric-group-header">
+                  <span className="metric-group-label">
+                    {group.label} ({selectedCount}/{group.metrics.length})
+                  </span>
+                  <button className="metric-group-toggle" onClick={() => handleGroupToggle(group)}>
+                    {selectedCount === group.metrics.length ? 'Clear all' : 'Select all'}
+                  </button>
                 </div>
-                <div className="metric-details">
-                  <span className="metric-name">{metric.label}</span>
-                  <span className="metric-desc">{metric.description}</span>
+                <div className="metrics-grid">
+                  {group.metrics.map(metric => (
+                    <div
+                      key={metric.metricID}
+                      className={`metric-option ${selectedMetrics.includes(metric.metricID) ? 'selected' : ''}`}
+                      onClick={() => handleMetricToggle(metric.metricID)}
+                    >
+                      <div className="metric-checkbox">
+                        {selectedMetrics.includes(metric.metricID) ? '✓' : ''}
+                      </div>
+                      <div className="metric-details">
+                        <span className="metric-name">{metric.label}</span>
+                        <span className="metric-desc">{metric.description}</span>
+                      </div>
+                    </div>
+                  ))}
                 </div>
               </div>
-            ))}
-          </div>
+            );
+          })}
+          <button
+            className="clear-template-btn"
+            onClick={handleSaveTemplate}
+            disabled={savingTemplate || selectedMetrics.length === 0}
+          >
+            {savingTemplate ? 'Saving template...' : 'Save selection as template'}
+          </button>
         </div>
 
         {/* Category Selection */}
         <div className="form-section">
           <h3 className="section-label">Service Categories</h3>
-          <p className="section-description">Filter by specific service categories</p>
+          <p className="section-description">Limit category breakdowns to specific service categories</p>
           <div className="categories-grid">
+            <div
+              className={`category-option ${selectedCategories.length === 0 ? 'selected' : ''}`}
+              onClick={() => handleCategoryToggle(null)}
+            >
+              <span className="category-checkbox">{selectedCategories.length === 0 ? '✓' : ''}</span>
+              <span className="category-name">All Categories</span>
+            </div>
             {availableCategories.map(category => (
               <div
-                key={category.id}
-                className={`category-option ${
-                  selectedCategories.includes(category.id) || 
-                  (selectedCategories.length === 0 && category.id === 'all') 
-                    ? 'selected' 
-                    : ''
-                }`}
-                onClick={() => handleCategoryToggle(category.id)}
+                key={category}
+                className={`category-option ${selectedCategories.includes(category) ? 'selected' : ''}`}
+                onClick={() => handleCategoryToggle(category)}
               >
                 <span className="category-checkbox">
-                  {selectedCategories.includes(category.id) || 
-                   (selectedCategories.length === 0 && category.id === 'all') 
-                    ? '✓' 
-                    : ''}
+                  {selectedCategories.includes(category) ? '✓' : ''}
                 </span>
-                <span className="category-name">{category.label}</span>
+                <span className="category-name">{category}</span>
               </div>
             ))}
           </div>
@@ -458,6 +694,72 @@ const ReportGenerator = ({ onReportGenerated }) => {
               </div>
             ))}
           </div>
+          {format === 'csv' && (
+            <div className="csv-layout-options">
+              {reportService.getCsvLayouts().map(layout => (
+                <label key={layout.value} className="csv-layout-option">
+                  <input
+                    type="radio"
+                    name="csvLayout"
+                    value={layout.value}
+                    checked={csvLayout === layout.value}
+                    onChange={(e) => setCsvLayout(e.target.value)}
+                  />
+                  {layout.label}
+                </label>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Live Preview */}
+        <div className="form-section">
+          <h3 className="section-label">
+            Live Preview
+            {previewLoading && <span className="live-preview-status">Updating...</span>}
+          </h3>
+          <p className="section-description">The first rows of each table, refreshed as you change the selection</p>
+          {previewError && <p className="live-preview-empty">{previewError}</p>}
+          {!previewError && !livePreview && (
+            <p className="live-preview-empty">Select at least one metric to see a preview</p>
+          )}
+          {!previewError && livePreview && (
+            <div className="live-preview">
+              {livePreview.sections.filter(section => section.name !== 'Summary').map(section => (
+                <div key={section.name} className="live-preview-section">
+                  <h4>{section.name}</h4>
+                  {section.tables.map(table => (
+                    <div key={table.title} className="live-preview-table">
+                      <span className="live-preview-table-title">{table.title}</span>
+                      {table.rows.length === 0 ? (
+                        <p className="live-preview-empty">No data for this period</p>
+                      ) : (
+                        <table>
+                          <thead>
+                            <tr>
+                              {table.columns.map(column => <th key={column.header}>{column.header}</th>)}
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {table.rows.map((row, rowIndex) => (
+                              <tr key={rowIndex}>
+                                {row.map((cell, cellIndex) => <td key={cellIndex}>{formatPreviewCell(cell)}</td>)}
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      )}
+                      {table.totalRows > table.rows.length && (
+                        <span className="live-preview-more">
+                          +{table.totalRows - table.rows.length} more rows in the report
+                        </span>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              ))}
+            </div>
+          )}
         </div>
 
         {/* Action Buttons */}
@@ -467,7 +769,7 @@ const ReportGenerator = ({ onReportGenerated }) => {
             onClick={handlePreview}
             disabled={generating}
           >
-            Preview Report
+            Review Report
           </button>
           <button
             className="generate-button"
@@ -497,11 +799,7 @@ const ReportGenerator = ({ onReportGenerated }) => {
             <div className="preview-content">
               <div className="preview-section">
                 <span className="preview-label">Report Type:</span>
-                <span className="preview-value">
-                  {selectedTemplate 
-                    ? templates.find(t => t.id === selectedTemplate)?.name 
-                    : 'Custom Report'}
-                </span>
+                <span className="preview-value">{getTemplateName()}</span>
               </div>
               <div className="preview-section">
                 <span className="preview-label">Date Range:</span>
@@ -522,11 +820,9 @@ const ReportGenerator = ({ onReportGenerated }) => {
               <div className="preview-section">
                 <span className="preview-label">Categories:</span>
                 <span className="preview-value">
-                  {selectedCategories.length === 0 || selectedCategories.includes('all')
+                  {selectedCategories.length === 0
                     ? 'All Categories'
-                    : selectedCategories.map(id => 
-                        availableCategories.find(c => c.id === id)?.label
-                      ).join(', ')}
+                    : selectedCategories.join(', ')}
                 </span>
               </div>
             </div>
@@ -534,8 +830,8 @@ const ReportGenerator = ({ onReportGenerated }) => {
               <button className="cancel-button" onClick={() => setShowPreview(false)}>
                 Cancel
               </button>
-              <button 
-                className="confirm-generate-button" 
+              <button
+                className="confirm-generate-button"
                 onClick={handleGenerate}
                 disabled={generating}
               >
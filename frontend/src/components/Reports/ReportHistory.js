@@ -12,9 +12,20 @@ const ReportHistory = () => {
   const [activeTab, setActiveTab] = useState('history');
   const [reports, setReports] = useState([]);
   const [scheduledReports, setScheduledReports] = useState([]);
+  const [storage, setStorage] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [downloading, setDownloading] = useState(null);
+  const [emailing, setEmailing] = useState(null);
+
+  // Share links: the report being shared, the link just created, and the expanded link list
+  const [shareReport, setShareReport] = useState(null);
+  const [shareForm, setShareForm] = useState({ label: '', expiresInHours: 72, singleUse: false });
+  const [createdLink, setCreatedLink] = useState(null);
+  const [sharing, setSharing] = useState(false);
+  const [expandedLinks, setExpandedLinks] = useState(null);
+  const [shareLinks, setShareLinks] = useState([]);
+  const [linksLoading, setLinksLoading] = useState(false);
   
   // Pagination
   const [currentPage, setCurrentPage] = useState(1);
@@ -24,20 +35,25 @@ const ReportHistory = () => {
   // Schedule modal state
   const [showScheduleModal, setShowScheduleModal] = useState(false);
   const [scheduleForm, setScheduleForm] = useState({
-    reportType: 'monthly-summary',
+    reportType: 'comprehensive',
     frequency: 'weekly',
     format: 'pdf',
-    emailRecipients: []
+    emailRecipients: [],
+    emailDelivery: 'attachment'
   });
   const [newEmail, setNewEmail] = useState('');
   const [saving, setSaving] = useState(false);
 
+  // Saved custom templates can be scheduled like the built-in report types
+  const [customTemplates, setCustomTemplates] = useState([]);
+
   // Available report types for scheduling
   const reportTypes = [
-    { value: 'monthly-summary', label: 'Monthly Summary' },
-    { value: 'tax-report', label: 'Tax Report' },
-    { value: 'performance-review', label: 'Performance Review' },
-    { value: 'client-presentation', label: 'Client Presentation' }
+    { value: 'comprehensive', label: 'Comprehensive Analytics' },
+    { value: 'revenue', label: 'Revenue Analytics' },
+    { value: 'performance', label: 'Performance Metrics' },
+    { value: 'customer', label: 'Customer Analytics' },
+    ...customTemplates.map(template => ({ value: `saved-${template.templateID}`, label: `Saved: ${template.name}` }))
   ];
 
   // Available frequencies
@@ -46,6 +62,12 @@ const ReportHistory = () => {
   // Available formats
   const formats = reportService.getAvailableFormats();
 
+  // Ways to email a report
+  const deliveryMethods = reportService.getEmailDeliveryMethods();
+
+  // Lifetimes offered for share links
+  const linkExpiryOptions = reportService.getShareLinkExpiryOptions();
+
   /**
    * Fetch report history
    */
@@ -61,8 +83,9 @@ const ReportHistory = () => {
         limit: reportsPerPage
       });
 
-      setReports(response.reports || []);
-      setTotalPages(response.totalPages || 1);
+      setReports(response.data?.reports || []);
+      setTotalPages(response.data?.pagination?.totalPages || 1);
+      setStorage(response.data?.storage || null);
     } catch (err) {
       console.error('Error fetching report history:', err);
       setError('Failed to load report history. Please try again.');
@@ -72,23 +95,18 @@ const ReportHistory = () => {
   }, [providerID, currentPage]);
 
   /**
-   * Fetch scheduled reports (mock data for now)
+   * Fetch active schedules with the outcome of their last run
    */
   const fetchScheduledReports = useCallback(async () => {
-    // In a real implementation, this would call an API
-    // For now, use mock data
-    setScheduledReports([
-      {
-        id: 1,
-        reportType: 'monthly-summary',
-        reportName: 'Monthly Summary',
-        frequency: 'monthly',
-        format: 'pdf',
-        nextRun: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(),
-        emailRecipients: ['provider@example.com']
-      }
-    ]);
-  }, []);
+    if (!providerID) return;
+
+    try {
+      const response = await reportService.getReportHistory(providerID, { limit: 1 });
+      setScheduledReports(response.data?.scheduledReports || []);
+    } catch (err) {
+      console.error('Error fetching scheduled reports:', err);
+    }
+  }, [providerID]);
 
   // Fetch data on mount and when page changes
   useEffect(() => {
@@ -96,6 +114,20 @@ const ReportHistory = () => {
     fetchScheduledReports();
   }, [fetchReportHistory, fetchScheduledReports]);
 
+  // Fetch saved templates for the schedule modal
+  useEffect(() => {
+    const fetchCustomTemplates = async () => {
+      try {
+        const response = await reportService.getCustomTemplates();
+        setCustomTemplates(response.data || []);
+      } catch (err) {
+        console.error('Error fetching saved templates:', err);
+      }
+    };
+
+    fetchCustomTemplates();
+  }, []);
+
   /**
    * Handle report download
    */
@@ -105,8 +137,8 @@ const ReportHistory = () => {
       
       const filename = reportService.generateFilename(
         report.reportType || 'report',
-        report.startDate,
-        report.endDate,
+        report.dateRange?.start,
+        report.dateRange?.end,
         report.format
       );
 
@@ -119,6 +151,150 @@ const ReportHistory = () => {
     }
   };
 
+  /**
+   * Handle pinning or unpinning a report so cleanup keeps it
+   */
+  const handleTogglePin = async (report) => {
+    try {
+      await reportService.setReportPinned(report.reportID, !report.isPinned);
+      setReports(prev => prev.map(r => (
+        r.reportID === report.reportID ? { ...r, isPinned: !report.isPinned } : r
+      )));
+    } catch (err) {
+      console.error('Error updating report:', err);
+      setError(err.response?.data?.message || 'Failed to update report. Please try again.');
+    }
+  };
+
+  /**
+   * Handle deleting a report to free storage
+   */
+  const handleDeleteReport = async (report) => {
+    if (!window.confirm('Delete this report permanently?')) return;
+
+    try {
+      await reportService.deleteReport(report.reportID);
+      await fetchReportHistory();
+    } catch (err) {
+      console.error('Error deleting report:', err);
+      setError('Failed to delete report. Please try again.');
+    }
+  };
+
+  /**
+   * Handle emailing a report to one or more addresses
+   */
+  const handleEmailReport = async (report) => {
+    const input = window.prompt('Email this report to (separate addresses with commas):');
+    if (!input) return;
+
+    const recipients = input.split(',').map(email => email.trim()).filter(Boolean);
+    if (recipients.length === 0) return;
+
+    try {
+      setEmailing(report.reportID);
+      const response = await reportService.emailReport(report.reportID, recipients);
+      const failed = (response.data?.deliveries || []).filter(delivery => delivery.status === 'failed');
+      alert(failed.length === 0
+        ? response.message
+        : `${response.message}. Failed: ${failed.map(delivery => delivery.recipient).join(', ')}`);
+    } catch (err) {
+      console.error('Error emailing report:', err);
+      alert(err.response?.data?.message || 'Failed to email report. Please try again.');
+    } finally {
+      setEmailing(null);
+    }
+  };
+
+  /**
+   * Load the share links of a report with their access log
+   */
+  const fetchShareLinks = async (reportID) => {
+    try {
+      setLinksLoading(true);
+      const response = await reportService.getShareLinks(reportID);
+      setShareLinks(response.data?.links || []);
+    } catch (err) {
+      console.error('Error fetching share links:', err);
+      setError('Failed to load share links. Please try again.');
+    } finally {
+      setLinksLoading(false);
+    }
+  };
+
+  /**
+   * Show or hide the share links of a report
+   */
+  const handleToggleLinks = (report) => {
+    if (expandedLinks === report.reportID) {
+      setExpandedLinks(null);
+      return;
+    }
+    setExpandedLinks(report.reportID);
+    setShareLinks([]);
+    fetchShareLinks(report.reportID);
+  };
+
+  /**
+   * Open the share modal for a report
+   */
+  const handleOpenShare = (report) => {
+    setShareReport(report);
+    setShareForm({ label: '', expiresInHours: 72, singleUse: false });
+    setCreatedLink(null);
+  };
+
+  /**
+   * Create a share link for people without an account
+   */
+  const handleCreateShareLink = async () => {
+    try {
+      setSharing(true);
+      const response = await reportService.createShareLink(shareReport.reportID, {
+        label: shareForm.label.trim() || undefined,
+        expiresInHours: shareForm.expiresInHours,
+        singleUse: shareForm.singleUse
+      });
+      setCreatedLink(response.data);
+
+      if (expandedLinks === shareReport.reportID) {
+        await fetchShareLinks(shareReport.reportID);
+      }
+    } catch (err) {
+      console.error('Error creating share link:', err);
+      alert(err.response?.data?.message || 'Failed to create share link. Please try again.');
+    } finally {
+      setSharing(false);
+    }
+  };
+
+  /**
+   * Copy a share link to the clipboard
+   */
+  const handleCopyLink = async (url) => {
+    try {
+      await navigator.clipboard.writeText(url);
+    } catch (err) {
+      console.error('Error copying link:', err);
+      window.prompt('Copy this link:', url);
+    }
+  };
+
+  /**
+   * Revoke a share link so it stops working immediately
+   */
+  const handleRevokeLink = async (reportID, link) => {
+    if (!window.confirm(`Revoke this link${link.label ? ` for ${link.label}` : ''}? It will stop working immediately.`)) return;
+
+    try {
+      await reportService.revokeShareLink(reportID, link.linkID);
+      await fetchShareLinks(reportID);
+    } catch (err) {
+      console.error('Error revoking share link:', err);
+      setError(err.response?.data?.message || 'Failed to revoke share link. Please try again.');
+    }
+  };
+
   /**
    * Get icon for report format
    */
@@ -186,9 +362,13 @@ const ReportHistory = () => {
     try {
       setSaving(true);
 
+      // Saved templates run as custom reports
+      const savedTemplate = scheduleForm.reportType.startsWith('saved-');
       await reportService.scheduleReport({
         providerID,
-        ...scheduleForm
+        ...scheduleForm,
+        reportType: savedTemplate ? 'custom' : scheduleForm.reportType,
+        templateID: savedTemplate ? parseInt(scheduleForm.reportType.replace('saved-', ''), 10) : undefined
       });
 
       // Refresh scheduled reports
@@ -196,15 +376,16 @@ const ReportHistory = () => {
       
       // Reset form and close modal
       setScheduleForm({
-        reportType: 'monthly-summary',
+        reportType: 'comprehensive',
         frequency: 'weekly',
         format: 'pdf',
-        emailRecipients: []
+        emailRecipients: [],
+        emailDelivery: 'attachment'
       });
       setShowScheduleModal(false);
     } catch (err) {
       console.error('Error scheduling report:', err);
-      setError('Failed to schedule report. Please try again.');
+      setError(err.response?.data?.message || 'Failed to schedule report. Please try again.');
     } finally {
       setSaving(false);
     }
@@ -216,7 +397,7 @@ const ReportHistory = () => {
   const handleCancelSchedule = async (scheduleID) => {
     try {
       await reportService.cancelScheduledReport(scheduleID);
-      setScheduledReports(prev => prev.filter(s => s.id !== scheduleID));
+      setScheduledReports(prev => prev.filter(s => s.scheduleID !== scheduleID));
     } catch (err) {
       console.error('Error canceling schedule:', err);
       setError('Failed to cancel scheduled report. Please try again.');
@@ -254,6 +435,22 @@ const ReportHistory = () => {
         </div>
       </div>
 
+      {/* Storage quota */}
+      {storage && (
+        <div className="storage-usage">
+          <div className="storage-usage-label">
+            Storage: {storage.usedBytes ? formatFileSize(storage.usedBytes) : '0 B'} of {formatFileSize(storage.quotaBytes)} used
+            · Unpinned reports are removed after {storage.retentionDays} days
+          </div>
+          <div className="storage-usage-bar">
+            <div
+              className={`storage-usage-fill ${storage.usedPercent >= 90 ? 'storage-usage-full' : ''}`}
+              style={{ width: `${Math.min(storage.usedPercent, 100)}%` }}
+            />
+          </div>
+        </div>
+      )}
+
       {/* Error Message */}
       {error && (
         <div className="report-message error">
@@ -291,37 +488,126 @@ const ReportHistory = () => {
             <>
               <div className="report-list">
                 {reports.map(report => (
-                  <div key={report.reportID} className="report-item">
-                    <div className="report-info">
-                      <span className="report-icon">
-                        {getFormatIcon(report.format)}
-                      </span>
-                      <div className="report-details">
-                        <h4 className="report-name">
-                          {report.reportName || report.reportType || 'Custom Report'}
-                        </h4>
-                        <div className="report-meta">
-                          <span className="report-date">
-                            📅 {formatDate(report.createdAt)}
-                          </span>
-                          <span className="report-format">
-                            {reportService.getFormatLabel(report.format)}
-                          </span>
-                          <span className="report-size">
-                            {formatFileSize(report.fileSize)}
-                          </span>
+                  <div key={report.reportID} className="report-entry">
+                    <div className="report-item">
+                      <div className="report-info">
+                        <span className="report-icon">
+                          {getFormatIcon(report.format)}
+                        </span>
+                        <div className="report-details">
+                          <h4 className="report-name">
+                            {report.template?.name || report.reportType || 'Custom Report'}
+                            {report.isPinned && <span className="report-pinned">📌 Pinned</span>}
+                            {report.isExpired && <span className="report-expired">Expired</span>}
+                          </h4>
+                          <div className="report-meta">
+                            <span className="report-date">
+                              📅 {formatDate(report.generatedAt)}
+                            </span>
+                            <span className="report-format">
+                              {reportService.getFormatLabel(report.format)}
+                            </span>
+                            <span className="report-size">
+                              {formatFileSize(report.fileSize)}
+                            </span>
+                          </div>
                         </div>
                       </div>
+                      <div className="report-actions">
+                        {report.isAvailable && (
+                          <>
+                            <button
+                              className="download-button"
+                              onClick={() => handleDownload(report)}
+                              disabled={downloading === report.reportID}
+                            >
+                              {downloading === report.reportID ? 'Downloading...' : '⬇️ Download'}
+                            </button>
+                            <button
+                              className="download-button"
+                              onClick={() => handleEmailReport(report)}
+                              disabled={emailing === report.reportID}
+                            >
+                              {emailing === report.reportID ? 'Sending...' : '✉️ Email'}
+                            </button>
+                            <button
+                              className="download-button"
+                              onClick={() => handleOpenShare(report)}
+                            >
+                              🔗 Share
+                            </button>
+                            <button
+                              className="download-button"
+                              onClick={() => handleTogglePin(report)}
+                            >
+                              {report.isPinned ? 'Unpin' : '📌 Pin'}
+                            </button>
+                          </>
+                        )}
+                        <button
+                          className="download-button"
+                          onClick={() => handleToggleLinks(report)}
+                        >
+                          {expandedLinks === report.reportID ? 'Hide Links' : 'Links'}
+                        </button>
+                        <button
+                          className="delete-button"
+                          onClick={() => handleDeleteReport(report)}
+                        >
+                          Delete
+                        </button>
+                      </div>
                     </div>
-                    <div className="report-actions">
-                      <button
-                        className="download-button"
-                        onClick={() => handleDownload(report)}
-                        disabled={downloading === report.reportID}
-                      >
-                        {downloading === report.reportID ? 'Downloading...' : '⬇️ Download'}
-                      </button>
-                    </div>
+
+                    {/* Share links and who opened them */}
+                    {expandedLinks === report.reportID && (
+                      <div className="share-links">
+                        {linksLoading && <p className="share-links-empty">Loading links...</p>}
+                        {!linksLoading && shareLinks.length === 0 && (
+                          <p className="share-links-empty">This report has not been shared by link yet</p>
+                        )}
+                        {!linksLoading && shareLinks.map(link => (
+                          <div key={link.linkID} className="share-link">
+                            <div className="share-link-header">
+                              <span className="share-link-label">
+                                {link.label || 'Unnamed link'}
+                                {link.source === 'email' && ' (emailed)'}
+                              </span>
+                              <span className={`share-link-status share-link-${link.status}`}>{link.status}</span>
+                              <span className="share-link-meta">
+                                {link.singleUse ? 'Single use' : `${link.useCount} download${link.useCount === 1 ? '' : 's'}`}
+                                {' · '}
+                                {link.status === 'revoked'
+                                  ? `Revoked ${formatDate(link.revokedAt)}`
+                                  : `Expires ${formatDate(link.expiresAt)}`}
+                              </span>
+                              {link.status === 'active' && (
+                                <button
+                                  className="delete-button"
+                                  onClick={() => handleRevokeLink(report.reportID, link)}
+                                >
+                                  Revoke
+                                </button>
+                              )}
+                            </div>
+                            {link.accesses.length > 0 ? (
+                              <ul className="share-link-accesses">
+                                {link.accesses.map(access => (
+                                  <li key={access.accessID}>
+                                    <span className={`share-access-${access.outcome}`}>{access.outcome}</span>
+                                    {' '}{formatDate(access.accessedAt)}
+                                    {access.ipAddress && ` · ${access.ipAddress}`}
+                                    {access.userAgent && <span className="share-access-agent"> · {access.userAgent}</span>}
+                                  </li>
+                                ))}
+                              </ul>
+                            ) : (
+                              <p className="share-links-empty">Not opened yet</p>
+                            )}
+                          </div>
+                        ))}
+                      </div>
+                    )}
                   </div>
                 ))}
               </div>
@@ -365,25 +651,37 @@ const ReportHistory = () => {
           ) : (
             <div className="scheduled-list">
               {scheduledReports.map(schedule => (
-                <div key={schedule.id} className="scheduled-item">
+                <div key={schedule.scheduleID} className="scheduled-item">
                   <div className="scheduled-info">
                     <span className="scheduled-icon">🔄</span>
                     <div className="scheduled-details">
-                      <h4 className="scheduled-name">{schedule.reportName}</h4>
+                      <h4 className="scheduled-name">
+                        {schedule.reportType} report ({schedule.format?.toUpperCase()})
+                      </h4>
                       <div className="scheduled-meta">
                         <span className="frequency-badge">
                           {reportService.getFrequencyLabel(schedule.frequency)}
                         </span>
                         <span className="next-run">
-                          Next: {formatDate(schedule.nextRun)}
+                          Next: {formatDate(schedule.retryAt || schedule.nextRunDate)}
                         </span>
+                        {schedule.lastRunStatus && (
+                          <span className={`run-status run-status-${schedule.lastRunStatus}`}>
+                            {schedule.lastRunStatus === 'success' && `Last run ${formatDate(schedule.lastRunDate)}`}
+                            {schedule.lastRunStatus === 'retrying' && `Retrying (attempt ${schedule.failureCount + 1})`}
+                            {schedule.lastRunStatus === 'failed' && 'Last run failed'}
+                          </span>
+                        )}
                       </div>
+                      {schedule.lastRunStatus !== 'success' && schedule.lastError && (
+                        <div className="run-error">{schedule.lastError}</div>
+                      )}
                     </div>
                   </div>
                   <div className="scheduled-actions">
                     <button
                       className="cancel-schedule-button"
-                      onClick={() => handleCancelSchedule(schedule.id)}
+                      onClick={() => handleCancelSchedule(schedule.scheduleID)}
                     >
                       Cancel
                     </button>
@@ -483,6 +781,22 @@ const ReportHistory = () => {
                   </div>
                 )}
               </div>
+
+              {scheduleForm.emailRecipients.length > 0 && (
+                <div className="schedule-form-group">
+                  <label>Email Delivery</label>
+                  <select
+                    value={scheduleForm.emailDelivery}
+                    onChange={(e) => setScheduleForm(prev => ({ ...prev, emailDelivery: e.target.value }))}
+                  >
+                    {deliveryMethods.map(method => (
+                      <option key={method.value} value={method.value}>
+                        {method.label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
             </div>
 
             <div className="schedule-modal-actions">
@@ -503,6 +817,94 @@ const ReportHistory = () => {
           </div>
         </div>
       )}
+
+      {/* Share Link Modal */}
+      {shareReport && (
+        <div className="schedule-modal-overlay" onClick={() => setShareReport(null)}>
+          <div className="schedule-modal" onClick={(e) => e.stopPropagation()}>
+            <div className="schedule-modal-header">
+              <h3>Share Report</h3>
+              <button className="close-modal" onClick={() => setShareReport(null)}>
+                ×
+              </button>
+            </div>
+
+            {createdLink ? (
+              <div className="schedule-form">
+                <div className="schedule-form-group">
+                  <label>Download Link</label>
+                  <input type="text" value={createdLink.url} readOnly onFocus={(e) => e.target.select()} />
+                </div>
+                <p className="share-link-note">
+                  Anyone with this link can download the report until {formatDate(createdLink.expiresAt)}
+                  {createdLink.singleUse && ', once'}. You can revoke it from the report's links.
+                </p>
+              </div>
+            ) : (
+              <div className="schedule-form">
+                <div className="schedule-form-group">
+                  <label>Shared With (optional)</label>
+                  <input
+                    type="text"
+                    placeholder="e.g. My accountant"
+                    value={shareForm.label}
+                    maxLength={255}
+                    onChange={(e) => setShareForm(prev => ({ ...prev, label: e.target.value }))}
+                  />
+                </div>
+
+                <div className="schedule-form-group">
+                  <label>Link Expires After</label>
+                  <select
+                    value={shareForm.expiresInHours}
+                    onChange={(e) => setShareForm(prev => ({ ...prev, expiresInHours: parseInt(e.target.value, 10) }))}
+                  >
+                    {linkExpiryOptions.map(option => (
+                      <option key={option.value} value={option.value}>
+                        {option.label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                <label className="share-single-use">
+                  <input
+                    type="checkbox"
+                    checked={shareForm.singleUse}
+                    onChange={(e) => setShareForm(prev => ({ ...prev, singleUse: e.target.checked }))}
+                  />
+                  Allow only one download
+                </label>
+              </div>
+            )}
+
+            <div className="schedule-modal-actions">
+              <button
+                className="cancel-modal-button"
+                onClick={() => setShareReport(null)}
+              >
+                {createdLink ? 'Close' : 'Cancel'}
+              </button>
+              {createdLink ? (
+                <button
+                  className="save-schedule-button"
+                  onClick={() => handleCopyLink(createdLink.url)}
+                >
+                  Copy Link
+                </button>
+              ) : (
+                <button
+                  className="save-schedule-button"
+                  onClick={handleCreateShareLink}
+                  disabled={sharing}
+                >
+                  {sharing ? 'Creating...' : 'Create Link'}
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
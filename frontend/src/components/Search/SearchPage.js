@@ -0,0 +1,334 @@
+import React, { useState } from 'react';
+import { useNavigate, Link } from 'react-router-dom';
+import { authService } from '../../services/authService';
+import { searchService } from '../../services/searchService';
+import '../Dashboard/Dashboard.css';
+import '../ServiceRequest/CreateServiceRequest.css';
+import '../ServiceRequest/ServiceRequestList.css';
+import './Search.css';
+
+const CATEGORIES = [
+    'Plumbing',
+    'Electrical',
+    'Cleaning',
+    'Carpentry',
+    'Painting',
+    'Gardening',
+    'Appliance Repair',
+    'Moving',
+    'Delivery',
+    'Other'
+];
+
+const RESULT_TYPES = [
+    { value: 'requests', label: 'Service Requests' },
+    { value: 'bundles', label: 'Bundles' },
+    { value: 'providers', label: 'Providers' }
+];
+
+// Same badge classes as the request list
+const STATUS_CLASSES = {
+    'Pending': 'status-pending',
+    'Accepted': 'status-accepted',
+    'In Progress': 'status-ongoing',
+    'Completed': 'status-completed',
+    'Cancelled': 'status-cancelled',
+    'Rejected': 'status-rejected'
+};
+
+const EMPTY_FILTERS = { category: '', minPrice: '', maxPrice: '', minRating: '' };
+
+/**
+ * Render highlight segments from the search API, marking the matched words
+ */
+const Highlighted = ({ segments, fallback }) => {
+    if (!segments) return fallback || null;
+    return segments.map((segment, index) => (
+        segment.match
+            ? <mark key={index}>{segment.text}</mark>
+            : <React.Fragment key={index}>{segment.text}</React.Fragment>
+    ));
+};
+
+const formatRating = (rating) => (rating ? `★ ${rating.toFixed(1)}` : 'No ratings yet');
+
+const SearchPage = () => {
+    const navigate = useNavigate();
+    const user = authService.getCurrentUser();
+    const dashboardPath = user?.role === 'Provider' ? '/dashboard/provider' : '/dashboard/customer';
+
+    const [query, setQuery] = useState('');
+    const [types, setTypes] = useState(RESULT_TYPES.map(type => type.value));
+    const [filters, setFilters] = useState(EMPTY_FILTERS);
+    const [results, setResults] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    const handleLogout = async () => {
+        await authService.logout();
+        navigate('/login');
+    };
+
+    const handleFilterChange = (e) => {
+        const { name, value } = e.target;
+        setFilters(prev => ({ ...prev, [name]: value }));
+    };
+
+    const toggleType = (type) => {
+        setTypes(prev => (prev.includes(type) ? prev.filter(t => t !== type) : [...prev, type]));
+    };
+
+    /**
+     * Run the search with the current text, result types and filters
+     */
+    const handleSearch = async (e) => {
+        e.preventDefault();
+
+        if (!query.trim()) {
+            setError('Enter something to search for');
+            return;
+        }
+        if (types.length === 0) {
+            setError('Choose at least one kind of result');
+            return;
+        }
+
+        setLoading(true);
+        setError(null);
+        try {
+            const response = await searchService.search(query.trim(), {
+                ...filters,
+                types: types.join(',')
+            });
+            if (response.success) {
+                setResults(response.data);
+            }
+        } catch (err) {
+            setError(err.message || 'Search failed');
+            setResults(null);
+            console.error('Error searching:', err);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const renderRequests = (requests) => (
+        <div className="search-group">
+            <h3>Service Requests ({requests.length})</h3>
+            {requests.map(request => (
+                <div key={request.requestID} className="search-result">
+                    <div className="search-result-header">
+                        <span className="search-result-title">{request.category}</span>
+                        <span className={`status-badge ${STATUS_CLASSES[request.status] || 'status-default'}`}>
+                            {request.status}
+                        </span>
+                    </div>
+                    <p className="search-snippet">
+                        <Highlighted segments={request.highlights.description} fallback={request.description} />
+                    </p>
+                    <div className="search-result-meta">
+                        {request.city && <span>{request.city}</span>}
+                        {request.providerName && <span>Provider: {request.providerName}</span>}
+                        {request.finalPrice !== null && <span>${request.finalPrice.toFixed(2)}</span>}
+                        <span>Requested {new Date(request.createdAt).toLocaleDateString()}</span>
+                    </div>
+                </div>
+            ))}
+        </div>
+    );
+
+    const renderBundles = (bundles) => (
+        <div className="search-group">
+            <h3>Bundles ({bundles.length})</h3>
+            {bundles.map(bundle => (
+                <div key={bundle.bundleID} className="search-result">
+                    <div className="search-result-header">
+                        <span className="search-result-title">
+                            <Highlighted segments={bundle.highlights.bundleName} fallback={bundle.bundleName} />
+                        </span>
+                        <span className="search-price">${bundle.price.toFixed(2)}</span>
+                    </div>
+                    {bundle.highlights.description && (
+                        <p className="search-snippet">
+                            <Highlighted segments={bundle.highlights.description} />
+                        </p>
+                    )}
+                    <div className="search-snippet">
+                        <strong>Includes: </strong>
+                        <Highlighted
+                            segments={bundle.highlights.servicesIncluded}
+                            fallback={bundle.servicesIncluded.join(', ')}
+                        />
+                    </div>
+                    <div className="search-result-meta">
+                        <span>Provider: {bundle.providerName}</span>
+                        <span>{formatRating(bundle.providerRating)}</span>
+                    </div>
+                </div>
+            ))}
+        </div>
+    );
+
+    const renderProviders = (providers) => (
+        <div className="search-group">
+            <h3>Providers ({providers.length})</h3>
+            {providers.map(provider => (
+                <div key={provider.providerID} className="search-result">
+                    <div className="search-result-header">
+                        <span className="search-result-title">
+                            <Highlighted segments={provider.highlights.name} fallback={provider.name} />
+                        </span>
+                        <span>{formatRating(provider.averageRating)}</span>
+                    </div>
+                    <div className="search-result-meta">
+                        {provider.city && <span>{provider.city}</span>}
+                        <span>{provider.jobsCompleted} jobs completed</span>
+                        <span>{provider.reviewCount} reviews</span>
+                    </div>
+                </div>
+            ))}
+        </div>
+    );
+
+    const groups = results ? [
+        { type: 'requests', render: renderRequests },
+        { type: 'bundles', render: renderBundles },
+        { type: 'providers', render: renderProviders }
+    ].filter(group => results.results[group.type]?.length > 0) : [];
+
+    return (
+        <div className="dashboard-container">
+            <header className="dashboard-header">
+                <div className="header-content">
+                    <h1>{user?.role === 'Provider' ? 'Provider' : 'Customer'} Dashboard</h1>
+                    <div className="header-actions">
+                        <span className="user-name">Welcome, {user?.name}</span>
+                        <button onClick={handleLogout} className="btn-logout">
+                            Logout
+                        </button>
+                    </div>
+                </div>
+            </header>
+
+            <main className="dashboard-main">
+                <div className="dashboard-content">
+                    <div className="dashboard-nav">
+                        <Link to={dashboardPath} className="nav-link">
+                            Dashboard
+                        </Link>
+                        <Link to="/search" className="nav-link active">
+                            Search
+                        </Link>
+                    </div>
+
+                    <form onSubmit={handleSearch} className="search-form">
+                        <div className="search-bar">
+                            <input
+                                type="search"
+                                value={query}
+                                onChange={(e) => setQuery(e.target.value)}
+                                maxLength={200}
+                                placeholder="Search requests, bundles and providers"
+                                aria-label="Search"
+                                className="form-input"
+                            />
+                            <button type="submit" className="btn-submit" disabled={loading}>
+                                {loading ? 'Searching...' : 'Search'}
+                            </button>
+                        </div>
+
+                        <div className="search-filters">
+                            {RESULT_TYPES.map(type => (
+                                <label key={type.value} className="search-type">
+                                    <input
+                                        type="checkbox"
+                                        checked={types.includes(type.value)}
+                                        onChange={() => toggleType(type.value)}
+                                    />
+                                    {type.label}
+                                </label>
+                            ))}
+
+                            <select
+                                name="category"
+                                value={filters.category}
+                                onChange={handleFilterChange}
+                                aria-label="Category"
+                                className="form-select"
+                            >
+                                <option value="">All categories</option>
+                                {CATEGORIES.map(category => (
+                                    <option key={category} value={category}>{category}</option>
+                                ))}
+                            </select>
+                            <input
+                                type="number"
+                                name="minPrice"
+                                value={filters.minPrice}
+                                onChange={handleFilterChange}
+                                min="0"
+                                step="0.01"
+                                placeholder="Min $"
+                                aria-label="Minimum price"
+                                className="form-input"
+                            />
+                            <input
+                                type="number"
+                                name="maxPrice"
+                                value={filters.maxPrice}
+                                onChange={handleFilterChange}
+                                min="0"
+                                step="0.01"
+                                placeholder="Max $"
+                                aria-label="Maximum price"
+                                className="form-input"
+                            />
+                            <select
+                                name="minRating"
+                                value={filters.minRating}
+                                onChange={handleFilterChange}
+                                aria-label="Minimum rating"
+                                className="form-select"
+                            >
+                                <option value="">Any rating</option>
+                                {[4.5, 4, 3].map(rating => (
+                                    <option key={rating} value={rating}>★ {rating}+</option>
+                                ))}
+                            </select>
+                        </div>
+                        <small className="form-help">
+                            Price filters bundles and completed requests; rating filters providers and their bundles.
+                        </small>
+                    </form>
+
+                    {error && (
+                        <div className="error-message">
+                            {error}
+                        </div>
+                    )}
+
+                    {results && (
+                        <div className="search-results">
+                            {results.relaxed && (
+                                <div className="search-notice">
+                                    Nothing matched all of your words - showing results that match some of them.
+                                </div>
+                            )}
+                            {results.total === 0 ? (
+                                <div className="search-empty">No results for "{results.query}"</div>
+                            ) : (
+                                groups.map(group => (
+                                    <React.Fragment key={group.type}>
+                                        {group.render(results.results[group.type])}
+                                    </React.Fragment>
+                                ))
+                            )}
+                        </div>
+                    )}
+                </div>
+            </main>
+        </div>
+    );
+};
+
+export default SearchPage;
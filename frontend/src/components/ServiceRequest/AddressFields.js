@@ -0,0 +1,52 @@
+import React from 'react';
+
+/**
+ * Street, city and postal code inputs for a service request's location or a provider's home base
+ * Names match the request fields, so the parent's change handler can store them directly
+ */
+const AddressFields = ({ values, onChange, help, label = 'Service Address' }) => {
+    return (
+        <div className="form-group">
+            <label htmlFor="street">{label}</label>
+            <input
+                type="text"
+                id="street"
+                name="street"
+                value={values.street}
+                onChange={onChange}
+                maxLength={255}
+                placeholder="Street and number"
+                className="form-input"
+            />
+            <div className="form-row">
+                <input
+                    type="text"
+                    id="city"
+                    name="city"
+                    value={values.city}
+                    onChange={onChange}
+                    maxLength={100}
+                    placeholder="City"
+                    aria-label="City"
+                    className="form-input"
+                />
+                <input
+                    type="text"
+                    id="postalCode"
+                    name="postalCode"
+                    value={values.postalCode}
+                    onChange={onChange}
+                    maxLength={10}
+                    placeholder="Postal code"
+                    aria-label="Postal code"
+                    className="form-input"
+                />
+            </div>
+            {help && (
+                <small className="form-help">{help}</small>
+            )}
+        </div>
+    );
+};
+
+export default AddressFields;
@@ -1,16 +1,25 @@
 import React, { useState } from 'react';
 import { serviceRequestService } from '../../services/serviceRequestService';
+import { availabilityService } from '../../services/availabilityService';
+import AddressFields from './AddressFields';
 import './CreateServiceRequest.css';
 
-const CreateServiceRequest = ({ onSuccess, onCancel }) => {
+// initialData pre-fills the form, e.g. when re-booking from a maintenance reminder
+const CreateServiceRequest = ({ onSuccess, onCancel, initialData = null }) => {
     const [formData, setFormData] = useState({
-        category: '',
-        description: '',
-        serviceDate: ''
+        category: initialData?.category || '',
+        description: initialData?.description || '',
+        serviceDate: '',
+        street: '',
+        city: '',
+        postalCode: ''
     });
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState(null);
     const [success, setSuccess] = useState(false);
+    const [invitedCount, setInvitedCount] = useState(0);
+    const [freeSlots, setFreeSlots] = useState([]);
+    const [selectedSlot, setSelectedSlot] = useState('');
 
     // Common service categories
     const categories = [
@@ -34,6 +43,37 @@ const CreateServiceRequest = ({ onSuccess, onCancel }) => {
         }));
         // Clear error when user starts typing
         if (error) setError(null);
+
+        if (name === 'serviceDate') {
+            setSelectedSlot('');
+            loadFreeSlots(value);
+        }
+    };
+
+    // Load provider free slots for the chosen date, grouped by time slot
+    const loadFreeSlots = async (date) => {
+        if (!date) {
+            setFreeSlots([]);
+            return;
+        }
+
+        try {
+            const response = await availabilityService.getFreeSlots(date);
+            if (response.success) {
+                const counts = {};
+                response.data.slots.forEach(slot => {
+                    counts[slot.timeSlot] = (counts[slot.timeSlot] || 0) + 1;
+                });
+                setFreeSlots(
+                    response.data.timeSlots
+                        .filter(timeSlot => counts[timeSlot])
+                        .map(timeSlot => ({ timeSlot, providerCount: counts[timeSlot] }))
+                );
+            }
+        } catch (err) {
+            setFreeSlots([]);
+            console.error('Error loading free slots:', err);
+        }
     };
 
     const handleSubmit = async (e) => {
@@ -68,20 +108,43 @@ const CreateServiceRequest = ({ onSuccess, onCancel }) => {
                 }
             }
 
+            // An empty address falls back to the one on the customer's profile
+            const hasAddress = [formData.street, formData.city, formData.postalCode].some(value => value.trim());
+            if (hasAddress && (!formData.city.trim() || !formData.postalCode.trim())) {
+                setError('Please enter both a city and a postal code for the service address');
+                setLoading(false);
+                return;
+            }
+
             const response = await serviceRequestService.createServiceRequest({
                 category: formData.category,
                 description: formData.description.trim(),
-                serviceDate: formData.serviceDate || null
+                serviceDate: formData.serviceDate
+                    ? selectedSlot
+                        ? `${formData.serviceDate} ${selectedSlot.split('-')[0]}:00`
+                        : formData.serviceDate
+                    : null,
+                ...(hasAddress && {
+                    street: formData.street.trim(),
+                    city: formData.city.trim(),
+                    postalCode: formData.postalCode.trim()
+                })
             });
 
             if (response.success) {
                 setSuccess(true);
+                setInvitedCount((response.data.matches || []).filter(match => match.invited).length);
                 // Reset form
                 setFormData({
                     category: '',
                     description: '',
-                    serviceDate: ''
+                    serviceDate: '',
+                    street: '',
+                    city: '',
+                    postalCode: ''
                 });
+                setFreeSlots([]);
+                setSelectedSlot('');
                 
                 // Call onSuccess callback after a short delay
                 setTimeout(() => {
@@ -116,6 +179,7 @@ const CreateServiceRequest = ({ onSuccess, onCancel }) => {
                     <div className="success-message">
                         <span className="success-icon">✓</span>
                         Service request created successfully!
+                        {invitedCount > 0 && ` ${invitedCount} matching provider${invitedCount > 1 ? 's have' : ' has'} been invited.`}
                     </div>
                 )}
 
@@ -175,8 +239,34 @@ const CreateServiceRequest = ({ onSuccess, onCancel }) => {
                         <small className="form-help">
                             Leave empty if you don't have a preferred date
                         </small>
+                        {formData.serviceDate && (
+                            freeSlots.length > 0 ? (
+                                <div className="free-slot-list">
+                                    {freeSlots.map(({ timeSlot, providerCount }) => (
+                                        <button
+                                            type="button"
+                                            key={timeSlot}
+                                            className={`free-slot ${selectedSlot === timeSlot ? 'selected' : ''}`}
+                                            onClick={() => setSelectedSlot(selectedSlot === timeSlot ? '' : timeSlot)}
+                                        >
+                                            {timeSlot} ({providerCount} provider{providerCount > 1 ? 's' : ''} free)
+                                        </button>
+                                    ))}
+                                </div>
+                            ) : (
+                                <small className="form-help">
+                                    No providers have published free slots for this date yet
+                                </small>
+                            )
+                        )}
                     </div>
 
+                    <AddressFields
+                        values={formData}
+                        onChange={handleInputChange}
+                        help="Leave empty to use the address on your profile"
+                    />
+
                     <div className="form-actions">
                         <button
                             type="button"
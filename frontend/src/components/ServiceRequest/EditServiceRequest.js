@@ -1,12 +1,16 @@
 import React, { useState, useEffect } from 'react';
 import { serviceRequestService } from '../../services/serviceRequestService';
+import AddressFields from './AddressFields';
 import './CreateServiceRequest.css';
 
 const EditServiceRequest = ({ request, onSuccess, onCancel }) => {
     const [formData, setFormData] = useState({
         category: request.category || '',
         description: request.description || '',
-        serviceDate: request.serviceDate ? request.serviceDate.split('T')[0] : ''
+        serviceDate: request.serviceDate ? request.serviceDate.split('T')[0] : '',
+        street: request.street || '',
+        city: request.city || '',
+        postalCode: request.postalCode || ''
     });
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState(null);
@@ -66,10 +70,21 @@ const EditServiceRequest = ({ request, onSuccess, onCancel }) => {
                 }
             }
 
+            // Clearing all three address fields removes the location
+            const hasAddress = [formData.street, formData.city, formData.postalCode].some(value => value.trim());
+            if (hasAddress && (!formData.city.trim() || !formData.postalCode.trim())) {
+                setError('Please enter both a city and a postal code for the service address');
+                setLoading(false);
+                return;
+            }
+
             const response = await serviceRequestService.updateServiceRequest(request.requestID, {
                 category: formData.category,
                 description: formData.description.trim(),
-                serviceDate: formData.serviceDate || null
+                serviceDate: formData.serviceDate || null,
+                street: formData.street.trim(),
+                city: formData.city.trim(),
+                postalCode: formData.postalCode.trim()
             });
 
             if (response.success) {
@@ -151,6 +166,11 @@ const EditServiceRequest = ({ request, onSuccess, onCancel }) => {
                         </small>
                     </div>
 
+                    <AddressFields
+                        values={formData}
+                        onChange={handleInputChange}
+                    />
+
                     <div className="form-actions">
                         <button
                             type="button"
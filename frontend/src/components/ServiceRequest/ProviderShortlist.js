@@ -0,0 +1,60 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { serviceRequestService } from '../../services/serviceRequestService';
+
+const ProviderShortlist = ({ requestID }) => {
+    const [matches, setMatches] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    const loadMatches = useCallback(async () => {
+        try {
+            setLoading(true);
+            setError(null);
+            const response = await serviceRequestService.getServiceRequestMatches(requestID);
+            if (response.success) {
+                setMatches(response.data.matches || []);
+            }
+        } catch (err) {
+            setError(err.message || 'Failed to load matched providers');
+            console.error('Error loading matched providers:', err);
+        } finally {
+            setLoading(false);
+        }
+    }, [requestID]);
+
+    useEffect(() => {
+        loadMatches();
+    }, [loadMatches]);
+
+    if (loading) {
+        return <div className="request-timeline-empty">Loading matched providers...</div>;
+    }
+
+    if (error) {
+        return <div className="request-timeline-empty">{error}</div>;
+    }
+
+    if (matches.length === 0) {
+        return <div className="request-timeline-empty">No providers matched this request yet</div>;
+    }
+
+    return (
+        <ol className="provider-shortlist">
+            {matches.map(match => (
+                <li key={match.providerID} className="shortlist-entry">
+                    <div className="shortlist-entry-header">
+                        <span className="shortlist-name">{match.providerName}</span>
+                        <span className="shortlist-score">{Math.round(match.score)}% match</span>
+                    </div>
+                    <div className="timeline-meta">
+                        {match.distanceMiles !== null && `${match.distanceMiles} mi away`}
+                        {match.distanceMiles !== null && match.invited && ' · '}
+                        {match.invited && 'Invited'}
+                    </div>
+                </li>
+            ))}
+        </ol>
+    );
+};
+
+export default ProviderShortlist;
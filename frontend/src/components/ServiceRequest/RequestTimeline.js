@@ -0,0 +1,81 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { serviceRequestService } from '../../services/serviceRequestService';
+
+const ACTION_LABELS = {
+    created: 'Request created',
+    accepted: 'Accepted',
+    rejected: 'Rejected',
+    started: 'Work started',
+    completed: 'Marked complete by provider',
+    confirmed: 'Completion confirmed',
+    cancelled: 'Cancelled'
+};
+
+const RequestTimeline = ({ requestID }) => {
+    const [history, setHistory] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    const loadHistory = useCallback(async () => {
+        try {
+            setLoading(true);
+            setError(null);
+            const response = await serviceRequestService.getServiceRequestHistory(requestID);
+            if (response.success) {
+                setHistory(response.data.history || []);
+            }
+        } catch (err) {
+            setError(err.message || 'Failed to load history');
+            console.error('Error loading request history:', err);
+        } finally {
+            setLoading(false);
+        }
+    }, [requestID]);
+
+    useEffect(() => {
+        loadHistory();
+    }, [loadHistory]);
+
+    const formatDateTime = (dateString) => {
+        const date = new Date(dateString);
+        return date.toLocaleString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    };
+
+    if (loading) {
+        return <div className="request-timeline-empty">Loading history...</div>;
+    }
+
+    if (error) {
+        return <div className="request-timeline-empty">{error}</div>;
+    }
+
+    if (history.length === 0) {
+        return <div className="request-timeline-empty">No history recorded yet</div>;
+    }
+
+    return (
+        <ul className="request-timeline">
+            {history.map(entry => (
+                <li key={entry.jobID} className={`timeline-entry timeline-${entry.action}`}>
+                    <div className="timeline-entry-header">
+                        <span className="timeline-action">{ACTION_LABELS[entry.action] || entry.action}</span>
+                        <span className="timeline-date">{formatDateTime(entry.createdAt)}</span>
+                    </div>
+                    {entry.changedByName && (
+                        <div className="timeline-meta">
+                            by {entry.changedByName}{entry.changedByRole ? ` (${entry.changedByRole})` : ''}
+                        </div>
+                    )}
+                    {entry.notes && <div className="timeline-notes">{entry.notes}</div>}
+                </li>
+            ))}
+        </ul>
+    );
+};
+
+export default RequestTimeline;
@@ -0,0 +1,157 @@
+import React, { useState } from 'react';
+import { authService } from '../../services/authService';
+import AddressFields from './AddressFields';
+import './CreateServiceRequest.css';
+
+const RADIUS_OPTIONS = [5, 10, 25, 50, 100, 250];
+
+/**
+ * Provider's job board area: their home base (profile address) and service radius
+ * jobBoard is the summary returned with the pending requests; onSaved reloads them
+ */
+const ServiceAreaSettings = ({ jobBoard, onSaved }) => {
+    const [editing, setEditing] = useState(false);
+    const [formData, setFormData] = useState({ street: '', city: '', postalCode: '', serviceRadiusMiles: '' });
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
+
+    /**
+     * Open the form pre-filled with the stored address and radius
+     */
+    const handleEdit = async () => {
+        setError(null);
+        try {
+            const response = await authService.getProfile();
+            const user = response.data?.user || {};
+            setFormData({
+                street: user.street || '',
+                city: user.city || '',
+                postalCode: user.postalCode || '',
+                serviceRadiusMiles: user.serviceRadiusMiles ? String(user.serviceRadiusMiles) : ''
+            });
+            setEditing(true);
+        } catch (err) {
+            setError('Failed to load your service area');
+            console.error('Error loading profile:', err);
+        }
+    };
+
+    const handleInputChange = (e) => {
+        const { name, value } = e.target;
+        setFormData(prev => ({ ...prev, [name]: value }));
+        if (error) setError(null);
+    };
+
+    /**
+     * Save the home base and radius; an empty radius shows every pending request
+     */
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        if (formData.serviceRadiusMiles && (!formData.city.trim() || !formData.postalCode.trim())) {
+            setError('Enter a city and postal code for your home base to use a service radius');
+            return;
+        }
+
+        setSaving(true);
+        try {
+            const response = await authService.updateProfile({
+                street: formData.street.trim(),
+                city: formData.city.trim(),
+                postalCode: formData.postalCode.trim(),
+                serviceRadiusMiles: formData.serviceRadiusMiles ? parseInt(formData.serviceRadiusMiles, 10) : null
+            });
+            if (response.success) {
+                setEditing(false);
+                if (onSaved) onSaved();
+            } else {
+                setError(response.message || 'Failed to save your service area');
+            }
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to save your service area');
+            console.error('Error saving service area:', err);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    // Keep a radius set outside the preset list selectable
+    const radiusOptions = formData.serviceRadiusMiles && !RADIUS_OPTIONS.includes(Number(formData.serviceRadiusMiles))
+        ? [...RADIUS_OPTIONS, Number(formData.serviceRadiusMiles)].sort((a, b) => a - b)
+        : RADIUS_OPTIONS;
+
+    const homeBaseLabel = jobBoard?.homeBase
+        ? [jobBoard.homeBase.city, jobBoard.homeBase.postalCode].filter(Boolean).join(' ')
+        : null;
+
+    let summary;
+    if (jobBoard?.filtered) {
+        summary = `Showing requests within ${jobBoard.radiusMiles} mi of ${homeBaseLabel}, nearest first`;
+    } else if (jobBoard?.radiusMiles && !homeBaseLabel) {
+        summary = `Showing all pending requests - add a home base address we can locate to use your ${jobBoard.radiusMiles} mi radius`;
+    } else {
+        summary = 'Showing all pending requests. Set a home base and service radius to see only jobs near you.';
+    }
+
+    return (
+        <div className="service-area">
+            <div className="service-area-summary">
+                <span>{summary}</span>
+                {!editing && (
+                    <button onClick={handleEdit} className="btn-refresh">
+                        Service Area
+                    </button>
+                )}
+            </div>
+
+            {error && (
+                <div className="error-message">
+                    {error}
+                </div>
+            )}
+
+            {editing && (
+                <form onSubmit={handleSubmit} className="service-area-form">
+                    <AddressFields
+                        values={formData}
+                        onChange={handleInputChange}
+                        label="Home Base"
+                        help="Distances to requests are measured from this address"
+                    />
+
+                    <div className="form-group">
+                        <label htmlFor="serviceRadiusMiles">Service Radius</label>
+                        <select
+                            id="serviceRadiusMiles"
+                            name="serviceRadiusMiles"
+                            value={formData.serviceRadiusMiles}
+                            onChange={handleInputChange}
+                            className="form-select"
+                        >
+                            <option value="">No limit</option>
+                            {radiusOptions.map(miles => (
+                                <option key={miles} value={miles}>{miles} miles</option>
+                            ))}
+                        </select>
+                    </div>
+
+                    <div className="form-actions">
+                        <button
+                            type="button"
+                            onClick={() => setEditing(false)}
+                            className="btn-cancel"
+                            disabled={saving}
+                        >
+                            Cancel
+                        </button>
+                        <button type="submit" className="btn-submit" disabled={saving}>
+                            {saving ? 'Saving...' : 'Save Service Area'}
+                        </button>
+                    </div>
+                </form>
+            )}
+        </div>
+    );
+};
+
+export default ServiceAreaSettings;
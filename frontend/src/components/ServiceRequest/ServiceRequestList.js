@@ -1,6 +1,11 @@
 import React, { useState, useEffect } from 'react';
 import { serviceRequestService } from '../../services/serviceRequestService';
 import EditServiceRequest from './EditServiceRequest';
+import RequestTimeline from './RequestTimeline';
+import ServiceAreaSettings from './ServiceAreaSettings';
+import ProviderShortlist from './ProviderShortlist';
+import PaymentForm from '../Payment/PaymentForm';
+import { paymentService } from '../../services/paymentService';
 import './ServiceRequestList.css';
 
 const ServiceRequestList = ({ userRole = 'Customer', onStartChat }) => {
@@ -8,11 +13,16 @@ const ServiceRequestList = ({ userRole = 'Customer', onStartChat }) => {
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
     const [editingRequest, setEditingRequest] = useState(null);
+    const [payingRequest, setPayingRequest] = useState(null);
+    const [historyRequestID, setHistoryRequestID] = useState(null);
+    const [matchesRequestID, setMatchesRequestID] = useState(null);
     const [statusFilter, setStatusFilter] = useState('all');
+    const [providerView, setProviderView] = useState('available'); // 'available' or 'my-jobs'
+    const [jobBoard, setJobBoard] = useState(null);
 
     useEffect(() => {
         loadRequests();
-    }, [statusFilter]);
+    }, [statusFilter, providerView]);
 
     const loadRequests = async () => {
         try {
@@ -25,6 +35,11 @@ const ServiceRequestList = ({ userRole = 'Customer', onStartChat }) => {
                 response = await serviceRequestService.getMyServiceRequests(
                     statusFilter !== 'all' ? statusFilter : null
                 );
+            } else if (providerView === 'my-jobs') {
+                // Get jobs assigned to this provider
+                response = await serviceRequestService.getMyServiceRequests(
+                    statusFilter !== 'all' ? statusFilter : null
+                );
             } else {
                 // Get all pending requests for providers
                 response = await serviceRequestService.getPendingRequests();
@@ -32,6 +47,7 @@ const ServiceRequestList = ({ userRole = 'Customer', onStartChat }) => {
 
             if (response.success) {
                 setRequests(response.data.requests || []);
+                setJobBoard(response.data.jobBoard || null);
             } else {
                 setError(response.message || 'Failed to load service requests');
             }
@@ -69,13 +85,23 @@ const ServiceRequestList = ({ userRole = 'Customer', onStartChat }) => {
         }
     };
 
-    const handleAcceptRequest = async (requestID) => {
-        if (!window.confirm('Are you sure you want to accept this service request?')) {
+    const handleAcceptRequest = async (request) => {
+        const { requestID } = request;
+        let schedule = {};
+
+        // Requests without a preferred date need a booking date from the provider
+        if (!request.serviceDate) {
+            const scheduledDate = window.prompt('This request has no service date. Enter a booking date (YYYY-MM-DD):');
+            if (!scheduledDate) {
+                return;
+            }
+            schedule = { scheduledDate: scheduledDate.trim() };
+        } else if (!window.confirm('Are you sure you want to accept this service request?')) {
             return;
         }
 
         try {
-            const response = await serviceRequestService.acceptServiceRequest(requestID);
+            const response = await serviceRequestService.acceptServiceRequest(requestID, schedule);
             if (response.success) {
                 loadRequests();
                 alert('Service request accepted successfully!');
@@ -109,6 +135,126 @@ const ServiceRequestList = ({ userRole = 'Customer', onStartChat }) => {
         }
     };
 
+    const handlePaymentSuccess = () => {
+        setPayingRequest(null);
+        loadRequests();
+        alert('Payment completed successfully!');
+    };
+
+    const handleCancelRequest = async (requestID) => {
+        const cancellationReason = window.prompt('Why are you cancelling this service request?');
+        if (!cancellationReason || !cancellationReason.trim()) {
+            return;
+        }
+
+        try {
+            const response = await serviceRequestService.cancelServiceRequest(requestID, cancellationReason.trim());
+            if (response.success) {
+                loadRequests();
+            } else {
+                alert(response.message || 'Failed to cancel service request');
+            }
+        } catch (err) {
+            const errorMessage = err.message || err.response?.data?.message || 'Failed to cancel service request';
+            alert(errorMessage);
+            console.error('Error cancelling service request:', err);
+        }
+    };
+
+    const toggleHistory = (requestID) => {
+        setHistoryRequestID(prev => (prev === requestID ? null : requestID));
+    };
+
+    const toggleMatches = (requestID) => {
+        setMatchesRequestID(prev => (prev === requestID ? null : requestID));
+    };
+
+    const handleRefund = async (request) => {
+        const amount = window.prompt(
+            `Refund amount (leave empty to refund the full $${parseFloat(request.finalPrice || 0).toFixed(2)}):`
+        );
+        if (amount === null) {
+            return;
+        }
+        const reason = window.prompt('Reason for the refund:');
+        if (!reason || !reason.trim()) {
+            return;
+        }
+
+        try {
+            const paymentsResponse = await paymentService.getPaymentsByRequest(request.requestID);
+            const payment = (paymentsResponse.data?.payments || []).find(p => p.status === 'Completed');
+            if (!payment) {
+                alert('No completed payment found for this request');
+                return;
+            }
+
+            const response = await paymentService.refundPayment(payment.paymentID, {
+                amount: amount.trim() ? parseFloat(amount) : null,
+                reason: reason.trim()
+            });
+            if (response.success) {
+                loadRequests();
+                alert(response.message || 'Refund issued');
+            } else {
+                alert(response.message || 'Failed to issue refund');
+            }
+        } catch (err) {
+            const errorMessage = err.message || err.response?.data?.message || 'Failed to issue refund';
+            alert(errorMessage);
+            console.error('Error issuing refund:', err);
+        }
+    };
+
+    const handleLifecycleAction = async (action, requestID) => {
+        const actions = {
+            start: {
+                confirmText: 'Start work on this service request?',
+                run: () => serviceRequestService.startServiceRequest(requestID),
+                fallback: 'Failed to start service request'
+            },
+            complete: {
+                confirmText: 'Mark this service request as complete? The customer will be asked to confirm.',
+                run: (amount) => serviceRequestService.completeServiceRequest(requestID, amount),
+                fallback: 'Failed to complete service request'
+            },
+            confirm: {
+                confirmText: 'Confirm that this service has been completed?',
+                run: () => serviceRequestService.confirmServiceCompletion(requestID),
+                fallback: 'Failed to confirm service completion'
+            }
+        };
+        const { confirmText, run, fallback } = actions[action];
+
+        // Completing a job sets the price the customer will be charged
+        let amount = null;
+        if (action === 'complete') {
+            amount = window.prompt('Enter the final amount to charge the customer:');
+            if (!amount) {
+                return;
+            }
+            if (isNaN(parseFloat(amount)) || parseFloat(amount) <= 0) {
+                alert('Please enter a valid amount');
+                return;
+            }
+        } else if (!window.confirm(confirmText)) {
+            return;
+        }
+
+        try {
+            const response = await run(amount);
+            if (response.success) {
+                loadRequests();
+            } else {
+                alert(response.message || fallback);
+            }
+        } catch (err) {
+            const errorMessage = err.message || err.response?.data?.message || fallback;
+            alert(errorMessage);
+            console.error(`Error on ${action} service request:`, err);
+        }
+    };
+
     const handleDelete = async (requestID) => {
         if (!window.confirm('Are you sure you want to delete this service request? This action cannot be undone.')) {
             return;
@@ -142,7 +288,7 @@ const ServiceRequestList = ({ userRole = 'Customer', onStartChat }) => {
         const statusClasses = {
             'Pending': 'status-pending',
             'Accepted': 'status-accepted',
-            'Ongoing': 'status-ongoing',
+            'In Progress': 'status-ongoing',
             'Completed': 'status-completed',
             'Cancelled': 'status-cancelled',
             'Rejected': 'status-rejected'
@@ -154,6 +300,16 @@ const ServiceRequestList = ({ userRole = 'Customer', onStartChat }) => {
         return <div className="service-request-loading">Loading service requests...</div>;
     }
 
+    if (payingRequest) {
+        return (
+            <PaymentForm
+                request={payingRequest}
+                onSuccess={handlePaymentSuccess}
+                onCancel={() => setPayingRequest(null)}
+            />
+        );
+    }
+
     if (editingRequest) {
         return (
             <EditServiceRequest
@@ -168,9 +324,27 @@ const ServiceRequestList = ({ userRole = 'Customer', onStartChat }) => {
         <div className="service-request-list-container">
             <div className="service-request-list-header">
                 <h2>
-                    {userRole === 'Customer' ? 'My Service Requests' : 'Available Service Requests'}
+                    {userRole === 'Customer'
+                        ? 'My Service Requests'
+                        : providerView === 'my-jobs' ? 'My Jobs' : 'Available Service Requests'}
                 </h2>
-                {userRole === 'Customer' && (
+                {userRole === 'Provider' && (
+                    <div className="filter-section">
+                        <label>View:</label>
+                        <select
+                            value={providerView}
+                            onChange={(e) => {
+                                setProviderView(e.target.value);
+                                setStatusFilter('all');
+                            }}
+                            className="status-filter"
+                        >
+                            <option value="available">Available Requests</option>
+                            <option value="my-jobs">My Jobs</option>
+                        </select>
+                    </div>
+                )}
+                {(userRole === 'Customer' || providerView === 'my-jobs') && (
                     <div className="filter-section">
                         <label>Filter by Status:</label>
                         <select
@@ -181,7 +355,7 @@ const ServiceRequestList = ({ userRole = 'Customer', onStartChat }) => {
                             <option value="all">All</option>
                             <option value="Pending">Pending</option>
                             <option value="Accepted">Accepted</option>
-                            <option value="Ongoing">Ongoing</option>
+                            <option value="In Progress">In Progress</option>
                             <option value="Completed">Completed</option>
                             <option value="Cancelled">Cancelled</option>
                             <option value="Rejected">Rejected</option>
@@ -193,6 +367,10 @@ const ServiceRequestList = ({ userRole = 'Customer', onStartChat }) => {
                 </button>
             </div>
 
+            {userRole === 'Provider' && providerView === 'available' && (
+                <ServiceAreaSettings jobBoard={jobBoard} onSaved={loadRequests} />
+            )}
+
             {error && (
                 <div className="error-message">
                     {error}
@@ -231,6 +409,14 @@ const ServiceRequestList = ({ userRole = 'Customer', onStartChat }) => {
                                             <span className="detail-value">{formatDate(request.serviceDate)}</span>
                                         </div>
                                     )}
+                                    {request.distanceMiles !== undefined && request.distanceMiles !== null && (
+                                        <div className="detail-item">
+                                            <span className="detail-label">Distance:</span>
+                                            <span className="detail-value">
+                                                {request.distanceMiles} mi{request.city ? ` (${request.city})` : ''}
+                                            </span>
+                                        </div>
+                                    )}
                                     {userRole === 'Provider' && request.customerName && (
                                         <div className="detail-item">
                                             <span className="detail-label">Customer:</span>
@@ -243,7 +429,54 @@ const ServiceRequestList = ({ userRole = 'Customer', onStartChat }) => {
                                             <span className="detail-value">{request.providerName}</span>
                                         </div>
                                     )}
+                                    {request.status === 'In Progress' && request.providerConfirmation ? (
+                                        <div className="detail-item">
+                                            <span className="detail-label">Completion:</span>
+                                            <span className="detail-value">Awaiting customer confirmation</span>
+                                        </div>
+                                    ) : null}
+                                    {request.finalPrice && (
+                                        <div className="detail-item">
+                                            <span className="detail-label">Price:</span>
+                                            <span className="detail-value">${parseFloat(request.finalPrice).toFixed(2)}</span>
+                                        </div>
+                                    )}
+                                    {request.paymentStatus && (
+                                        <div className="detail-item">
+                                            <span className="detail-label">Payment:</span>
+                                            <span className="detail-value">{request.paymentStatus}</span>
+                                        </div>
+                                    )}
+                                    {request.status === 'Cancelled' && request.cancellationReason && (
+                                        <div className="detail-item">
+                                            <span className="detail-label">Cancelled:</span>
+                                            <span className="detail-value">{request.cancellationReason}</span>
+                                        </div>
+                                    )}
                                 </div>
+
+                                <button
+                                    onClick={() => toggleHistory(request.requestID)}
+                                    className="btn-history"
+                                >
+                                    {historyRequestID === request.requestID ? 'Hide history' : 'Show history'}
+                                </button>
+                                {historyRequestID === request.requestID && (
+                                    <RequestTimeline requestID={request.requestID} />
+                                )}
+                                {userRole === 'Customer' && request.status === 'Pending' && (
+                                    <>
+                                        <button
+                                            onClick={() => toggleMatches(request.requestID)}
+                                            className="btn-history"
+                                        >
+                                            {matchesRequestID === request.requestID ? 'Hide matched providers' : 'Show matched providers'}
+                                        </button>
+                                        {matchesRequestID === request.requestID && (
+                                            <ProviderShortlist requestID={request.requestID} />
+                                        )}
+                                    </>
+                                )}
                             </div>
 
                             <div className="request-actions">
@@ -266,7 +499,7 @@ const ServiceRequestList = ({ userRole = 'Customer', onStartChat }) => {
                                 {userRole === 'Provider' && request.status === 'Pending' && (
                                     <>
                                         <button
-                                            onClick={() => handleAcceptRequest(request.requestID)}
+                                            onClick={() => handleAcceptRequest(request)}
                                             className="btn-accept"
                                         >
                                             ✓ Accept
@@ -279,6 +512,56 @@ const ServiceRequestList = ({ userRole = 'Customer', onStartChat }) => {
                                         </button>
                                     </>
                                 )}
+                                {userRole === 'Customer' && request.status === 'In Progress' && request.providerConfirmation ? (
+                                    <button
+                                        onClick={() => handleLifecycleAction('confirm', request.requestID)}
+                                        className="btn-accept"
+                                    >
+                                        ✓ Confirm Completion
+                                    </button>
+                                ) : null}
+                                {userRole === 'Customer' && request.status === 'Completed' &&
+                                    (request.paymentStatus === 'Pending' || request.paymentStatus === 'Failed') && (
+                                    <button
+                                        onClick={() => setPayingRequest(request)}
+                                        className="btn-accept"
+                                    >
+                                        💳 Pay Now
+                                    </button>
+                                )}
+                                {userRole === 'Provider' && request.status === 'Accepted' && (
+                                    <button
+                                        onClick={() => handleLifecycleAction('start', request.requestID)}
+                                        className="btn-accept"
+                                    >
+                                        ▶ Start Job
+                                    </button>
+                                )}
+                                {userRole === 'Provider' && request.status === 'In Progress' && !request.providerConfirmation && (
+                                    <button
+                                        onClick={() => handleLifecycleAction('complete', request.requestID)}
+                                        className="btn-accept"
+                                    >
+                                        ✓ Mark Complete
+                                    </button>
+                                )}
+                                {((userRole === 'Customer' && request.status === 'Accepted') ||
+                                    (userRole === 'Provider' && request.status === 'Accepted' && providerView === 'my-jobs')) && (
+                                    <button
+                                        onClick={() => handleCancelRequest(request.requestID)}
+                                        className="btn-reject"
+                                    >
+                                        ✗ Cancel
+                                    </button>
+                                )}
+                                {userRole === 'Provider' && request.paymentStatus === 'Completed' && (
+                                    <button
+                                        onClick={() => handleRefund(request)}
+                                        className="btn-reject"
+                                    >
+                                        ↩ Issue Refund
+                                    </button>
+                                )}
                                 {userRole === 'Provider' && request.status !== 'Pending' && (
                                     <button
                                         onClick={() => handleStartChat(request)}
@@ -51,6 +51,15 @@ export const analyticsService = {
         return response.data;
     },
 
+    getBenchmarkHistory: async (metric, options = {}) => {
+        const params = new URLSearchParams({ metric });
+        if (options.category) params.append('category', options.category);
+        if (options.days) params.append('days', options.days);
+
+        const response = await api.get(`/analytics/benchmarks/history?${params.toString()}`);
+        return response.data;
+    },
+
     getRealTimeMetrics: async (providerID) => {
         const url = `/analytics/realtime/${providerID}`;
         
@@ -65,6 +74,32 @@ export const analyticsService = {
         return response.data;
     },
 
+    getAlerts: async () => {
+        const response = await api.get('/analytics/alerts');
+        return response.data;
+    },
+
+    getAlertHistory: async (alertID = null) => {
+        const url = alertID ? `/analytics/alerts/history?alertID=${alertID}` : '/analytics/alerts/history';
+        const response = await api.get(url);
+        return response.data;
+    },
+
+    createAlert: async (alertData) => {
+        const response = await api.post('/analytics/alerts', alertData);
+        return response.data;
+    },
+
+    updateAlert: async (alertID, updateData) => {
+        const response = await api.put(`/analytics/alerts/${alertID}`, updateData);
+        return response.data;
+    },
+
+    deleteAlert: async (alertID) => {
+        const response = await api.delete(`/analytics/alerts/${alertID}`);
+        return response.data;
+    },
+
     formatCurrency: (value, currency = 'USD') => {
         if (value === null || value === undefined) return '$0.00';
         return new Intl.NumberFormat('en-US', {
@@ -39,6 +39,15 @@ export const authService = {
         return response.data;
     },
 
+    // Update current user's name, phone and address
+    updateProfile: async (profileData) => {
+        const response = await api.put('/auth/profile', profileData);
+        if (response.data.success) {
+            localStorage.setItem('user', JSON.stringify(response.data.data.user));
+        }
+        return response.data;
+    },
+
     // Get current user from localStorage
     getCurrentUser: () => {
         const user = localStorage.getItem('user');
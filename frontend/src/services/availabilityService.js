@@ -0,0 +1,59 @@
+import api from './api';
+
+export const availabilityService = {
+    // Get own availability calendar with bookings (Provider only)
+    getCalendar: async (from = null, to = null) => {
+        try {
+            const params = new URLSearchParams();
+            if (from) params.append('from', from);
+            if (to) params.append('to', to);
+            const query = params.toString();
+            const response = await api.get(`/availability/calendar${query ? `?${query}` : ''}`);
+            return response.data;
+        } catch (error) {
+            throw error.response?.data || { message: 'Failed to fetch availability' };
+        }
+    },
+
+    // Publish weekly recurring availability (Provider only)
+    publishWeekly: async ({ weekdays, timeSlots, weeks, startDate }) => {
+        try {
+            const response = await api.post('/availability/weekly', { weekdays, timeSlots, weeks, startDate });
+            return response.data;
+        } catch (error) {
+            throw error.response?.data || { message: 'Failed to publish availability' };
+        }
+    },
+
+    // Set a single slot available or unavailable (Provider only)
+    updateSlot: async (date, timeSlot, available) => {
+        try {
+            const response = await api.put('/availability/slot', { date, timeSlot, available });
+            return response.data;
+        } catch (error) {
+            throw error.response?.data || { message: 'Failed to update availability' };
+        }
+    },
+
+    // Block out a whole day (Provider only)
+    blockDay: async (date) => {
+        try {
+            const response = await api.post('/availability/block', { date });
+            return response.data;
+        } catch (error) {
+            throw error.response?.data || { message: 'Failed to block day' };
+        }
+    },
+
+    // Get free slots on a date, optionally for one provider
+    getFreeSlots: async (date, providerID = null) => {
+        try {
+            const params = new URLSearchParams({ date });
+            if (providerID) params.append('providerID', providerID);
+            const response = await api.get(`/availability/free?${params.toString()}`);
+            return response.data;
+        } catch (error) {
+            throw error.response?.data || { message: 'Failed to fetch free slots' };
+        }
+    }
+};
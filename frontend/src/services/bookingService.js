@@ -0,0 +1,45 @@
+import api from './api';
+
+export const bookingService = {
+    // Get upcoming bookings for the current user ('day' or 'week' view)
+    getUpcomingBookings: async (range = 'week', date = null) => {
+        try {
+            const params = new URLSearchParams({ range });
+            if (date) params.append('date', date);
+            const response = await api.get(`/bookings/upcoming?${params.toString()}`);
+            return response.data;
+        } catch (error) {
+            throw error.response?.data || { message: 'Failed to fetch bookings' };
+        }
+    },
+
+    // Get booking by ID
+    getBookingById: async (bookingID) => {
+        try {
+            const response = await api.get(`/bookings/${bookingID}`);
+            return response.data;
+        } catch (error) {
+            throw error.response?.data || { message: 'Failed to fetch booking' };
+        }
+    },
+
+    // Create a manual booking for an offline customer (Provider only)
+    createManualBooking: async (bookingData) => {
+        try {
+            const response = await api.post('/bookings/manual', bookingData);
+            return response.data;
+        } catch (error) {
+            throw error.response?.data || { message: 'Failed to create booking' };
+        }
+    },
+
+    // Cancel a booking
+    cancelBooking: async (bookingID, cancellationReason) => {
+        try {
+            const response = await api.put(`/bookings/${bookingID}/cancel`, { cancellationReason });
+            return response.data;
+        } catch (error) {
+            throw error.response?.data || { message: 'Failed to cancel booking' };
+        }
+    }
+};
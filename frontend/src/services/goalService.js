@@ -0,0 +1,64 @@
+import api from './api';
+
+export const goalService = {
+    // Get the current provider's goals (optionally filtered by status)
+    getGoals: async (status = null) => {
+        try {
+            const url = status ? `/goals?status=${status}` : '/goals';
+            const response = await api.get(url);
+            return response.data;
+        } catch (error) {
+            throw error.response?.data || { message: 'Failed to fetch goals' };
+        }
+    },
+
+    // Get a goal with its current progress
+    getGoalById: async (goalID) => {
+        try {
+            const response = await api.get(`/goals/${goalID}`);
+            return response.data;
+        } catch (error) {
+            throw error.response?.data || { message: 'Failed to fetch goal' };
+        }
+    },
+
+    // Create a goal
+    createGoal: async (goalData) => {
+        try {
+            const response = await api.post('/goals', goalData);
+            return response.data;
+        } catch (error) {
+            throw error.response?.data || { message: 'Failed to create goal' };
+        }
+    },
+
+    // Update an active goal's target or dates
+    updateGoal: async (goalID, updateData) => {
+        try {
+            const response = await api.put(`/goals/${goalID}`, updateData);
+            return response.data;
+        } catch (error) {
+            throw error.response?.data || { message: 'Failed to update goal' };
+        }
+    },
+
+    // Cancel an active goal
+    cancelGoal: async (goalID) => {
+        try {
+            const response = await api.post(`/goals/${goalID}/cancel`);
+            return response.data;
+        } catch (error) {
+            throw error.response?.data || { message: 'Failed to cancel goal' };
+        }
+    },
+
+    // Delete a goal
+    deleteGoal: async (goalID) => {
+        try {
+            const response = await api.delete(`/goals/${goalID}`);
+            return response.data;
+        } catch (error) {
+            throw error.response?.data || { message: 'Failed to delete goal' };
+        }
+    }
+};
@@ -0,0 +1,43 @@
+import api from './api';
+
+export const maintenanceReminderService = {
+    // Get the current customer's maintenance reminders
+    getReminders: async () => {
+        try {
+            const response = await api.get('/maintenance-reminders');
+            return response.data;
+        } catch (error) {
+            throw error.response?.data || { message: 'Failed to fetch maintenance reminders' };
+        }
+    },
+
+    // Create a maintenance reminder
+    createReminder: async (reminderData) => {
+        try {
+            const response = await api.post('/maintenance-reminders', reminderData);
+            return response.data;
+        } catch (error) {
+            throw error.response?.data || { message: 'Failed to create maintenance reminder' };
+        }
+    },
+
+    // Update a maintenance reminder (schedule, frequency or status)
+    updateReminder: async (reminderID, updateData) => {
+        try {
+            const response = await api.put(`/maintenance-reminders/${reminderID}`, updateData);
+            return response.data;
+        } catch (error) {
+            throw error.response?.data || { message: 'Failed to update maintenance reminder' };
+        }
+    },
+
+    // Delete a maintenance reminder
+    deleteReminder: async (reminderID) => {
+        try {
+            const response = await api.delete(`/maintenance-reminders/${reminderID}`);
+            return response.data;
+        } catch (error) {
+            throw error.response?.data || { message: 'Failed to delete maintenance reminder' };
+        }
+    }
+};
@@ -0,0 +1,74 @@
+import api from './api';
+
+export const paymentService = {
+    // Start paying for a completed service request (Customer only)
+    initiatePayment: async (requestID, paymentMethod) => {
+        try {
+            const response = await api.post('/payments/initiate', { requestID, paymentMethod });
+            return response.data;
+        } catch (error) {
+            throw error.response?.data || { message: 'Failed to initiate payment' };
+        }
+    },
+
+    // Confirm an initiated payment (Customer only)
+    confirmPayment: async (paymentID, paymentToken = null) => {
+        try {
+            const response = await api.post(`/payments/${paymentID}/confirm`, { paymentToken });
+            return response.data;
+        } catch (error) {
+            throw error.response?.data || { message: 'Failed to confirm payment' };
+        }
+    },
+
+    // Mark a pending payment as failed
+    failPayment: async (paymentID, reason) => {
+        try {
+            const response = await api.post(`/payments/${paymentID}/fail`, { reason });
+            return response.data;
+        } catch (error) {
+            throw error.response?.data || { message: 'Failed to update payment' };
+        }
+    },
+
+    // Refund all or part of a completed payment (Admin or Provider)
+    // Leave amount empty to refund whatever has not been refunded yet
+    refundPayment: async (paymentID, { amount = null, reason, complaintID = null }) => {
+        try {
+            const response = await api.post(`/payments/${paymentID}/refund`, { amount, reason, complaintID });
+            return response.data;
+        } catch (error) {
+            throw error.response?.data || { message: 'Failed to refund payment' };
+        }
+    },
+
+    // Get refunds issued against a payment
+    getRefundsByPayment: async (paymentID) => {
+        try {
+            const response = await api.get(`/payments/${paymentID}/refunds`);
+            return response.data;
+        } catch (error) {
+            throw error.response?.data || { message: 'Failed to fetch refunds' };
+        }
+    },
+
+    // Get all payments for a service request
+    getPaymentsByRequest: async (requestID) => {
+        try {
+            const response = await api.get(`/payments/request/${requestID}`);
+            return response.data;
+        } catch (error) {
+            throw error.response?.data || { message: 'Failed to fetch payments' };
+        }
+    },
+
+    // Get payment by ID
+    getPaymentById: async (paymentID) => {
+        try {
+            const response = await api.get(`/payments/${paymentID}`);
+            return response.data;
+        } catch (error) {
+            throw error.response?.data || { message: 'Failed to fetch payment' };
+        }
+    }
+};
@@ -7,16 +7,42 @@ export const reportService = {
         return response.data;
     },
 
+    previewReport: async (options) => {
+        const response = await api.post('/reports/preview', options);
+        return response.data;
+    },
+
     getTemplates: async () => {
         const response = await api.get('/reports/templates');
         return response.data;
     },
 
+    getCustomTemplates: async () => {
+        const response = await api.get('/reports/custom-templates');
+        return response.data;
+    },
+
+    saveCustomTemplate: async (template) => {
+        const response = await api.post('/reports/custom-templates', template);
+        return response.data;
+    },
+
+    updateCustomTemplate: async (templateID, template) => {
+        const response = await api.put(`/reports/custom-templates/${templateID}`, template);
+        return response.data;
+    },
+
+    deleteCustomTemplate: async (templateID) => {
+        const response = await api.delete(`/reports/custom-templates/${templateID}`);
+        return response.data;
+    },
+
     getReportHistory: async (providerID, options = {}) => {
         const params = new URLSearchParams();
         
-        if (options.page) params.append('page', options.page);
         if (options.limit) params.append('limit', options.limit);
+        // The API pages by offset
+        if (options.page && options.limit) params.append('offset', (options.page - 1) * options.limit);
 
         const queryString = params.toString();
         const url = `/reports/history/${providerID}${queryString ? `?${queryString}` : ''}`;
@@ -67,6 +93,41 @@ export const reportService = {
         return response.data;
     },
 
+    emailReport: async (reportID, recipients, method = 'attachment') => {
+        const response = await api.post(`/reports/email/${reportID}`, { recipients, method });
+        return response.data;
+    },
+
+    setReportPinned: async (reportID, pinned) => {
+        const response = await api.put(`/reports/pin/${reportID}`, { pinned });
+        return response.data;
+    },
+
+    deleteReport: async (reportID) => {
+        const response = await api.delete(`/reports/${reportID}`);
+        return response.data;
+    },
+
+    createShareLink: async (reportID, options = {}) => {
+        const response = await api.post(`/reports/share/${reportID}`, options);
+        return response.data;
+    },
+
+    getShareLinks: async (reportID) => {
+        const response = await api.get(`/reports/share/${reportID}`);
+        return response.data;
+    },
+
+    revokeShareLink: async (reportID, linkID) => {
+        const response = await api.delete(`/reports/share/${reportID}/${linkID}`);
+        return response.data;
+    },
+
+    getReportDeliveries: async (reportID) => {
+        const response = await api.get(`/reports/deliveries/${reportID}`);
+        return response.data;
+    },
+
     cancelScheduledReport: async (scheduleID) => {
         const response = await api.delete(`/reports/schedule/${scheduleID}`);
         return response.data;
@@ -131,6 +192,29 @@ export const reportService = {
         ];
     },
 
+    getCsvLayouts: () => {
+        return [
+            { value: 'sections', label: 'One table per section' },
+            { value: 'long', label: 'Long format (section, metric, dimension, period, value)' }
+        ];
+    },
+
+    getEmailDeliveryMethods: () => {
+        return [
+            { value: 'attachment', label: 'Attach the report' },
+            { value: 'link', label: 'Send an expiring download link' }
+        ];
+    },
+
+    getShareLinkExpiryOptions: () => {
+        return [
+            { value: 24, label: '24 hours' },
+            { value: 72, label: '3 days' },
+            { value: 168, label: '7 days' },
+            { value: 720, label: '30 days' }
+        ];
+    },
+
     getAvailableFrequencies: () => {
         return [
             { value: 'daily', label: 'Daily' },
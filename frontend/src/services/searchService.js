@@ -0,0 +1,20 @@
+import api from './api';
+
+export const searchService = {
+    // Full-text search across service requests, bundles and providers
+    // filters: { types, category, minPrice, maxPrice, minRating, limit } - empty values are left out
+    search: async (q, filters = {}) => {
+        try {
+            const params = new URLSearchParams({ q });
+            Object.entries(filters).forEach(([key, value]) => {
+                if (value !== null && value !== undefined && value !== '') {
+                    params.append(key, value);
+                }
+            });
+            const response = await api.get(`/search?${params.toString()}`);
+            return response.data;
+        } catch (error) {
+            throw error.response?.data || { message: 'Search failed' };
+        }
+    }
+};
@@ -77,10 +77,10 @@ export const serviceRequestService = {
         }
     },
 
-    // Accept service request (Provider only)
-    acceptServiceRequest: async (requestID) => {
+    // Accept service request (Provider only) - schedule: { scheduledDate, scheduledTime }
+    acceptServiceRequest: async (requestID, schedule = {}) => {
         try {
-            const response = await api.post(`/service-requests/${requestID}/accept`);
+            const response = await api.post(`/service-requests/${requestID}/accept`, schedule);
             return response.data;
         } catch (error) {
             throw error.response?.data || { message: 'Failed to accept service request' };
@@ -95,6 +95,65 @@ export const serviceRequestService = {
         } catch (error) {
             throw error.response?.data || { message: 'Failed to reject service request' };
         }
+    },
+
+    // Start work on an accepted request (Provider only)
+    startServiceRequest: async (requestID) => {
+        try {
+            const response = await api.post(`/service-requests/${requestID}/start`);
+            return response.data;
+        } catch (error) {
+            throw error.response?.data || { message: 'Failed to start service request' };
+        }
+    },
+
+    // Mark request as complete (Provider only)
+    completeServiceRequest: async (requestID, amount, comment = null) => {
+        try {
+            const response = await api.post(`/service-requests/${requestID}/complete`, { amount, comment });
+            return response.data;
+        } catch (error) {
+            throw error.response?.data || { message: 'Failed to complete service request' };
+        }
+    },
+
+    // Confirm the provider's completion (Customer only)
+    confirmServiceCompletion: async (requestID) => {
+        try {
+            const response = await api.post(`/service-requests/${requestID}/confirm`);
+            return response.data;
+        } catch (error) {
+            throw error.response?.data || { message: 'Failed to confirm service completion' };
+        }
+    },
+
+    // Cancel a pending or accepted service request (Customer or assigned Provider)
+    cancelServiceRequest: async (requestID, cancellationReason) => {
+        try {
+            const response = await api.post(`/service-requests/${requestID}/cancel`, { cancellationReason });
+            return response.data;
+        } catch (error) {
+            throw error.response?.data || { message: 'Failed to cancel service request' };
+        }
+    },
+
+    // Get the status history timeline of a service request
+    getServiceRequestHistory: async (requestID) => {
+        try {
+            const response = await api.get(`/service-requests/${requestID}/history`);
+            return response.data;
+        } catch (error) {
+            throw error.response?.data || { message: 'Failed to fetch service request history' };
+        }
+    },
+
+    // Get the ranked providers matched to a request (Customer)
+    getServiceRequestMatches: async (requestID) => {
+        try {
+            const response = await api.get(`/service-requests/${requestID}/matches`);
+            return response.data;
+        } catch (error) {
+            throw error.response?.data || { message: 'Failed to fetch matched providers' };
+        }
     }
 };
-